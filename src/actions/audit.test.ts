@@ -0,0 +1,98 @@
+/**
+ * Audit logger: entries that can't be written yet are kept and retried,
+ * and any the logger has to drop are counted in the trail
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ActionType } from '@/types/actions';
+import type { ActionLogInsert } from '@/types/repository';
+import type { DispatchEvent } from './dispatcher';
+import type { PendingAuditStore } from './audit';
+import { createAuditLogger } from './audit';
+import { insertActionLogs } from '@/services/auditService';
+import { AUDIT_BUFFER_LIMIT } from '@/lib/constants';
+
+vi.mock('@/services/auditService', () => ({ insertActionLogs: vi.fn() }));
+
+const insert = vi.mocked(insertActionLogs);
+
+function event(type: ActionType): DispatchEvent {
+  return { type, payload: {}, success: true, result: null, user: 'Lee', timestamp: Date.now() };
+}
+
+function memoryStore(initial: ActionLogInsert[] = []): PendingAuditStore & { entries: Map<string, ActionLogInsert> } {
+  const entries = new Map(initial.map((entry) => [entry.id, entry]));
+  return {
+    entries,
+    load: async (client) => ({ data: [...entries.values()].filter((e) => e.client === client), error: null }),
+    save: async (entry) => {
+      entries.set(entry.id, entry);
+      return { error: null };
+    },
+    remove: async (ids) => {
+      for (const id of ids) entries.delete(id);
+      return { error: null };
+    },
+  };
+}
+
+const sentTypes = (call: number) => insert.mock.calls[call][0].map((entry) => entry.action_type);
+
+beforeEach(() => {
+  insert.mockReset();
+  // Failed writes schedule retries; keep them from firing into later tests
+  vi.useFakeTimers();
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('with a store', () => {
+  it('keeps entries through a failed write and retries them', async () => {
+    const store = memoryStore();
+    insert.mockResolvedValueOnce({ error: new Error('offline') }).mockResolvedValue({ error: null });
+    const audit = createAuditLogger({ client: 'web', flushDelay: 100, store });
+
+    audit.record(event('case.create'));
+    await audit.flush();
+    expect(store.entries.size).toBe(1);
+
+    await vi.advanceTimersByTimeAsync(200);
+    expect(insert).toHaveBeenCalledTimes(2);
+    expect(insert.mock.calls[1][0]).toEqual(insert.mock.calls[0][0]);
+    expect(store.entries.size).toBe(0);
+  });
+
+  it('sends what an earlier session left behind', async () => {
+    insert.mockResolvedValueOnce({ error: new Error('closed') }).mockResolvedValue({ error: null });
+    const first = memoryStore();
+    const before = createAuditLogger({ client: 'web', store: first });
+    before.record(event('case.toggle_rush'));
+    await before.flush();
+
+    const after = createAuditLogger({ client: 'web', store: memoryStore([...first.entries.values()]) });
+    await after.flush();
+    expect(sentTypes(1)).toEqual(['case.toggle_rush']);
+    expect(insert.mock.calls[1][0][0].id).toBe(insert.mock.calls[0][0][0].id);
+  });
+});
+
+describe('without a store', () => {
+  it('records how many entries the full buffer dropped', async () => {
+    insert.mockResolvedValueOnce({ error: new Error('offline') }).mockResolvedValue({ error: null });
+    const audit = createAuditLogger({ client: 'api' });
+
+    audit.record(event('case.create'));
+    await audit.flush();
+    for (let i = 0; i < AUDIT_BUFFER_LIMIT; i++) audit.record(event('case.update'));
+    await audit.flush();
+
+    const sent = insert.mock.calls[1][0];
+    expect(sent).toHaveLength(AUDIT_BUFFER_LIMIT + 1);
+    expect(sent[0].action_type).toBe('case.update');
+    expect(sent.at(-1)).toMatchObject({ action_type: 'audit.dropped', success: false, payload: { count: 1 } });
+  });
+});
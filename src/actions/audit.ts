@@ -0,0 +1,236 @@
+/**
+ * Audit Logger
+ * Dispatcher subscriber that persists every dispatched action to the
+ * action_log table. Writes are buffered and sent in batches so busy
+ * sessions don't issue one insert per click. In the browser each entry
+ * is also kept in IndexedDB until it's written, so entries survive a
+ * failed send or a closed tab and are retried with backoff. Without a
+ * store, unsent entries past the buffer limit are dropped, and the
+ * count is logged and written to the trail as an audit.dropped entry.
+ */
+
+import { v4 as uuid } from 'uuid';
+import type { ActionLogInsert } from '@/types/repository';
+import type { DispatchEvent, Subscriber } from './dispatcher';
+import { insertActionLogs } from '@/services/auditService';
+import { loadPendingAuditEntries, savePendingAuditEntry, deletePendingAuditEntries } from '@/services/offlineStore';
+import { base64Size } from '@/lib/attachments';
+import { APP_VERSION, AUDIT_FLUSH_DELAY, AUDIT_BUFFER_LIMIT, AUDIT_RETRY_MAX_DELAY } from '@/lib/constants';
+
+const MAX_SUMMARY_LENGTH = 200;
+
+export interface AuditLogger {
+  /** Subscriber to pass to dispatcher.subscribe() */
+  record: Subscriber;
+  /** Send everything buffered now */
+  flush(): Promise<void>;
+}
+
+/** Where entries wait until they're in the action log */
+export interface PendingAuditStore {
+  load(client: string): Promise<{ data: ActionLogInsert[]; error: Error | null }>;
+  save(entry: ActionLogInsert): Promise<{ error: Error | null }>;
+  remove(ids: string[]): Promise<{ error: Error | null }>;
+}
+
+/** Pending entries in the browser's offline store */
+export const indexedDbAuditStore: PendingAuditStore = {
+  load: loadPendingAuditEntries,
+  save: savePendingAuditEntry,
+  remove: deletePendingAuditEntries,
+};
+
+// ═══════════════════════════════════════════════════════════
+// SUMMARIES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * One-line description of a handler result (full results can be
+ * whole case lists, which don't belong in the audit trail)
+ */
+export function summarizeResult(result: unknown): string {
+  if (result === null || result === undefined) return '';
+  if (Array.isArray(result)) return `${result.length} ${result.length === 1 ? 'item' : 'items'}`;
+
+  if (typeof result === 'object') {
+    const record = result as {
+      caseNumber?: unknown;
+      name?: unknown;
+      body?: unknown;
+      id?: unknown;
+      summary?: unknown;
+      filename?: unknown;
+      file_name?: unknown;
+    };
+    if (typeof record.caseNumber === 'string') return `case ${record.caseNumber}`;
+    if (typeof record.name === 'string') return record.name;
+    if (typeof record.body === 'string') return truncate(record.body);
+    if (typeof record.summary === 'string') return record.summary;
+    if (typeof record.filename === 'string') return record.filename;
+    if (typeof record.file_name === 'string') return record.file_name;
+    if (typeof record.id === 'string') return `id ${record.id}`;
+    return Object.keys(result).join(', ');
+  }
+
+  return truncate(String(result));
+}
+
+function truncate(text: string): string {
+  return text.length > MAX_SUMMARY_LENGTH ? `${text.slice(0, MAX_SUMMARY_LENGTH)}…` : text;
+}
+
+/**
+ * Payload as logged: uploaded file contents are replaced by their
+ * size, so the audit trail doesn't hold copies of every attachment
+ */
+function loggedPayload(event: DispatchEvent): Record<string, unknown> {
+  const payload = (event.payload ?? {}) as Record<string, unknown>;
+  if (event.type !== 'attachment.add' || typeof payload.data !== 'string') return payload;
+  return { ...payload, data: `[${base64Size(payload.data)} bytes]` };
+}
+
+function toEntry(event: DispatchEvent, client: string): ActionLogInsert {
+  return {
+    id: uuid(),
+    action_type: event.type,
+    payload: loggedPayload(event),
+    result_summary: event.queued
+      ? `queued offline${event.result ? ` · ${summarizeResult(event.result)}` : ''}`
+      : event.success ? summarizeResult(event.result) : '',
+    success: event.success,
+    error: event.error ?? null,
+    user_name: event.user || 'Unknown',
+    client,
+    app_version: APP_VERSION,
+    created_at: new Date(event.timestamp).toISOString(),
+  };
+}
+
+/** Stands in for entries the buffer had to drop */
+function droppedEntry(count: number, client: string): ActionLogInsert {
+  return {
+    id: uuid(),
+    action_type: 'audit.dropped',
+    payload: { count },
+    result_summary: '',
+    success: false,
+    error: `${count} audit ${count === 1 ? 'entry' : 'entries'} dropped while the action log was unreachable`,
+    user_name: 'System',
+    client,
+    app_version: APP_VERSION,
+    created_at: new Date().toISOString(),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOGGER
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Create a buffered audit logger
+ * @param client - recorded with each entry ("web", "api")
+ * @param flushDelay - how long to batch entries before sending
+ * @param store - keeps entries until they're written; entries a
+ *   previous session left there are sent with the first batch
+ */
+export function createAuditLogger({
+  client,
+  flushDelay = AUDIT_FLUSH_DELAY,
+  store,
+}: {
+  client: string;
+  flushDelay?: number;
+  store?: PendingAuditStore;
+}): AuditLogger {
+  let buffer: ActionLogInsert[] = [];
+  let dropped = 0;
+  let failures = 0;
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  let sending: Promise<void> | null = null;
+  let restoring: Promise<void> | null = null;
+  let saving: Promise<unknown> = Promise.resolve();
+
+  const schedule = (delay: number) => {
+    if (!timer) timer = setTimeout(() => void flush(), delay);
+  };
+
+  // Loaded on first use rather than at creation, so loggers built
+  // during server rendering don't reach for IndexedDB
+  const restore = (): Promise<void> => {
+    restoring ??= (async () => {
+      if (!store) return;
+      const { data, error } = await store.load(client);
+      if (error) console.error('Failed to load pending audit entries:', error.message);
+      // Entries recorded since creation are already in the store too
+      const buffered = new Set(buffer.map((entry) => entry.id));
+      buffer = [...data.filter((entry) => !buffered.has(entry.id)), ...buffer];
+    })();
+    return restoring;
+  };
+
+  const trim = () => {
+    if (store || buffer.length <= AUDIT_BUFFER_LIMIT) return;
+    const excess = buffer.length - AUDIT_BUFFER_LIMIT;
+    buffer = buffer.slice(excess);
+    dropped += excess;
+    console.error(`Failed to keep ${excess} audit ${excess === 1 ? 'entry' : 'entries'}: buffer full`);
+  };
+
+  const send = async (): Promise<void> => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    await restore();
+    if (buffer.length === 0 && dropped === 0) return;
+
+    const batch = buffer;
+    const lost = dropped;
+    buffer = [];
+    dropped = 0;
+
+    const { error } = await insertActionLogs(lost > 0 ? [...batch, droppedEntry(lost, client)] : batch);
+    if (error) {
+      console.error('Failed to write audit log:', error.message);
+      buffer = [...batch, ...buffer];
+      dropped += lost;
+      trim();
+      failures++;
+      schedule(Math.min(flushDelay * 2 ** failures, AUDIT_RETRY_MAX_DELAY));
+      return;
+    }
+
+    failures = 0;
+    if (store && batch.length > 0) {
+      // An entry still being saved would otherwise outlive its removal
+      await saving;
+      const { error: removeError } = await store.remove(batch.map((entry) => entry.id));
+      if (removeError) console.error('Failed to clear sent audit entries:', removeError.message);
+    }
+  };
+
+  const flush = async (): Promise<void> => {
+    // Serialize sends so retried entries stay in order
+    while (sending) await sending;
+    sending = send().finally(() => {
+      sending = null;
+    });
+    await sending;
+  };
+
+  const record: Subscriber = (event) => {
+    const entry = toEntry(event, client);
+    buffer.push(entry);
+    if (store) {
+      void restore();
+      saving = saving.then(async () => {
+        const { error } = await store.save(entry);
+        if (error) console.error('Failed to persist audit entry:', error.message);
+      });
+    }
+    trim();
+    schedule(flushDelay);
+  };
+
+  return { record, flush };
+}
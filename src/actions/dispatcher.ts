@@ -12,31 +12,93 @@ import type {
   ActionContext,
   DispatchResult,
   Action,
+  InverseAction,
+  UndoEntry,
+  UndoState,
+  BatchOptions,
+  BatchActionReport,
+  BatchResult,
+  FieldError,
 } from '@/types/actions';
-import { ACTION_SCHEMA } from './schema';
+import { isActionType } from './schema';
+import { captureInverse } from './inverse';
+import { validateActionPayload, type ValidationResult } from './validate';
+import { UNDO_LIMIT } from '@/lib/constants';
+import { ConflictError } from '@/lib/errors';
 
 // ═══════════════════════════════════════════════════════════
 // DISPATCHER CLASS
 // ═══════════════════════════════════════════════════════════
 
-type Middleware = (action: Action, context: ActionContext) => Promise<{ blocked: boolean; reason?: string } | void>;
-type Subscriber = (event: {
+export interface MiddlewareMeta {
+  /** Whose permission the action runs under: its own type, or for an undo, redo or rollback the action it reverses */
+  authorizedBy: ActionType;
+}
+
+export type Middleware = (
+  action: Action,
+  context: ActionContext,
+  meta: MiddlewareMeta
+) => Promise<{ blocked: boolean; reason?: string } | void>;
+
+export interface DispatchEvent {
   type: ActionType;
   payload: unknown;
   result: unknown;
   success: boolean;
   error?: string;
   timestamp: number;
-}) => void;
+  /** Acting user, from the context's getCurrentUser() */
+  user: string;
+  /** Applied locally and queued for the server (offline) */
+  queued?: boolean;
+}
+
+export type Subscriber = (event: DispatchEvent) => void;
+
+/**
+ * Lets case mutations be deferred when the server can't be reached.
+ * The dispatcher asks before running a handler, and again when a
+ * handler fails; queued actions succeed with an optimistic result.
+ */
+export interface OfflineStrategy {
+  /** Queue instead of running (offline, or earlier actions still waiting) */
+  shouldQueue(action: Action): boolean;
+  /** Whether a handler error means the action never reached the server */
+  isNetworkError(action: Action, error: unknown): boolean;
+  /** Persist the action and apply it locally; returns the optimistic result */
+  enqueue(action: Action, context: ActionContext): Promise<unknown>;
+}
 
 // eslint-disable-next-line @typescript-eslint/no-explicit-any
 type AnyHandler = (payload: any, context: ActionContext) => Promise<any>;
 
-class ActionDispatcher {
+type UndoListener = (state: UndoState) => void;
+
+/** Result of a single execution, plus the actions that would reverse it */
+interface Execution<T extends ActionType> {
+  result: DispatchResult<T>;
+  inverse: { label: string; actions: InverseAction[] } | null;
+}
+
+const EMPTY_UNDO_STATE: UndoState = {
+  canUndo: false,
+  canRedo: false,
+  undoLabel: null,
+  redoLabel: null,
+  lastChange: null,
+};
+
+export class ActionDispatcher {
   private handlers: Map<ActionType, AnyHandler> = new Map();
   private middleware: Middleware[] = [];
   private subscribers: Set<Subscriber> = new Set();
   private context: ActionContext | null = null;
+  private offline: OfflineStrategy | null = null;
+  private undoStack: UndoEntry[] = [];
+  private redoStack: UndoEntry[] = [];
+  private undoListeners: Set<UndoListener> = new Set();
+  private undoState: UndoState = EMPTY_UNDO_STATE;
 
   /**
    * Set the context that will be passed to handlers
@@ -67,6 +129,16 @@ class ActionDispatcher {
     };
   }
 
+  /**
+   * Install the strategy used to queue case mutations while offline
+   */
+  setOfflineStrategy(strategy: OfflineStrategy): () => void {
+    this.offline = strategy;
+    return () => {
+      if (this.offline === strategy) this.offline = null;
+    };
+  }
+
   /**
    * Subscribe to all dispatched actions
    */
@@ -83,56 +155,72 @@ class ActionDispatcher {
   private validatePayload<T extends ActionType>(
     actionType: T,
     payload: ActionPayloads[T]
-  ): { valid: boolean; error?: string } {
-    const schema = ACTION_SCHEMA[actionType];
-    if (!schema) {
-      return { valid: false, error: `Unknown action type: ${actionType}` };
-    }
-
-    // Check required fields
-    for (const [field, config] of Object.entries(schema.payload)) {
-      if (config.required) {
-        const value = (payload as Record<string, unknown>)[field];
-        if (value === undefined || value === null) {
-          return { valid: false, error: `Missing required field: ${field}` };
-        }
-      }
-    }
-
-    return { valid: true };
+  ): ValidationResult {
+    return validateActionPayload(actionType, payload);
   }
 
   /**
    * Dispatch an action
+   * Successful case mutations are recorded on the undo stack
    */
   async dispatch<T extends ActionType>(
     action: Action<T>
   ): Promise<DispatchResult<T>> {
+    const { result, inverse } = await this.execute(action);
+
+    // An import that created nothing has nothing to undo
+    if (result.success && inverse && inverse.actions.length > 0) {
+      this.pushUndo(this.undoStack, { ...inverse, timestamp: Date.now() });
+      this.redoStack = [];
+      this.emitUndoChange('do', inverse.label);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate, run middleware and execute the handler for an action,
+   * capturing its inverse from the pre-image when it is undoable
+   * @param authorizedBy - for inverses, the action they reverse; its inverse inherits it
+   */
+  private async execute<T extends ActionType>(
+    action: Action<T>,
+    authorizedBy: ActionType = action.type
+  ): Promise<Execution<T>> {
     const { type, payload } = action;
     const timestamp = Date.now();
 
+    // Rejections are reported to subscribers too (the audit log records them)
+    const reject = (error: string, fieldErrors?: FieldError[]): Execution<T> => {
+      this.notifySubscribers({ type, payload, result: null, success: false, error, timestamp });
+      return {
+        result: { success: false, error, ...(fieldErrors && { fieldErrors }) },
+        inverse: null,
+      };
+    };
+
     // 1. Validate action type exists
-    if (!ACTION_SCHEMA[type]) {
-      return { success: false, error: `Unknown action: ${type}` };
+    if (!isActionType(type)) {
+      return reject(`Unknown action: ${type}`);
     }
 
     // 2. Validate payload
     const validation = this.validatePayload(type, payload);
     if (!validation.valid) {
-      return { success: false, error: validation.error! };
+      return reject(validation.error!, validation.fieldErrors);
     }
 
     // 3. Ensure context is set
     if (!this.context) {
-      return { success: false, error: 'Dispatcher context not initialized' };
+      return { result: { success: false, error: 'Dispatcher context not initialized' }, inverse: null };
     }
 
     // 4. Run middleware
     for (const mw of this.middleware) {
       try {
-        const result = await mw(action as Action, this.context);
+        const result = await mw(action as Action, this.context, { authorizedBy });
         if (result?.blocked) {
-          return { success: false, error: result.reason || 'Blocked by middleware' };
+          return reject(result.reason || 'Blocked by middleware');
         }
       } catch (err) {
         console.error('Middleware error:', err);
@@ -142,12 +230,13 @@ class ActionDispatcher {
     // 5. Get handler
     const handler = this.handlers.get(type);
     if (!handler) {
-      return { success: false, error: `No handler registered for: ${type}` };
+      return reject(`No handler registered for: ${type}`);
     }
 
-    // 6. Execute handler
+    // 6. Execute handler (capturing the pre-image first), or queue it when offline
     try {
-      const result = await handler(payload, this.context);
+      const captured = await captureInverse(action as Action, this.context);
+      const { result, queued } = await this.run(action as Action, handler, this.context);
       
       // 7. Notify subscribers
       this.notifySubscribers({
@@ -156,9 +245,15 @@ class ActionDispatcher {
         result,
         success: true,
         timestamp,
+        ...(queued && { queued }),
       });
 
-      return { success: true, data: result as ActionResults[T] };
+      return {
+        result: { success: true, data: result as ActionResults[T], ...(queued && { queued }) },
+        inverse: captured
+          ? { label: captured.label, actions: captured.resolve(result).map((a) => ({ action: a, authorizedBy })) }
+          : null,
+      };
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : 'Unknown error';
       
@@ -172,25 +267,237 @@ class ActionDispatcher {
         timestamp,
       });
 
-      return { success: false, error: errorMessage };
+      const conflict = err instanceof ConflictError ? { current: err.current } : undefined;
+      return { result: { success: false, error: errorMessage, ...(conflict && { conflict }) }, inverse: null };
+    }
+  }
+
+  /**
+   * Run a handler, falling back to the offline queue on network failure
+   */
+  private async run(
+    action: Action,
+    handler: AnyHandler,
+    context: ActionContext
+  ): Promise<{ result: unknown; queued: boolean }> {
+    const offline = this.offline;
+    if (offline?.shouldQueue(action)) {
+      return { result: await offline.enqueue(action, context), queued: true };
+    }
+
+    try {
+      return { result: await handler(action.payload, context), queued: false };
+    } catch (err) {
+      if (!offline?.isNetworkError(action, err)) throw err;
+      return { result: await offline.enqueue(action, context), queued: true };
     }
   }
 
   /**
    * Dispatch multiple actions in sequence
+   *
+   * By default the batch stops on the first failure and keeps earlier
+   * actions applied. With `atomic`, earlier case mutations are compensated
+   * in reverse order using the inverses captured from their pre-images.
+   * UI/query actions have no inverse and are never compensated.
+   *
+   * A successful batch is recorded as a single undo step.
    */
-  async dispatchBatch(actions: Action[]): Promise<DispatchResult<ActionType>[]> {
-    const results: DispatchResult<ActionType>[] = [];
-    
-    for (const action of actions) {
-      const result = await this.dispatch(action);
-      results.push(result);
-      
-      // Stop on first failure (optional - could make this configurable)
-      if (!result.success) break;
+  async dispatchBatch(actions: Action[], options: BatchOptions = {}): Promise<BatchResult> {
+    const { atomic = false, continueOnError = false } = options;
+    const results: BatchActionReport[] = actions.map((action, index) => ({
+      index,
+      type: action.type,
+      status: 'skipped',
+    }));
+    const applied: { index: number; inverse: Execution<ActionType>['inverse'] }[] = [];
+
+    // Atomic batches refuse to start if any payload is invalid
+    if (atomic) {
+      let invalid = false;
+      actions.forEach((action, index) => {
+        const validation = this.validatePayload(action.type, action.payload);
+        if (!validation.valid) {
+          results[index] = {
+            index,
+            type: action.type,
+            status: 'failed',
+            error: validation.error,
+            fieldErrors: validation.fieldErrors,
+          };
+          invalid = true;
+        }
+      });
+      if (invalid) {
+        return { success: false, rolledBack: false, results, rollbackErrors: [] };
+      }
+    }
+
+    let failed = false;
+
+    for (const [index, action] of actions.entries()) {
+      const { result, inverse } = await this.execute(action);
+
+      if (result.success) {
+        results[index] = { index, type: action.type, status: 'applied', data: result.data };
+        applied.push({ index, inverse });
+      } else {
+        results[index] = {
+          index,
+          type: action.type,
+          status: 'failed',
+          error: result.error,
+          fieldErrors: result.fieldErrors,
+        };
+        failed = true;
+        if (!continueOnError) break;
+      }
+    }
+
+    if (failed && atomic) {
+      const rollbackErrors = await this.compensate(applied, results);
+      return { success: false, rolledBack: rollbackErrors.length === 0, results, rollbackErrors };
+    }
+
+    // Later actions must be reversed first
+    const inverses = applied
+      .slice()
+      .reverse()
+      .flatMap((a) => a.inverse?.actions ?? []);
+
+    if (inverses.length > 0) {
+      const recorded = applied.filter((a) => a.inverse);
+      const label = recorded.length === 1
+        ? recorded[0].inverse!.label
+        : `Batch · ${recorded.length} changes`;
+      this.pushUndo(this.undoStack, { label, actions: inverses, timestamp: Date.now() });
+      this.redoStack = [];
+      this.emitUndoChange('do', label);
+    }
+
+    return { success: !failed, rolledBack: false, results, rollbackErrors: [] };
+  }
+
+  /**
+   * Run the inverses of applied batch actions, newest first.
+   * Marks each fully compensated action as rolled back and returns
+   * a message for every compensation that failed.
+   */
+  private async compensate(
+    applied: { index: number; inverse: Execution<ActionType>['inverse'] }[],
+    results: BatchActionReport[]
+  ): Promise<string[]> {
+    const errors: string[] = [];
+
+    for (const { index, inverse } of applied.slice().reverse()) {
+      if (!inverse) continue;
+
+      let ok = true;
+      for (const { action, authorizedBy } of inverse.actions) {
+        const { result } = await this.execute(action, authorizedBy);
+        if (!result.success) {
+          ok = false;
+          errors.push(`#${index} ${results[index].type}: ${result.error}`);
+        }
+      }
+
+      if (ok) results[index].status = 'rolled_back';
+    }
+
+    return errors;
+  }
+
+  // ═══════════════════════════════════════════════════════
+  // UNDO / REDO
+  // ═══════════════════════════════════════════════════════
+
+  /**
+   * Undo the most recent recorded case mutation
+   */
+  async undo(): Promise<{ label: string }> {
+    const entry = this.undoStack.pop();
+    if (!entry) throw new Error('Nothing to undo');
+    await this.replay(entry, this.undoStack, this.redoStack);
+    this.emitUndoChange('undo', entry.label);
+    return { label: entry.label };
+  }
+
+  /**
+   * Redo the most recently undone case mutation
+   */
+  async redo(): Promise<{ label: string }> {
+    const entry = this.redoStack.pop();
+    if (!entry) throw new Error('Nothing to redo');
+    await this.replay(entry, this.redoStack, this.undoStack);
+    this.emitUndoChange('redo', entry.label);
+    return { label: entry.label };
+  }
+
+  /**
+   * Get the current undo/redo state
+   */
+  getUndoState(): UndoState {
+    return this.undoState;
+  }
+
+  /**
+   * Subscribe to undo/redo stack changes
+   */
+  onUndoChange(listener: UndoListener): () => void {
+    this.undoListeners.add(listener);
+    return () => {
+      this.undoListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Execute an entry's actions and push their inverses onto the target stack.
+   * Inverses run in reverse order, so undoing a multi-step entry unwinds it.
+   * On failure, whatever did not run goes back onto the source stack.
+   */
+  private async replay(entry: UndoEntry, source: UndoEntry[], target: UndoEntry[]): Promise<void> {
+    const inverses: InverseAction[] = [];
+
+    for (let i = 0; i < entry.actions.length; i++) {
+      const { action, authorizedBy } = entry.actions[i];
+      const { result, inverse } = await this.execute(action, authorizedBy);
+
+      if (!result.success) {
+        if (inverses.length > 0) {
+          this.pushUndo(target, { label: entry.label, actions: inverses, timestamp: Date.now() });
+        }
+        source.push({ ...entry, actions: entry.actions.slice(i) });
+        this.emitUndoChange(null, entry.label);
+        throw new Error(result.error);
+      }
+
+      if (inverse) inverses.unshift(...inverse.actions);
+    }
+
+    this.pushUndo(target, { label: entry.label, actions: inverses, timestamp: Date.now() });
+  }
+
+  private pushUndo(stack: UndoEntry[], entry: UndoEntry): void {
+    stack.push(entry);
+    if (stack.length > UNDO_LIMIT) stack.shift();
+  }
+
+  private emitUndoChange(kind: 'do' | 'undo' | 'redo' | null, label: string): void {
+    const top = (stack: UndoEntry[]) => stack[stack.length - 1]?.label ?? null;
+    this.undoState = {
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+      undoLabel: top(this.undoStack),
+      redoLabel: top(this.redoStack),
+      lastChange: kind ? { kind, label, timestamp: Date.now() } : this.undoState.lastChange,
+    };
+    for (const listener of this.undoListeners) {
+      try {
+        listener(this.undoState);
+      } catch (err) {
+        console.error('Undo listener error:', err);
+      }
     }
-    
-    return results;
   }
 
   /**
@@ -207,10 +514,13 @@ class ActionDispatcher {
     return Array.from(this.handlers.keys());
   }
 
-  private notifySubscribers(event: Parameters<Subscriber>[0]): void {
+  private notifySubscribers(event: Omit<DispatchEvent, 'user'>): void {
+    if (this.subscribers.size === 0) return;
+    const user = this.context?.getCurrentUser() ?? '';
+
     for (const subscriber of this.subscribers) {
       try {
-        subscriber(event);
+        subscriber({ ...event, user });
       } catch (err) {
         console.error('Subscriber error:', err);
       }
@@ -0,0 +1,412 @@
+/**
+ * Action Handlers
+ * Case, client directory, calendar, note, attachment and query handlers shared by the browser
+ * (DispatchProvider) and the HTTP API (server dispatcher).
+ * Row lookups go through the ActionContext, so each side
+ * supplies its own view of the data.
+ */
+
+import type { ActionDispatcher } from './dispatcher';
+import * as caseService from '@/services/caseService';
+import { fetchActiveUsers } from '@/services/userService';
+import { fetchActionLog } from '@/services/auditService';
+import { exportCases } from '@/services/exportService';
+import { fetchPractices, savePractice, deletePractice } from '@/services/practiceService';
+import { fetchCalendar, saveCalendar } from '@/services/calendarService';
+import * as noteService from '@/services/noteService';
+import * as attachmentService from '@/services/attachmentService';
+import * as linkService from '@/services/linkService';
+import * as efficiencyService from '@/services/efficiencyService';
+import { matchesCaseSearch } from '@/lib/caseDetails';
+import { matchesPractice } from '@/lib/practices';
+
+// ═══════════════════════════════════════════════════════════
+// CASE HANDLERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Register every case.* mutation handler
+ */
+export function registerCaseHandlers(target: ActionDispatcher): void {
+  target.register('case.create', async (payload, context) => {
+    const result = await caseService.addCase(payload, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('case.update', async (payload, context) => {
+    const result = await caseService.updateCase(payload, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('case.delete', async ({ id }) => {
+    const result = await caseService.removeCase(id);
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.toggle_priority', async ({ id }, context) => {
+    const row = context.getRowById(id);
+    if (!row) throw new Error('Case not found');
+    const result = await caseService.togglePriority(row, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.toggle_rush', async ({ id }, context) => {
+    const row = context.getRowById(id);
+    if (!row) throw new Error('Case not found');
+    const result = await caseService.toggleRush(row, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.toggle_hold', async ({ id }, context) => {
+    const row = context.getRowById(id);
+    if (!row) throw new Error('Case not found');
+    const result = await caseService.toggleHold(row, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.toggle_complete', async ({ id }, context) => {
+    const row = context.getRowById(id);
+    if (!row) throw new Error('Case not found');
+    const result = await caseService.toggleComplete(row, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.toggle_stage2', async ({ id }, context) => {
+    const row = context.getRowById(id);
+    if (!row) throw new Error('Case not found');
+    const result = await caseService.toggleStage2(row, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.change_stage', async ({ id, stage, isRepair }, context) => {
+    const row = context.getRowById(id);
+    if (!row) throw new Error('Case not found');
+    const result = await caseService.updateCaseStage(row, stage, isRepair, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.archive', async ({ ids }, context) => {
+    const result = await caseService.archiveCases(ids, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.restore', async ({ id }, context) => {
+    const result = await caseService.restoreCase(id, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.toggle_stats_exclusion', async ({ id, stage, reason }, context) => {
+    const result = await caseService.toggleCaseExclusion(id, stage ?? null, reason ?? null, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return { isExcluded: result.isExcluded };
+  });
+
+  target.register('case.batch_toggle_exclusions', async ({ ids, exclude, stage, reason }, context) => {
+    return await caseService.batchToggleExclusions(ids, exclude, stage ?? null, reason ?? null, context.getCurrentUser());
+  });
+
+  target.register('case.recreate', async ({ snapshot, history }, context) => {
+    const result = await caseService.recreateCase(snapshot, history, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('case.import', async ({ rows, dryRun }, context) => {
+    return await caseService.importCases(rows, { dryRun, userName: context.getCurrentUser() });
+  });
+
+  target.register('case.export', async (options) => {
+    const result = await exportCases(options);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('case.link', async (input, context) => {
+    const result = await linkService.linkCases(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('case.unlink', async ({ id }, context) => {
+    const result = await linkService.unlinkCases(id, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+
+  target.register('case.create_remake', async (input, context) => {
+    const result = await linkService.createRemake(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// CLIENT DIRECTORY HANDLERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Register every practice.* handler
+ */
+export function registerPracticeHandlers(target: ActionDispatcher): void {
+  target.register('practice.save', async (input) => {
+    const result = await savePractice(input);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('practice.delete', async ({ id }) => {
+    const result = await deletePractice(id);
+    if (result.error) throw result.error;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// LAB CALENDAR HANDLERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Register every calendar.* handler
+ */
+export function registerCalendarHandlers(target: ActionDispatcher): void {
+  target.register('calendar.save', async (input, context) => {
+    const result = await saveCalendar(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// NOTE HANDLERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Register every note.* handler. The acting user is the author.
+ */
+export function registerNoteHandlers(target: ActionDispatcher): void {
+  target.register('note.add', async (input, context) => {
+    const result = await noteService.addNote(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('note.edit', async (input, context) => {
+    const result = await noteService.editNote(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('note.pin', async (input, context) => {
+    const result = await noteService.pinNote(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('note.delete', async ({ id }, context) => {
+    const result = await noteService.deleteNote(id, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// ATTACHMENT HANDLERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Register every attachment.* handler. The acting user is the uploader.
+ */
+export function registerAttachmentHandlers(target: ActionDispatcher): void {
+  target.register('attachment.add', async (input, context) => {
+    const result = await attachmentService.addAttachment(input, context.getCurrentUser());
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('attachment.remove', async ({ id }, context) => {
+    const result = await attachmentService.removeAttachment(id, context.getCurrentUser());
+    if (result.error) throw result.error;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// QUERY HANDLERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Register every query.* (read-only) handler
+ */
+export function registerQueryHandlers(target: ActionDispatcher): void {
+  target.register('query.get_case', async ({ id }, context) => {
+    return context.getRowById(id) ?? null;
+  });
+
+  target.register('query.search_cases', async (filters, context) => {
+    let results = context.getAllRows();
+    
+    if (filters.caseNumber) {
+      const search = filters.caseNumber.toLowerCase();
+      results = results.filter(r => r.caseNumber.toLowerCase().includes(search));
+    }
+
+    if (filters.text) {
+      results = results.filter(r => matchesCaseSearch(r, filters.text!));
+    }
+
+    if (filters.practice) {
+      results = results.filter(r => matchesPractice(r, filters.practice!));
+    }
+    
+    if (filters.department) {
+      const dept = filters.department === 'Digital' ? 'General' : filters.department;
+      results = results.filter(r => r.department === dept);
+    }
+    
+    if (filters.status === 'completed') {
+      results = results.filter(r => r.completed);
+    } else if (filters.status === 'overdue') {
+      const today = new Date().toISOString().slice(0, 10);
+      results = results.filter(r => !r.completed && r.due.slice(0, 10) < today);
+    } else if (filters.status === 'on_hold') {
+      results = results.filter(r => r.hold);
+    }
+    
+    return results;
+  });
+
+  target.register('query.get_overdue', async ({ department }, context) => {
+    const today = new Date().toISOString().slice(0, 10);
+    let results = context.getAllRows().filter(r => !r.completed && r.due.slice(0, 10) < today);
+    
+    if (department) {
+      const dept = department === 'Digital' ? 'General' : department;
+      results = results.filter(r => r.department === dept);
+    }
+    
+    return results;
+  });
+
+  target.register('query.get_on_hold', async ({ department }, context) => {
+    let results = context.getAllRows().filter(r => r.hold);
+    
+    if (department) {
+      const dept = department === 'Digital' ? 'General' : department;
+      results = results.filter(r => r.department === dept);
+    }
+    
+    return results;
+  });
+
+  target.register('query.get_cases_by_date', async ({ date, department }, context) => {
+    let results = context.getAllRows().filter(r => r.due.slice(0, 10) === date);
+    
+    if (department) {
+      const dept = department === 'Digital' ? 'General' : department;
+      results = results.filter(r => r.department === dept);
+    }
+    
+    return results;
+  });
+
+  target.register('query.check_duplicates', async ({ caseNumber, excludeId }) => {
+    return await caseService.checkForDuplicates(caseNumber, excludeId);
+  });
+
+  target.register('query.get_history', async ({ caseId, limit }) => {
+    const result = await caseService.fetchAllHistory();
+    if (result.error) throw result.error;
+    
+    let history = result.data ?? [];
+    
+    if (caseId) {
+      history = history.filter(h => h.case_id === caseId);
+    }
+    
+    if (limit) {
+      history = history.slice(0, limit);
+    }
+    
+    return history;
+  });
+
+  target.register('query.get_active_users', async () => {
+    return await fetchActiveUsers();
+  });
+
+  target.register('query.get_action_log', async (filters) => {
+    const result = await fetchActionLog(filters);
+    if (result.error) throw result.error;
+    return result.data ?? [];
+  });
+
+  target.register('query.list_practices', async () => {
+    const result = await fetchPractices();
+    if (result.error) throw result.error;
+    return result.data;
+  });
+
+  target.register('query.get_calendar', async () => {
+    const result = await fetchCalendar();
+    if (result.error) throw result.error;
+    return result.data;
+  });
+
+  target.register('query.list_notes', async ({ caseId }) => {
+    const result = await noteService.fetchNotes([caseId]);
+    if (result.error) throw result.error;
+    return result.data;
+  });
+
+  target.register('query.list_attachments', async ({ caseId }) => {
+    const result = await attachmentService.fetchAttachments(caseId);
+    if (result.error) throw result.error;
+    return result.data;
+  });
+
+  target.register('query.get_attachment_url', async ({ id }) => {
+    const result = await attachmentService.attachmentUrl(id);
+    if (result.error) throw result.error;
+    return { url: result.data! };
+  });
+
+  target.register('query.list_links', async ({ caseId }) => {
+    const result = await linkService.fetchLinks();
+    if (result.error) throw result.error;
+    return caseId ? result.data.filter((l) => l.case_id === caseId || l.linked_case_id === caseId) : result.data;
+  });
+
+  target.register('query.remake_rates', async (filters) => {
+    const result = await linkService.fetchRemakeRates(filters);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('query.stage_statistics', async ({ stage }) => {
+    const result = await efficiencyService.fetchStageStatistics(stage);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('query.department_efficiency', async (query) => {
+    const result = await efficiencyService.fetchDepartmentEfficiency(query);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('query.efficiency_scores', async (query) => {
+    const result = await efficiencyService.fetchEfficiencyScores(query);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('query.case_risk', async (query) => {
+    const result = await efficiencyService.fetchCaseRisk(query);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+
+  target.register('query.forecast_case', async ({ id }) => {
+    const result = await efficiencyService.fetchCaseForecast(id);
+    if (result.error) throw result.error;
+    return result.data!;
+  });
+}
@@ -3,5 +3,26 @@
  * Public exports for the action system
  */
 
-export { dispatcher, dispatch, createLoggingMiddleware } from './dispatcher';
-export { ACTION_SCHEMA, generateLLMSystemPrompt } from './schema';
+export { dispatcher, dispatch, createLoggingMiddleware, ActionDispatcher } from './dispatcher';
+export type { Middleware, MiddlewareMeta, Subscriber, DispatchEvent, OfflineStrategy } from './dispatcher';
+export { registerCaseHandlers, registerPracticeHandlers, registerNoteHandlers, registerAttachmentHandlers, registerQueryHandlers } from './handlers';
+export { createServerDispatcher, isServerAction } from './server';
+export { ACTION_SCHEMA, isActionType, generateLLMSystemPrompt } from './schema';
+export { createAuditLogger, indexedDbAuditStore, summarizeResult } from './audit';
+export type { AuditLogger, PendingAuditStore } from './audit';
+export { OfflineQueue, offlineQueue, rowFingerprint } from './offline';
+export type { OfflineBindings } from './offline';
+export { applyOptimistic, isQueueable, targetIds } from './optimistic';
+export { captureInverse, isUndoable } from './inverse';
+export { ACTION_PERMISSIONS, can, permissionReason, createPermissionMiddleware } from './permissions';
+export { validateActionPayload, isISODateString, isUuid } from './validate';
+export type { ValidationResult } from './validate';
+export {
+  generateActionJsonSchema,
+  generateToolDefinitions,
+  fieldToJsonSchema,
+  payloadToJsonSchema,
+  toToolName,
+  fromToolName,
+} from './jsonSchema';
+export type { JsonSchema, ToolDefinition } from './jsonSchema';
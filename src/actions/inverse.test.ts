@@ -0,0 +1,60 @@
+/**
+ * Inverses: undoing a delete brings the case back with its history, and
+ * a delete whose history can't be read records no undo entry
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ActionDispatcher } from './dispatcher';
+import type { CaseRepository } from '@/types/repository';
+
+vi.stubEnv('NEXT_PUBLIC_DATA_BACKEND', 'local');
+
+let server: ActionDispatcher;
+let repository: CaseRepository;
+
+beforeEach(async () => {
+  vi.resetModules();
+  const { createServerDispatcher } = await import('./server');
+  const { getRepository } = await import('@/repositories');
+
+  server = createServerDispatcher('Lee').server;
+  repository = getRepository();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+async function createCase(caseNumber: string): Promise<string> {
+  const created = await server.dispatch({
+    type: 'case.create',
+    payload: { caseNumber, department: 'Metal', due: '2026-10-30' },
+  });
+  if (!created.success) throw new Error(created.error);
+  await server.dispatch({ type: 'case.toggle_rush', payload: { id: created.data.id } });
+  return created.data.id;
+}
+
+describe('case.delete', () => {
+  it('undoes to the case and its history', async () => {
+    const id = await createCase('8301');
+    const before = (await repository.listHistory(id)).data ?? [];
+    expect(before.length).toBeGreaterThan(0);
+
+    expect((await server.dispatch({ type: 'case.delete', payload: { id } })).success).toBe(true);
+    expect(server.getUndoState().undoLabel).toMatch(/^Case deleted/);
+    await server.undo();
+
+    const after = (await repository.listHistory(id)).data ?? [];
+    expect(after.map((h) => h.id)).toEqual(expect.arrayContaining(before.map((h) => h.id)));
+  });
+
+  it('records no undo entry when the history read fails', async () => {
+    const id = await createCase('8302');
+    vi.spyOn(repository, 'listHistory').mockResolvedValueOnce({ data: null, error: new Error('offline') });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect((await server.dispatch({ type: 'case.delete', payload: { id } })).success).toBe(true);
+    expect(server.getUndoState().undoLabel).not.toMatch(/^Case deleted/);
+  });
+});
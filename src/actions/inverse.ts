@@ -0,0 +1,267 @@
+/**
+ * Inverse Actions
+ * Computes the compensating action(s) for each case mutation
+ * Used by the dispatcher to build the undo/redo stacks
+ */
+
+import type { Action, ActionContext, ActionType } from '@/types/actions';
+import type { Case, Department } from '@/types/case';
+import type { ImportReport } from '@/types/import';
+import type { DbCase, DbCaseHistory, DbCaseLink } from '@/types/database';
+import { DEPARTMENT_DISPLAY } from '@/types/case';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Captured inverse for an action. Built from the pre-image BEFORE the
+ * handler runs, resolved with the handler result AFTER it succeeds
+ * (case.create only knows its id once the row exists).
+ */
+export interface CapturedInverse {
+  label: string;
+  resolve: (result: unknown) => Action[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// LABELS
+// ═══════════════════════════════════════════════════════════
+
+const UNDO_LABELS: Partial<Record<ActionType, string>> = {
+  'case.create': 'Case created',
+  'case.update': 'Case updated',
+  'case.delete': 'Case deleted',
+  'case.toggle_priority': 'Priority toggled',
+  'case.toggle_rush': 'Rush toggled',
+  'case.toggle_hold': 'Hold toggled',
+  'case.toggle_complete': 'Completion toggled',
+  'case.toggle_stage2': 'Stage 2 toggled',
+  'case.change_stage': 'Stage changed',
+  'case.archive': 'Cases archived',
+  'case.restore': 'Case restored',
+  'case.toggle_stats_exclusion': 'Stats exclusion toggled',
+  'case.batch_toggle_exclusions': 'Stats exclusions updated',
+  'case.recreate': 'Case recreated',
+  'case.import': 'Cases imported',
+  'case.link': 'Cases linked',
+  'case.create_remake': 'Remake created',
+};
+
+/**
+ * Check whether an action type is recorded on the undo stack
+ */
+export function isUndoable(type: ActionType): boolean {
+  return type in UNDO_LABELS;
+}
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Strip derived UI fields so the row can be re-inserted as-is
+ */
+function toSnapshot(row: Case): DbCase {
+  return {
+    id: row.id,
+    casenumber: row.casenumber,
+    department: row.department,
+    due: row.due,
+    priority: row.priority,
+    modifiers: [...(row.modifiers ?? [])],
+    completed: row.completed,
+    archived: row.archived,
+    archived_at: row.archived_at,
+    created_at: row.created_at,
+    version: row.version,
+    updated_at: row.updated_at,
+    practice: row.practice,
+    doctor: row.doctor,
+    patient_ref: row.patient_ref,
+    restoration_type: row.restoration_type,
+    units: row.units,
+    teeth: [...(row.teeth ?? [])],
+    tooth_notation: row.tooth_notation,
+    shade: row.shade,
+    material: row.material,
+  };
+}
+
+/**
+ * Action that puts a row's editable fields and modifiers back exactly
+ */
+function restoreFields(row: Case): Action<'case.update'> {
+  return {
+    type: 'case.update',
+    payload: {
+      id: row.id,
+      caseNumber: row.casenumber,
+      department: DEPARTMENT_DISPLAY[row.department] as Department,
+      due: row.due.slice(0, 10),
+      priority: row.priority,
+      modifiers: [...(row.modifiers ?? [])],
+      practice: row.practice ?? '',
+      doctor: row.doctor ?? '',
+      patientRef: row.patient_ref ?? '',
+      restorationType: row.restoration_type ?? '',
+      units: row.units,
+      teeth: [...(row.teeth ?? [])],
+      ...(row.tooth_notation && { toothNotation: row.tooth_notation }),
+      shade: row.shade ?? '',
+      material: row.material ?? '',
+    },
+  };
+}
+
+function label(type: ActionType, row?: Case): string {
+  const base = UNDO_LABELS[type] ?? type;
+  return row ? `${base} · ${row.caseNumber}` : base;
+}
+
+// ═══════════════════════════════════════════════════════════
+// INVERSE CAPTURE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Capture the inverse of a case mutation from its pre-image.
+ * Returns null for actions that are not undoable, or whose case
+ * is not loaded (the handler reports the real error, if any).
+ */
+export async function captureInverse(
+  action: Action,
+  context: ActionContext
+): Promise<CapturedInverse | null> {
+  if (!isUndoable(action.type)) return null;
+
+  switch (action.type) {
+    case 'case.create':
+      return {
+        label: label(action.type),
+        resolve: (result) => [{ type: 'case.delete', payload: { id: (result as Case).id } }],
+      };
+
+    case 'case.recreate': {
+      const { snapshot } = (action as Action<'case.recreate'>).payload;
+      return {
+        label: `${UNDO_LABELS['case.recreate']} · ${snapshot.casenumber}`,
+        resolve: () => [{ type: 'case.delete', payload: { id: snapshot.id } }],
+      };
+    }
+
+    case 'case.create_remake':
+      return {
+        label: label(action.type, context.getRowById((action as Action<'case.create_remake'>).payload.id)),
+        resolve: (result) => [{ type: 'case.delete', payload: { id: (result as Case).id } }],
+      };
+
+    case 'case.link':
+      return {
+        label: label(action.type),
+        resolve: (result) => [{ type: 'case.unlink', payload: { id: (result as DbCaseLink).id } }],
+      };
+
+    case 'case.import': {
+      if ((action as Action<'case.import'>).payload.dryRun) return null;
+      return {
+        label: label(action.type),
+        resolve: (result) =>
+          (result as ImportReport).rows
+            .filter((r) => r.caseId)
+            .map((r) => ({ type: 'case.delete', payload: { id: r.caseId! } })),
+      };
+    }
+
+    case 'case.update': {
+      const row = context.getRowById((action as Action<'case.update'>).payload.id);
+      if (!row) return null;
+      return { label: label(action.type, row), resolve: () => [restoreFields(row)] };
+    }
+
+    case 'case.delete': {
+      const row = context.getRowById((action as Action<'case.delete'>).payload.id);
+      if (!row) return null;
+      // Recreating it without its history would lose the timeline for
+      // good, so a delete whose history can't be read isn't undoable
+      let history: DbCaseHistory[];
+      try {
+        history = await context.getCaseHistory(row.id);
+      } catch (err) {
+        console.error('Failed to load case history for undo:', err);
+        return null;
+      }
+      const snapshot = toSnapshot(row);
+      return {
+        label: label(action.type, row),
+        resolve: () => [{ type: 'case.recreate', payload: { snapshot, history } }],
+      };
+    }
+
+    // Self-inverse toggles
+    case 'case.toggle_priority':
+    case 'case.toggle_rush':
+    case 'case.toggle_hold':
+    case 'case.toggle_complete':
+    case 'case.toggle_stage2': {
+      const { id } = action.payload as { id: string };
+      const row = context.getRowById(id);
+      if (!row) return null;
+      return {
+        label: label(action.type, row),
+        resolve: () => [{ type: action.type, payload: { id } } as Action],
+      };
+    }
+
+    case 'case.change_stage': {
+      const row = context.getRowById((action as Action<'case.change_stage'>).payload.id);
+      if (!row) return null;
+      const inverse: Action = row.stage
+        ? { type: 'case.change_stage', payload: { id: row.id, stage: row.stage } }
+        : restoreFields(row);
+      return { label: label(action.type, row), resolve: () => [inverse] };
+    }
+
+    case 'case.archive': {
+      const { ids } = (action as Action<'case.archive'>).payload;
+      const row = ids.length === 1 ? context.getRowById(ids[0]) : undefined;
+      return {
+        label: row ? label(action.type, row) : `${UNDO_LABELS['case.archive']} (${ids.length})`,
+        resolve: () => ids.map((id) => ({ type: 'case.restore', payload: { id } }) as Action),
+      };
+    }
+
+    case 'case.restore': {
+      const { id } = (action as Action<'case.restore'>).payload;
+      return {
+        label: label(action.type),
+        resolve: () => [{ type: 'case.archive', payload: { ids: [id] } }],
+      };
+    }
+
+    case 'case.toggle_stats_exclusion': {
+      const { id, stage } = (action as Action<'case.toggle_stats_exclusion'>).payload;
+      const row = context.getRowById(id);
+      if (!row) return null;
+      // Re-excluding must bring back the reason the original toggle cleared
+      const reason = row.modifiers
+        .find((m) => m.startsWith('stats-exclude-reason:'))
+        ?.slice('stats-exclude-reason:'.length);
+      return {
+        label: label(action.type, row),
+        resolve: () => [{ type: 'case.toggle_stats_exclusion', payload: { id, stage, reason } }],
+      };
+    }
+
+    case 'case.batch_toggle_exclusions': {
+      const { ids } = (action as Action<'case.batch_toggle_exclusions'>).payload;
+      const rows = ids.map((id) => context.getRowById(id)).filter((r): r is Case => !!r);
+      return {
+        label: `${UNDO_LABELS['case.batch_toggle_exclusions']} (${ids.length})`,
+        resolve: () => rows.map(restoreFields),
+      };
+    }
+
+    default:
+      return null;
+  }
+}
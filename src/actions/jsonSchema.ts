@@ -0,0 +1,155 @@
+/**
+ * JSON Schema Export
+ * Converts ACTION_SCHEMA into standard JSON Schema and into
+ * LLM tool/function-calling definitions, so model integrations
+ * always match the registered action list
+ */
+
+import type { ActionType, ActionFieldSchema, ActionSchemaEntry } from '@/types/actions';
+import { ACTION_SCHEMA, isActionType } from './schema';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+export type JsonSchema = Record<string, unknown>;
+
+export interface ToolDefinition {
+  /** Function-safe name, e.g. "case__toggle_rush" */
+  name: string;
+  /** Original action type, e.g. "case.toggle_rush" */
+  action: ActionType;
+  description: string;
+  parameters: JsonSchema;
+  examples?: unknown[];
+}
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+// ═══════════════════════════════════════════════════════════
+// TOOL NAMES
+// ═══════════════════════════════════════════════════════════
+
+// Most function-calling APIs only allow [a-zA-Z0-9_-] in names.
+// Action types never contain "__", so the mapping is reversible.
+
+/**
+ * Convert an action type to a function-safe tool name
+ */
+export function toToolName(type: ActionType): string {
+  return type.replace('.', '__');
+}
+
+/**
+ * Convert a tool name back to its action type (null if unknown)
+ */
+export function fromToolName(name: string): ActionType | null {
+  const type = name.replace('__', '.');
+  return isActionType(type) ? type : null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// CONVERSION
+// ═══════════════════════════════════════════════════════════
+
+const ITEM_SCHEMAS: Record<NonNullable<ActionFieldSchema['items']>, JsonSchema> = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+  uuid: { type: 'string', format: 'uuid' },
+  object: { type: 'object' },
+};
+
+/**
+ * Convert one payload field descriptor to JSON Schema
+ */
+export function fieldToJsonSchema(config: ActionFieldSchema): JsonSchema {
+  let schema: JsonSchema;
+
+  switch (config.type) {
+    case 'enum':
+      schema = { type: 'string', enum: [...(config.values ?? [])] };
+      break;
+    case 'array':
+      schema = { type: 'array', ...(config.items && { items: ITEM_SCHEMAS[config.items] }) };
+      break;
+    default:
+      schema = { ...ITEM_SCHEMAS[config.type] };
+  }
+
+  if (config.description) schema.description = config.description;
+  if (config.default !== undefined) schema.default = config.default;
+
+  return schema;
+}
+
+/**
+ * Convert an action's payload descriptor to a JSON Schema object
+ */
+export function payloadToJsonSchema(entry: ActionSchemaEntry): JsonSchema {
+  const properties: Record<string, JsonSchema> = {};
+  const required: string[] = [];
+
+  for (const [field, config] of Object.entries(entry.payload)) {
+    properties[field] = fieldToJsonSchema(config);
+    if (config.required) required.push(field);
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// GENERATORS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Generate a JSON Schema document describing every action.
+ * Each action is a $defs entry; the root accepts any one
+ * `{ type, payload }` action object.
+ */
+export function generateActionJsonSchema(): JsonSchema {
+  const defs: Record<string, JsonSchema> = {};
+
+  for (const [type, entry] of Object.entries(ACTION_SCHEMA)) {
+    defs[type] = {
+      description: entry.description,
+      type: 'object',
+      properties: {
+        type: { const: type },
+        payload: payloadToJsonSchema(entry),
+      },
+      required: ['type', 'payload'],
+      additionalProperties: false,
+      ...(entry.examples && { examples: entry.examples.map((payload) => ({ type, payload })) }),
+    };
+  }
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    title: 'Stoma Board Action',
+    description: 'An action accepted by the Stoma Board action dispatcher',
+    oneOf: Object.keys(defs).map((type) => ({ $ref: `#/$defs/${type}` })),
+    $defs: defs,
+  };
+}
+
+/**
+ * Generate tool/function-calling definitions for every action
+ */
+export function generateToolDefinitions(): ToolDefinition[] {
+  return (Object.entries(ACTION_SCHEMA) as [ActionType, ActionSchemaEntry][]).map(([type, entry]) => ({
+    name: toToolName(type),
+    action: type,
+    description: entry.returns
+      ? `${entry.description}. Returns: ${entry.returns}`
+      : entry.description,
+    parameters: payloadToJsonSchema(entry),
+    ...(entry.examples && { examples: entry.examples }),
+  }));
+}
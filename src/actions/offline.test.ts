@@ -0,0 +1,97 @@
+/**
+ * Offline queue: several edits to one case queued offline replay in
+ * order without tripping over the versions they bump themselves, and a
+ * detail changed on the server meanwhile blocks the replay
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import type { Action, ActionContext } from '@/types/actions';
+import type { Case } from '@/types/case';
+import type { OfflineQueue } from './offline';
+
+vi.stubEnv('NEXT_PUBLIC_DATA_BACKEND', 'local');
+
+let queue: OfflineQueue;
+let rows: Case[];
+let applyOptimistic: typeof import('./optimistic').applyOptimistic;
+let fetchCaseById: typeof import('@/services/caseService').fetchCaseById;
+let updateCase: typeof import('@/services/caseService').updateCase;
+
+const context: ActionContext = {
+  getRowById: (id) => rows.find((r) => r.id === id),
+  getAllRows: () => rows,
+  getCurrentUser: () => 'Lee',
+  getCaseHistory: async () => [],
+};
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubGlobal('navigator', { onLine: false });
+  // No IndexedDB here: the queue still runs, it just can't persist
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+
+  const { OfflineQueue } = await import('./offline');
+  const caseService = await import('@/services/caseService');
+  ({ applyOptimistic } = await import('./optimistic'));
+  ({ fetchCaseById, updateCase } = caseService);
+
+  const { data } = await caseService.addCase({ caseNumber: '8501', department: 'Metal', due: '2026-10-30' });
+  rows = [data!];
+  queue = new OfflineQueue();
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+/** Queue an action and apply it locally, as the DispatchProvider does */
+async function queueOffline(action: Action): Promise<void> {
+  expect(queue.shouldQueue(action)).toBe(true);
+  await queue.enqueue(action, context);
+  rows = applyOptimistic(rows, action).rows;
+}
+
+/** The editor's save: against the version on the board */
+function edit(due: string): Action {
+  return { type: 'case.update', payload: { id: rows[0].id, due, expectedVersion: rows[0].version } };
+}
+
+async function reconnect(): Promise<void> {
+  vi.stubGlobal('navigator', { onLine: true });
+  await queue.replay();
+}
+
+describe('replay', () => {
+  it('applies two queued edits to the same case', async () => {
+    await queueOffline(edit('2026-11-02'));
+    await queueOffline(edit('2026-11-03'));
+    await reconnect();
+
+    expect(queue.getState()).toMatchObject({ status: 'idle', pending: 0, blocked: null });
+    const { data } = await fetchCaseById(rows[0].id);
+    expect(data).toMatchObject({ due: expect.stringMatching(/^2026-11-03/), version: 3 });
+  });
+
+  it('applies an edit queued after a toggle', async () => {
+    await queueOffline({ type: 'case.toggle_rush', payload: { id: rows[0].id } });
+    await queueOffline(edit('2026-11-04'));
+    await reconnect();
+
+    expect(queue.getState()).toMatchObject({ status: 'idle', pending: 0, blocked: null });
+    const { data } = await fetchCaseById(rows[0].id);
+    expect(data).toMatchObject({ rush: true, due: expect.stringMatching(/^2026-11-04/), version: 3 });
+  });
+});
+
+describe('conflicts', () => {
+  it('blocks a queued toggle when the server changed the shade', async () => {
+    await queueOffline({ type: 'case.toggle_rush', payload: { id: rows[0].id } });
+    await updateCase({ id: rows[0].id, shade: 'A3' }, 'Sam');
+    await reconnect();
+
+    expect(queue.getState()).toMatchObject({ status: 'blocked', pending: 1, blocked: { conflict: true } });
+    const { data } = await fetchCaseById(rows[0].id);
+    expect(data).toMatchObject({ rush: false, shade: 'A3' });
+  });
+});
@@ -0,0 +1,350 @@
+/**
+ * Offline Queue
+ * Keeps the board usable when Supabase can't be reached. Case mutations
+ * that fail with a network error (or are dispatched while offline or
+ * behind other queued actions) are persisted to IndexedDB, applied
+ * optimistically to local rows and replayed in order on reconnect.
+ *
+ * Before each replay the target rows are re-read from the server and
+ * compared with what they looked like when the action was queued. If
+ * someone else changed a row meanwhile, replay stops at that action
+ * until the user applies it anyway or discards it.
+ */
+
+import { v4 as uuid } from 'uuid';
+import type { Action, ActionContext } from '@/types/actions';
+import type { Case, CreateCaseInput, UpdateCaseInput } from '@/types/case';
+import type { DbCase } from '@/types/database';
+import type { QueuedAction, SyncBlock, SyncState } from '@/types/offline';
+import { ActionDispatcher, type OfflineStrategy } from './dispatcher';
+import { registerCaseHandlers } from './handlers';
+import { createAuditLogger, indexedDbAuditStore } from './audit';
+import { applyOptimistic, isQueueable, targetIds } from './optimistic';
+import { fetchCaseById, fetchCaseHistory } from '@/services/caseService';
+import { loadQueuedActions, saveQueuedAction, deleteQueuedAction } from '@/services/offlineStore';
+import { isOffline, isNetworkError } from '@/lib/network';
+import { OFFLINE_RETRY_INTERVAL } from '@/lib/constants';
+
+/** Hooks into React state, supplied by the DispatchProvider */
+export interface OfflineBindings {
+  /** Apply a queued action to the local rows */
+  applyLocal: (action: Action, now: Date) => void;
+  /** Reload rows from the server without the loading screen */
+  refresh: () => Promise<void>;
+}
+
+type ReplayOutcome = 'applied' | 'network' | SyncBlock;
+
+// ═══════════════════════════════════════════════════════════
+// CONFLICT DETECTION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Compact representation of the fields a mutation can change
+ * (null when the row doesn't exist)
+ */
+export function rowFingerprint(row: DbCase | null | undefined): string | null {
+  if (!row) return null;
+  return JSON.stringify([
+    row.casenumber,
+    row.department,
+    row.due.slice(0, 10),
+    row.priority,
+    [...(row.modifiers ?? [])].sort(),
+    row.completed,
+    row.archived,
+    row.practice,
+    row.doctor,
+    row.patient_ref,
+    row.restoration_type,
+    row.units,
+    row.teeth ?? [],
+    // The same tooth numbers mean other teeth in the other notation
+    row.tooth_notation,
+    row.shade,
+    row.material,
+  ]);
+}
+
+function describeConflict(expected: string | null, actual: Case | null): string {
+  if (!actual) return 'Case was deleted on the server while you were offline';
+  if (expected === null) return `Case ${actual.caseNumber} already exists on the server`;
+  return `Case ${actual.caseNumber} was changed on the server while you were offline`;
+}
+
+function withoutExpectedVersion(action: Action): Action {
+  if (action.type !== 'case.update') return action;
+  const payload: UpdateCaseInput = { ...(action.payload as UpdateCaseInput) };
+  delete payload.expectedVersion;
+  return { ...action, payload };
+}
+
+// ═══════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════
+
+export class OfflineQueue implements OfflineStrategy {
+  private entries: QueuedAction[] = [];
+  private lastSeq = 0;
+  private bindings: OfflineBindings | null = null;
+  private replaying = false;
+  private blocked: SyncBlock | null = null;
+  /** Seq of a blocked action the user chose to apply anyway */
+  private forceSeq: number | null = null;
+  private listeners: Set<() => void> = new Set();
+  private state: SyncState = { status: 'idle', pending: 0, offline: false, blocked: null };
+
+  // Replays run through their own dispatcher so handlers see server rows
+  private replayer = new ActionDispatcher();
+  private serverRows: Map<string, Case> = new Map();
+  private replayUser = '';
+  private audit = createAuditLogger({ client: 'offline-replay', store: indexedDbAuditStore });
+
+  constructor() {
+    const context: ActionContext = {
+      getRowById: (id) => this.serverRows.get(id),
+      getAllRows: () => [...this.serverRows.values()],
+      getCurrentUser: () => this.replayUser,
+      getCaseHistory: async (caseId) => {
+        const { data, error } = await fetchCaseHistory(caseId);
+        if (error) throw error;
+        return data ?? [];
+      },
+    };
+    this.replayer.setContext(context);
+    registerCaseHandlers(this.replayer);
+    this.replayer.subscribe(this.audit.record);
+  }
+
+  /**
+   * Connect to React state, restore persisted actions and start
+   * watching connectivity. Returns a detach function.
+   */
+  attach(bindings: OfflineBindings): () => void {
+    this.bindings = bindings;
+
+    const handleOnline = () => void this.replay();
+    const handleOffline = () => this.emit();
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    // navigator.onLine stays true on flaky Wi-Fi, so retry on a timer too
+    const retry = setInterval(() => {
+      if (this.entries.length > 0) void this.replay();
+    }, OFFLINE_RETRY_INTERVAL);
+
+    void this.restore();
+
+    return () => {
+      if (this.bindings === bindings) this.bindings = null;
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(retry);
+    };
+  }
+
+  // ─── OfflineStrategy ─────────────────────────────────────
+
+  shouldQueue(action: Action): boolean {
+    // Anything behind a queued action must wait its turn
+    return isQueueable(action.type) && (this.entries.length > 0 || isOffline());
+  }
+
+  isNetworkError(action: Action, error: unknown): boolean {
+    return isQueueable(action.type) && isNetworkError(error);
+  }
+
+  async enqueue(action: Action, context: ActionContext): Promise<unknown> {
+    // Queued creates need their id now, so later actions can refer to it
+    const queued = action.type === 'case.create' && !(action.payload as CreateCaseInput).id
+      ? { ...action, payload: { ...(action.payload as CreateCaseInput), id: uuid() } }
+      : action;
+
+    const now = new Date();
+    const { result } = applyOptimistic(context.getAllRows(), queued, now);
+
+    const baselines: Record<string, string | null> = {};
+    for (const id of targetIds(queued)) {
+      if (queued.type === 'case.create' || queued.type === 'case.recreate') {
+        baselines[id] = null;
+      } else {
+        const row = context.getRowById(id);
+        if (row) baselines[id] = rowFingerprint(row);
+      }
+    }
+
+    // Time-based so it can't collide with actions persisted by an earlier session
+    this.lastSeq = Math.max(this.lastSeq + 1, now.getTime());
+    const entry: QueuedAction = {
+      seq: this.lastSeq,
+      action: queued,
+      baselines,
+      user: context.getCurrentUser(),
+      queuedAt: now.getTime(),
+    };
+    this.entries.push(entry);
+
+    const { error } = await saveQueuedAction(entry);
+    if (error) console.error('Queued action not persisted:', error.message);
+
+    this.bindings?.applyLocal(queued, now);
+    this.emit();
+    return result;
+  }
+
+  // ─── Replay ──────────────────────────────────────────────
+
+  /**
+   * Send queued actions to the server in order. Stops on a network
+   * failure (retried later) or at an action that needs the user.
+   */
+  async replay(): Promise<void> {
+    if (this.replaying || this.blocked || this.entries.length === 0 || isOffline()) {
+      this.emit();
+      return;
+    }
+
+    this.replaying = true;
+    this.emit();
+
+    let drained = false;
+    try {
+      while (this.entries.length > 0) {
+        const entry = this.entries[0];
+        const outcome = await this.replayEntry(entry);
+        if (outcome === 'network') break;
+        if (outcome !== 'applied') {
+          this.blocked = outcome;
+          break;
+        }
+        await this.remove(entry);
+      }
+      drained = this.entries.length === 0;
+    } finally {
+      this.replaying = false;
+      this.emit();
+    }
+
+    if (drained) await this.bindings?.refresh();
+  }
+
+  /**
+   * Resolve the action replay stopped at: apply it without the
+   * conflict check (or retry it), or drop it
+   */
+  async resolve(choice: 'apply' | 'discard'): Promise<void> {
+    const blocked = this.blocked;
+    if (!blocked) return;
+    this.blocked = null;
+
+    if (choice === 'discard') {
+      await this.remove(blocked.entry);
+      await this.resync();
+    } else {
+      this.forceSeq = blocked.entry.seq;
+    }
+
+    await this.replay();
+  }
+
+  private async replayEntry(entry: QueuedAction): Promise<ReplayOutcome> {
+    const force = this.forceSeq === entry.seq;
+    this.serverRows = new Map();
+
+    for (const id of targetIds(entry.action)) {
+      const { data, error } = await fetchCaseById(id);
+      if (error) {
+        return isNetworkError(error) ? 'network' : { entry, reason: error.message, conflict: false };
+      }
+      if (data) this.serverRows.set(id, data);
+
+      const expected = entry.baselines[id];
+      if (!force && expected !== undefined && rowFingerprint(data) !== expected) {
+        return { entry, reason: describeConflict(expected, data), conflict: true };
+      }
+    }
+
+    // Applying anyway also overrides an edit's version check
+    const action = force ? withoutExpectedVersion(entry.action) : entry.action;
+
+    this.replayUser = entry.user;
+    const result = await this.replayer.dispatch(action);
+    if (result.success) return 'applied';
+    if (isNetworkError(result.error)) return 'network';
+    return { entry, reason: result.error, conflict: !!result.conflict };
+  }
+
+  // ─── Persistence ─────────────────────────────────────────
+
+  private async restore(): Promise<void> {
+    const { data, error } = await loadQueuedActions();
+    if (error) {
+      console.error('Could not load offline queue:', error.message);
+      return;
+    }
+    if (data.length === 0) return;
+
+    // Keep anything queued since the page loaded behind the restored actions
+    const restoredSeqs = new Set(data.map((e) => e.seq));
+    this.entries = [...data, ...this.entries.filter((e) => !restoredSeqs.has(e.seq))];
+    this.emit();
+    await this.replay();
+
+    // Still waiting (offline or blocked): show the restored actions locally
+    if (this.entries.length > 0) await this.resync();
+  }
+
+  private async remove(entry: QueuedAction): Promise<void> {
+    this.entries = this.entries.filter((e) => e.seq !== entry.seq);
+    if (this.forceSeq === entry.seq) this.forceSeq = null;
+
+    const { error } = await deleteQueuedAction(entry.seq);
+    if (error) console.error('Could not remove replayed action:', error.message);
+  }
+
+  /**
+   * Reload server rows and re-apply whatever is still queued
+   */
+  private async resync(): Promise<void> {
+    if (!this.bindings) return;
+    await this.bindings.refresh();
+    for (const entry of this.entries) {
+      this.bindings.applyLocal(entry.action, new Date(entry.queuedAt));
+    }
+  }
+
+  // ─── State ───────────────────────────────────────────────
+
+  getState(): SyncState {
+    return this.state;
+  }
+
+  subscribe(listener: () => void): () => void {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  private emit(): void {
+    const status = this.blocked
+      ? 'blocked'
+      : this.replaying
+        ? 'syncing'
+        : this.entries.length > 0 ? 'pending' : 'idle';
+
+    this.state = {
+      status,
+      pending: this.entries.length,
+      offline: isOffline(),
+      blocked: this.blocked,
+    };
+    this.listeners.forEach((listener) => listener());
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// SINGLETON INSTANCE
+// ═══════════════════════════════════════════════════════════
+
+export const offlineQueue = new OfflineQueue();
@@ -0,0 +1,171 @@
+/**
+ * Optimistic Updates
+ * Applies a case mutation to the local rows without the server, so
+ * actions queued while offline show up on the board immediately.
+ * Mirrors what each caseService write does to the row.
+ */
+
+import type { Action, ActionType } from '@/types/actions';
+import type { Case, CreateCaseInput } from '@/types/case';
+import type { DbCase } from '@/types/database';
+import { mapDbToCase, buildNewCaseRow, buildUpdatedFields } from '@/services/caseService';
+import { applyModifierOps, sameModifiers } from '@/lib/caseHelpers';
+
+/**
+ * Case mutations that can be queued offline. Stats exclusions are left
+ * out: they read and rewrite several rows' history server-side.
+ */
+const QUEUEABLE_ACTIONS: ReadonlySet<ActionType> = new Set<ActionType>([
+  'case.create',
+  'case.update',
+  'case.delete',
+  'case.toggle_priority',
+  'case.toggle_rush',
+  'case.toggle_hold',
+  'case.toggle_complete',
+  'case.toggle_stage2',
+  'case.change_stage',
+  'case.archive',
+  'case.restore',
+  'case.recreate',
+]);
+
+/**
+ * Check whether an action may be queued while offline
+ */
+export function isQueueable(type: ActionType): boolean {
+  return QUEUEABLE_ACTIONS.has(type);
+}
+
+/**
+ * Ids of the rows an action writes
+ */
+export function targetIds(action: Action): string[] {
+  switch (action.type) {
+    case 'case.create':
+      return [(action as Action<'case.create'>).payload.id].filter((id): id is string => !!id);
+    case 'case.recreate':
+      return [(action as Action<'case.recreate'>).payload.snapshot.id];
+    case 'case.archive':
+      return (action as Action<'case.archive'>).payload.ids;
+    default: {
+      const { id } = action.payload as { id?: string };
+      return id ? [id] : [];
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+function toggled(modifiers: string[], modifier: string): string[] {
+  return applyModifierOps(modifiers, modifiers.includes(modifier) ? { remove: [modifier] } : { add: [modifier] });
+}
+
+/**
+ * Replace one row with changes applied (derived fields recomputed).
+ * Like the server, a write bumps the version, so a later queued edit
+ * expects the version the earlier ones leave behind; `change` returns
+ * null where the server would write nothing.
+ */
+function patch(rows: Case[], id: string, now: Date, change: (row: Case) => Partial<DbCase> | null): Case[] {
+  const index = rows.findIndex((r) => r.id === id);
+  if (index === -1) throw new Error('Case not found');
+
+  const row = rows[index];
+  const changes = change(row);
+  if (!changes) return rows;
+
+  const next = [...rows];
+  next[index] = mapDbToCase({ ...row, ...changes, version: row.version + 1, updated_at: now.toISOString() });
+  return next;
+}
+
+// ═══════════════════════════════════════════════════════════
+// APPLY
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Apply a queueable case mutation to local rows
+ * @returns the next rows and the result the handler would have returned
+ * @throws when the target case is not loaded
+ */
+export function applyOptimistic(
+  rows: Case[],
+  action: Action,
+  now: Date = new Date()
+): { rows: Case[]; result: unknown } {
+  switch (action.type) {
+    case 'case.create': {
+      const payload = (action as Action<'case.create'>).payload as CreateCaseInput & { id: string };
+      const row = mapDbToCase({
+        ...buildNewCaseRow(payload),
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+        version: 1,
+      });
+      return { rows: [...rows, row], result: row };
+    }
+
+    case 'case.recreate': {
+      const row = mapDbToCase((action as Action<'case.recreate'>).payload.snapshot);
+      return { rows: [...rows.filter((r) => r.id !== row.id), row], result: row };
+    }
+
+    case 'case.update': {
+      const payload = (action as Action<'case.update'>).payload;
+      const next = patch(rows, payload.id, now, (row) => buildUpdatedFields(row, payload));
+      return { rows: next, result: next.find((r) => r.id === payload.id) };
+    }
+
+    case 'case.delete': {
+      const { id } = (action as Action<'case.delete'>).payload;
+      return { rows: rows.filter((r) => r.id !== id), result: undefined };
+    }
+
+    case 'case.archive': {
+      const ids = new Set((action as Action<'case.archive'>).payload.ids);
+      return { rows: rows.filter((r) => !ids.has(r.id)), result: undefined };
+    }
+
+    // Archived rows aren't loaded; the restored row arrives after sync
+    case 'case.restore':
+      return { rows, result: undefined };
+
+    case 'case.toggle_priority': {
+      const { id } = (action as Action<'case.toggle_priority'>).payload;
+      return { rows: patch(rows, id, now, (row) => ({ priority: !row.priority })), result: undefined };
+    }
+
+    case 'case.toggle_complete': {
+      const { id } = (action as Action<'case.toggle_complete'>).payload;
+      return { rows: patch(rows, id, now, (row) => ({ completed: !row.completed })), result: undefined };
+    }
+
+    case 'case.toggle_rush':
+    case 'case.toggle_hold':
+    case 'case.toggle_stage2': {
+      const { id } = action.payload as { id: string };
+      const modifier = action.type.slice('case.toggle_'.length);
+      return {
+        rows: patch(rows, id, now, (row) => ({ modifiers: toggled(row.modifiers, modifier) })),
+        result: undefined,
+      };
+    }
+
+    case 'case.change_stage': {
+      const { id, stage } = (action as Action<'case.change_stage'>).payload;
+      return {
+        rows: patch(rows, id, now, (row) => {
+          const modifiers = applyModifierOps(row.modifiers, { removePrefixes: ['stage-'], add: stage ? [`stage-${stage}`] : [] });
+          return sameModifiers(modifiers, row.modifiers) ? null : { modifiers };
+        }),
+        result: undefined,
+      };
+    }
+
+    default:
+      throw new Error(`${action.type} cannot be applied offline`);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Permissions: undo, redo and atomic rollback run their inverses with
+ * the permission of the action they reverse, not the inverse's own
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ActionDispatcher } from './dispatcher';
+import type { Case } from '@/types/case';
+
+vi.stubEnv('NEXT_PUBLIC_DATA_BACKEND', 'local');
+
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+let server: ActionDispatcher;
+let findCase: (caseNumber: string) => Promise<Case | undefined>;
+
+beforeEach(async () => {
+  vi.resetModules();
+  const { createServerDispatcher } = await import('./server');
+  const { createPermissionMiddleware } = await import('./permissions');
+  const { fetchCases } = await import('@/services/caseService');
+
+  server = createServerDispatcher('Tech').server;
+  server.use(createPermissionMiddleware(() => 'technician'));
+  findCase = async (caseNumber) => (await fetchCases()).data?.find((c) => c.caseNumber === caseNumber);
+});
+
+const create = (caseNumber: string) => ({
+  type: 'case.create' as const,
+  payload: { caseNumber, department: 'Metal' as const, due: '2026-10-30' },
+});
+
+describe('technician', () => {
+  it('cannot dispatch case.delete directly', async () => {
+    const created = await server.dispatch(create('8101'));
+    if (!created.success) throw new Error(created.error);
+
+    const result = await server.dispatch({ type: 'case.delete', payload: { id: created.data.id } });
+    expect(result).toMatchObject({ success: false, error: expect.stringMatching(/requires the manager role/) });
+    expect(await findCase('8101')).toBeDefined();
+  });
+
+  it('can undo and redo their own create', async () => {
+    expect((await server.dispatch(create('8102'))).success).toBe(true);
+
+    await server.undo();
+    expect(await findCase('8102')).toBeUndefined();
+
+    await server.redo();
+    expect(await findCase('8102')).toBeDefined();
+  });
+
+  it('gets an atomic batch rolled back', async () => {
+    const result = await server.dispatchBatch(
+      [create('8103'), { type: 'case.toggle_rush', payload: { id: MISSING_ID } }],
+      { atomic: true }
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.rollbackErrors).toEqual([]);
+    expect(result.rolledBack).toBe(true);
+    expect(result.results[0].status).toBe('rolled_back');
+    expect(await findCase('8103')).toBeUndefined();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Permissions
+ * Role-based access to actions. The matrix is keyed by ActionType
+ * (so every new action must be classified) and enforced by a
+ * dispatcher middleware; the UI uses `can()` to hide controls.
+ *
+ * In the browser this guards against mistakes, not against someone
+ * set on misusing it: roles belong to the name typed at sign-in, which
+ * anyone can type. Only the HTTP API checks who the caller is (its keys).
+ */
+
+import type { ActionType } from '@/types/actions';
+import type { PermissionMatrix, Role } from '@/types/permissions';
+import type { Middleware } from './dispatcher';
+import { ROLES } from '@/lib/constants';
+
+// ═══════════════════════════════════════════════════════════
+// MATRIX
+// ═══════════════════════════════════════════════════════════
+
+export const ACTION_PERMISSIONS: PermissionMatrix = {
+  // Day-to-day case work
+  'case.create': 'technician',
+  'case.update': 'technician',
+  'case.toggle_priority': 'technician',
+  'case.toggle_rush': 'technician',
+  'case.toggle_hold': 'technician',
+  'case.toggle_complete': 'technician',
+  'case.toggle_stage2': 'technician',
+  'case.change_stage': 'technician',
+
+  // Statistics, recovering archived work and spreadsheet import/export
+  'case.toggle_stats_exclusion': 'lead',
+  'case.restore': 'lead',
+  'case.import': 'lead',
+  'case.export': 'lead',
+
+  // Linked cases (remakes are a lead's call)
+  'case.link': 'technician',
+  'case.unlink': 'technician',
+  'case.create_remake': 'lead',
+
+  // Destructive or bulk changes
+  'case.delete': 'manager',
+  'case.recreate': 'manager',
+  'case.archive': 'manager',
+  'case.batch_toggle_exclusions': 'manager',
+
+  // Client directory
+  'practice.save': 'lead',
+  'practice.delete': 'manager',
+
+  // Lab calendar
+  'calendar.save': 'manager',
+
+  // Case notes (edit and delete are limited to the author)
+  'note.add': 'technician',
+  'note.edit': 'technician',
+  'note.pin': 'technician',
+  'note.delete': 'technician',
+
+  // Case attachments
+  'attachment.add': 'technician',
+  'attachment.remove': 'lead',
+
+  // Undo/redo replays inverse actions, each checked against the action it reverses
+  'history.undo': 'technician',
+  'history.redo': 'technician',
+
+  'user.set_name': 'technician',
+  'user.switch': 'technician',
+  'user.set_role': 'admin',
+
+  'ui.set_department': 'technician',
+  'ui.set_practice': 'technician',
+  'ui.set_theme': 'technician',
+  'ui.open_editor': 'technician',
+  'ui.close_editor': 'technician',
+  'ui.open_settings': 'technician',
+  'ui.navigate': 'technician',
+
+  'query.get_case': 'technician',
+  'query.search_cases': 'technician',
+  'query.get_overdue': 'technician',
+  'query.get_on_hold': 'technician',
+  'query.get_cases_by_date': 'technician',
+  'query.check_duplicates': 'technician',
+  'query.get_history': 'technician',
+  'query.get_active_users': 'technician',
+  'query.get_action_log': 'manager',
+  'query.list_practices': 'technician',
+  'query.get_calendar': 'technician',
+  'query.list_notes': 'technician',
+  'query.list_attachments': 'technician',
+  'query.get_attachment_url': 'technician',
+  'query.list_links': 'technician',
+  'query.remake_rates': 'technician',
+  'query.stage_statistics': 'technician',
+  'query.department_efficiency': 'technician',
+  'query.efficiency_scores': 'technician',
+  'query.case_risk': 'technician',
+  'query.forecast_case': 'technician',
+
+  'data.refresh': 'technician',
+};
+
+// ═══════════════════════════════════════════════════════════
+// CHECKS
+// ═══════════════════════════════════════════════════════════
+
+function rank(role: Role): number {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * Check whether a role may dispatch an action
+ */
+export function can(role: Role, type: ActionType): boolean {
+  return rank(role) >= rank(ACTION_PERMISSIONS[type]);
+}
+
+/**
+ * Explain why a role may not dispatch an action (null if allowed)
+ */
+export function permissionReason(role: Role, type: ActionType): string | null {
+  if (can(role, type)) return null;
+  return `${type} requires the ${ACTION_PERMISSIONS[type]} role or higher (you are a ${role})`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// MIDDLEWARE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Block actions the current role may not dispatch. Undo, redo and
+ * rollback steps are checked against the action they reverse.
+ * @param getRole - read at dispatch time, so role changes apply immediately
+ */
+export function createPermissionMiddleware(getRole: () => Role): Middleware {
+  return async (_action, _context, { authorizedBy }) => {
+    const reason = permissionReason(getRole(), authorizedBy);
+    return reason ? { blocked: true, reason } : undefined;
+  };
+}
@@ -4,7 +4,20 @@
  * This serves as the single source of truth for what the system can do
  */
 
-import type { ActionSchema } from '@/types/actions';
+import type { ActionFieldSchema, ActionSchema, ActionType } from '@/types/actions';
+
+/** Case detail fields shared by case.create and case.update (empty strings clear them) */
+const CASE_DETAIL_FIELDS: Record<string, ActionFieldSchema> = {
+  practice: { type: 'string', description: 'Referring practice' },
+  doctor: { type: 'string', description: 'Referring doctor' },
+  patientRef: { type: 'string', description: 'Patient identifier from the practice (chart number, initials)' },
+  restorationType: { type: 'string', description: 'Crown, Bridge, Veneer, Implant crown, Denture, ...' },
+  units: { type: 'number', description: 'Number of units (whole number, 1 or more; null clears it)' },
+  teeth: { type: 'array', items: 'string', description: 'Tooth numbers or ranges in toothNotation, e.g. ["8", "9"] or ["14-16"]' },
+  toothNotation: { type: 'enum', values: ['fdi', 'universal'] as const, description: 'Notation of teeth (default universal)' },
+  shade: { type: 'string', description: 'Shade, e.g. A2 or 2M2' },
+  material: { type: 'string', description: 'Zirconia, e.max, PFM, Full cast, ...' },
+};
 
 export const ACTION_SCHEMA: ActionSchema = {
   // ═══════════════════════════════════════════════════════════
@@ -14,6 +27,7 @@ export const ACTION_SCHEMA: ActionSchema = {
   'case.create': {
     description: 'Create a new dental case',
     payload: {
+      id: { type: 'uuid', description: 'Client-generated id; omit to let the server assign one' },
       caseNumber: { type: 'string', required: true, description: 'Case ID/number' },
       department: { type: 'enum', values: ['Digital', 'Metal', 'C&B', 'General'] as const, required: true },
       due: { type: 'date', required: true, description: 'Due date in YYYY-MM-DD format' },
@@ -22,10 +36,22 @@ export const ACTION_SCHEMA: ActionSchema = {
       hold: { type: 'boolean', default: false },
       caseType: { type: 'enum', values: ['general', 'bbs', 'flex'] as const, default: 'general' },
       needsRepair: { type: 'boolean', default: false, description: 'If true, Digital cases start in Finishing' },
+      ...CASE_DETAIL_FIELDS,
     },
     examples: [
       { caseNumber: '1234', department: 'Digital', due: '2025-12-15' },
       { caseNumber: '5678 Crown prep', department: 'Metal', due: '2025-12-18', rush: true },
+      {
+        caseNumber: '9012',
+        department: 'C&B',
+        due: '2025-12-19',
+        doctor: 'Smith',
+        restorationType: 'Crown',
+        units: 1,
+        teeth: ['8'],
+        shade: 'A2',
+        material: 'Zirconia',
+      },
     ],
     returns: 'Case',
   },
@@ -41,6 +67,9 @@ export const ACTION_SCHEMA: ActionSchema = {
       rush: { type: 'boolean' },
       hold: { type: 'boolean' },
       caseType: { type: 'enum', values: ['general', 'bbs', 'flex'] as const },
+      modifiers: { type: 'array', items: 'string', description: 'Direct modifier override (replaces rush/hold/caseType/stage modifiers)' },
+      expectedVersion: { type: 'number', description: 'Case version the edit is based on; fails with a conflict if the case has changed since' },
+      ...CASE_DETAIL_FIELDS,
     },
     returns: 'Case',
   },
@@ -99,7 +128,7 @@ export const ACTION_SCHEMA: ActionSchema = {
   'case.archive': {
     description: 'Archive one or more completed cases',
     payload: {
-      ids: { type: 'array', required: true, description: 'Array of case UUIDs' },
+      ids: { type: 'array', items: 'uuid', required: true, description: 'Array of case UUIDs' },
     },
   },
 
@@ -123,7 +152,7 @@ export const ACTION_SCHEMA: ActionSchema = {
   'case.batch_toggle_exclusions': {
     description: 'Batch exclude/include multiple cases from statistics',
     payload: {
-      ids: { type: 'array', required: true },
+      ids: { type: 'array', items: 'uuid', required: true },
       exclude: { type: 'boolean', required: true },
       stage: { type: 'string' },
       reason: { type: 'string' },
@@ -131,6 +160,248 @@ export const ACTION_SCHEMA: ActionSchema = {
     returns: '{ caseId: string; success: boolean }[]',
   },
 
+  'case.recreate': {
+    description: 'Recreate a deleted case from a snapshot, keeping its original id, modifiers and history (used by undo)',
+    payload: {
+      snapshot: { type: 'object', required: true, description: 'Full database row of the deleted case' },
+      history: { type: 'array', items: 'object', description: 'case_history rows to restore alongside the case' },
+    },
+    returns: 'Case',
+  },
+
+  'case.import': {
+    description: 'Create cases in bulk from spreadsheet rows. Rows are validated and checked for duplicate case numbers; with dryRun nothing is written and the report shows what would happen',
+    payload: {
+      rows: {
+        type: 'array',
+        items: 'object',
+        required: true,
+        description: 'Rows as { line, fields: { caseNumber, department, due, rush, hold, caseType, needsRepair } (raw cell text), allowDuplicate? }',
+      },
+      dryRun: { type: 'boolean', default: false, description: 'Validate and report without creating anything' },
+    },
+    examples: [
+      {
+        rows: [{ line: 2, fields: { caseNumber: '1234', department: 'Digital', due: '12/15/2025', rush: 'yes' } }],
+        dryRun: true,
+      },
+    ],
+    returns: 'ImportReport',
+  },
+
+  'case.export': {
+    description: 'Export cases as a CSV, JSON or XLSX file, optionally with their history timeline and time spent in each stage. Changes nothing',
+    payload: {
+      format: { type: 'enum', values: ['csv', 'json', 'xlsx'] as const, required: true },
+      scope: {
+        type: 'enum',
+        values: ['active', 'completed', 'archived'] as const,
+        required: true,
+        description: 'active: cases on the board; completed: completed cases, archived or not; archived: archived cases',
+      },
+      from: { type: 'date', description: 'Completed scope: first completion day (YYYY-MM-DD)' },
+      to: { type: 'date', description: 'Completed scope: last completion day (YYYY-MM-DD)' },
+      search: { type: 'string', description: 'Archived scope: case number search' },
+      includeHistory: { type: 'boolean', default: false, description: 'Include each case\'s history timeline' },
+      includeStageDurations: { type: 'boolean', default: false, description: 'Include working hours spent in each stage' },
+    },
+    examples: [
+      { format: 'xlsx', scope: 'completed', from: '2025-11-01', to: '2025-11-30', includeStageDurations: true },
+      { format: 'json', scope: 'active', includeHistory: true },
+    ],
+    returns: '{ filename, mimeType, encoding: "utf8" | "base64", content, caseCount }',
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // LINKED CASES
+  // ═══════════════════════════════════════════════════════════
+
+  'case.link': {
+    description: 'Link two cases: caseId is a remake of, was split from, or waits on (depends_on) linkedCaseId. A case waiting on an unfinished one is flagged as blocked on the board',
+    payload: {
+      caseId: { type: 'uuid', required: true },
+      linkedCaseId: { type: 'uuid', required: true },
+      kind: { type: 'enum', values: ['remake_of', 'split_from', 'depends_on'] as const, required: true },
+      reason: { type: 'string', description: 'Why (e.g. the remake reason), up to 500 characters' },
+    },
+    examples: [
+      {
+        caseId: '6c1b2d7e-2222-4222-8222-222222222222',
+        linkedCaseId: '6c1b2d7e-1111-4111-8111-111111111111',
+        kind: 'depends_on',
+      },
+    ],
+    returns: 'CaseLink',
+  },
+
+  'case.unlink': {
+    description: 'Remove a link between two cases (the cases are unchanged)',
+    payload: {
+      id: { type: 'uuid', required: true, description: 'Link id' },
+    },
+  },
+
+  'case.create_remake': {
+    description: 'Create a remake of a case: a new case with the same department, type and details, linked to the original with the reason',
+    payload: {
+      id: { type: 'uuid', required: true, description: 'Case to remake' },
+      reason: { type: 'string', required: true, description: 'Why it has to be redone, up to 500 characters' },
+      caseNumber: { type: 'string', description: 'Defaults to the original number followed by "remake"' },
+      due: { type: 'date', description: 'Defaults to the practice\'s turnaround (or 5 business days) from today' },
+    },
+    examples: [
+      { id: '6c1b2d7e-1111-4111-8111-111111111111', reason: 'Open margin on #8' },
+    ],
+    returns: 'Case',
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // CLIENT DIRECTORY
+  // ═══════════════════════════════════════════════════════════
+
+  'practice.save': {
+    description: 'Add a practice to the client directory, or update one (fields left out are kept)',
+    payload: {
+      id: { type: 'uuid', description: 'Practice to update; omit to add a new one' },
+      name: { type: 'string', required: true, description: 'Practice name, as entered on cases' },
+      contact: { type: 'string', description: 'Phone, email or contact person' },
+      doctors: { type: 'array', items: 'string', description: 'Doctors at the practice' },
+      defaultDepartment: {
+        type: 'enum',
+        values: ['Digital', 'Metal', 'C&B', 'General'] as const,
+        description: 'Department new cases from this practice usually go to',
+      },
+      turnaroundDays: {
+        type: 'object',
+        description: 'Standard turnaround in business days per case type, e.g. { "general": 5, "flex": 8 }. Types without a rule use general',
+      },
+      rushSurcharge: { type: 'boolean', description: 'Rush cases from this practice are billed extra' },
+      notes: { type: 'string' },
+    },
+    examples: [
+      { name: 'Bright Smiles Dental', contact: '555-0134', doctors: ['Smith'], defaultDepartment: 'C&B', turnaroundDays: { general: 5 } },
+    ],
+    returns: 'Practice',
+  },
+
+  'practice.delete': {
+    description: 'Remove a practice from the client directory (cases keep the practice name)',
+    payload: {
+      id: { type: 'uuid', required: true },
+    },
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // LAB CALENDAR
+  // ═══════════════════════════════════════════════════════════
+
+  'calendar.save': {
+    description: 'Change the lab calendar used for working time, board days and business-day due dates (parts left out are kept)',
+    payload: {
+      timezone: { type: 'string', description: 'IANA timezone the hours are in, e.g. "America/Boise"' },
+      week: {
+        type: 'array',
+        items: 'object',
+        description: '7 days, Sunday first: { shifts: [{ start: "08:00", end: "17:00" }], breaks: [{ start, end }] }; no shifts = closed',
+      },
+      closures: {
+        type: 'array',
+        items: 'object',
+        description: 'Holidays and closures: { from, to: "YYYY-MM-DD", label, kind: "holiday" | "closure", shifts? } (shifts = a short day)',
+      },
+      departments: {
+        type: 'object',
+        description: 'Per-department overrides keyed "General" (Digital), "Metal", "C&B": { week?, closures? }',
+      },
+      stageSystemStart: { type: 'string', description: 'Digital cases created from this timestamp start in Design' },
+    },
+    examples: [
+      { closures: [{ from: '2026-12-24', to: '2026-12-26', label: 'Christmas', kind: 'holiday' }] },
+      { timezone: 'America/Denver' },
+    ],
+    returns: 'LabCalendar',
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // CASE NOTES
+  // ═══════════════════════════════════════════════════════════
+
+  'note.add': {
+    description: 'Add a note to a case, or reply to one of its notes. "@Name" mentions a user seen in the last 30 days',
+    payload: {
+      caseId: { type: 'uuid', required: true },
+      body: { type: 'string', required: true, description: 'Note text (up to 2000 characters)' },
+      parentId: { type: 'uuid', description: 'Note to reply to' },
+    },
+    examples: [
+      { caseId: '6c1b2d7e-1111-4111-8111-111111111111', body: 'Call Dr. Lee before glazing' },
+    ],
+    returns: 'CaseNote',
+  },
+
+  'note.edit': {
+    description: 'Change the text of a note you wrote (the old text is kept in its edit history)',
+    payload: {
+      id: { type: 'uuid', required: true },
+      body: { type: 'string', required: true },
+    },
+    returns: 'CaseNote',
+  },
+
+  'note.pin': {
+    description: 'Pin a top-level note to its case row (unpins the case\'s other pinned note), or unpin it',
+    payload: {
+      id: { type: 'uuid', required: true },
+      pinned: { type: 'boolean', required: true },
+    },
+    returns: 'CaseNote',
+  },
+
+  'note.delete': {
+    description: 'Delete a note you wrote, with its replies',
+    payload: {
+      id: { type: 'uuid', required: true },
+    },
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // CASE ATTACHMENTS
+  // ═══════════════════════════════════════════════════════════
+
+  'attachment.add': {
+    description: 'Attach a photo (JPEG, PNG, WebP, GIF), Rx PDF or scan (STL, PLY, OBJ, 3MF, DCM) to a case, up to 25 MB',
+    payload: {
+      caseId: { type: 'uuid', required: true },
+      fileName: { type: 'string', required: true, description: 'Original file name; scans are recognised by extension' },
+      contentType: { type: 'string', required: true, description: 'MIME type, e.g. "image/jpeg" or "application/pdf"' },
+      data: { type: 'string', required: true, description: 'File contents, base64-encoded' },
+    },
+    returns: 'Attachment',
+  },
+
+  'attachment.remove': {
+    description: 'Remove an attachment and its file from a case',
+    payload: {
+      id: { type: 'uuid', required: true },
+    },
+  },
+
+  // ═══════════════════════════════════════════════════════════
+  // HISTORY ACTIONS (undo/redo)
+  // ═══════════════════════════════════════════════════════════
+
+  'history.undo': {
+    description: 'Undo the most recent case change',
+    payload: {},
+    returns: '{ label: string }',
+  },
+
+  'history.redo': {
+    description: 'Redo the most recently undone case change',
+    payload: {},
+    returns: '{ label: string }',
+  },
+
   // ═══════════════════════════════════════════════════════════
   // USER ACTIONS
   // ═══════════════════════════════════════════════════════════
@@ -147,6 +418,15 @@ export const ACTION_SCHEMA: ActionSchema = {
     payload: {},
   },
 
+  'user.set_role': {
+    description: "Assign a user's role (technician, lead, manager or admin)",
+    payload: {
+      userName: { type: 'string', required: true },
+      role: { type: 'enum', values: ['technician', 'lead', 'manager', 'admin'] as const, required: true },
+    },
+    examples: [{ userName: 'Maria', role: 'lead' }],
+  },
+
   // ═══════════════════════════════════════════════════════════
   // UI ACTIONS
   // ═══════════════════════════════════════════════════════════
@@ -158,6 +438,13 @@ export const ACTION_SCHEMA: ActionSchema = {
     },
   },
 
+  'ui.set_practice': {
+    description: 'Filter the board to one practice\'s cases',
+    payload: {
+      practice: { type: 'string', description: 'Practice name, or omit for all practices' },
+    },
+  },
+
   'ui.set_theme': {
     description: 'Change the application color theme',
     payload: {
@@ -187,7 +474,7 @@ export const ACTION_SCHEMA: ActionSchema = {
   'ui.navigate': {
     description: 'Navigate to a different view',
     payload: {
-      view: { type: 'enum', values: ['board', 'manage', 'history', 'archive'] as const, required: true },
+      view: { type: 'enum', values: ['board', 'manage', 'history', 'archive', 'audit'] as const, required: true },
     },
   },
 
@@ -207,6 +494,8 @@ export const ACTION_SCHEMA: ActionSchema = {
     description: 'Search for cases matching criteria',
     payload: {
       caseNumber: { type: 'string', description: 'Partial case number to search' },
+      text: { type: 'string', description: 'Partial case number, practice, doctor, patient, restoration, shade or material' },
+      practice: { type: 'string', description: 'Only cases for this practice (full name, any case)' },
       department: { type: 'string' },
       status: { type: 'enum', values: ['active', 'completed', 'archived', 'overdue', 'on_hold'] as const },
     },
@@ -262,6 +551,116 @@ export const ACTION_SCHEMA: ActionSchema = {
     returns: 'User[]',
   },
 
+  'query.get_action_log': {
+    description: 'Get audit log entries (every dispatched action), newest first',
+    payload: {
+      userName: { type: 'string', description: 'Only actions by this user' },
+      actionType: { type: 'string', description: 'Exact action type or prefix like "case.*"' },
+      from: { type: 'date', description: 'Inclusive start day (YYYY-MM-DD)' },
+      to: { type: 'date', description: 'Inclusive end day (YYYY-MM-DD)' },
+      limit: { type: 'number', default: 500 },
+    },
+    examples: [{ actionType: 'case.*', from: '2025-12-01', to: '2025-12-31' }],
+    returns: 'ActionLogEntry[]',
+  },
+
+  'query.list_practices': {
+    description: 'Get the client directory: practices with contact, doctors, default department and turnaround rules',
+    payload: {},
+    returns: 'Practice[]',
+  },
+
+  'query.get_calendar': {
+    description: 'Get the lab calendar: timezone, weekly hours and breaks, holidays/closures and department overrides',
+    payload: {},
+    returns: 'LabCalendar',
+  },
+
+  'query.list_notes': {
+    description: 'Get a case\'s notes and replies (oldest first) with author, mentions, pin and edit history',
+    payload: {
+      caseId: { type: 'uuid', required: true },
+    },
+    returns: 'CaseNote[]',
+  },
+
+  'query.list_attachments': {
+    description: 'Get a case\'s attachments (oldest first): file name, kind, content type, size and uploader',
+    payload: {
+      caseId: { type: 'uuid', required: true },
+    },
+    returns: 'Attachment[]',
+  },
+
+  'query.get_attachment_url': {
+    description: 'Get a URL to view or download an attachment (signed URLs expire after an hour)',
+    payload: {
+      id: { type: 'uuid', required: true },
+    },
+    returns: '{ url: string }',
+  },
+
+  'query.list_links': {
+    description: 'Get case links (remake_of, split_from, depends_on), oldest first; with caseId, only links to or from that case',
+    payload: {
+      caseId: { type: 'uuid' },
+    },
+    returns: 'CaseLink[]',
+  },
+
+  'query.remake_rates': {
+    description: 'Get the remake rate per department: remakes among the cases created in the period (archived included)',
+    payload: {
+      from: { type: 'date', description: 'First creation day (YYYY-MM-DD)' },
+      to: { type: 'date', description: 'Last creation day (YYYY-MM-DD)' },
+    },
+    returns: '{ department, cases, remakes, rate }[]',
+  },
+
+  'query.stage_statistics': {
+    description: 'Get working time per Digital case in a stage (holds excluded) with excluded cases, outliers and per-type medians',
+    payload: {
+      stage: { type: 'enum', values: ['design', 'production', 'finishing'] as const, required: true },
+    },
+    returns: 'StageStatistics',
+  },
+
+  'query.department_efficiency': {
+    description: 'Get the efficiency score (0-100) of a department or Digital stage: on-time delivery, buffer compliance and velocity per case type',
+    payload: {
+      department: { type: 'enum', values: ['Digital', 'Metal', 'C&B'] as const, required: true },
+      stage: { type: 'enum', values: ['design', 'production', 'finishing'] as const, description: 'Digital only; omit for the whole department' },
+      previous: { type: 'object', description: 'carryOver from the last result, to smooth targets and score' },
+    },
+    examples: [{ department: 'Digital', stage: 'design' }, { department: 'Metal' }],
+    returns: 'DepartmentEfficiency',
+  },
+
+  'query.efficiency_scores': {
+    description: 'Get the efficiency score of each header view of a department (overview, and each stage for Digital)',
+    payload: {
+      department: { type: 'enum', values: ['Digital', 'Metal', 'C&B'] as const, required: true },
+      previous: { type: 'object', description: 'carryOver per view from the last result' },
+    },
+    returns: '{ [view]: { score, sampleSize, carryOver } }',
+  },
+
+  'query.case_risk': {
+    description: 'Predict whether each active case will be done by the end of its due day: predicted finish, risk level (low, medium, high, critical), confidence and a recommendation, riskiest first',
+    payload: {
+      department: { type: 'enum', values: ['Digital', 'Metal', 'C&B'] as const, description: 'Omit for every department' },
+    },
+    returns: 'CaseRiskReport',
+  },
+
+  'query.forecast_case': {
+    description: 'Simulate an active case\'s remaining stages from recent completions like it, at today\'s queue depth: chance of finishing by the end of its due day and P50 / P85 finish times',
+    payload: {
+      id: { type: 'uuid', required: true },
+    },
+    returns: 'CaseForecast',
+  },
+
   // ═══════════════════════════════════════════════════════════
   // DATA ACTIONS
   // ═══════════════════════════════════════════════════════════
@@ -272,6 +671,14 @@ export const ACTION_SCHEMA: ActionSchema = {
   },
 };
 
+/**
+ * Is this a known action type? Own keys only, so "toString" and the
+ * like (from a URL or a model reply) don't pass.
+ */
+export function isActionType(type: string): type is ActionType {
+  return Object.hasOwn(ACTION_SCHEMA, type);
+}
+
 /**
  * Generate a system prompt for the LLM describing available actions
  */
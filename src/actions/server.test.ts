@@ -0,0 +1,38 @@
+/**
+ * Server dispatcher: history written through the HTTP API is
+ * attributed to the API key's name
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import type { ActionDispatcher } from './dispatcher';
+import type { CaseRepository } from '@/types/repository';
+
+vi.stubEnv('NEXT_PUBLIC_DATA_BACKEND', 'local');
+
+let server: ActionDispatcher;
+let repository: CaseRepository;
+
+beforeEach(async () => {
+  vi.resetModules();
+  const { createServerDispatcher } = await import('./server');
+  const { getRepository } = await import('@/repositories');
+
+  server = createServerDispatcher('Scanner 2').server;
+  repository = getRepository();
+});
+
+describe('createServerDispatcher', () => {
+  it('records the key name on history rows', async () => {
+    const created = await server.dispatch({
+      type: 'case.create',
+      payload: { caseNumber: '8401', department: 'Metal', due: '2026-10-30' },
+    });
+    if (!created.success) throw new Error(created.error);
+    await server.dispatch({ type: 'case.toggle_rush', payload: { id: created.data.id } });
+    await server.dispatch({ type: 'case.update', payload: { id: created.data.id, due: '2026-11-02' } });
+
+    const history = (await repository.listHistory(created.data.id)).data ?? [];
+    expect(history.length).toBeGreaterThanOrEqual(3);
+    expect(new Set(history.map((h) => h.user_name))).toEqual(new Set(['Scanner 2']));
+  });
+});
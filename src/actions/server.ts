@@ -0,0 +1,91 @@
+/**
+ * Server Dispatcher
+ * Builds a per-request ActionDispatcher for the HTTP API with the
+ * same case/query handlers the browser registers. Rows are loaded
+ * from the database on demand and reloaded after every mutation,
+ * so toggles and inverses always see the current pre-image.
+ * Every action is recorded in the audit log; callers must await
+ * `flushAudit()` before responding.
+ */
+
+import type { ActionContext, ActionType } from '@/types/actions';
+import type { Case } from '@/types/case';
+import { ActionDispatcher } from './dispatcher';
+import { createAuditLogger } from './audit';
+import {
+  registerAttachmentHandlers,
+  registerCalendarHandlers,
+  registerCaseHandlers,
+  registerNoteHandlers,
+  registerPracticeHandlers,
+  registerQueryHandlers,
+} from './handlers';
+import { fetchCases, fetchCaseHistory } from '@/services/caseService';
+import { setUserRole } from '@/services/userService';
+import { configureServerRepository } from '@/repositories/server';
+import { configureServerStorage } from '@/storage/server';
+
+/**
+ * Create a dispatcher for one API request
+ * @param actor - name recorded as the current user (the API key name)
+ */
+export function createServerDispatcher(actor: string): { server: ActionDispatcher; flushAudit: () => Promise<void> } {
+  configureServerRepository();
+  configureServerStorage();
+
+  const server = new ActionDispatcher();
+  const audit = createAuditLogger({ client: 'api' });
+  let rows: Case[] = [];
+  let stale = true;
+
+  const context: ActionContext = {
+    getRowById: (id) => rows.find((r) => r.id === id),
+    getAllRows: () => rows,
+    getCurrentUser: () => actor,
+    getCaseHistory: async (caseId) => {
+      const { data, error } = await fetchCaseHistory(caseId);
+      if (error) throw error;
+      return data ?? [];
+    },
+  };
+  server.setContext(context);
+
+  // Load rows before the first action and after every mutation
+  server.use(async () => {
+    if (!stale) return;
+    const result = await fetchCases();
+    if (result.error) return { blocked: true, reason: `Could not load cases: ${result.error.message}` };
+    rows = result.data ?? [];
+    stale = false;
+  });
+
+  server.subscribe((event) => {
+    if (event.success && event.type.startsWith('case.')) stale = true;
+  });
+  server.subscribe(audit.record);
+
+  registerCaseHandlers(server);
+  registerPracticeHandlers(server);
+  registerCalendarHandlers(server);
+  registerNoteHandlers(server);
+  registerAttachmentHandlers(server);
+  registerQueryHandlers(server);
+
+  // Clients can't write roles; the server does, as the service role
+  server.register('user.set_role', async ({ userName, role }) => {
+    const result = await setUserRole(userName, role);
+    if (result.error) throw result.error;
+  });
+
+  return { server, flushAudit: audit.flush };
+}
+
+/**
+ * Check whether an action can run outside the browser
+ * (ui.*, user.*, history.* and data.* act on React state, except
+ * user.set_role, which only the server may write)
+ */
+export function isServerAction(type: ActionType): boolean {
+  if (type === 'user.set_role') return true;
+  return ['case.', 'practice.', 'calendar.', 'note.', 'attachment.', 'query.'].some((prefix) => type.startsWith(prefix));
+}
@@ -0,0 +1,213 @@
+/**
+ * Payload Validation
+ * Enforces every ACTION_SCHEMA field descriptor (plus a few value
+ * checks descriptors can't express) and reports structured,
+ * field-level errors
+ */
+
+import type { ActionType, ActionFieldSchema, FieldError } from '@/types/actions';
+import type { CaseDetailsInput } from '@/types/case';
+import type { SavePracticeInput } from '@/types/practice';
+import type { SaveCalendarInput } from '@/types/calendar';
+import type { AddAttachmentInput } from '@/types/attachment';
+import type { CreateRemakeInput, LinkCasesInput } from '@/types/link';
+import { caseDetailErrors } from '@/lib/caseDetails';
+import { practiceErrors } from '@/lib/practices';
+import { calendarErrors } from '@/lib/calendar';
+import { noteErrors } from '@/lib/notes';
+import { attachmentErrors } from '@/lib/attachments';
+import { linkErrors } from '@/lib/links';
+import { carryOverErrors } from '@/lib/efficiency';
+import { ACTION_SCHEMA, isActionType } from './schema';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+export interface ValidationResult {
+  valid: boolean;
+  /** All field messages joined, for callers that only show one line */
+  error?: string;
+  fieldErrors: FieldError[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// FORMAT CHECKS
+// ═══════════════════════════════════════════════════════════
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check a "YYYY-MM-DD" string is a real calendar date (rejects 2025-02-30)
+ */
+export function isISODateString(value: string): boolean {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+  const [, y, m, d] = match.map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+}
+
+export function isUuid(value: string): boolean {
+  return UUID_PATTERN.test(value);
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ═══════════════════════════════════════════════════════════
+// FIELD VALIDATION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Validate a single present (non-null) value against its descriptor
+ */
+function checkValue(
+  field: string,
+  value: unknown,
+  type: ActionFieldSchema['type'],
+  values?: readonly string[]
+): FieldError | null {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string'
+        ? null
+        : { field, code: 'type', message: `${field} must be a string` };
+
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value)
+        ? null
+        : { field, code: 'type', message: `${field} must be a number` };
+
+    case 'boolean':
+      return typeof value === 'boolean'
+        ? null
+        : { field, code: 'type', message: `${field} must be true or false` };
+
+    case 'date':
+      if (typeof value !== 'string') {
+        return { field, code: 'type', message: `${field} must be a date string` };
+      }
+      return isISODateString(value)
+        ? null
+        : { field, code: 'format', message: `${field} must be a valid date in YYYY-MM-DD format` };
+
+    case 'uuid':
+      if (typeof value !== 'string') {
+        return { field, code: 'type', message: `${field} must be a string` };
+      }
+      return isUuid(value)
+        ? null
+        : { field, code: 'format', message: `${field} must be a valid UUID` };
+
+    case 'enum':
+      return typeof value === 'string' && (values ?? []).includes(value)
+        ? null
+        : { field, code: 'enum', message: `${field} must be one of: ${(values ?? []).join(', ')}` };
+
+    case 'object':
+      return isPlainObject(value)
+        ? null
+        : { field, code: 'type', message: `${field} must be an object` };
+
+    case 'array':
+      return Array.isArray(value)
+        ? null
+        : { field, code: 'type', message: `${field} must be an array` };
+  }
+}
+
+function validateField(field: string, config: ActionFieldSchema, value: unknown): FieldError[] {
+  // Absent: only a problem if required
+  if (value === undefined || value === null) {
+    return config.required
+      ? [{ field, code: 'required', message: `Missing required field: ${field}` }]
+      : [];
+  }
+
+  const error = checkValue(field, value, config.type, config.values);
+  if (error) return [error];
+
+  if (config.required && typeof value === 'string' && !value.trim()) {
+    return [{ field, code: 'required', message: `${field} cannot be empty` }];
+  }
+
+  if (config.type === 'array' && config.items) {
+    const itemType = config.items;
+    return (value as unknown[])
+      .map((item, i) => checkValue(`${field}[${i}]`, item, itemType))
+      .filter((e): e is FieldError => e !== null);
+  }
+
+  return [];
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALUE CHECKS
+// ═══════════════════════════════════════════════════════════
+
+/** Checks run once every field has the right type */
+const VALUE_CHECKS: Partial<Record<ActionType, (payload: Record<string, unknown>) => FieldError[]>> = {
+  'case.create': (payload) => caseDetailErrors(payload as CaseDetailsInput),
+  'case.update': (payload) => caseDetailErrors(payload as CaseDetailsInput),
+  'practice.save': (payload) => practiceErrors(payload as unknown as SavePracticeInput),
+  'calendar.save': (payload) => calendarErrors(payload as SaveCalendarInput),
+  'note.add': noteErrors,
+  'note.edit': noteErrors,
+  'case.link': (payload) => linkErrors(payload as unknown as LinkCasesInput),
+  'case.create_remake': (payload) => linkErrors(payload as unknown as CreateRemakeInput),
+  'attachment.add': (payload) => attachmentErrors(payload as unknown as AddAttachmentInput),
+  'query.department_efficiency': (payload) => carryOverErrors(payload.previous, false),
+  'query.efficiency_scores': (payload) => carryOverErrors(payload.previous, true),
+};
+
+// ═══════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Validate a payload against the schema for an action type.
+ * Checks required fields, types, enum membership, date/uuid formats,
+ * array element types, and rejects fields the schema does not declare.
+ */
+export function validateActionPayload(actionType: ActionType, payload: unknown): ValidationResult {
+  if (!isActionType(actionType)) {
+    const message = `Unknown action type: ${actionType}`;
+    return { valid: false, error: message, fieldErrors: [] };
+  }
+  const schema = ACTION_SCHEMA[actionType];
+
+  if (payload !== undefined && !isPlainObject(payload)) {
+    const message = 'Payload must be an object';
+    return { valid: false, error: message, fieldErrors: [] };
+  }
+
+  const data = (payload ?? {}) as Record<string, unknown>;
+  const fieldErrors: FieldError[] = [];
+
+  for (const [field, config] of Object.entries(schema.payload)) {
+    fieldErrors.push(...validateField(field, config, data[field]));
+  }
+
+  for (const field of Object.keys(data)) {
+    if (!(field in schema.payload) && data[field] !== undefined) {
+      fieldErrors.push({ field, code: 'unknown', message: `Unknown field: ${field}` });
+    }
+  }
+
+  if (fieldErrors.length === 0) {
+    fieldErrors.push(...(VALUE_CHECKS[actionType]?.(data) ?? []));
+  }
+
+  if (fieldErrors.length > 0) {
+    return {
+      valid: false,
+      error: fieldErrors.map((e) => e.message).join('; '),
+      fieldErrors,
+    };
+  }
+
+  return { valid: true, fieldErrors: [] };
+}
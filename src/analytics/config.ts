@@ -0,0 +1,50 @@
+/**
+ * Efficiency Config
+ * Tuning for the velocity engine and efficiency score, and the lab
+ * calendar times are measured against. Every analytics function takes
+ * the config as its last argument, defaulting to these values (ported
+ * from the legacy efficiencyCalculations CONFIG).
+ */
+
+import type { EfficiencyConfig } from '@/types/efficiency';
+import { DEFAULT_LAB_CALENDAR } from '@/lib/calendar';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+export const DEFAULT_EFFICIENCY_CONFIG: EfficiencyConfig = {
+  windowSize: 100,
+  targetPercentile: 75,
+  smoothingAlpha: 0.2,
+  activeWeight: 0.15,
+  hysteresisThreshold: 5,
+  loadFactorTable: [
+    { minActive: 0, maxActive: 0, factor: 0.9 },
+    { minActive: 1, maxActive: 5, factor: 1.0 },
+    { minActive: 6, maxActive: 10, factor: 1.05 },
+    { minActive: 11, maxActive: 15, factor: 1.15 },
+    { minActive: 16, maxActive: 20, factor: 1.3 },
+    { minActive: 21, maxActive: 30, factor: 1.5 },
+    { minActive: 31, maxActive: null, factor: 2.0 },
+  ],
+  defaultActiveCount: 10,
+  bufferRequirements: { design: 2, production: 1, finishing: 0 },
+  bufferPenaltyWeights: { design: 0.4, production: 0.3 },
+  minStageTime: { design: 10 * MINUTE, production: 45 * MINUTE, finishing: 10 * MINUTE },
+  maxStageTime: 30 * DAY,
+  maxVisits: 3,
+  minTypeCompletions: 10,
+  typeWeights: { general: 0.5, bbs: 0.3, flex: 0.2 },
+  onTimeWeight: 0.6,
+  forecastIterations: 1000,
+  forecastWindow: 300,
+  minForecastSamples: 5,
+  calendar: DEFAULT_LAB_CALENDAR,
+};
+
+/**
+ * The default config with some values replaced
+ */
+export function efficiencyConfig(overrides: Partial<EfficiencyConfig> = {}): EfficiencyConfig {
+  return { ...DEFAULT_EFFICIENCY_CONFIG, ...overrides };
+}
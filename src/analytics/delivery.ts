@@ -0,0 +1,268 @@
+/**
+ * On-Time Delivery
+ * Whether cases went out by the end of their due day, whether each
+ * Digital stage left the buffer it owes the next one, and a 0-100
+ * delivery score per case. In a stage view a late case only counts
+ * against the stage it was in when it fell due.
+ * Ported from the legacy efficiencyCalculations.
+ */
+
+import type { Case, CaseStage } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type { LabCalendar } from '@/types/calendar';
+import type {
+  BufferCheck,
+  CaseBenchmark,
+  CaseDelivery,
+  DeliveryAnalysis,
+  DeliverySummary,
+  EfficiencyConfig,
+  ScoredStage,
+} from '@/types/efficiency';
+import { isExcludedFromStats } from '@/services/caseService';
+import { DEFAULT_LAB_CALENDAR, endOfLabDay } from '@/lib/calendar';
+import { DEFAULT_EFFICIENCY_CONFIG } from './config';
+import { getStageAtTime } from './stageTime';
+import { lastCompletedAt } from './stageStatistics';
+import { mean } from './velocity';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/** Rush/priority share of the buffers when there's too little data to measure it */
+const DEFAULT_RUSH_REDUCTION = 0.6;
+
+/**
+ * Last moment a case can go out on time: the end of its due date in
+ * lab time
+ */
+export function endOfDueDay(caseItem: Pick<Case, 'due'>, calendar: LabCalendar = DEFAULT_LAB_CALENDAR): Date {
+  return endOfLabDay(caseItem.due.slice(0, 10), calendar);
+}
+
+function percentOf(count: number, total: number): number {
+  return total > 0 ? (count / total) * 100 : 0;
+}
+
+// ═══════════════════════════════════════════════════════════
+// BUFFERS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * How much of the standard buffers rush/priority cases get: their
+ * typical lead time over a standard case's (interquartile means),
+ * between 0.3 and 1
+ */
+export function rushReductionFactor(cases: Case[], calendar: LabCalendar = DEFAULT_LAB_CALENDAR): number {
+  const isUrgent = (c: Case) => c.priority || c.rush;
+  const leadDays = (c: Case) => (endOfDueDay(c, calendar).getTime() - new Date(c.created_at).getTime()) / DAY;
+
+  const standard = cases.filter((c) => !isUrgent(c)).map(leadDays).sort((a, b) => a - b);
+  const urgent = cases.filter(isUrgent).map(leadDays).sort((a, b) => a - b);
+  if (standard.length < 5 || urgent.length < 3) return DEFAULT_RUSH_REDUCTION;
+
+  const iqrMean = (days: number[]) =>
+    mean(days.slice(Math.floor(days.length * 0.25), Math.floor(days.length * 0.75) + 1));
+  return Math.max(0.3, Math.min(1, iqrMean(urgent) / iqrMean(standard)));
+}
+
+/**
+ * Buffer checks for the stages a case has left: design should hand
+ * over to production `bufferRequirements.design` days before the end
+ * of the due day, production to finishing `bufferRequirements.production`
+ * days before. Rush/priority cases owe the reduced buffers.
+ */
+export function checkBuffers(
+  caseItem: Case,
+  history: DbCaseHistory[],
+  reduction: number,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): CaseDelivery['buffers'] {
+  const due = endOfDueDay(caseItem, config.calendar).getTime();
+  const urgent = caseItem.priority || caseItem.rush;
+  const required = {
+    design: urgent ? Math.max(0.5, config.bufferRequirements.design * reduction) : config.bufferRequirements.design,
+    production: urgent
+      ? Math.max(0.25, config.bufferRequirements.production * reduction)
+      : config.bufferRequirements.production,
+  };
+
+  // Latest hand-over out of each stage
+  let toProduction: string | null = null;
+  let toFinishing: string | null = null;
+  for (const event of history) {
+    if (event.event_type !== 'stage_changed') continue;
+    if (event.stage_to === 'production' && event.stage_from !== 'finishing') {
+      if (!toProduction || event.created_at > toProduction) toProduction = event.created_at;
+    }
+    if (event.stage_to === 'finishing' && event.stage_from !== 'design') {
+      if (!toFinishing || event.created_at > toFinishing) toFinishing = event.created_at;
+    }
+  }
+
+  const check = (at: string, requiredDays: number): BufferCheck => {
+    const left = new Date(at).getTime();
+    return { met: left <= due - requiredDays * DAY, hoursBeforeDue: (due - left) / HOUR, requiredDays };
+  };
+
+  const buffers: CaseDelivery['buffers'] = {};
+  if (toProduction) buffers.design = check(toProduction, required.design);
+  if (toFinishing) buffers.production = check(toFinishing, required.production);
+  return buffers;
+}
+
+// ═══════════════════════════════════════════════════════════
+// PER CASE
+// ═══════════════════════════════════════════════════════════
+
+/** Score lost for going out late: 2 points an hour, at most 50 */
+function latenessPenalty(hoursLate: number): number {
+  return Math.min(50, hoursLate * 2);
+}
+
+/** Score lost for missing the velocity benchmark: 1 point per 5% over, at most 20 */
+function velocityPenalty(benchmark: CaseBenchmark): number {
+  return Math.min(20, Math.floor(((benchmark.actual / benchmark.benchmark) * 100 - 100) / 5));
+}
+
+function deliverCase(
+  caseItem: Case,
+  history: DbCaseHistory[],
+  stage: ScoredStage | null,
+  reduction: number,
+  benchmark: CaseBenchmark | null,
+  config: EfficiencyConfig
+): CaseDelivery {
+  const due = endOfDueDay(caseItem, config.calendar);
+  const completedAt = lastCompletedAt(caseItem, history);
+  const buffers = checkBuffers(caseItem, history, reduction, config);
+  const designMissed = buffers.design?.met === false;
+  const productionMissed = buffers.production?.met === false;
+
+  let hoursLate = completedAt ? Math.max(0, (new Date(completedAt).getTime() - due.getTime()) / HOUR) : 0;
+  const stageAtDue: CaseStage | null = completedAt ? getStageAtTime(caseItem, history, due, config.calendar) : null;
+  // In a stage view, lateness belongs to the stage the case was in at the due time
+  if (stage && hoursLate > 0 && stageAtDue !== stage) hoursLate = 0;
+  const late = hoursLate > 0;
+
+  let score = 100;
+  let penaltyUnits = 0;
+  if (stage === 'design' || stage === 'production') {
+    const missed = stage === 'design' ? designMissed : productionMissed;
+    if (missed) {
+      score -= stage === 'design' ? 15 : 10;
+      penaltyUnits += 0.5;
+    }
+    if (late) {
+      score -= latenessPenalty(hoursLate);
+      penaltyUnits += 0.5;
+    }
+  } else if (stage === 'finishing') {
+    if (late) {
+      score -= latenessPenalty(hoursLate);
+      penaltyUnits = 1;
+    }
+  } else if (completedAt) {
+    if (late) score -= latenessPenalty(hoursLate);
+    if (designMissed) score -= 15;
+    if (productionMissed) score -= 10;
+  }
+  if (benchmark?.status === 'missed') score -= velocityPenalty(benchmark);
+
+  return {
+    caseId: caseItem.id,
+    caseNumber: caseItem.caseNumber,
+    caseType: caseItem.caseType,
+    priority: caseItem.priority,
+    rush: caseItem.rush,
+    isCompleted: !!completedAt,
+    completedAt,
+    onTime: !late,
+    hoursLate,
+    stageAtDue,
+    buffers,
+    score: Math.max(0, Math.min(100, score)),
+    penaltyUnits,
+    velocity: benchmark,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// SUMMARY
+// ═══════════════════════════════════════════════════════════
+
+export function emptyDeliverySummary(): DeliverySummary {
+  return {
+    count: 0,
+    onTime: 0,
+    onTimeRate: 0,
+    effectiveRate: 0,
+    avgScore: 0,
+    bufferCompliance: { design: 100, production: 100, finishing: 100, current: 100 },
+    avgHoursLate: 0,
+    criticalViolations: 0,
+    rushPriorityCount: 0,
+    rushReductionFactor: DEFAULT_RUSH_REDUCTION,
+    priorityOnTimeRate: null,
+  };
+}
+
+function summarize(deliveries: CaseDelivery[], stage: ScoredStage | null, reduction: number): DeliverySummary {
+  const completed = deliveries.filter((d) => d.isCompleted);
+  const late = completed.filter((d) => !d.onTime);
+  const urgent = completed.filter((d) => d.priority || d.rush);
+
+  // Share of cases meeting a buffer; only the viewed stage's is measured
+  const compliance = (buffer: ScoredStage): number => {
+    if ((stage && stage !== buffer) || deliveries.length === 0) return 100;
+    const met = deliveries.filter((d) =>
+      buffer === 'finishing' ? !d.completedAt || d.hoursLate === 0 : d.buffers[buffer]?.met !== false
+    );
+    return percentOf(met.length, deliveries.length);
+  };
+  const bufferCompliance = {
+    design: compliance('design'),
+    production: compliance('production'),
+    finishing: compliance('finishing'),
+  };
+
+  const onTime = deliveries.filter((d) => d.onTime).length;
+  return {
+    count: deliveries.length,
+    onTime,
+    onTimeRate: percentOf(onTime, deliveries.length),
+    effectiveRate: percentOf(completed.filter((d) => d.score >= 70).length, completed.length),
+    avgScore: mean(deliveries.map((d) => d.score)),
+    bufferCompliance: { ...bufferCompliance, current: stage ? bufferCompliance[stage] : 100 },
+    avgHoursLate: mean(late.map((d) => d.hoursLate)),
+    criticalViolations: late.filter((d) => d.buffers.production?.met === false).length,
+    rushPriorityCount: deliveries.filter((d) => d.priority || d.rush).length,
+    rushReductionFactor: reduction,
+    priorityOnTimeRate: urgent.length > 0 ? percentOf(urgent.filter((d) => d.onTime).length, urgent.length) : null,
+  };
+}
+
+/**
+ * On-time delivery for a stage's cases (active ones included), or for
+ * the department's completed cases when `stage` is null
+ * @param benchmarks - velocity results per case; a missed benchmark costs score
+ */
+export function analyzeDelivery(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  stage: ScoredStage | null,
+  benchmarks: CaseBenchmark[] = [],
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): DeliveryAnalysis {
+  const included = cases.filter((c) => !isExcludedFromStats(c.modifiers ?? [], stage));
+  const reduction = rushReductionFactor(included, config.calendar);
+  const benchmarkOf = new Map(benchmarks.map((b) => [b.caseId, b]));
+
+  const deliveries = included
+    .filter((c) => stage || c.completed)
+    .map((c) =>
+      deliverCase(c, historyByCase.get(c.id) ?? [], stage, reduction, benchmarkOf.get(c.id) ?? null, config)
+    );
+
+  return { summary: summarize(deliveries, stage, reduction), cases: deliveries };
+}
@@ -0,0 +1,221 @@
+/**
+ * Department Efficiency
+ * One 0-100 score per department or Digital stage: on-time delivery
+ * and throughput velocity blended, then cut for missed buffers, long
+ * lateness and late cases that had missed production's buffer.
+ * Ported from the legacy efficiencyCalculations.
+ */
+
+import type { Case, CaseType } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type {
+  CaseBenchmark,
+  Confidence,
+  DeliverySummary,
+  DepartmentEfficiency,
+  EfficiencyCarryOver,
+  EfficiencyConfig,
+  EfficiencyScore,
+  EfficiencyView,
+  ScoredStage,
+  StatsDepartment,
+  TypeThroughput,
+} from '@/types/efficiency';
+import { CASE_TYPES } from '@/lib/constants';
+import { DEFAULT_EFFICIENCY_CONFIG } from './config';
+import { analyzeDelivery, emptyDeliverySummary } from './delivery';
+import { collectStageStatistics, stageCompletions } from './stageStatistics';
+import { applyHysteresis, calculateVelocityScore } from './velocity';
+
+/** Stages with their own score, in board order */
+export const SCORED_STAGES: readonly ScoredStage[] = ['design', 'production', 'finishing'];
+
+// ═══════════════════════════════════════════════════════════
+// SCORES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Velocity scores of the case types with enough completions, weighted
+ * by `typeWeights`; 0 when none has
+ */
+export function throughputScore(
+  byType: Partial<Record<CaseType, TypeThroughput>>,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): number {
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const caseType of CASE_TYPES) {
+    const type = byType[caseType];
+    if (!type?.counted) continue;
+    weighted += type.velocity.score * config.typeWeights[caseType];
+    totalWeight += config.typeWeights[caseType];
+  }
+  return totalWeight > 0 ? weighted / totalWeight : 0;
+}
+
+/**
+ * On-time rate and throughput blended (`onTimeWeight`), with buffer
+ * penalties for Design and Production; one decimal, 0-100
+ */
+export function combinedScore(
+  throughput: number,
+  delivery: DeliverySummary,
+  stage: ScoredStage | null,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): number {
+  if (delivery.count === 0) return Math.round(throughput * 10) / 10;
+
+  let score = delivery.onTimeRate * config.onTimeWeight + throughput * (1 - config.onTimeWeight);
+
+  const compliance = delivery.bufferCompliance.current;
+  if (stage && stage !== 'finishing' && compliance < 100) {
+    const weight = config.bufferPenaltyWeights[stage] ?? 0.2;
+    score *= 1 - ((100 - compliance) / 100) * weight;
+  }
+
+  if (delivery.avgHoursLate > 48) score *= 0.95;
+  if (delivery.priorityOnTimeRate !== null && delivery.priorityOnTimeRate > 90) score = Math.min(100, score * 1.02);
+  if (delivery.criticalViolations > delivery.count * 0.1) score *= 0.9;
+
+  return Math.round(Math.max(0, Math.min(100, score)) * 10) / 10;
+}
+
+export function confidence(sampleSize: number): Confidence {
+  if (sampleSize < 10) return 'Low';
+  if (sampleSize < 30) return 'Medium';
+  if (sampleSize < 100) return 'High';
+  return 'Very High';
+}
+
+// ═══════════════════════════════════════════════════════════
+// DEPARTMENT
+// ═══════════════════════════════════════════════════════════
+
+export interface EfficiencyInput {
+  department: StatsDepartment;
+  /** null for the whole department (time from creation to completion) */
+  stage: ScoredStage | null;
+  /** The department's cases, archived ones included */
+  cases: Case[];
+  /** History rows per case id (any order) */
+  historyByCase: Map<string, DbCaseHistory[]>;
+  /** Last run's score and targets, for smoothing */
+  previous?: EfficiencyCarryOver;
+  now?: Date;
+}
+
+function noData(department: StatsDepartment, stage: ScoredStage | null, message: string, now: Date): DepartmentEfficiency {
+  return {
+    department,
+    stage,
+    noData: true,
+    message,
+    score: 0,
+    throughput: { score: 0, byType: {} },
+    delivery: { summary: emptyDeliverySummary(), cases: [] },
+    sampleSize: 0,
+    confidence: 'Low',
+    activeCases: 0,
+    completedCases: 0,
+    carryOver: { score: 0, targets: {} },
+    calculatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Efficiency of a department, or of one Digital stage
+ */
+export function calculateDepartmentEfficiency(
+  input: EfficiencyInput,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): DepartmentEfficiency {
+  const { department, stage, cases, historyByCase, previous, now = new Date() } = input;
+
+  if (stage && department !== 'Digital') {
+    return noData(department, stage, 'Stage scores are only kept for Digital cases', now);
+  }
+
+  const stats = collectStageStatistics(cases, historyByCase, stage, config, now);
+  if (stats.noData) {
+    return noData(department, stage, stage ? `No usable ${stage} stage times yet` : 'No usable case times yet', now);
+  }
+
+  // Throughput: velocity per case type
+  const byType: Partial<Record<CaseType, TypeThroughput>> = {};
+  const benchmarks: CaseBenchmark[] = [];
+  const targets: EfficiencyCarryOver['targets'] = {};
+
+  for (const caseType of CASE_TYPES) {
+    const completions = stageCompletions(stats, caseType);
+    if (completions.length === 0) continue;
+
+    const active = stats.samples
+      .filter((s) => s.caseType === caseType && s.isActive)
+      .map((s) => ({ caseId: s.caseId, enteredAt: s.enteredAt }));
+    const velocity = calculateVelocityScore(
+      { completions, active, previousTarget: previous?.targets[caseType] ?? null, now },
+      config
+    );
+
+    byType[caseType] = { completions: completions.length, velocity, counted: completions.length >= config.minTypeCompletions };
+    benchmarks.push(...velocity.cases);
+    if (velocity.smoothedTarget !== null) targets[caseType] = velocity.smoothedTarget;
+  }
+  const throughput = throughputScore(byType, config);
+
+  const sampleIds = new Set(stats.samples.map((s) => s.caseId));
+  const delivery = analyzeDelivery(
+    cases.filter((c) => sampleIds.has(c.id)),
+    historyByCase,
+    stage,
+    benchmarks,
+    config
+  );
+
+  const { score } = applyHysteresis(
+    combinedScore(throughput, delivery.summary, stage, config),
+    previous?.score,
+    config.hysteresisThreshold
+  );
+  const activeCases = stats.samples.filter((s) => s.isActive).length;
+
+  return {
+    department,
+    stage,
+    noData: false,
+    score,
+    throughput: { score: throughput, byType },
+    delivery,
+    sampleSize: stats.samples.length,
+    confidence: confidence(stats.samples.length),
+    activeCases,
+    completedCases: stats.samples.length - activeCases,
+    carryOver: { score, targets },
+    calculatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Score for each of the department's header views: the overview and,
+ * for Digital, each stage
+ */
+export function calculateEfficiencyScores(
+  input: Omit<EfficiencyInput, 'stage' | 'previous'> & {
+    previous?: Partial<Record<EfficiencyView, EfficiencyCarryOver>>;
+  },
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): Partial<Record<EfficiencyView, EfficiencyScore>> {
+  const views: EfficiencyView[] = input.department === 'Digital' ? ['overview', ...SCORED_STAGES] : ['overview'];
+  const scores: Partial<Record<EfficiencyView, EfficiencyScore>> = {};
+
+  for (const view of views) {
+    const result = calculateDepartmentEfficiency(
+      { ...input, stage: view === 'overview' ? null : view, previous: input.previous?.[view] },
+      config
+    );
+    scores[view] = result.noData
+      ? { score: null, sampleSize: 0, carryOver: null }
+      : { score: result.score, sampleSize: result.sampleSize, carryOver: result.carryOver };
+  }
+  return scores;
+}
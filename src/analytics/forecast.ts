@@ -0,0 +1,296 @@
+/**
+ * Due-Date Forecast
+ * How likely each active case is to be done by the end of its due day.
+ * Rather than one benchmark per stage, the remaining path is simulated
+ * many times over, each stage's time drawn from recent completions of
+ * the same kind of case and scaled for how busy the stage is now
+ * against how busy it was then. The runs give a probability of finishing
+ * on time and P50 / P85 finish times.
+ */
+
+import type { Case, CaseStage } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type {
+  CaseForecast,
+  EfficiencyConfig,
+  EfficiencyView,
+  ForecastBasis,
+  ForecastSample,
+  ScoredStage,
+  StatsDepartment,
+} from '@/types/efficiency';
+import { DEFAULT_EFFICIENCY_CONFIG } from './config';
+import { endOfDueDay } from './delivery';
+import { SCORED_STAGES } from './efficiency';
+import {
+  DEFAULT_BENCHMARK,
+  activeLoad,
+  buildRiskBasis,
+  loadKey,
+  remainingViews,
+  riskStage,
+  statsDepartment,
+  workedSoFar,
+} from './risk';
+import { buildStageTimeline } from './stageTime';
+import { collectStageStatistics, lastCompletedAt } from './stageStatistics';
+import { concurrencyScale, percentile } from './velocity';
+import { addWorkingTime, calculateWorkingHours } from './workingTime';
+
+/** [start, end) in epoch ms */
+type Interval = [number, number];
+
+function isRush(caseItem: Pick<Case, 'rush' | 'priority'>): boolean {
+  return caseItem.rush || caseItem.priority;
+}
+
+// ═══════════════════════════════════════════════════════════
+// RANDOM
+// ═══════════════════════════════════════════════════════════
+
+/** FNV-1a hash of a string, as a 32-bit seed */
+function seedOf(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Mulberry32: small, fast and seeded, so the same case and basis give
+ * the same forecast on every render
+ */
+function seededRandom(seed: number): () => number {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// BASIS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * When each case was in each view: stage visits for Digital stages,
+ * creation to completion for the department overview
+ */
+function viewIntervals(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  withStages: boolean,
+  config: EfficiencyConfig,
+  now: Date
+): Partial<Record<EfficiencyView, Interval[]>> {
+  const intervals: Partial<Record<EfficiencyView, Interval[]>> = { overview: [] };
+  if (withStages) for (const stage of SCORED_STAGES) intervals[stage] = [];
+
+  for (const caseItem of cases) {
+    const history = historyByCase.get(caseItem.id) ?? [];
+    const end = lastCompletedAt(caseItem, history) ?? (caseItem.completed ? caseItem.updated_at : now.toISOString());
+    intervals.overview!.push([Date.parse(caseItem.created_at), Date.parse(end)]);
+    if (!withStages) continue;
+    for (const visit of buildStageTimeline(caseItem, history, now, config.calendar)) {
+      if (visit.stage === 'qc') continue;
+      intervals[visit.stage]!.push([Date.parse(visit.enteredAt), Date.parse(visit.exitedAt ?? now.toISOString())]);
+    }
+  }
+  return intervals;
+}
+
+/**
+ * The view's most recent completions, each with the number of cases in
+ * the view when it entered
+ */
+function viewSamples(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  stage: ScoredStage | null,
+  intervals: Interval[],
+  config: EfficiencyConfig,
+  now: Date
+): ForecastSample[] {
+  const byId = new Map(cases.map((c) => [c.id, c]));
+  const completed = collectStageStatistics(cases, historyByCase, stage, config, now)
+    .samples.filter((s) => !s.isActive)
+    .sort((a, b) => a.enteredAt.localeCompare(b.enteredAt))
+    .slice(-config.forecastWindow);
+
+  return completed.map((sample) => {
+    const at = Date.parse(sample.enteredAt);
+    const caseItem = byId.get(sample.caseId);
+    return {
+      duration: sample.timeInStage,
+      depth: Math.max(1, intervals.filter(([start, end]) => start <= at && at < end).length),
+      caseType: sample.caseType,
+      rush: caseItem ? isRush(caseItem) : false,
+    };
+  });
+}
+
+/**
+ * The risk basis plus each department's (and Digital stage's) recent
+ * completions for the forecast to draw from
+ * @param cases - archived cases included; they're the history durations come from
+ */
+export function buildForecastBasis(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date()
+): ForecastBasis {
+  const durations: ForecastBasis['durations'] = {};
+  const departments: StatsDepartment[] = ['Digital', 'Metal', 'C&B'];
+
+  for (const department of departments) {
+    const own = cases.filter((c) => statsDepartment(c) === department);
+    if (own.length === 0) continue;
+    const withStages = department === 'Digital';
+    const intervals = viewIntervals(own, historyByCase, withStages, config, now);
+    const views: Partial<Record<EfficiencyView, ForecastSample[]>> = {
+      overview: viewSamples(own, historyByCase, null, intervals.overview!, config, now),
+    };
+    if (withStages) {
+      for (const stage of SCORED_STAGES) {
+        views[stage] = viewSamples(own, historyByCase, stage, intervals[stage]!, config, now);
+      }
+    }
+    durations[department] = views;
+  }
+
+  return { ...buildRiskBasis(cases, historyByCase, config, now), durations };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PER CASE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Completions like this case: same type and rush, else same type, else
+ * any - whichever first has enough to draw from
+ */
+function samplePool(samples: ForecastSample[], caseItem: Case, config: EfficiencyConfig): ForecastSample[] {
+  const sameType = samples.filter((s) => s.caseType === caseItem.caseType);
+  const sameRush = sameType.filter((s) => s.rush === isRush(caseItem));
+  if (sameRush.length >= config.minForecastSamples) return sameRush;
+  if (sameType.length >= config.minForecastSamples) return sameType;
+  return samples;
+}
+
+/**
+ * Forecast for one active case
+ * @param load - active cases per department and stage (activeLoad)
+ */
+export function forecastCase(
+  caseItem: Case,
+  basis: ForecastBasis,
+  load: Map<string, number>,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date()
+): CaseForecast {
+  const department = statsDepartment(caseItem);
+  const stage = riskStage(caseItem);
+  const path = remainingViews(stage);
+  const timeInStage = workedSoFar(caseItem, stage, basis, config, now);
+  const depthIn = (view: EfficiencyView) => load.get(loadKey(department, view === 'overview' ? null : (view as CaseStage))) ?? 0;
+
+  // Each stage's durations scaled to today's load; the current stage
+  // only from completions that ran longer than it has so far, less that time
+  const samples: Partial<Record<EfficiencyView, number>> = {};
+  const draws = path.map((view, i) => {
+    const pool = samplePool(basis.durations[department]?.[view] ?? [], caseItem, config);
+    samples[view] = pool.length;
+    const current = Math.max(1, depthIn(view));
+    const scaled = pool.map((s) => s.duration * concurrencyScale(current, s.depth));
+    if (scaled.length === 0) return [i === 0 ? Math.max(0, DEFAULT_BENCHMARK - timeInStage) : DEFAULT_BENCHMARK];
+    if (i > 0) return scaled;
+    const rest = scaled.filter((d) => d > timeInStage).map((d) => d - timeInStage);
+    // Past every recorded completion: as long again as a fresh one
+    return rest.length > 0 ? rest : scaled;
+  });
+
+  const random = seededRandom(seedOf(`${caseItem.id}:${basis.calculatedAt}`));
+  const iterations = Math.max(1, config.forecastIterations);
+  const totals: number[] = [];
+  for (let run = 0; run < iterations; run++) {
+    let total = 0;
+    for (const options of draws) total += options[Math.floor(random() * options.length)];
+    totals.push(total);
+  }
+
+  const due = endOfDueDay(caseItem, config.calendar);
+  const available = due > now ? calculateWorkingHours(now, due, config.calendar, caseItem.department) : 0;
+  const onTime = due > now ? totals.filter((t) => t <= available).length : 0;
+  const p50Remaining = percentile(totals, 50);
+  const p85Remaining = percentile(totals, 85);
+  const finish = (remaining: number) =>
+    (addWorkingTime(now, remaining, config.calendar, caseItem.department) ?? new Date(now.getTime() + remaining)).toISOString();
+
+  return {
+    caseId: caseItem.id,
+    caseNumber: caseItem.caseNumber,
+    caseType: caseItem.caseType,
+    stage,
+    rush: isRush(caseItem),
+    onTimeProbability: onTime / iterations,
+    p50Finish: finish(p50Remaining),
+    p85Finish: finish(p85Remaining),
+    p50Remaining,
+    p85Remaining,
+    dueAt: due.toISOString(),
+    timeInStage,
+    queueDepth: path.length > 0 ? depthIn(path[0]) : 0,
+    samples,
+    iterations,
+    calculatedAt: now.toISOString(),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// ALL CASES
+// ═══════════════════════════════════════════════════════════
+
+/** A row's last forecast and what it was made from */
+export interface ForecastCacheEntry {
+  basis: ForecastBasis;
+  config: EfficiencyConfig;
+  now: number;
+  queues: string;
+  forecast: CaseForecast;
+}
+
+/**
+ * Forecasts for the active cases, by case id. With a cache, a case
+ * object that hasn't changed since the last call (same basis, config,
+ * time and queue) keeps its forecast, as predictCaseRisks does.
+ */
+export function forecastCases(
+  cases: Case[],
+  basis: ForecastBasis,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date(),
+  cache?: WeakMap<Case, ForecastCacheEntry>
+): Map<string, CaseForecast> {
+  const load = activeLoad(cases);
+  // Every stage still ahead feeds a forecast, so a change in any queue redoes them all
+  const queues = [...load].map(([key, n]) => `${key}=${n}`).sort().join(',');
+  const forecasts = new Map<string, CaseForecast>();
+
+  for (const caseItem of cases) {
+    if (caseItem.completed || caseItem.archived) continue;
+    const cached = cache?.get(caseItem);
+    if (cached && cached.basis === basis && cached.config === config && cached.now === now.getTime() && cached.queues === queues) {
+      forecasts.set(caseItem.id, cached.forecast);
+      continue;
+    }
+    const forecast = forecastCase(caseItem, basis, load, config, now);
+    cache?.set(caseItem, { basis, config, now: now.getTime(), queues, forecast });
+    forecasts.set(caseItem.id, forecast);
+  }
+  return forecasts;
+}
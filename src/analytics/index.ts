@@ -0,0 +1,50 @@
+/**
+ * Analytics Module
+ * Public exports for stage-time, working-time, velocity, efficiency,
+ * case-risk and due-date forecast calculations (pure functions;
+ * services load the data)
+ */
+
+export { calculateWorkingHours, addWorkingTime } from './workingTime';
+export {
+  buildStageTimeline,
+  getStageAtTime,
+  getHoldPeriods,
+  calculateStageTime,
+} from './stageTime';
+export type { StageVisit, HoldPeriod, StageTimeResult } from './stageTime';
+export { DEFAULT_EFFICIENCY_CONFIG, efficiencyConfig } from './config';
+export {
+  mean,
+  percentile,
+  smoothTarget,
+  applyHysteresis,
+  loadFactor,
+  concurrencyScale,
+  timeWeightedLoad,
+  activeLoadImpact,
+  calculateVelocityScore,
+} from './velocity';
+export { lastCompletedAt, caseTurnaround, collectStageStatistics, stageCompletions } from './stageStatistics';
+export { endOfDueDay, rushReductionFactor, checkBuffers, analyzeDelivery } from './delivery';
+export {
+  SCORED_STAGES,
+  throughputScore,
+  combinedScore,
+  confidence,
+  calculateDepartmentEfficiency,
+  calculateEfficiencyScores,
+} from './efficiency';
+export type { EfficiencyInput } from './efficiency';
+export {
+  buildRiskBasis,
+  activeLoad,
+  predictCaseRisk,
+  predictCaseRisks,
+  compareRisk,
+  summarizeRisk,
+  generateCaseRiskPredictions,
+} from './risk';
+export type { RiskCacheEntry } from './risk';
+export { buildForecastBasis, forecastCase, forecastCases } from './forecast';
+export type { ForecastCacheEntry } from './forecast';
@@ -0,0 +1,349 @@
+/**
+ * Case Risk
+ * Whether each active case will be done by the end of its due day: the
+ * velocity engine's target for its stage (and the stages after it),
+ * less the working time already spent, laid over the lab calendar.
+ * Cases are classed low / medium / high / critical with a confidence
+ * and a recommendation. Ported from the legacy caseRiskPredictions.
+ */
+
+import type { Case, CaseStage, CaseType } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type {
+  CaseRiskPrediction,
+  CaseRiskReport,
+  EfficiencyConfig,
+  EfficiencyView,
+  RiskBasis,
+  RiskBenchmark,
+  RiskConfidence,
+  RiskLevel,
+  RiskProgress,
+  RiskSummary,
+  RiskViewBenchmarks,
+  ScoredStage,
+  StatsDepartment,
+} from '@/types/efficiency';
+import { CASE_TYPES } from '@/lib/constants';
+import { DEFAULT_EFFICIENCY_CONFIG } from './config';
+import { endOfDueDay } from './delivery';
+import { SCORED_STAGES } from './efficiency';
+import { caseTurnaround, collectStageStatistics, stageCompletions } from './stageStatistics';
+import { calculateStageTime } from './stageTime';
+import { calculateVelocityScore, mean } from './velocity';
+import { addWorkingTime, calculateWorkingHours } from './workingTime';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Benchmark for a view without any usable samples */
+export const DEFAULT_BENCHMARK = DAY;
+
+const RISK_ORDER: Record<RiskLevel, number> = { critical: 0, high: 1, medium: 2, low: 3 };
+
+export function statsDepartment(caseItem: Pick<Case, 'department'>): StatsDepartment {
+  return caseItem.department === 'General' ? 'Digital' : caseItem.department;
+}
+
+/** The stage a case is measured in; null for whole-case figures */
+export function riskStage(caseItem: Case): CaseStage | null {
+  return caseItem.department === 'General' && caseItem.stage ? caseItem.stage : null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// BASIS
+// ═══════════════════════════════════════════════════════════
+
+function viewBenchmarks(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  stage: ScoredStage | null,
+  config: EfficiencyConfig,
+  now: Date
+): RiskViewBenchmarks {
+  const stats = collectStageStatistics(cases, historyByCase, stage, config, now);
+  const byType: Partial<Record<CaseType, RiskBenchmark>> = {};
+
+  for (const caseType of CASE_TYPES) {
+    const completions = stageCompletions(stats, caseType);
+    if (completions.length === 0) continue;
+    const active = stats.samples
+      .filter((s) => s.caseType === caseType && s.isActive)
+      .map((s) => ({ caseId: s.caseId, enteredAt: s.enteredAt }));
+    const velocity = calculateVelocityScore({ completions, active, now }, config);
+    byType[caseType] = {
+      target: velocity.adjustedTarget || stats.byType[caseType]?.median || stats.medianTime,
+      velocityScore: velocity.score,
+      avgHistoricalActive: velocity.metrics?.avgHistoricalActive ?? null,
+    };
+  }
+
+  return { byType, medianTime: stats.medianTime };
+}
+
+function caseProgress(caseItem: Case, history: DbCaseHistory[], config: EfficiencyConfig, now: Date): RiskProgress {
+  const stage = riskStage(caseItem);
+  const worked = stage
+    ? calculateStageTime(caseItem, stage, history, now, config.calendar).adjustedWorkingTime
+    : caseTurnaround(caseItem, history, now, config.calendar);
+  return { stage, worked, at: now.toISOString() };
+}
+
+/**
+ * Benchmarks for every department (and Digital stage) with the cases
+ * loaded, and the progress of each active case
+ * @param cases - archived cases included; they're the history benchmarks come from
+ */
+export function buildRiskBasis(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date()
+): RiskBasis {
+  const benchmarks: RiskBasis['benchmarks'] = {};
+  const departments: StatsDepartment[] = ['Digital', 'Metal', 'C&B'];
+
+  for (const department of departments) {
+    const own = cases.filter((c) => statsDepartment(c) === department);
+    if (own.length === 0) continue;
+    const views: Partial<Record<EfficiencyView, RiskViewBenchmarks>> = {
+      overview: viewBenchmarks(own, historyByCase, null, config, now),
+    };
+    if (department === 'Digital') {
+      for (const stage of SCORED_STAGES) views[stage] = viewBenchmarks(own, historyByCase, stage, config, now);
+    }
+    benchmarks[department] = views;
+  }
+
+  const progress: RiskBasis['progress'] = {};
+  for (const caseItem of cases) {
+    if (caseItem.completed || caseItem.archived) continue;
+    progress[caseItem.id] = caseProgress(caseItem, historyByCase.get(caseItem.id) ?? [], config, now);
+  }
+
+  return { benchmarks, progress, calculatedAt: now.toISOString() };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PER CASE
+// ═══════════════════════════════════════════════════════════
+
+/** The current stage and the ones still to come (none once in QC) */
+export function remainingViews(stage: CaseStage | null): EfficiencyView[] {
+  if (!stage) return ['overview'];
+  const index = SCORED_STAGES.indexOf(stage as ScoredStage);
+  return index === -1 ? [] : SCORED_STAGES.slice(index);
+}
+
+/** "Digital:design", "Metal:" - cases sharing a load */
+export function loadKey(department: StatsDepartment, stage: CaseStage | null): string {
+  return `${department}:${stage ?? ''}`;
+}
+
+function caseLoadKey(caseItem: Case): string {
+  return loadKey(statsDepartment(caseItem), riskStage(caseItem));
+}
+
+/**
+ * Active cases per department and stage
+ */
+export function activeLoad(cases: Case[]): Map<string, number> {
+  const load = new Map<string, number>();
+  for (const c of cases) {
+    if (c.completed || c.archived) continue;
+    const key = caseLoadKey(c);
+    load.set(key, (load.get(key) ?? 0) + 1);
+  }
+  return load;
+}
+
+/**
+ * Working time in the current stage now: the basis's figure plus the
+ * time since, or (when the case has moved on since) the time since its
+ * last update
+ */
+export function workedSoFar(caseItem: Case, stage: CaseStage | null, basis: RiskBasis, config: EfficiencyConfig, now: Date): number {
+  const progress = basis.progress[caseItem.id];
+  const department = caseItem.department;
+  if (progress && progress.stage === stage) {
+    return progress.worked + (caseItem.hold ? 0 : calculateWorkingHours(progress.at, now, config.calendar, department));
+  }
+  const enteredAt = stage ? caseItem.updated_at : caseItem.created_at;
+  return calculateWorkingHours(enteredAt, now, config.calendar, department);
+}
+
+function recommendation(riskLevel: RiskLevel, progressPercent: number, isRush: boolean): string {
+  if (riskLevel === 'critical') {
+    return progressPercent < 50
+      ? 'Immediate escalation required - case significantly behind schedule'
+      : 'Urgent attention needed - due within 24 hours';
+  }
+  if (riskLevel === 'high') {
+    return isRush ? 'Priority case at risk - consider resource reallocation' : 'Monitor closely - may require intervention';
+  }
+  if (riskLevel === 'medium') {
+    return progressPercent > 75 ? 'Nearly complete but timing is tight' : 'On track but limited buffer - avoid delays';
+  }
+  return 'On schedule - continue normal processing';
+}
+
+/**
+ * Prediction for one active case
+ * @param currentLoad - active cases in the same stage (or department)
+ */
+export function predictCaseRisk(
+  caseItem: Case,
+  basis: RiskBasis,
+  currentLoad: number,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date()
+): CaseRiskPrediction {
+  const views = basis.benchmarks[statsDepartment(caseItem)] ?? {};
+  const stage = riskStage(caseItem);
+  const path = remainingViews(stage);
+
+  const typeBenchmark = (view: EfficiencyView) => views[view]?.byType[caseItem.caseType];
+  const target = (view: EfficiencyView) => typeBenchmark(view)?.target || views[view]?.medianTime || DEFAULT_BENCHMARK;
+
+  const timeInStage = workedSoFar(caseItem, stage, basis, config, now);
+  const benchmark = path.length > 0 ? target(path[0]) : 0;
+  const expectedRemaining =
+    path.length > 0 ? Math.max(0, benchmark - timeInStage) + path.slice(1).reduce((sum, view) => sum + target(view), 0) : 0;
+  const progressPercent = benchmark > 0 ? Math.min(100, (timeInStage / benchmark) * 100) : 100;
+
+  const finish = addWorkingTime(now, expectedRemaining, config.calendar, caseItem.department) ?? new Date(now.getTime() + expectedRemaining);
+  const due = endOfDueDay(caseItem, config.calendar);
+  const willBeLate = finish > due;
+  const daysUntilDue = (due.getTime() - now.getTime()) / DAY;
+  const expectedDaysToComplete = (finish.getTime() - now.getTime()) / DAY;
+
+  // Confidence: how steadily the stage has been meeting its target, less when it's busier than usual
+  const stats = typeBenchmark(path[0] ?? 'overview');
+  let confidence: RiskConfidence = 'medium';
+  let confidenceScore = 50;
+  if (stats?.velocityScore) {
+    confidenceScore = stats.velocityScore;
+    if (stats.velocityScore >= 80) confidence = 'high';
+    else if (stats.velocityScore < 60) confidence = 'low';
+  }
+  const historicalLoad = stats?.avgHistoricalActive || currentLoad;
+  if (currentLoad > historicalLoad * 1.5) {
+    confidence = 'low';
+    confidenceScore *= 0.8;
+  }
+
+  let riskLevel: RiskLevel = 'low';
+  if (willBeLate) {
+    riskLevel = daysUntilDue < 1 ? 'critical' : daysUntilDue < 2 ? 'high' : 'medium';
+  } else if (daysUntilDue - expectedDaysToComplete < 0.5) {
+    // Not late, but cutting it close
+    riskLevel = 'medium';
+  }
+  const isRush = caseItem.rush || caseItem.priority;
+  if (isRush && riskLevel !== 'low') riskLevel = riskLevel === 'medium' ? 'high' : 'critical';
+
+  return {
+    caseId: caseItem.id,
+    caseNumber: caseItem.caseNumber,
+    caseType: caseItem.caseType,
+    stage,
+    timeInStage,
+    benchmark,
+    expectedRemaining,
+    progressPercent,
+    predictedFinish: finish.toISOString(),
+    dueAt: due.toISOString(),
+    willBeLate,
+    daysUntilDue,
+    expectedDaysToComplete,
+    daysLate: willBeLate ? expectedDaysToComplete - daysUntilDue : 0,
+    riskLevel,
+    confidence,
+    confidenceScore,
+    isRush,
+    currentLoad,
+    recommendation: recommendation(riskLevel, progressPercent, isRush),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// ALL CASES
+// ═══════════════════════════════════════════════════════════
+
+/** A row's last prediction and what it was made from */
+export interface RiskCacheEntry {
+  basis: RiskBasis;
+  config: EfficiencyConfig;
+  now: number;
+  load: number;
+  prediction: CaseRiskPrediction;
+}
+
+/**
+ * Predictions for the active cases, by case id. With a cache, a case
+ * object that hasn't changed since the last call (same basis, config,
+ * time and load) keeps its prediction, so only changed rows are redone.
+ */
+export function predictCaseRisks(
+  cases: Case[],
+  basis: RiskBasis,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date(),
+  cache?: WeakMap<Case, RiskCacheEntry>
+): Map<string, CaseRiskPrediction> {
+  const load = activeLoad(cases);
+  const predictions = new Map<string, CaseRiskPrediction>();
+
+  for (const caseItem of cases) {
+    if (caseItem.completed || caseItem.archived) continue;
+    const currentLoad = load.get(caseLoadKey(caseItem)) ?? 0;
+    const cached = cache?.get(caseItem);
+    if (
+      cached &&
+      cached.basis === basis &&
+      cached.config === config &&
+      cached.now === now.getTime() &&
+      cached.load === currentLoad
+    ) {
+      predictions.set(caseItem.id, cached.prediction);
+      continue;
+    }
+    const prediction = predictCaseRisk(caseItem, basis, currentLoad, config, now);
+    cache?.set(caseItem, { basis, config, now: now.getTime(), load: currentLoad, prediction });
+    predictions.set(caseItem.id, prediction);
+  }
+  return predictions;
+}
+
+/**
+ * Riskiest first, then soonest due
+ */
+export function compareRisk(a: CaseRiskPrediction, b: CaseRiskPrediction): number {
+  if (a.riskLevel !== b.riskLevel) return RISK_ORDER[a.riskLevel] - RISK_ORDER[b.riskLevel];
+  return a.daysUntilDue - b.daysUntilDue;
+}
+
+export function summarizeRisk(predictions: CaseRiskPrediction[]): RiskSummary {
+  const count = (level: RiskLevel) => predictions.filter((p) => p.riskLevel === level).length;
+  return {
+    onTrack: predictions.filter((p) => !p.willBeLate && p.riskLevel === 'low').length,
+    atRisk: count('medium'),
+    high: count('high'),
+    critical: count('critical'),
+    willBeLate: predictions.filter((p) => p.willBeLate).length,
+    averageConfidence: mean(predictions.map((p) => p.confidenceScore)),
+  };
+}
+
+/**
+ * Predictions for the active cases, riskiest first, with counts per
+ * risk level
+ */
+export function generateCaseRiskPredictions(
+  cases: Case[],
+  basis: RiskBasis,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date()
+): CaseRiskReport {
+  const predictions = [...predictCaseRisks(cases, basis, config, now).values()].sort(compareRisk);
+  return { predictions, summary: summarizeRisk(predictions), calculatedAt: now.toISOString() };
+}
@@ -0,0 +1,201 @@
+/**
+ * Stage Statistics
+ * The sample the velocity engine works from: each case's working time
+ * in a stage (or, for department figures, from creation to completion),
+ * with excluded cases, implausible times and outliers taken out.
+ */
+
+import type { Case, CaseType } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type { LabCalendar } from '@/types/calendar';
+import type {
+  EfficiencyConfig,
+  ExcludedSample,
+  ScoredStage,
+  StageCompletion,
+  StageSample,
+  StageStatistics,
+  TypeStageStats,
+} from '@/types/efficiency';
+import { CASE_TYPES } from '@/lib/constants';
+import { DEFAULT_LAB_CALENDAR } from '@/lib/calendar';
+import { isExcludedFromStats } from '@/services/caseService';
+import { DEFAULT_EFFICIENCY_CONFIG } from './config';
+import { calculateStageTime, getHoldPeriods } from './stageTime';
+import { calculateWorkingHours } from './workingTime';
+import { mean, percentile } from './velocity';
+
+const HOUR = 60 * 60 * 1000;
+
+function hours(ms: number): string {
+  return `${Math.round((ms / HOUR) * 10) / 10}h`;
+}
+
+/**
+ * When a completed case was (last) marked complete; null while active
+ */
+export function lastCompletedAt(caseItem: Case, history: DbCaseHistory[]): string | null {
+  if (!caseItem.completed) return null;
+  let at: string | null = null;
+  for (const event of history) {
+    if (event.event_type === 'completed' && (!at || event.created_at > at)) at = event.created_at;
+  }
+  return at;
+}
+
+/**
+ * Working time from creation to completion (or now), holds excluded
+ */
+export function caseTurnaround(
+  caseItem: Case,
+  history: DbCaseHistory[],
+  now: Date = new Date(),
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR
+): number {
+  const start = new Date(caseItem.created_at);
+  const end = new Date(lastCompletedAt(caseItem, history) ?? now);
+
+  let holdTime = 0;
+  for (const hold of getHoldPeriods(caseItem, history, now)) {
+    const overlapStart = Math.max(hold.start.getTime(), start.getTime());
+    const overlapEnd = Math.min(hold.end.getTime(), end.getTime());
+    if (overlapStart < overlapEnd) {
+      holdTime += calculateWorkingHours(new Date(overlapStart), new Date(overlapEnd), calendar, caseItem.department);
+    }
+  }
+
+  return calculateWorkingHours(start, end, calendar, caseItem.department) - holdTime;
+}
+
+// ═══════════════════════════════════════════════════════════
+// SAMPLES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * One case's sample, or why it's left out (null: never in the stage)
+ */
+function sampleCase(
+  caseItem: Case,
+  history: DbCaseHistory[],
+  stage: ScoredStage | null,
+  config: EfficiencyConfig,
+  now: Date
+): StageSample | ExcludedSample | null {
+  const excluded = (reason: string): ExcludedSample => ({ caseId: caseItem.id, caseNumber: caseItem.caseNumber, reason });
+  const modifiers = caseItem.modifiers ?? [];
+
+  if (isExcludedFromStats(modifiers, stage)) {
+    const reason = modifiers.find((m) => m.startsWith('stats-exclude-reason:'))?.slice('stats-exclude-reason:'.length);
+    return excluded(reason || 'Manually excluded');
+  }
+
+  let sample: StageSample;
+  if (stage) {
+    const time = calculateStageTime(caseItem, stage, history, now, config.calendar);
+    if (time.visitCount === 0) return null;
+    sample = {
+      caseId: caseItem.id,
+      caseNumber: caseItem.caseNumber,
+      caseType: caseItem.caseType,
+      timeInStage: time.adjustedWorkingTime,
+      visitCount: time.visitCount,
+      isActive: time.isActive,
+      enteredAt: time.visits[time.visits.length - 1].enteredAt,
+    };
+  } else {
+    sample = {
+      caseId: caseItem.id,
+      caseNumber: caseItem.caseNumber,
+      caseType: caseItem.caseType,
+      timeInStage: caseTurnaround(caseItem, history, now, config.calendar),
+      visitCount: 1,
+      isActive: !caseItem.completed,
+      enteredAt: caseItem.created_at,
+    };
+  }
+
+  // Too short to be real work, too long to be anything but a forgotten case
+  if (stage && sample.timeInStage < config.minStageTime[stage]) return excluded(`Time too short (${hours(sample.timeInStage)})`);
+  if (sample.timeInStage > config.maxStageTime) return excluded(`Time too long (${hours(sample.timeInStage)})`);
+  if (sample.visitCount > config.maxVisits) return excluded(`Too many visits (${sample.visitCount})`);
+  return sample;
+}
+
+/**
+ * Samples outside 1.5 IQR of the quartiles
+ */
+function outliers(samples: StageSample[]): Set<string> {
+  if (samples.length <= 3) return new Set();
+  const times = samples.map((s) => s.timeInStage).sort((a, b) => a - b);
+  const q1 = times[Math.floor(times.length * 0.25)];
+  const q3 = times[Math.floor(times.length * 0.75)];
+  const iqr = q3 - q1;
+  return new Set(
+    samples.filter((s) => s.timeInStage < q1 - 1.5 * iqr || s.timeInStage > q3 + 1.5 * iqr).map((s) => s.caseId)
+  );
+}
+
+function typeStats(times: number[]): TypeStageStats {
+  const sorted = [...times].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    mean: mean(sorted),
+    median: sorted[Math.floor(sorted.length / 2)],
+    p75: percentile(sorted, 75),
+  };
+}
+
+/**
+ * Statistics for a stage, or for whole cases when `stage` is null
+ * @param cases - the department's cases, archived ones included
+ * @param historyByCase - history rows per case id (any order)
+ */
+export function collectStageStatistics(
+  cases: Case[],
+  historyByCase: Map<string, DbCaseHistory[]>,
+  stage: ScoredStage | null,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG,
+  now: Date = new Date()
+): StageStatistics {
+  const candidates: StageSample[] = [];
+  const excluded: ExcludedSample[] = [];
+
+  for (const caseItem of cases) {
+    const result = sampleCase(caseItem, historyByCase.get(caseItem.id) ?? [], stage, config, now);
+    if (!result) continue;
+    if ('reason' in result) excluded.push(result);
+    else candidates.push(result);
+  }
+
+  const outlierIds = outliers(candidates);
+  const samples = candidates.filter((s) => !outlierIds.has(s.caseId));
+  const times = samples.map((s) => s.timeInStage);
+
+  const byType: StageStatistics['byType'] = {};
+  for (const caseType of CASE_TYPES) {
+    const completed = samples.filter((s) => s.caseType === caseType && !s.isActive);
+    if (completed.length > 0) byType[caseType] = typeStats(completed.map((s) => s.timeInStage));
+  }
+
+  return {
+    stage,
+    noData: samples.length === 0,
+    samples,
+    excluded,
+    outlierCount: outlierIds.size,
+    averageTime: mean(times),
+    medianTime: times.length ? [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)] : 0,
+    byType,
+  };
+}
+
+/**
+ * A case type's completed samples as velocity-engine input, in the
+ * order they entered the stage
+ */
+export function stageCompletions(stats: StageStatistics, caseType: CaseType): StageCompletion[] {
+  return stats.samples
+    .filter((s) => s.caseType === caseType && !s.isActive)
+    .sort((a, b) => a.enteredAt.localeCompare(b.enteredAt))
+    .map((s) => ({ caseId: s.caseId, caseNumber: s.caseNumber, timeInStage: s.timeInStage }));
+}
@@ -0,0 +1,242 @@
+/**
+ * Stage Time
+ * How long a Digital case spent in each stage, built from the structured
+ * case history events (stage_changed, completed, hold modifiers) rather
+ * than by matching history text. Working time follows the lab calendar.
+ */
+
+import type { CaseStage } from '@/types/case';
+import type { DbCase, DbCaseHistory } from '@/types/database';
+import type { LabCalendar } from '@/types/calendar';
+import { getStageFromModifiers } from '@/services/caseService';
+import { DEFAULT_LAB_CALENDAR } from '@/lib/calendar';
+import { calculateWorkingHours } from './workingTime';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+export interface StageVisit {
+  stage: CaseStage;
+  enteredAt: string;
+  /** null while the case is still in the stage */
+  exitedAt: string | null;
+}
+
+export interface HoldPeriod {
+  start: Date;
+  end: Date;
+}
+
+export interface StageTimeResult {
+  totalTime: number;
+  totalWorkingTime: number;
+  /** Total time minus time on hold */
+  adjustedTime: number;
+  adjustedWorkingTime: number;
+  visitCount: number;
+  isActive: boolean;
+  holdTime: number;
+  workingHoldTime: number;
+  visits: StageVisit[];
+  timeline: StageVisit[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+function chronological(history: DbCaseHistory[]): DbCaseHistory[] {
+  return [...history].sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+function tracksStages(caseItem: DbCase, calendar: LabCalendar): boolean {
+  return caseItem.department === 'General' && new Date(caseItem.created_at) >= new Date(calendar.stageSystemStart);
+}
+
+/**
+ * Stage the case started in: from its creation event, or Design for
+ * Digital cases created since the stage system went live
+ */
+function initialStage(caseItem: DbCase, events: DbCaseHistory[], calendar: LabCalendar): CaseStage | null {
+  const created = events.find((e) => e.event_type === 'created');
+  if (created?.stage_to) return created.stage_to as CaseStage;
+  return tracksStages(caseItem, calendar) ? 'design' : null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// TIMELINE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Every stage visit in order. A visit ends when the case moves stage
+ * or is marked done; reopening resumes the stage it was done in.
+ */
+export function buildStageTimeline(
+  caseItem: DbCase,
+  history: DbCaseHistory[],
+  now: Date = new Date(),
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR
+): StageVisit[] {
+  const events = chronological(history);
+  const timeline: StageVisit[] = [];
+
+  const start = initialStage(caseItem, events, calendar);
+  let current: StageVisit | null = start
+    ? { stage: start, enteredAt: caseItem.created_at, exitedAt: null }
+    : null;
+  let lastStage: CaseStage | null = start;
+
+  const close = (at: string) => {
+    if (!current) return;
+    current.exitedAt = at;
+    timeline.push(current);
+    current = null;
+  };
+
+  for (const event of events) {
+    switch (event.event_type) {
+      case 'stage_changed':
+        close(event.created_at);
+        if (event.stage_to) {
+          lastStage = event.stage_to as CaseStage;
+          current = { stage: lastStage, enteredAt: event.created_at, exitedAt: null };
+        }
+        break;
+
+      case 'completed':
+        close(event.created_at);
+        break;
+
+      case 'reopened':
+        if (!current && lastStage) {
+          current = { stage: lastStage, enteredAt: event.created_at, exitedAt: null };
+        }
+        break;
+    }
+  }
+
+  // Still open: keep it if the case really is there, otherwise the
+  // exit was never logged and the visit ends now
+  const open: StageVisit | null = current;
+  if (open) {
+    const actualStage = getStageFromModifiers(caseItem.modifiers ?? []) ?? 'design';
+    if (open.stage !== actualStage) {
+      open.exitedAt = now.toISOString();
+      timeline.push(open);
+    } else if (!caseItem.completed) {
+      timeline.push(open);
+    }
+  }
+
+  return timeline;
+}
+
+/**
+ * Stage a Digital case was in at a given time (null for cases
+ * outside the stage system)
+ */
+export function getStageAtTime(
+  caseItem: DbCase,
+  history: DbCaseHistory[],
+  time: Date | string,
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR
+): CaseStage | null {
+  if (!tracksStages(caseItem, calendar)) return null;
+
+  const events = chronological(history);
+  const target = new Date(time).getTime();
+  let stage = initialStage(caseItem, events, calendar) ?? 'design';
+
+  for (const event of events) {
+    if (new Date(event.created_at).getTime() > target) break;
+    if (event.event_type === 'completed') break;
+    if (event.event_type === 'stage_changed' && event.stage_to) {
+      stage = event.stage_to as CaseStage;
+    }
+  }
+
+  return stage;
+}
+
+/**
+ * Periods the case spent on hold
+ */
+export function getHoldPeriods(caseItem: DbCase, history: DbCaseHistory[], now: Date = new Date()): HoldPeriod[] {
+  const periods: HoldPeriod[] = [];
+  let holdStart: string | null = null;
+
+  for (const event of chronological(history)) {
+    if (event.field !== 'hold') continue;
+    if (event.event_type === 'modifier_added') {
+      holdStart ??= event.created_at;
+    } else if (event.event_type === 'modifier_removed' && holdStart) {
+      periods.push({ start: new Date(holdStart), end: new Date(event.created_at) });
+      holdStart = null;
+    }
+  }
+
+  if (holdStart && caseItem.modifiers?.includes('hold')) {
+    periods.push({ start: new Date(holdStart), end: now });
+  }
+
+  return periods;
+}
+
+// ═══════════════════════════════════════════════════════════
+// STAGE TIME
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Total, working and hold-adjusted time a case spent in one stage
+ * (summed over all visits)
+ */
+export function calculateStageTime(
+  caseItem: DbCase,
+  targetStage: CaseStage,
+  history: DbCaseHistory[],
+  now: Date = new Date(),
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR
+): StageTimeResult {
+  const timeline = buildStageTimeline(caseItem, history, now, calendar);
+  const visits = timeline.filter((visit) => visit.stage === targetStage);
+  const holds = getHoldPeriods(caseItem, history, now);
+
+  let totalTime = 0;
+  let totalWorkingTime = 0;
+  let holdTime = 0;
+  let workingHoldTime = 0;
+  let isActive = false;
+
+  for (const visit of visits) {
+    const start = new Date(visit.enteredAt);
+    const end = visit.exitedAt ? new Date(visit.exitedAt) : now;
+
+    totalTime += end.getTime() - start.getTime();
+    totalWorkingTime += calculateWorkingHours(start, end, calendar, caseItem.department);
+    if (!visit.exitedAt && !caseItem.completed) isActive = true;
+
+    // Hold time overlapping the visit
+    for (const hold of holds) {
+      if (hold.start < end && hold.end > start) {
+        const overlapStart = new Date(Math.max(hold.start.getTime(), start.getTime()));
+        const overlapEnd = new Date(Math.min(hold.end.getTime(), end.getTime()));
+        holdTime += overlapEnd.getTime() - overlapStart.getTime();
+        workingHoldTime += calculateWorkingHours(overlapStart, overlapEnd, calendar, caseItem.department);
+      }
+    }
+  }
+
+  return {
+    totalTime,
+    totalWorkingTime,
+    adjustedTime: totalTime - holdTime,
+    adjustedWorkingTime: totalWorkingTime - workingHoldTime,
+    visitCount: visits.length,
+    isActive,
+    holdTime,
+    workingHoldTime,
+    visits,
+    timeline,
+  };
+}
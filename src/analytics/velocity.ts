@@ -0,0 +1,225 @@
+/**
+ * Velocity Engine
+ * Scores how fast a stage is turning cases over. Recent completions
+ * give a percentile target (EWMA-smoothed against the previous run),
+ * scaled up for the current load; the score is how close completions
+ * came to it, blended with the pressure of the cases still active.
+ * Ported from the legacy efficiencyCalculations.
+ */
+
+import type {
+  ActiveStageCase,
+  CaseBenchmark,
+  EfficiencyConfig,
+  StageCompletion,
+  VelocityInput,
+  VelocityResult,
+} from '@/types/efficiency';
+import { DEFAULT_EFFICIENCY_CONFIG } from './config';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════
+// MATH
+// ═══════════════════════════════════════════════════════════
+
+export function mean(values: number[]): number {
+  return values.length === 0 ? 0 : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Nearest-rank percentile (rounded down), 0 for no values
+ */
+export function percentile(values: number[], p: number): number {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((p / 100) * (sorted.length - 1))];
+}
+
+/**
+ * Exponentially weighted moving average step
+ */
+export function smoothTarget(rawTarget: number, previousTarget: number | null | undefined, alpha: number): number {
+  return previousTarget == null ? rawTarget : alpha * rawTarget + (1 - alpha) * previousTarget;
+}
+
+/**
+ * Keep the previous score when the new one moved less than the
+ * threshold, so the header doesn't flicker between runs
+ */
+export function applyHysteresis(
+  rawScore: number,
+  previousScore: number | null | undefined,
+  threshold: number
+): { score: number; applied: boolean } {
+  if (previousScore != null && Math.abs(rawScore - previousScore) < threshold) {
+    return { score: previousScore, applied: true };
+  }
+  return { score: rawScore, applied: false };
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOAD
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * LOAD_FACTOR_TABLE row for the number of active cases
+ */
+export function loadFactor(currentActive: number, config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG): number | null {
+  const row = config.loadFactorTable.find(
+    (lf) => currentActive >= lf.minActive && (lf.maxActive === null || currentActive <= lf.maxActive)
+  );
+  return row ? row.factor : null;
+}
+
+/**
+ * Target multiplier for running busier (>1) or quieter (<1) than the
+ * completions did
+ */
+export function concurrencyScale(currentActive: number, avgHistoricalActive: number): number {
+  if (avgHistoricalActive === 0) return 1;
+  if (currentActive === 0) return 0.9;
+  const ratio = currentActive / avgHistoricalActive;
+  return 1 + 0.5 * Math.tanh((ratio - 1) * 0.5);
+}
+
+/**
+ * Average weight of the active cases: 1 when they just arrived,
+ * growing to 2 after a week in the stage
+ */
+export function timeWeightedLoad(active: ActiveStageCase[], now: Date = new Date()): number {
+  if (active.length === 0) return 0;
+  const weights = active.map((c) => {
+    const ageDays = (now.getTime() - new Date(c.enteredAt).getTime()) / DAY;
+    return Math.min(2, 1 + ageDays / 7);
+  });
+  return mean(weights);
+}
+
+/**
+ * 0-100 score for the cases still in the stage: lower the more of them
+ * there are and the longer they've been waiting
+ */
+export function activeLoadImpact(
+  active: ActiveStageCase[],
+  now: Date = new Date(),
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): number {
+  if (active.length === 0) return 100;
+  const impact = 100 / ((loadFactor(active.length, config) ?? 1.5) * timeWeightedLoad(active, now));
+  return Math.max(0, Math.min(100, impact));
+}
+
+// ═══════════════════════════════════════════════════════════
+// SCORE
+// ═══════════════════════════════════════════════════════════
+
+function benchmark(completion: StageCompletion, target: number): CaseBenchmark {
+  const actual = completion.timeInStage;
+  const ratio = target / actual;
+  return {
+    caseId: completion.caseId,
+    caseNumber: completion.caseNumber,
+    benchmark: target,
+    actual,
+    percentDiff: Math.round((actual / target - 1) * 1000) / 10,
+    status: ratio < 1 ? 'missed' : ratio > 1 ? 'exceeded' : 'met',
+  };
+}
+
+/**
+ * Velocity score for a stage (or one case type in it)
+ * @param input.completions - oldest first; only the last `windowSize` are used
+ */
+export function calculateVelocityScore(
+  input: VelocityInput,
+  config: EfficiencyConfig = DEFAULT_EFFICIENCY_CONFIG
+): VelocityResult {
+  const { active, previousTarget = null, previousScore = null, now = new Date() } = input;
+  const completions = input.completions.slice(-config.windowSize);
+  const currentActive = active.length;
+
+  if (completions.length === 0) {
+    return { score: 0, noData: true, smoothedTarget: null, adjustedTarget: null, cases: [], metrics: null };
+  }
+
+  const times = completions.map((c) => c.timeInStage);
+  const load = timeWeightedLoad(active, now);
+  const activeImpact = activeLoadImpact(active, now, config);
+
+  // A single completion is its own target
+  if (completions.length === 1) {
+    const target = times[0];
+    const rawScore = currentActive === 0 ? 100 : 90 + activeImpact / 10;
+    const { score, applied } = applyHysteresis(Math.round(rawScore), previousScore, config.hysteresisThreshold);
+    return {
+      score,
+      noData: false,
+      smoothedTarget: target,
+      adjustedTarget: target,
+      cases: [benchmark(completions[0], target)],
+      metrics: {
+        rawTarget: target,
+        smoothedTarget: target,
+        concurrencyScale: 1,
+        correlationFactor: 1,
+        avgHistoricalActive: currentActive,
+        currentActive,
+        timeWeightedLoad: load,
+        loadAdjustment: 1,
+        completedVelocity: 100,
+        activeImpact,
+        rawScore,
+        appliedHysteresis: applied,
+        sampleSize: 1,
+      },
+    };
+  }
+
+  // Target: percentile of recent times, smoothed, scaled for the load
+  const rawTarget = percentile(times, config.targetPercentile);
+  const smoothedTarget = smoothTarget(rawTarget, previousTarget, config.smoothingAlpha);
+
+  const avgHistoricalActive = mean(completions.map((c) => c.activeAtStart || config.defaultActiveCount));
+  // Too few completions to trust the assumed count: compare with now instead
+  const effectiveHistoricalAvg =
+    completions.length < 5 && avgHistoricalActive === config.defaultActiveCount
+      ? Math.max(1, currentActive)
+      : avgHistoricalActive;
+
+  const scale = concurrencyScale(currentActive, effectiveHistoricalAvg);
+  const loadAdjustment = load > 0 ? Math.sqrt(load) : 1;
+  const correlationFactor = loadFactor(currentActive, config) ?? 1;
+  const adjustedTarget = smoothedTarget * scale * correlationFactor * loadAdjustment;
+
+  // Completed velocity: average of target/actual, capped at 1 per case
+  let completedVelocity = Math.round(mean(times.map((t) => Math.min(1, adjustedTarget / t))) * 100);
+  if (completions.length <= 3) completedVelocity = Math.max(50, completedVelocity);
+
+  const activeWeight = completions.length <= 5 ? config.activeWeight * 0.5 : config.activeWeight;
+  const rawScore = completedVelocity * (1 - activeWeight) + activeImpact * activeWeight;
+  const { score, applied } = applyHysteresis(Math.round(rawScore), previousScore, config.hysteresisThreshold);
+
+  return {
+    score,
+    noData: false,
+    smoothedTarget,
+    adjustedTarget,
+    cases: completions.map((c) => benchmark(c, adjustedTarget)),
+    metrics: {
+      rawTarget,
+      smoothedTarget,
+      concurrencyScale: scale,
+      correlationFactor,
+      avgHistoricalActive: effectiveHistoricalAvg,
+      currentActive,
+      timeWeightedLoad: load,
+      loadAdjustment,
+      completedVelocity,
+      activeImpact,
+      rawScore,
+      appliedHysteresis: applied,
+      sampleSize: completions.length,
+    },
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * Working time: calculateWorkingHours against the legacy minute-by-minute
+ * count it replaced, across DST changes, half-hour zones and multi-year
+ * ranges, plus how much faster it is
+ */
+
+import { describe, expect, it } from 'vitest';
+import type { CalendarDepartment, LabCalendar, WorkingPeriod } from '@/types/calendar';
+import { DEFAULT_LAB_CALENDAR, timezoneOffset, workingPeriods } from '@/lib/calendar';
+import { calculateWorkingHours } from './workingTime';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const QUARTER_HOUR = 15 * MINUTE;
+
+/** The function as it was before shifts were counted a day at a time */
+function legacyWorkingHours(
+  startDate: Date | string,
+  endDate: Date | string,
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR,
+  department?: CalendarDepartment | null
+): number {
+  const offsets = new Map<number, number>();
+  const periodsByDate = new Map<string, WorkingPeriod[]>();
+
+  let totalWorkingMinutes = 0;
+  let current = new Date(startDate).getTime();
+  const end = new Date(endDate).getTime();
+
+  while (current < end) {
+    const quarter = Math.floor(current / QUARTER_HOUR);
+    let offset = offsets.get(quarter);
+    if (offset === undefined) {
+      offset = timezoneOffset(current, calendar.timezone);
+      offsets.set(quarter, offset);
+    }
+
+    const local = new Date(current + offset * MINUTE);
+    const date = local.toISOString().slice(0, 10);
+    let periods = periodsByDate.get(date);
+    if (!periods) {
+      periods = workingPeriods(calendar, date, department);
+      periodsByDate.set(date, periods);
+    }
+
+    const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+    if (periods.some((p) => minute >= p.start && minute < p.end)) {
+      totalWorkingMinutes += 1;
+    }
+
+    current += MINUTE;
+  }
+
+  return totalWorkingMinutes * MINUTE;
+}
+
+/** Mulberry32, so failures reproduce */
+function seededRandom(seed: number): () => number {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Every day open, with a night shift over the hours clocks skip or
+ * repeat, a lunch break, a short day and a closure; Metal keeps its
+ * own week
+ */
+function testCalendar(timezone: string): LabCalendar {
+  const day = {
+    shifts: [
+      { start: '00:00', end: '04:00' },
+      { start: '08:00', end: '17:00' },
+    ],
+    breaks: [{ start: '12:00', end: '12:30' }],
+  };
+  return {
+    ...DEFAULT_LAB_CALENDAR,
+    timezone,
+    week: Array.from({ length: 7 }, () => day),
+    closures: [
+      { from: '2026-03-09', to: '2026-03-09', label: 'Short day', kind: 'closure', shifts: [{ start: '01:00', end: '02:30' }] },
+      { from: '2026-10-05', to: '2026-10-06', label: 'Closed', kind: 'holiday' },
+    ],
+    departments: { Metal: { week: [day, day, day, day, day, day, { shifts: [], breaks: [] }] } },
+  };
+}
+
+const ZONES: { timezone: string; changes: string[] }[] = [
+  // Spring forward, fall back (2:00 local, an hour)
+  { timezone: 'America/Boise', changes: ['2026-03-08T09:00:00Z', '2026-11-01T08:00:00Z'] },
+  // Half-hour DST (2:00 local, back in April, forward in October)
+  { timezone: 'Australia/Lord_Howe', changes: ['2026-04-04T15:00:00Z', '2026-10-03T15:30:00Z'] },
+  // Changes at midnight
+  { timezone: 'America/Santiago', changes: ['2026-04-05T03:00:00Z', '2026-09-06T04:00:00Z'] },
+  { timezone: 'Asia/Kolkata', changes: ['2026-03-08T00:00:00Z'] },
+];
+
+const expectSame = (start: Date, end: Date, calendar: LabCalendar, department?: CalendarDepartment) =>
+  expect(calculateWorkingHours(start, end, calendar, department), `${start.toISOString()} → ${end.toISOString()}`).toBe(
+    legacyWorkingHours(start, end, calendar, department)
+  );
+
+describe('calculateWorkingHours matches the minute loop', () => {
+  for (const { timezone, changes } of ZONES) {
+    it(`around ${timezone} offset changes`, () => {
+      const calendar = testCalendar(timezone);
+      const random = seededRandom(changes.length * 7919 + timezone.length);
+
+      for (const change of changes) {
+        const at = Date.parse(change);
+        if (timezone !== 'Asia/Kolkata') {
+          expect(timezoneOffset(at - MINUTE, timezone)).not.toBe(timezoneOffset(at, timezone));
+        }
+        // Edges on, just before and just after the change
+        for (const delta of [-MINUTE, -1, 0, 1, 30 * MINUTE]) {
+          expectSame(new Date(at + delta - 3 * HOUR), new Date(at + delta + 3 * HOUR), calendar);
+          expectSame(new Date(at - DAY), new Date(at + delta), calendar);
+          expectSame(new Date(at + delta), new Date(at + DAY), calendar);
+        }
+        // Random ranges over it, starts off the minute included
+        for (let i = 0; i < 40; i++) {
+          const start = at - random() * 3 * DAY;
+          const end = at + random() * 3 * DAY;
+          expectSame(new Date(start), new Date(end), calendar, i % 2 ? 'Metal' : undefined);
+        }
+      }
+    });
+  }
+
+  it('with the default calendar', () => {
+    const random = seededRandom(1);
+    for (let i = 0; i < 50; i++) {
+      const start = Date.parse('2026-02-20T00:00:00Z') + random() * 300 * DAY;
+      expectSame(new Date(start), new Date(start + random() * 14 * DAY), DEFAULT_LAB_CALENDAR);
+    }
+  });
+
+  it('over multi-year ranges', () => {
+    for (const timezone of ['America/Boise', 'Australia/Lord_Howe']) {
+      const calendar = testCalendar(timezone);
+      expectSame(new Date('2025-11-20T13:17:42Z'), new Date('2027-01-04T06:45:10Z'), calendar);
+      expectSame(new Date('2025-11-20T13:17:42Z'), new Date('2027-01-04T06:45:10Z'), calendar, 'Metal');
+    }
+  }, 60_000);
+
+  it('for empty and reversed ranges', () => {
+    const at = new Date('2026-03-08T09:00:00Z');
+    expect(calculateWorkingHours(at, at)).toBe(0);
+    expect(calculateWorkingHours(new Date(at.getTime() + HOUR), at)).toBe(0);
+  });
+});
+
+describe('calculateWorkingHours speed', () => {
+  it('is far faster than the minute loop on two-month ranges', () => {
+    const calendar = testCalendar('America/Boise');
+    const random = seededRandom(2);
+    const ranges = Array.from({ length: 10 }, () => {
+      const start = Date.parse('2026-01-01T00:00:00Z') + random() * 300 * DAY;
+      return [new Date(start), new Date(start + 60 * DAY)] as const;
+    });
+
+    const time = (count: (start: Date, end: Date, calendar: LabCalendar) => number) => {
+      const began = performance.now();
+      for (const [start, end] of ranges) count(start, end, calendar);
+      return performance.now() - began;
+    };
+
+    const legacy = time(legacyWorkingHours);
+    const current = time(calculateWorkingHours);
+    expect(current * 20).toBeLessThan(legacy);
+  }, 60_000);
+});
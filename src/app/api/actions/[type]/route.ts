@@ -0,0 +1,32 @@
+/**
+ * Action Route
+ * POST /api/actions/:type
+ *
+ * Dispatches one action server-side. The JSON body is the payload;
+ * the response is the DispatchResult. Requires an API key allowed
+ * to dispatch the action type.
+ */
+
+import { NextResponse } from 'next/server';
+import type { Action } from '@/types/actions';
+import { createServerDispatcher } from '@/actions/server';
+import { authenticate, checkAction, jsonError, readJson, statusFor } from '../http';
+
+export async function POST(request: Request, { params }: { params: Promise<{ type: string }> }) {
+  const { type } = await params;
+
+  const auth = authenticate(request);
+  if ('response' in auth) return auth.response;
+
+  const denied = checkAction(auth.key, type);
+  if (denied) return jsonError(denied.error, denied.status);
+
+  const parsed = await readJson(request);
+  if ('response' in parsed) return parsed.response;
+
+  const { server, flushAudit } = createServerDispatcher(auth.key.name);
+  const result = await server.dispatch({ type, payload: parsed.body } as Action);
+  await flushAudit();
+
+  return NextResponse.json(result, { status: statusFor(result) });
+}
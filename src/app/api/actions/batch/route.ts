@@ -0,0 +1,45 @@
+/**
+ * Batch Action Route
+ * POST /api/actions/batch
+ *
+ * Body: { actions: [{ type, payload }], options?: { atomic, continueOnError } }
+ * Response: BatchResult. Every action type is checked against the
+ * API key before anything runs.
+ */
+
+import { NextResponse } from 'next/server';
+import type { Action, BatchOptions } from '@/types/actions';
+import { createServerDispatcher } from '@/actions/server';
+import { authenticate, checkAction, jsonError, readJson } from '../http';
+
+interface BatchBody {
+  actions?: unknown;
+  options?: BatchOptions;
+}
+
+export async function POST(request: Request) {
+  const auth = authenticate(request);
+  if ('response' in auth) return auth.response;
+
+  const parsed = await readJson(request);
+  if ('response' in parsed) return parsed.response;
+
+  const { actions, options } = parsed.body as BatchBody;
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return jsonError('Body must contain a non-empty "actions" array', 400);
+  }
+
+  for (const [index, action] of (actions as Partial<Action>[]).entries()) {
+    const denied = checkAction(auth.key, String(action?.type));
+    if (denied) return jsonError(`#${index}: ${denied.error}`, denied.status);
+  }
+
+  const { server, flushAudit } = createServerDispatcher(auth.key.name);
+  const result = await server.dispatchBatch(actions as Action[], {
+    atomic: options?.atomic === true,
+    continueOnError: options?.continueOnError === true,
+  });
+  await flushAudit();
+
+  return NextResponse.json(result, { status: result.success ? 200 : 422 });
+}
@@ -0,0 +1,65 @@
+/**
+ * Action API Helpers
+ * Authentication, body parsing and status mapping shared by
+ * the single-action and batch routes
+ */
+
+import { NextResponse } from 'next/server';
+import type { ActionType, DispatchResult } from '@/types/actions';
+import { isActionType } from '@/actions/schema';
+import { isServerAction } from '@/actions/server';
+import { extractApiKey, findApiKey, isActionAllowed, type ApiKey } from '@/lib/apiKeys';
+
+export function jsonError(error: string, status: number): NextResponse {
+  return NextResponse.json({ success: false, error }, { status });
+}
+
+/**
+ * Resolve the calling key, or the 401 response to send
+ */
+export function authenticate(request: Request): { key: ApiKey } | { response: NextResponse } {
+  const secret = extractApiKey(request);
+  if (!secret) {
+    return { response: jsonError('Missing API key (Authorization: Bearer <key> or X-API-Key)', 401) };
+  }
+  const key = findApiKey(secret);
+  return key ? { key } : { response: jsonError('Invalid API key', 401) };
+}
+
+/**
+ * Check an action type exists, runs server-side and is allowed for the key.
+ * Returns the error message and status, or null when it may run.
+ */
+export function checkAction(key: ApiKey, type: string): { error: string; status: number } | null {
+  if (!isActionType(type)) return { error: `Unknown action: ${type}`, status: 404 };
+  if (!isServerAction(type)) {
+    return { error: `${type} only runs in the browser`, status: 400 };
+  }
+  if (!isActionAllowed(key, type)) {
+    return { error: `API key "${key.name}" is not allowed to dispatch ${type}`, status: 403 };
+  }
+  return null;
+}
+
+/**
+ * Parse a JSON body; an empty body reads as `{}`
+ */
+export async function readJson(request: Request): Promise<{ body: unknown } | { response: NextResponse }> {
+  const text = await request.text();
+  if (!text.trim()) return { body: {} };
+  try {
+    return { body: JSON.parse(text) };
+  } catch {
+    return { response: jsonError('Request body is not valid JSON', 400) };
+  }
+}
+
+/**
+ * 200 on success, 400 for payload validation errors, 409 when a write
+ * lost a version race, 422 when the handler failed otherwise
+ */
+export function statusFor(result: DispatchResult<ActionType>): number {
+  if (result.success) return 200;
+  if (result.conflict) return 409;
+  return result.fieldErrors?.length ? 400 : 422;
+}
@@ -0,0 +1,35 @@
+/**
+ * Action Schema Route
+ * GET /api/actions/schema
+ *
+ * Serves ACTION_SCHEMA for model integrations:
+ *   ?format=tools        → tool/function-calling definitions
+ *   ?format=json-schema  → JSON Schema document
+ *   (default)            → both, plus the app version
+ */
+
+import { NextResponse } from 'next/server';
+import { generateActionJsonSchema, generateToolDefinitions } from '@/actions/jsonSchema';
+import { APP_VERSION } from '@/lib/constants';
+
+export function GET(request: Request) {
+  const format = new URL(request.url).searchParams.get('format');
+
+  switch (format) {
+    case 'tools':
+      return NextResponse.json(generateToolDefinitions());
+    case 'json-schema':
+      return NextResponse.json(generateActionJsonSchema());
+    case null:
+      return NextResponse.json({
+        version: APP_VERSION,
+        tools: generateToolDefinitions(),
+        jsonSchema: generateActionJsonSchema(),
+      });
+    default:
+      return NextResponse.json(
+        { error: `Unknown format: ${format}. Use "tools" or "json-schema".` },
+        { status: 400 }
+      );
+  }
+}
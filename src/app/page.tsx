@@ -6,21 +6,33 @@
  * 
  * ARCHITECTURE NOTE:
  * - Board view shows kanban-style columns
- * - Manage view shows editor + case table (matching original)
+ * - Manage view shows editor + case table (matching original),
+ *   plus the spreadsheet import/export panels for leads and up
+ *   and the client directory, plus the remake rate report and the
+ *   lab calendar
  */
 
 import { useState } from 'react';
 import { Header } from '@/components/common/Header';
 import { UserSetupModal } from '@/components/common/UserSetupModal';
+import { UndoToast } from '@/components/common/UndoToast';
 import { Board } from '@/components/board';
 import { CaseEditor } from '@/components/editor';
 import { CaseTable } from '@/components/editor/CaseTable';
+import { AuditLogView } from '@/components/audit';
+import { ImportPanel } from '@/components/import';
+import { ExportPanel } from '@/components/export';
+import { PracticeDirectory } from '@/components/practices';
+import { RemakeReport } from '@/components/links';
+import { CalendarSettings } from '@/components/calendar';
 import { useUI } from '@/contexts/UIContext';
 import { useData } from '@/contexts/DataContext';
+import { useUser } from '@/contexts/UserContext';
 
 export default function Home() {
   const { currentView, activeDepartment, editorOpen, editingCaseId, closeEditor } = useUI();
   const { rows, loading, error, getRowById } = useData();
+  const { can } = useUser();
 
   // Filter state for Manage view
   const [searchQuery, setSearchQuery] = useState('');
@@ -83,6 +95,13 @@ export default function Home() {
                     editCase={editingCase}
                     onClose={closeEditor}
                   />
+
+                  {/* Spreadsheet import / export */}
+                  {can('case.import') && <ImportPanel />}
+                  {can('case.export') && <ExportPanel />}
+                  {can('query.list_practices') && <PracticeDirectory />}
+                  {can('query.remake_rates') && <RemakeReport />}
+                  {can('query.get_calendar') && <CalendarSettings />}
                   
                   {/* Filters (matching original) */}
                   <div className="mx-auto my-6 grid max-w-2xl grid-cols-2 gap-4">
@@ -113,9 +132,14 @@ export default function Home() {
                 </div>
               </div>
             )}
+
+            {currentView === 'audit' && <AuditLogView />}
           </div>
         )}
       </main>
+
+      {/* Undo/redo toast + Ctrl+Z bindings */}
+      <UndoToast />
     </div>
   );
 }
@@ -0,0 +1,468 @@
+/**
+ * Grammar Parser
+ * Deterministic, offline command parser. Splits a sentence into
+ * clauses ("rush 1234 and move it to production"), matches each
+ * clause against a fixed rule list and resolves case numbers
+ * against the loaded rows.
+ */
+
+import type { Action, ActionType } from '@/types/actions';
+import type { Case, CaseStage, Department } from '@/types/case';
+import type { CommandContext, CommandParser, ParsedCommand } from '@/types/commands';
+import { STAGE_NAMES, DEPARTMENT_DISPLAY } from '@/types/case';
+import { parseCaseNumber, getCaseStage, getNextStage } from '@/lib/caseHelpers';
+import { toISODate, addDays } from '@/utils/dateUtils';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+interface Clause {
+  /** Normalized clause text */
+  text: string;
+  /** Case-number tokens mentioned in the clause */
+  refs: string[];
+  department?: Department;
+  /** Date mentioned in the clause, "YYYY-MM-DD" */
+  date?: string;
+}
+
+interface Rule {
+  pattern: RegExp;
+  /** 'cases' rules act on resolved case targets; 'global' rules do not */
+  scope: 'cases' | 'global';
+  /** Extra precondition beyond the pattern */
+  when?: (clause: Clause) => boolean;
+  build: (targets: Case[], clause: Clause, out: ParsedCommand) => void;
+}
+
+// ═══════════════════════════════════════════════════════════
+// VOCABULARY
+// ═══════════════════════════════════════════════════════════
+
+const DEPARTMENT_WORDS: [RegExp, Department][] = [
+  [/\b(?:digital|general)\b/, 'Digital'],
+  [/\bmetal\b/, 'Metal'],
+  [/\bc&b\b/, 'C&B'],
+];
+
+const STAGE_WORDS: Record<string, CaseStage> = {
+  design: 'design',
+  production: 'production',
+  finishing: 'finishing',
+  qc: 'qc',
+  'quality control': 'qc',
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DATE_PATTERN =
+  /\b(?:\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}|today|tomorrow|yesterday|(?:next\s+)?(?:sun|mon|tues?|wed(?:nes)?|thu(?:rs?)?|fri|sat(?:ur)?)(?:day)?)\b/;
+
+const CASE_REF_PATTERN = /#?\b([a-z]*\d{3,}[a-z0-9-]*)\b/g;
+
+const QUESTION = /^(?:what(?:'s| is| are)?|which|show(?: me)?|list|any|find)\b/;
+
+// ═══════════════════════════════════════════════════════════
+// CLAUSE PARSING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Lowercase and rewrite multi-word names that contain "and"
+ * so clause splitting does not cut them in half
+ */
+function normalize(input: string): string {
+  return input
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/\bcrown\s+(?:and|&)\s+bridge\b|\bc\s*(?:and|&|n)\s*b\b/g, 'c&b')
+    .replace(/[?!.]+$/, '')
+    .trim();
+}
+
+function splitClauses(text: string): string[] {
+  return text
+    .split(/\s*(?:,|;|\bthen\b|\band\b|&&)\s*/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve a date phrase relative to today
+ */
+function resolveDate(phrase: string, today: Date): string | null {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(phrase)) return phrase;
+
+  const slash = /^(\d{1,2})\/(\d{1,2})$/.exec(phrase);
+  if (slash) {
+    const date = new Date(today.getFullYear(), Number(slash[1]) - 1, Number(slash[2]));
+    return toISODate(date);
+  }
+
+  if (phrase === 'today') return toISODate(today);
+  if (phrase === 'tomorrow') return toISODate(addDays(today, 1));
+  if (phrase === 'yesterday') return toISODate(addDays(today, -1));
+
+  // Weekday: the next occurrence (today counts unless prefixed with "next")
+  const next = phrase.startsWith('next');
+  const day = WEEKDAYS.findIndex((d) => phrase.replace(/^next\s+/, '').startsWith(d));
+  if (day === -1) return null;
+  let offset = (day - today.getDay() + 7) % 7;
+  if (next && offset === 0) offset = 7;
+  return toISODate(addDays(today, offset));
+}
+
+function parseClause(text: string, today: Date): Clause {
+  const clause: Clause = { text, refs: [] };
+  let rest = text;
+
+  const dateMatch = DATE_PATTERN.exec(rest);
+  if (dateMatch) {
+    clause.date = resolveDate(dateMatch[0], today) ?? undefined;
+    rest = rest.replace(dateMatch[0], ' ');
+  }
+
+  // "stage 2" is a stage, not a case number
+  rest = rest.replace(/\bstage\s*\d\b/g, ' ');
+
+  for (const match of rest.matchAll(CASE_REF_PATTERN)) {
+    clause.refs.push(match[1]);
+  }
+
+  clause.department = DEPARTMENT_WORDS.find(([pattern]) => pattern.test(text))?.[1];
+  return clause;
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE RESOLUTION
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Find the single case a case-number token refers to: an exact case
+ * number first, else by its leading number ("1234" for "1234-2").
+ * Reused numbers prefer the active row, then any non-archived row.
+ */
+function resolveRef(ref: string, rows: Case[]): Case | string {
+  const exact = rows.filter((r) => r.caseNumber.trim().toLowerCase() === ref);
+  const matches = exact.length > 0 ? exact : rows.filter((r) => parseCaseNumber(r.caseNumber)[0].toLowerCase() === ref);
+  if (matches.length === 0) return `No case found for "${ref}"`;
+  if (matches.length === 1) return matches[0];
+
+  const active = matches.filter((r) => !r.completed && !r.archived);
+  if (active.length === 1) return active[0];
+
+  const current = matches.filter((r) => !r.archived);
+  if (current.length === 1) return current[0];
+
+  return `"${ref}" matches ${matches.length} cases - open the editor to pick one`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// RULES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Rule for a toggle action that should only fire when the flag differs
+ */
+function flagRule(
+  pattern: RegExp,
+  type: ActionType,
+  flag: (c: Case) => boolean,
+  want: boolean,
+  label: string
+): Rule {
+  return {
+    pattern,
+    scope: 'cases',
+    build(targets, _clause, out) {
+      for (const c of targets) {
+        if (flag(c) === want) {
+          out.notes.push(`${c.caseNumber} is already ${want ? label : `not ${label}`}`);
+        } else {
+          out.actions.push({ type, payload: { id: c.id } } as Action);
+        }
+      }
+    },
+  };
+}
+
+function moveToStage(c: Case, stage: CaseStage, out: ParsedCommand, isRepair = false): void {
+  if (c.department !== 'General') {
+    out.errors.push(`${c.caseNumber} is a ${DEPARTMENT_DISPLAY[c.department]} case - only Digital cases have stages`);
+  } else if (!isRepair && getCaseStage(c) === stage) {
+    out.notes.push(`${c.caseNumber} is already in ${STAGE_NAMES[stage]}`);
+  } else {
+    out.actions.push({
+      type: 'case.change_stage',
+      payload: { id: c.id, stage, ...(isRepair && { isRepair }) },
+    });
+  }
+}
+
+// First match wins, so specific phrasings come before general ones
+const RULES: Rule[] = [
+  // ─── History ─────────────────────────────────────────────
+  {
+    pattern: /^undo$/,
+    scope: 'global',
+    build: (_t, _c, out) => { out.actions.push({ type: 'history.undo', payload: {} }); },
+  },
+  {
+    pattern: /^redo$/,
+    scope: 'global',
+    build: (_t, _c, out) => { out.actions.push({ type: 'history.redo', payload: {} }); },
+  },
+
+  // ─── Create ──────────────────────────────────────────────
+  {
+    pattern: /^(?:new|create|add)\b/,
+    scope: 'global',
+    when: (clause) => clause.refs.length > 0,
+    build(_targets, clause, out) {
+      if (!clause.department) out.errors.push('Say which department: Digital, Metal or C&B');
+      if (!clause.date) out.errors.push('Say when it is due, e.g. "due friday"');
+      if (!clause.department || !clause.date) return;
+      out.actions.push({
+        type: 'case.create',
+        payload: {
+          caseNumber: clause.refs[0],
+          department: clause.department,
+          due: clause.date,
+          ...(/\brush\b/.test(clause.text) && { rush: true }),
+          ...(/\bpriority\b/.test(clause.text) && { priority: true }),
+        },
+      });
+    },
+  },
+
+  // ─── Queries ─────────────────────────────────────────────
+  {
+    pattern: /\b(?:overdue|late|past due)\b/,
+    scope: 'global',
+    when: (clause) => clause.refs.length === 0,
+    build(_targets, clause, out) {
+      out.actions.push({
+        type: 'query.get_overdue',
+        payload: clause.department ? { department: clause.department } : {},
+      });
+    },
+  },
+  {
+    pattern: /\b(?:on hold|held)\b/,
+    scope: 'global',
+    when: (clause) => clause.refs.length === 0 && QUESTION.test(clause.text),
+    build(_targets, clause, out) {
+      out.actions.push({
+        type: 'query.get_on_hold',
+        payload: clause.department ? { department: clause.department } : {},
+      });
+    },
+  },
+  {
+    pattern: /\bdue\b/,
+    scope: 'global',
+    when: (clause) => clause.refs.length === 0 && (QUESTION.test(clause.text) || /^due\b/.test(clause.text)),
+    build(_targets, clause, out) {
+      if (!clause.date) {
+        out.errors.push('Say which day, e.g. "due tomorrow"');
+        return;
+      }
+      out.actions.push({
+        type: 'query.get_cases_by_date',
+        payload: { date: clause.date, ...(clause.department && { department: clause.department }) },
+      });
+    },
+  },
+  {
+    pattern: /^(?:find|search(?: for)?|where(?:'s| is)|look ?up)\b/,
+    scope: 'global',
+    when: (clause) => clause.refs.length > 0,
+    build(_targets, clause, out) {
+      for (const ref of clause.refs) {
+        out.actions.push({ type: 'query.search_cases', payload: { caseNumber: ref } });
+      }
+    },
+  },
+
+  // ─── Editor ──────────────────────────────────────────────
+  {
+    pattern: /^(?:open|edit)\b/,
+    scope: 'cases',
+    when: (clause) => clause.refs.length > 0,
+    build(targets, _clause, out) {
+      out.actions.push({ type: 'ui.open_editor', payload: { id: targets[0].id } });
+    },
+  },
+
+  // ─── Due date ────────────────────────────────────────────
+  {
+    pattern: /\b(?:due|reschedule|push|move)\b/,
+    scope: 'cases',
+    when: (clause) => !!clause.date,
+    build(targets, clause, out) {
+      for (const c of targets) {
+        if (c.due.slice(0, 10) === clause.date) {
+          out.notes.push(`${c.caseNumber} is already due ${clause.date}`);
+        } else {
+          out.actions.push({ type: 'case.update', payload: { id: c.id, due: clause.date! } });
+        }
+      }
+    },
+  },
+
+  // ─── Stages ──────────────────────────────────────────────
+  flagRule(/\b(?:back to stage\s*1|stage\s*(?:1|one))\b/, 'case.toggle_stage2', (c) => c.stage2, false, 'in stage 2'),
+  flagRule(/\bstage\s*(?:2|two)\b/, 'case.toggle_stage2', (c) => c.stage2, true, 'in stage 2'),
+  {
+    pattern: /\brepairs?\b/,
+    scope: 'cases',
+    build(targets, _clause, out) {
+      for (const c of targets) moveToStage(c, 'finishing', out, true);
+    },
+  },
+  {
+    pattern: /\b(?:to|into|in)\s+(?:the\s+)?(design|production|finishing|qc|quality control)\b/,
+    scope: 'cases',
+    build(targets, clause, out) {
+      const word = /\b(design|production|finishing|qc|quality control)\b/.exec(clause.text)![1];
+      for (const c of targets) moveToStage(c, STAGE_WORDS[word], out);
+    },
+  },
+  {
+    pattern: /\b(?:advance|next stage|move (?:it |them )?(?:on|forward|along))\b/,
+    scope: 'cases',
+    build(targets, _clause, out) {
+      for (const c of targets) {
+        const next = getNextStage(getCaseStage(c));
+        if (next) moveToStage(c, next, out);
+        else out.notes.push(`${c.caseNumber} is already in ${STAGE_NAMES.qc}`);
+      }
+    },
+  },
+
+  // ─── Flags ───────────────────────────────────────────────
+  flagRule(/\b(?:un-?rush|remove (?:the )?rush|no rush|not (?:a )?rush)\b/, 'case.toggle_rush', (c) => c.rush, false, 'rush'),
+  flagRule(/\brush\b/, 'case.toggle_rush', (c) => c.rush, true, 'rush'),
+  flagRule(/\b(?:release|un-?hold|off hold|remove (?:the )?hold|resume)\b/, 'case.toggle_hold', (c) => c.hold, false, 'on hold'),
+  flagRule(/\b(?:hold|pause)\b/, 'case.toggle_hold', (c) => c.hold, true, 'on hold'),
+  flagRule(/\b(?:de-?prioriti[sz]e|unprioriti[sz]e|remove (?:the )?priority|no priority)\b/, 'case.toggle_priority', (c) => c.priority, false, 'priority'),
+  flagRule(/\b(?:priority|prioriti[sz]e|urgent)\b/, 'case.toggle_priority', (c) => c.priority, true, 'priority'),
+  flagRule(/\b(?:re-?open|uncomplete|not done|undo (?:done|complete))\b/, 'case.toggle_complete', (c) => c.completed, false, 'completed'),
+  flagRule(/\b(?:done|complete[d]?|finish(?:ed)?)\b/, 'case.toggle_complete', (c) => c.completed, true, 'completed'),
+
+  // ─── Lifecycle ───────────────────────────────────────────
+  {
+    pattern: /\b(?:unarchive|restore)\b/,
+    scope: 'cases',
+    build(targets, _clause, out) {
+      for (const c of targets) {
+        if (!c.archived) out.notes.push(`${c.caseNumber} is not archived`);
+        else out.actions.push({ type: 'case.restore', payload: { id: c.id } });
+      }
+    },
+  },
+  {
+    pattern: /\barchive\b/,
+    scope: 'cases',
+    build(targets, _clause, out) {
+      const ids = targets.filter((c) => !c.archived).map((c) => c.id);
+      if (ids.length > 0) out.actions.push({ type: 'case.archive', payload: { ids } });
+    },
+  },
+  {
+    pattern: /\b(?:delete|remove|trash)\b/,
+    scope: 'cases',
+    build(targets, _clause, out) {
+      for (const c of targets) out.actions.push({ type: 'case.delete', payload: { id: c.id } });
+    },
+  },
+
+  // ─── Navigation ──────────────────────────────────────────
+  {
+    pattern: /\b(board|manage|history|archive|audit)\b/,
+    scope: 'global',
+    when: (clause) => clause.refs.length === 0 && /^(?:go|open|show|view|switch)\b/.test(clause.text),
+    build(_targets, clause, out) {
+      const view = /\b(board|manage|history|archive|audit)\b/.exec(clause.text)![1] as 'board' | 'manage' | 'history' | 'archive' | 'audit';
+      out.actions.push({ type: 'ui.navigate', payload: { view } });
+    },
+  },
+  {
+    pattern: /^(?:(?:go|switch)(?: over)? to|show|view|open)?\s*(?:the\s+)?(?:digital|general|metal|c&b)(?:\s+(?:board|department|cases))?$/,
+    scope: 'global',
+    build(_targets, clause, out) {
+      out.actions.push({ type: 'ui.set_department', payload: { department: clause.department ?? null } });
+    },
+  },
+];
+
+function findRule(clause: Clause): Rule | undefined {
+  return RULES.find((rule) => rule.pattern.test(clause.text) && (!rule.when || rule.when(clause)));
+}
+
+// ═══════════════════════════════════════════════════════════
+// PARSER
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Parse a command into actions (synchronous core of the grammar parser)
+ */
+export function parseCommand(input: string, context: CommandContext): ParsedCommand {
+  const out: ParsedCommand = { actions: [], errors: [], notes: [] };
+  const clauses = splitClauses(normalize(input)).map((text) => parseClause(text, context.today));
+
+  let previousRule: Rule | undefined;
+  let previousTargets: Case[] = [];
+
+  clauses.forEach((clause, i) => {
+    // "archive 1234 and 5678" - a bare case number repeats the previous verb
+    const rule = findRule(clause) ?? (clause.refs.length > 0 ? previousRule : undefined);
+    if (!rule) {
+      out.errors.push(`Didn't understand "${clause.text}"`);
+      return;
+    }
+    previousRule = rule;
+
+    if (rule.scope === 'global') {
+      rule.build([], clause, out);
+      return;
+    }
+
+    // No case number: "it"/"them" means the previous clause's cases,
+    // otherwise borrow from a later clause ("rush and hold 1234")
+    let refs = clause.refs;
+    if (refs.length === 0 && previousTargets.length === 0) {
+      refs = clauses.slice(i + 1).find((c) => c.refs.length > 0)?.refs ?? [];
+    }
+
+    let targets = previousTargets;
+    if (refs.length > 0) {
+      targets = [];
+      for (const ref of refs) {
+        const resolved = resolveRef(ref, context.rows);
+        if (typeof resolved === 'string') out.errors.push(resolved);
+        else targets.push(resolved);
+      }
+    }
+
+    if (targets.length === 0) {
+      if (refs.length === 0) out.errors.push(`Which case? Add a case number to "${clause.text}"`);
+      return;
+    }
+
+    previousTargets = targets;
+    rule.build(targets, clause, out);
+  });
+
+  return out;
+}
+
+/**
+ * Create the offline grammar parser
+ */
+export function createGrammarParser(): CommandParser {
+  return {
+    name: 'grammar',
+    parse: async (input, context) => parseCommand(input, context),
+  };
+}
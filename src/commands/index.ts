@@ -0,0 +1,29 @@
+/**
+ * Commands Module
+ * Natural-language command bar parsers
+ */
+
+import type { CommandParser } from '@/types/commands';
+import { createGrammarParser } from './grammarParser';
+import { createModelParser } from './modelParser';
+
+export { createGrammarParser, parseCommand } from './grammarParser';
+export { createModelParser } from './modelParser';
+export type { ModelParserOptions } from './modelParser';
+
+/**
+ * Pick the command parser for this build.
+ * Offline grammar by default; set NEXT_PUBLIC_COMMAND_MODEL_URL to route
+ * commands through a local model (falling back to the grammar).
+ */
+export function createCommandParser(): CommandParser {
+  const grammar = createGrammarParser();
+  const endpoint = process.env.NEXT_PUBLIC_COMMAND_MODEL_URL;
+  if (!endpoint) return grammar;
+
+  return createModelParser({
+    endpoint,
+    model: process.env.NEXT_PUBLIC_COMMAND_MODEL,
+    fallback: grammar,
+  });
+}
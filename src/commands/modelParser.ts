@@ -0,0 +1,174 @@
+/**
+ * Model Parser
+ * Adapter for a local language model behind an OpenAI-compatible
+ * (or Ollama) chat endpoint. The model sees the generated action
+ * docs plus the loaded case index and answers with `{ actions }`;
+ * every returned action is validated against ACTION_SCHEMA before
+ * it reaches the preview.
+ */
+
+import type { Action } from '@/types/actions';
+import type { Case } from '@/types/case';
+import type { CommandContext, CommandParser, ParsedCommand } from '@/types/commands';
+import { generateLLMSystemPrompt, isActionType } from '@/actions/schema';
+import { validateActionPayload } from '@/actions/validate';
+import { DEPARTMENT_DISPLAY } from '@/types/case';
+import { toISODate } from '@/utils/dateUtils';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+export interface ModelParserOptions {
+  /** Chat endpoint, e.g. http://localhost:11434/v1/chat/completions */
+  endpoint: string;
+  model?: string;
+  /** Give up after this many milliseconds (default 15s) */
+  timeoutMs?: number;
+  /** Parser used when the model is unreachable or answers garbage */
+  fallback?: CommandParser;
+}
+
+/** Cap on cases listed in the prompt - keeps small local models in context */
+const MAX_PROMPT_CASES = 200;
+
+const DEFAULT_TIMEOUT = 15 * 1000;
+
+// ═══════════════════════════════════════════════════════════
+// PROMPT
+// ═══════════════════════════════════════════════════════════
+
+function describeCase(c: Case): string {
+  const flags = [
+    c.priority && 'priority',
+    c.rush && 'rush',
+    c.hold && 'hold',
+    c.stage2 && 'stage2',
+    c.stage,
+  ].filter(Boolean).join(',');
+  return `${c.id} | ${c.caseNumber} | ${DEPARTMENT_DISPLAY[c.department]} | ${c.due.slice(0, 10)} | ${flags}`;
+}
+
+function buildSystemPrompt(context: CommandContext): string {
+  const cases = context.rows
+    .filter((r) => !r.archived && !r.completed)
+    .slice(0, MAX_PROMPT_CASES)
+    .map(describeCase)
+    .join('\n');
+
+  return `${generateLLMSystemPrompt()}
+
+## Context
+Today is ${toISODate(context.today)}.
+Refer to cases by id. Active cases (id | case number | department | due | flags):
+${cases || '(none)'}
+
+Toggle actions flip a flag - only emit them when the flag must change.
+Respond with the JSON object only.`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// RESPONSE HANDLING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Pull the message text out of an OpenAI or Ollama chat response
+ */
+function extractContent(body: unknown): string {
+  const data = body as {
+    choices?: { message?: { content?: string } }[];
+    message?: { content?: string };
+  };
+  const content = data.choices?.[0]?.message?.content ?? data.message?.content;
+  if (typeof content !== 'string') throw new Error('Unexpected response shape');
+  return content;
+}
+
+/**
+ * Parse the model's `{ actions: [...] }` answer, tolerating prose
+ * or code fences around the JSON
+ */
+function toParsedCommand(content: string): ParsedCommand {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('Response contained no JSON');
+
+  const parsed = JSON.parse(content.slice(start, end + 1)) as { actions?: unknown };
+  if (!Array.isArray(parsed.actions)) throw new Error('Response has no actions array');
+
+  const out: ParsedCommand = { actions: [], errors: [], notes: [] };
+
+  for (const item of parsed.actions as { type?: unknown; payload?: unknown }[]) {
+    const type = item?.type;
+    if (typeof type !== 'string' || !isActionType(type)) {
+      out.errors.push(`Model proposed an unknown action: ${String(type)}`);
+      continue;
+    }
+    const payload = item.payload ?? {};
+    const validation = validateActionPayload(type, payload);
+    if (!validation.valid) {
+      out.errors.push(`${type}: ${validation.error}`);
+      continue;
+    }
+    out.actions.push({ type, payload } as Action);
+  }
+
+  if (out.actions.length === 0 && out.errors.length === 0) {
+    out.errors.push("The model didn't propose any actions");
+  }
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════
+// PARSER
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Create a parser backed by a local model endpoint
+ */
+export function createModelParser(options: ModelParserOptions): CommandParser {
+  const { endpoint, model, timeoutMs = DEFAULT_TIMEOUT, fallback } = options;
+
+  const ask = async (input: string, context: CommandContext): Promise<ParsedCommand> => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal,
+        body: JSON.stringify({
+          ...(model && { model }),
+          stream: false,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: buildSystemPrompt(context) },
+            { role: 'user', content: input },
+          ],
+        }),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return toParsedCommand(extractContent(await response.json()));
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    name: 'model',
+    async parse(input, context) {
+      try {
+        return await ask(input, context);
+      } catch (err) {
+        if (!fallback) {
+          const message = err instanceof Error ? err.message : String(err);
+          return { actions: [], errors: [`Model unavailable: ${message}`], notes: [] };
+        }
+        const result = await fallback.parse(input, context);
+        result.notes.unshift('Model unavailable - used the offline parser');
+        return result;
+      }
+    },
+  };
+}
@@ -0,0 +1,85 @@
+'use client';
+
+/**
+ * AttachmentViewer Component
+ * Full-size view of an attachment: photos as images, PDFs in the
+ * browser's viewer, scans as a download (the board has no 3D viewer).
+ * Escape or a click outside closes it.
+ */
+
+import { useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { formatFileSize } from '@/utils/fileUtils';
+import type { DbAttachment } from '@/types/database';
+import { useAttachmentUrl } from './useAttachments';
+
+interface AttachmentViewerProps {
+  attachment: DbAttachment;
+  onClose: () => void;
+}
+
+export function AttachmentViewer({ attachment, onClose }: AttachmentViewerProps) {
+  const { url, error } = useAttachmentUrl(attachment.id);
+
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Portalled: rows and the editor are transformed, which would trap a fixed overlay
+  return createPortal(
+    <div
+      className="fixed inset-0 z-[110] flex items-center justify-center bg-black/70 backdrop-blur-sm"
+      onMouseDown={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label={attachment.file_name}
+        className="flex max-h-[90vh] w-full max-w-4xl mx-4 flex-col rounded-2xl bg-white text-gray-800 shadow-2xl"
+        onMouseDown={(e) => e.stopPropagation()}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between gap-3 border-b border-gray-200 px-4 py-2">
+          <div className="min-w-0">
+            <div className="truncate font-semibold">{attachment.file_name}</div>
+            <div className="text-xs text-gray-500">
+              {formatFileSize(attachment.size)} · {attachment.uploaded_by} ·{' '}
+              {new Date(attachment.created_at).toLocaleString()}
+            </div>
+          </div>
+          <div className="flex flex-shrink-0 gap-2">
+            {url && (
+              <a href={url} download={attachment.file_name} className="secondary-button text-xs">
+                Download
+              </a>
+            )}
+            <button onClick={onClose} className="secondary-button text-xs">
+              Close
+            </button>
+          </div>
+        </div>
+
+        <div className="flex min-h-[16rem] flex-1 items-center justify-center overflow-auto p-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!error && !url && <p className="text-sm text-gray-500">Loading…</p>}
+          {url && attachment.kind === 'image' && (
+            // eslint-disable-next-line @next/next/no-img-element
+            <img src={url} alt={attachment.file_name} className="max-h-[75vh] max-w-full object-contain" />
+          )}
+          {url && attachment.kind === 'pdf' && (
+            <iframe src={url} title={attachment.file_name} className="h-[75vh] w-full rounded border border-gray-200" />
+          )}
+          {url && attachment.kind === 'scan' && (
+            <p className="text-sm text-gray-600">
+              3D scans can&apos;t be previewed here. Download the file to open it in your CAD software.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+}
@@ -0,0 +1,137 @@
+'use client';
+
+/**
+ * CaseAttachments Component
+ * A case's photos, Rx PDFs and scans as a thumbnail grid with an
+ * upload button; clicking one opens the viewer. Technicians upload,
+ * leads remove. Used by the CaseRow popover and the editor (the row
+ * also takes files dropped on it).
+ */
+
+import { useRef, useState } from 'react';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { useUser } from '@/contexts/UserContext';
+import { cn } from '@/lib/cn';
+import { ATTACHMENT_ACCEPT, attachmentLabel } from '@/lib/attachments';
+import { formatFileSize } from '@/utils/fileUtils';
+import type { DbAttachment } from '@/types/database';
+import { AttachmentViewer } from './AttachmentViewer';
+import { useAttachmentUpload, useAttachmentUrl, useCaseAttachments } from './useAttachments';
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+interface CaseAttachmentsProps {
+  caseId: string;
+  className?: string;
+}
+
+export function CaseAttachments({ caseId, className }: CaseAttachmentsProps) {
+  const { dispatch } = useDispatch();
+  const { can } = useUser();
+  const { attachments, loading } = useCaseAttachments(caseId);
+  const { upload, uploading, error: uploadError } = useAttachmentUpload(caseId);
+  const [viewing, setViewing] = useState<DbAttachment | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const handleRemove = async (attachment: DbAttachment) => {
+    if (!window.confirm(`Remove ${attachment.file_name}?`)) return;
+    const result = await dispatch('attachment.remove', { id: attachment.id });
+    setError(result.success ? null : result.error);
+    if (result.success && viewing?.id === attachment.id) setViewing(null);
+  };
+
+  return (
+    <div className={cn('space-y-2 text-sm text-gray-800', className)}>
+      {!loading && attachments.length === 0 && <p className="text-gray-500">No attachments yet.</p>}
+
+      {attachments.length > 0 && (
+        <ul className="grid grid-cols-3 gap-2">
+          {attachments.map((attachment) => (
+            <li key={attachment.id} className="group relative">
+              <button
+                type="button"
+                onClick={() => setViewing(attachment)}
+                className="block w-full overflow-hidden rounded-lg bg-white/60 ring-1 ring-gray-200 hover:ring-teal-400"
+                title={`${attachment.file_name} · ${formatFileSize(attachment.size)} · ${attachment.uploaded_by}`}
+              >
+                <AttachmentThumbnail attachment={attachment} />
+                <span className="block truncate px-1 py-0.5 text-[11px] text-gray-600">{attachment.file_name}</span>
+              </button>
+              {can('attachment.remove') && (
+                <button
+                  type="button"
+                  onClick={() => void handleRemove(attachment)}
+                  className="absolute right-1 top-1 hidden rounded-full bg-white/90 px-1.5 text-xs text-red-600 shadow group-hover:block"
+                  aria-label={`Remove ${attachment.file_name}`}
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {can('attachment.add') && (
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-xs text-gray-500">Photos, Rx PDFs, STL/PLY/OBJ/3MF/DCM scans</span>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            accept={ATTACHMENT_ACCEPT}
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files) void upload(e.target.files);
+              e.target.value = '';
+            }}
+          />
+          <button
+            type="button"
+            onClick={() => inputRef.current?.click()}
+            disabled={uploading > 0}
+            className="secondary-button text-xs"
+          >
+            {uploading > 0 ? `Uploading ${uploading}…` : 'Add files'}
+          </button>
+        </div>
+      )}
+
+      {(uploadError || error) && (
+        <p className="whitespace-pre-line text-xs text-red-600">{uploadError ?? error}</p>
+      )}
+
+      {viewing && <AttachmentViewer attachment={viewing} onClose={() => setViewing(null)} />}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// THUMBNAIL
+// ═══════════════════════════════════════════════════════════
+
+function AttachmentThumbnail({ attachment }: { attachment: DbAttachment }) {
+  const isImage = attachment.kind === 'image';
+  const { url } = useAttachmentUrl(isImage ? attachment.id : null);
+
+  if (isImage && url) {
+    // Signed or object URLs, so next/image can't optimize them
+    // eslint-disable-next-line @next/next/no-img-element
+    return <img src={url} alt={attachment.file_name} className="h-20 w-full object-cover" />;
+  }
+
+  return (
+    <span
+      className={cn(
+        'flex h-20 w-full items-center justify-center text-xs font-bold',
+        attachment.kind === 'pdf' ? 'bg-red-50 text-red-700' : 'bg-sky-50 text-sky-700',
+        isImage && 'animate-pulse bg-gray-100 text-gray-400'
+      )}
+    >
+      {attachmentLabel(attachment)}
+    </span>
+  );
+}
@@ -0,0 +1,9 @@
+/**
+ * Attachment Components
+ *
+ * Export all case attachment components from this barrel file.
+ */
+
+export { CaseAttachments } from './CaseAttachments';
+export { AttachmentViewer } from './AttachmentViewer';
+export { useCaseAttachments, useAttachmentUpload, useAttachmentUrl } from './useAttachments';
@@ -0,0 +1,110 @@
+'use client';
+
+/**
+ * Attachment Hooks
+ * A case's attachment list (reloaded whenever an attachment.* action
+ * succeeds, wherever it was dispatched), uploads from file inputs and
+ * drops, and display URLs.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch, useDispatchEvents } from '@/contexts/DispatchContext';
+import { readFileAsBase64 } from '@/utils/fileUtils';
+import type { DbAttachment } from '@/types/database';
+
+/**
+ * The case's attachments, oldest first
+ */
+export function useCaseAttachments(caseId: string): { attachments: DbAttachment[]; loading: boolean } {
+  const { dispatch } = useDispatch();
+  const [attachments, setAttachments] = useState<DbAttachment[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [version, setVersion] = useState(0);
+
+  useDispatchEvents((event) => {
+    if (event.success && event.type.startsWith('attachment.')) setVersion((v) => v + 1);
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    dispatch('query.list_attachments', { caseId }).then((result) => {
+      if (cancelled) return;
+      if (result.success) setAttachments(result.data);
+      setLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, caseId, version]);
+
+  return { attachments, loading };
+}
+
+/**
+ * Upload files to a case one at a time; errors name the file that
+ * failed, and the rest still upload
+ */
+export function useAttachmentUpload(caseId: string) {
+  const { dispatch } = useDispatch();
+  const [uploading, setUploading] = useState(0);
+  const [error, setError] = useState<string | null>(null);
+
+  const upload = useCallback(
+    async (files: FileList | File[]) => {
+      const list = Array.from(files);
+      if (list.length === 0) return;
+      setError(null);
+      setUploading(list.length);
+
+      const failures: string[] = [];
+      for (const file of list) {
+        const result = await dispatch('attachment.add', {
+          caseId,
+          fileName: file.name,
+          contentType: file.type,
+          data: await readFileAsBase64(file),
+        });
+        if (!result.success) failures.push(`${file.name}: ${result.error}`);
+        setUploading((n) => n - 1);
+      }
+      setError(failures.length > 0 ? failures.join('\n') : null);
+    },
+    [dispatch, caseId]
+  );
+
+  const clearError = useCallback(() => setError(null), []);
+
+  return { upload, uploading, error, clearError };
+}
+
+/**
+ * URL to show an attachment from; local object URLs are revoked once
+ * the component no longer needs them
+ */
+export function useAttachmentUrl(id: string | null): { url: string | null; error: string | null } {
+  const { dispatch } = useDispatch();
+  const [state, setState] = useState<{ id: string; url: string | null; error: string | null } | null>(null);
+
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    let objectUrl: string | null = null;
+
+    dispatch('query.get_attachment_url', { id }).then((result) => {
+      if (result.success && result.data.url.startsWith('blob:')) objectUrl = result.data.url;
+      if (cancelled) {
+        if (objectUrl) URL.revokeObjectURL(objectUrl);
+        return;
+      }
+      setState(result.success ? { id, url: result.data.url, error: null } : { id, url: null, error: result.error });
+    });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [dispatch, id]);
+
+  // Nothing until this attachment's URL arrives
+  return state && state.id === id ? { url: state.url, error: state.error } : { url: null, error: null };
+}
@@ -0,0 +1,205 @@
+'use client';
+
+/**
+ * AuditLogView Component
+ * Browses the action_log table: filter by user, action type and
+ * day range, expand an entry to see its payload, export to CSV.
+ * Entries are loaded through query.get_action_log, so the
+ * permission matrix decides who can see them.
+ */
+
+import React, { useState, useEffect, useMemo, Fragment } from 'react';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { ACTION_SCHEMA } from '@/actions/schema';
+import { cn } from '@/lib/cn';
+import { toISODate, addDays, getToday } from '@/utils/dateUtils';
+import { toCsv, downloadFile } from '@/utils/csvUtils';
+import type { ActionLogFilters } from '@/types/actions';
+import type { DbActionLog } from '@/types/database';
+
+const ACTION_TYPES = Object.keys(ACTION_SCHEMA).sort();
+const ACTION_PREFIXES = [...new Set(ACTION_TYPES.map((type) => `${type.split('.')[0]}.*`))];
+
+const CSV_HEADERS = ['Time', 'User', 'Action', 'Success', 'Error', 'Result', 'Client', 'Version', 'Payload'];
+
+/** Drop empty fields so the payload passes schema validation */
+function cleanFilters(draft: ActionLogFilters): ActionLogFilters {
+  return Object.fromEntries(
+    Object.entries(draft).filter(([, value]) => value !== '' && value !== undefined)
+  ) as ActionLogFilters;
+}
+
+function formatTimestamp(iso: string): string {
+  return new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function AuditLogView() {
+  const { dispatch } = useDispatch();
+
+  const [draft, setDraft] = useState<ActionLogFilters>(() => ({
+    from: toISODate(addDays(getToday(), -7)),
+  }));
+  const [filters, setFilters] = useState<ActionLogFilters>(() => cleanFilters(draft));
+  const [entries, setEntries] = useState<DbActionLog[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [loadedFilters, setLoadedFilters] = useState<ActionLogFilters | null>(null);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const loading = loadedFilters !== filters;
+
+  useEffect(() => {
+    let cancelled = false;
+    dispatch('query.get_action_log', filters).then((result) => {
+      if (cancelled) return;
+      if (result.success) {
+        setEntries(result.data);
+        setError(null);
+      } else {
+        setEntries([]);
+        setError(result.error);
+      }
+      setLoadedFilters(filters);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, filters]);
+
+  const users = useMemo(() => [...new Set(entries.map((e) => e.user_name))].sort(), [entries]);
+
+  const update = (field: keyof ActionLogFilters) => (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+    setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setFilters(cleanFilters(draft));
+  };
+
+  const handleExport = () => {
+    const rows = entries.map((entry) => [
+      entry.created_at,
+      entry.user_name,
+      entry.action_type,
+      entry.success ? 'yes' : 'no',
+      entry.error,
+      entry.result_summary,
+      entry.client,
+      entry.app_version,
+      entry.payload,
+    ]);
+    downloadFile(`action-log-${toISODate(getToday())}.csv`, toCsv(CSV_HEADERS, rows));
+  };
+
+  return (
+    <div className="flex-1 overflow-auto p-4">
+      <div className="max-w-5xl mx-auto glass-panel p-4">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold text-gray-800">Audit Log</h3>
+          <div className="flex gap-2">
+            <button
+              onClick={handleExport}
+              disabled={entries.length === 0}
+              className="secondary-button text-sm disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+            <button
+              onClick={() => dispatch('ui.navigate', { view: 'manage' })}
+              className="secondary-button text-sm"
+            >
+              Back
+            </button>
+          </div>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={handleSubmit} className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+          <input
+            list="audit-users"
+            value={draft.userName ?? ''}
+            onChange={update('userName')}
+            placeholder="Any user"
+            className="filter-input"
+          />
+          <datalist id="audit-users">
+            {users.map((name) => <option key={name} value={name} />)}
+          </datalist>
+          <select value={draft.actionType ?? ''} onChange={update('actionType')} className="filter-input">
+            <option value="">All actions</option>
+            <optgroup label="Groups">
+              {ACTION_PREFIXES.map((prefix) => <option key={prefix} value={prefix}>{prefix}</option>)}
+            </optgroup>
+            <optgroup label="Actions">
+              {ACTION_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+            </optgroup>
+          </select>
+          <input type="date" value={draft.from ?? ''} onChange={update('from')} className="filter-input" />
+          <input type="date" value={draft.to ?? ''} onChange={update('to')} className="filter-input" />
+          <button type="submit" className="primary-button text-sm">Apply</button>
+        </form>
+
+        {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+        {/* Entries */}
+        <div className="bg-white rounded-xl overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+                <th className="px-4 py-3 font-medium">Time</th>
+                <th className="px-4 py-3 font-medium">User</th>
+                <th className="px-4 py-3 font-medium">Action</th>
+                <th className="px-4 py-3 font-medium">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <Fragment key={entry.id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    className="border-b border-gray-100 hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-4 py-2 text-gray-500 whitespace-nowrap">{formatTimestamp(entry.created_at)}</td>
+                    <td className="px-4 py-2 text-gray-800">{entry.user_name}</td>
+                    <td className="px-4 py-2 font-mono text-xs text-gray-700">{entry.action_type}</td>
+                    <td className={cn('px-4 py-2 text-xs', entry.success ? 'text-gray-600' : 'text-red-600')}>
+                      {entry.success ? entry.result_summary || 'OK' : entry.error}
+                    </td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr className="bg-gray-50 border-b border-gray-100">
+                      <td colSpan={4} className="px-4 py-2">
+                        <pre className="text-xs text-gray-700 whitespace-pre-wrap break-all">
+                          {JSON.stringify(entry.payload, null, 2)}
+                        </pre>
+                        <p className="mt-1 text-[10px] text-gray-400">
+                          {entry.client} · v{entry.app_version} · {entry.created_at}
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+
+          {!loading && !error && entries.length === 0 && (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">No actions match these filters</p>
+          )}
+          {loading && <p className="px-4 py-6 text-center text-sm text-gray-500">Loading…</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Audit Components
+ *
+ * Export all audit-related components from this barrel file.
+ */
+
+export { AuditLogView } from './AuditLogView';
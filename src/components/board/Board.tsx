@@ -18,7 +18,8 @@ import { useData } from '@/contexts/DataContext';
 import { useUI } from '@/contexts/UIContext';
 import { DayCol } from './DayCol';
 import { MetaCol } from './MetaCol';
-import { toISODate, parseISODate, isWeekday, addDays, getToday } from '@/utils/dateUtils';
+import { PracticeFilter } from './PracticeFilter';
+import { toISODate, parseISODate, getToday, getWorkingDayHorizon } from '@/utils/dateUtils';
 import { 
   SPRING,
   initPulseClock,
@@ -31,7 +32,7 @@ import type { Case } from '@/types/case';
 // ═══════════════════════════════════════════════════════════
 
 export function Board() {
-  const { rows } = useData();
+  const { rows, calendar } = useData();
   const { activeDepartment } = useUI();
 
   // Initialize pulse clock (using shared function from lib/animations)
@@ -39,21 +40,16 @@ export function Board() {
     initPulseClock();
   }, []);
 
-  // Build 7-day weekday horizon
+  // Build 7-working-day horizon (the department's days when it has its own)
   const horizon = useMemo(() => {
-    const out: Date[] = [];
-    let p = getToday();
-    while (out.length < 7) {
-      if (isWeekday(p)) out.push(new Date(p));
-      p = addDays(p, 1);
-    }
-    return out;
-  }, []);
+    const department = activeDepartment === 'Digital' ? 'General' : activeDepartment;
+    return getWorkingDayHorizon(7, calendar, department);
+  }, [calendar, activeDepartment]);
 
   const today = getToday();
 
   // Filter and bucket cases
-  // Note: rows are already filtered by department in DataContext
+  // Note: rows are already filtered by department and practice in DataContext
   const { map, overdue, hold } = useMemo(() => {
     // Use rows directly - already filtered by DataProvider
     const filteredRows = rows;
@@ -95,6 +91,8 @@ export function Board() {
 
   return (
     <main className="flex-1 overflow-auto p-4 pb-44">
+      <PracticeFilter className="mb-4 flex justify-end" />
+
       <LayoutGroup>
         <motion.div
           layout
@@ -11,11 +11,22 @@
  * ✅ Uses CSS variables for colors (via caseHelpers)
  * ✅ Uses shared helper functions from lib/caseHelpers
  * ✅ No duplicated logic - everything imported from lib
+ *
+ * Cases with notes show a count badge (amber when one is pinned, with
+ * a ring when they mention you); the expanded row opens them in a popover.
+ * Files dropped on a row are attached to its case; "Files" lists them.
+ * A case waiting on another that isn't done yet is marked "Blocked".
+ * A case predicted to miss (or only just make) its due day shows a risk
+ * badge; its tooltip has the predicted finish, confidence and advice.
  */
 
 import { memo, useState, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useDispatch } from '@/contexts/DispatchContext';
+import { useData } from '@/contexts/DataContext';
+import { useUser } from '@/contexts/UserContext';
+import { CaseNotes } from '@/components/notes';
+import { CaseAttachments, useAttachmentUpload } from '@/components/attachments';
 import { 
   cn,
   layoutProps, 
@@ -26,8 +37,18 @@ import {
   isInRedWindow,
   getRowBackground,
   parseCaseNumber,
+  describeCaseDetails,
+  describeCaseSource,
+  noteExcerpt,
+  pinnedNote,
+  blockingCases,
+  describeLink,
+  RISK_LABELS,
+  RISK_BADGE_CLASSES,
+  describeRisk,
 } from '@/lib';
 import type { Case, CaseStage } from '@/types/case';
+import { DEPARTMENT_DISPLAY } from '@/types/case';
 
 // ═══════════════════════════════════════════════════════════
 // TYPES
@@ -39,6 +60,8 @@ interface CaseRowProps {
   innerRef?: (el: HTMLDivElement | null) => void;
 }
 
+type Popover = 'notes' | 'files';
+
 // ═══════════════════════════════════════════════════════════
 // PURE HELPER FUNCTIONS (no side effects)
 // ═══════════════════════════════════════════════════════════
@@ -61,6 +84,12 @@ function getPulseClass(c: Case, isOverdue: boolean): string {
   return '';
 }
 
+/** "1234 (Metal, production)" */
+function describeBlocker(c: Case): string {
+  const where = [DEPARTMENT_DISPLAY[c.department], c.stage].filter(Boolean).join(', ');
+  return `${c.caseNumber} (${where})`;
+}
+
 // ═══════════════════════════════════════════════════════════
 // REVEAL BUTTON SUB-COMPONENT
 // ═══════════════════════════════════════════════════════════
@@ -99,20 +128,72 @@ function RevealButton({
 
 function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProps) {
   const { dispatch } = useDispatch();
+  const { name, can } = useUser();
+  const { notesByCase, linksByCase, riskByCase, calendar, getRowById } = useData();
   const [isExpanded, setIsExpanded] = useState(false);
+  const [popover, setPopover] = useState<Popover | null>(null);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const { upload, uploading, error: uploadError, clearError } = useAttachmentUpload(caseData.id);
   
   // Use shared helper functions
   const [caseId, caseDesc] = parseCaseNumber(caseData.caseNumber);
+  const details = describeCaseDetails(caseData);
+  const source = describeCaseSource(caseData);
   const pulseClass = getPulseClass(caseData, isOverdue);
+  const notes = notesByCase.get(caseData.id) ?? [];
+  const pinned = pinnedNote(notes);
+  const mentionsMe = !!name && notes.some((n) => n.mentions.includes(name));
+  const links = linksByCase.get(caseData.id) ?? [];
+  const blocking = blockingCases(caseData.id, links, getRowById);
+  const waitingOn = blocking.length > 0 && `Waiting on ${blocking.map(describeBlocker).join(', ')}`;
+  const remakeOf = links.find((l) => l.kind === 'remake_of' && l.case_id === caseData.id);
+  const remakeOfRow = remakeOf && getRowById(describeLink(remakeOf, caseData.id).otherId);
+  const risk = riskByCase.get(caseData.id);
+  const riskText = risk && risk.riskLevel !== 'low' ? describeRisk(risk, calendar.timezone) : null;
   const isQC = caseData.stage === 'qc';
   const isDigital = caseData.department === 'General';
   const isMetal = caseData.department === 'Metal';
+
+  // Controls the current role cannot use are hidden
+  const canChangeStage = can('case.change_stage');
+  const canComplete = can('case.toggle_complete');
+  const canStage2 = can('case.toggle_stage2');
+  const canPriority = can('case.toggle_priority');
+  const canAttach = can('attachment.add');
   
   // ─── Event Handlers (ALL dispatch actions - no direct logic) ────
   
   const handleRowClick = useCallback(() => {
     setIsExpanded(prev => !prev);
+    setPopover(null);
+    clearError();
+  }, [clearError]);
+
+  const handleTogglePopover = useCallback((which: Popover) => (e: React.MouseEvent) => {
+    e.stopPropagation();
+    setPopover(prev => (prev === which ? null : which));
   }, []);
+
+  // ─── Drop files to attach them ─────────────────────────────
+
+  const handleDragOver = useCallback((e: React.DragEvent) => {
+    if (!canAttach || !e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDragOver(true);
+  }, [canAttach]);
+
+  const handleDragLeave = useCallback((e: React.DragEvent) => {
+    // Moving onto a child fires leave on the row too
+    if (!e.currentTarget.contains(e.relatedTarget as Node | null)) setIsDragOver(false);
+  }, []);
+
+  const handleDrop = useCallback((e: React.DragEvent) => {
+    if (!canAttach || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    setIsDragOver(false);
+    void upload(e.dataTransfer.files);
+  }, [canAttach, upload]);
   
   const handleOpenEditor = useCallback((e: React.MouseEvent) => {
     e.stopPropagation();
@@ -140,8 +221,9 @@ function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProp
   const handleTogglePriority = useCallback((e: React.MouseEvent) => {
     e.preventDefault();
     e.stopPropagation();
+    if (!canPriority) return;
     dispatch('case.toggle_priority', { id: caseData.id });
-  }, [dispatch, caseData.id]);
+  }, [dispatch, caseData.id, canPriority]);
   
   // ─── Render ────────────────────────────────────────────────
   
@@ -155,6 +237,9 @@ function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProp
       ref={innerRef}
       onClick={handleRowClick}
       onContextMenu={handleTogglePriority}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
       className={cn(
         // Base styles
         'relative mb-2 w-full flex px-4 py-2 pr-3',
@@ -171,12 +256,52 @@ function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProp
         !caseData.priority && caseData.rush && 'ring-[3px] ring-orange-400',
         // Pulse animation class
         pulseClass,
+        // Files dragged over the row
+        isDragOver && 'ring-[3px] ring-teal-300 brightness-110',
       )}
       style={{ 
         backgroundColor: getRowBackground(caseData),
         animationDelay: pulseClass ? 'var(--pulse-clock)' : undefined,
       }}
+      title={
+        [waitingOn, source, details, pinned && `Pinned: ${noteExcerpt(pinned.body)}`].filter(Boolean).join('\n') ||
+        undefined
+      }
     >
+      {/* Blocked by an unfinished case it waits on */}
+      {blocking.length > 0 && (
+        <span className="absolute -top-1.5 -left-1.5 rounded-full bg-gray-900/80 px-1.5 font-sans text-[10px] font-bold uppercase leading-5 text-amber-300">
+          Blocked
+        </span>
+      )}
+
+      {/* Note count badge */}
+      {notes.length > 0 && (
+        <span
+          className={cn(
+            'absolute -top-1.5 -right-1.5 min-w-[1.25rem] rounded-full px-1 text-center font-sans text-[10px] font-bold leading-5',
+            pinned ? 'bg-amber-400 text-amber-950' : 'bg-white text-gray-700',
+            mentionsMe && 'ring-2 ring-teal-400'
+          )}
+          aria-label={`${notes.length} notes`}
+        >
+          {notes.length}
+        </span>
+      )}
+
+      {/* Predicted to miss or only just make the due day */}
+      {risk && riskText && (
+        <span
+          className={cn(
+            'absolute -bottom-1.5 -right-1.5 rounded-full px-1.5 font-sans text-[10px] font-bold uppercase leading-5',
+            RISK_BADGE_CLASSES[risk.riskLevel]
+          )}
+          title={riskText}
+        >
+          {RISK_LABELS[risk.riskLevel]}
+        </span>
+      )}
+
       {/* Case number display */}
       <motion.div
         layout
@@ -192,6 +317,41 @@ function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProp
             {caseDesc}
           </span>
         )}
+        {/* Details only fit once the row is expanded; collapsed rows show them on hover */}
+        {isExpanded && (details || source) && (
+          <span className="mt-1 text-xs leading-tight text-white/70 font-sans">
+            {[source, details].filter(Boolean).join(' · ')}
+          </span>
+        )}
+        {isExpanded && risk && riskText && (
+          <span className="mt-1 text-xs leading-tight text-white/80 font-sans" title={riskText}>
+            {RISK_LABELS[risk.riskLevel]}: {risk.recommendation}
+          </span>
+        )}
+        {isExpanded && waitingOn && (
+          <span className="mt-1 text-xs leading-tight text-amber-200 font-sans">{waitingOn}</span>
+        )}
+        {isExpanded && remakeOf && (
+          <span className="mt-1 text-xs leading-tight text-white/70 font-sans">
+            Remake of {remakeOfRow?.caseNumber ?? 'an archived case'}
+            {remakeOf.reason && ` · ${remakeOf.reason}`}
+          </span>
+        )}
+        {isExpanded && pinned && (
+          <span className="mt-1 text-xs leading-tight text-amber-200 font-sans">
+            Pinned: {noteExcerpt(pinned.body)}
+          </span>
+        )}
+        {uploading > 0 && (
+          <span className="mt-1 text-xs leading-tight text-white/80 font-sans">
+            Attaching {uploading} {uploading === 1 ? 'file' : 'files'}…
+          </span>
+        )}
+        {uploadError && uploading === 0 && (
+          <span className="mt-1 whitespace-pre-line text-xs leading-tight text-red-200 font-sans">
+            {uploadError}
+          </span>
+        )}
       </motion.div>
 
       {/* Action buttons (when expanded) */}
@@ -206,9 +366,25 @@ function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProp
               onClick={handleOpenEditor}
             />
 
+            {/* Notes button */}
+            <RevealButton
+              isOpen={isExpanded}
+              label={<span className="font-sans text-xs px-1">Notes{notes.length > 0 && ` ${notes.length}`}</span>}
+              small
+              onClick={handleTogglePopover('notes')}
+            />
+
+            {/* Files button */}
+            <RevealButton
+              isOpen={isExpanded}
+              label={<span className="font-sans text-xs px-1">Files</span>}
+              small
+              onClick={handleTogglePopover('files')}
+            />
+
             <div className="flex flex-col gap-2">
               {/* Digital stage progression */}
-              {isDigital && !isQC && !caseData.completed && (
+              {isDigital && !isQC && !caseData.completed && canChangeStage && (
                 <>
                   {caseData.stage === 'design' && (
                     <>
@@ -234,24 +410,47 @@ function CaseRowComponent({ caseData, isOverdue = false, innerRef }: CaseRowProp
               {/* QC stage */}
               {isDigital && isQC && !caseData.completed && (
                 <>
-                  <RevealButton isOpen={isExpanded} label="← Prev" onClick={handleChangeStage('finishing')} />
-                  <RevealButton isOpen={isExpanded} label="Done" onClick={handleToggleComplete} />
+                  {canChangeStage && (
+                    <RevealButton isOpen={isExpanded} label="← Prev" onClick={handleChangeStage('finishing')} />
+                  )}
+                  {canComplete && (
+                    <RevealButton isOpen={isExpanded} label="Done" onClick={handleToggleComplete} />
+                  )}
                 </>
               )}
 
               {/* Metal stage 2 toggle */}
-              {isMetal && !caseData.stage2 && !caseData.completed && (
+              {isMetal && !caseData.stage2 && !caseData.completed && canStage2 && (
                 <RevealButton isOpen={isExpanded} label="Stage 2" onClick={handleToggleStage2} />
               )}
 
               {/* Done button for non-Digital or non-QC cases */}
-              {(!isDigital || (!caseData.stage && !isQC)) && !caseData.completed && (
+              {(!isDigital || (!caseData.stage && !isQC)) && !caseData.completed && canComplete && (
                 <RevealButton isOpen={isExpanded} label="Done" onClick={handleToggleComplete} />
               )}
             </div>
           </div>
         )}
       </AnimatePresence>
+
+      {/* Notes / files popover */}
+      {isExpanded && popover && (
+        <div
+          onClick={(e) => e.stopPropagation()}
+          onContextMenu={(e) => e.stopPropagation()}
+          className="glass-panel absolute left-0 top-full z-30 mt-1 w-80 max-h-96 overflow-y-auto p-3 font-sans text-base cursor-default"
+        >
+          <div className="mb-2 flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-gray-800">
+              {popover === 'notes' ? 'Notes' : 'Files'} · {caseId}
+            </h4>
+            <button onClick={handleTogglePopover(popover)} className="text-xs text-gray-500 hover:text-gray-700">
+              Close
+            </button>
+          </div>
+          {popover === 'notes' ? <CaseNotes caseId={caseData.id} /> : <CaseAttachments caseId={caseData.id} />}
+        </div>
+      )}
     </motion.div>
   );
 }
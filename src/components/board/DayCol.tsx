@@ -3,7 +3,9 @@
 /**
  * DayCol Component
  * 
- * Renders a column for a specific date with case rows.
+ * Renders a column for a specific date with case rows. The header's
+ * "Risk" toggle orders the rows riskiest first (within each stage), and
+ * a note under the date counts the cases unlikely to finish on time.
  * 
  * ARCHITECTURE COMPLIANCE:
  * ✅ Uses shared components from board/shared
@@ -20,8 +22,13 @@ import {
   groupDigitalCasesByStage,
   groupMetalCasesByStage,
   getPriorityIds,
+  describeForecasts,
+  forecastSummary,
 } from '@/lib';
+import { compareRisk } from '@/analytics';
+import { useData } from '@/contexts/DataContext';
 import type { Case } from '@/types/case';
+import type { CaseRiskPrediction } from '@/types/efficiency';
 import { CaseRow } from './CaseRow';
 import { ColumnShell, ColumnHeader, PriorityBar, StageDivider } from './shared';
 
@@ -35,6 +42,16 @@ const formatDate = (d: Date): string =>
     ? d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
     : '';
 
+/** Riskiest first; cases without a prediction keep their order after them */
+function sortByRisk(rows: Case[], riskByCase: Map<string, CaseRiskPrediction>): Case[] {
+  return [...rows].sort((a, b) => {
+    const riskA = riskByCase.get(a.id);
+    const riskB = riskByCase.get(b.id);
+    if (riskA && riskB) return compareRisk(riskA, riskB);
+    return riskA ? -1 : riskB ? 1 : 0;
+  });
+}
+
 // ═══════════════════════════════════════════════════════════
 // TYPES
 // ═══════════════════════════════════════════════════════════
@@ -50,10 +67,25 @@ interface DayColProps {
 // MAIN COMPONENT
 // ═══════════════════════════════════════════════════════════
 
-export function DayCol({ date, rows, isToday, showStageDividers = false }: DayColProps) {
+export function DayCol({ date, rows: dueRows, isToday, showStageDividers = false }: DayColProps) {
+  const { riskByCase, forecastByCase, calendar } = useData();
   const rowRefs = useRef<Record<string, HTMLDivElement | null>>({});
   const columnRef = useRef<HTMLDivElement>(null);
   const [dividersReady, setDividersReady] = useState(false);
+  const [byRisk, setByRisk] = useState(false);
+
+  // Board order, or riskiest first
+  const rows = useMemo(
+    () => (byRisk ? sortByRisk(dueRows, riskByCase) : dueRows),
+    [byRisk, dueRows, riskByCase]
+  );
+  const hasRisk = dueRows.some((r) => riskByCase.has(r.id));
+
+  const forecasts = useMemo(
+    () => dueRows.flatMap((r) => forecastByCase.get(r.id) ?? []),
+    [dueRows, forecastByCase]
+  );
+  const forecastNote = forecastSummary(forecasts);
 
   // Calculate priority IDs using shared helper
   const prioIds = useMemo(() => getPriorityIds(rows), [rows]);
@@ -176,7 +208,31 @@ export function DayCol({ date, rows, isToday, showStageDividers = false }: DayCo
         </AnimatePresence>
 
         {/* Column header */}
-        <ColumnHeader text={formatDate(date)} variant={textVariant} />
+        <ColumnHeader
+          text={formatDate(date)}
+          variant={textVariant}
+          aside={
+            hasRisk &&
+            dueRows.length > 1 && (
+              <button
+                onClick={() => setByRisk((prev) => !prev)}
+                aria-pressed={byRisk}
+                title={byRisk ? 'Back to board order' : 'Sort by risk of missing the due day'}
+                className={cn(
+                  'rounded px-1 text-[10px] uppercase',
+                  byRisk ? 'bg-white/80 text-gray-900' : 'opacity-60 hover:opacity-100'
+                )}
+              >
+                Risk
+              </button>
+            )
+          }
+          note={
+            forecastNote && (
+              <span title={describeForecasts(forecasts, calendar.timezone)}>{forecastNote}</span>
+            )
+          }
+        />
 
         {/* Rows */}
         <AnimatePresence mode="popLayout">
@@ -0,0 +1,44 @@
+'use client';
+
+/**
+ * PracticeFilter Component
+ * Narrows the board to one practice's cases. Lists the directory plus
+ * any practice typed on a case that isn't in it yet.
+ */
+
+import { useMemo } from 'react';
+import { useData } from '@/contexts/DataContext';
+import { useUI } from '@/contexts/UIContext';
+import { useDispatch } from '@/contexts/DispatchContext';
+
+export function PracticeFilter({ className }: { className?: string }) {
+  const { practices, allRows } = useData();
+  const { activePractice } = useUI();
+  const { dispatch } = useDispatch();
+
+  const names = useMemo(() => {
+    const byKey = new Map<string, string>();
+    for (const name of [...practices.map((p) => p.name), ...allRows.map((r) => r.practice)]) {
+      const key = name?.trim().toLowerCase();
+      if (key && !byKey.has(key)) byKey.set(key, name!.trim());
+    }
+    return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+  }, [practices, allRows]);
+
+  if (names.length === 0 && !activePractice) return null;
+
+  return (
+    <div className={className}>
+      <select
+        value={activePractice ?? ''}
+        onChange={(e) => dispatch('ui.set_practice', { practice: e.target.value || null })}
+        className="filter-input w-56"
+        aria-label="Filter by practice"
+      >
+        <option value="">All practices</option>
+        {activePractice && !names.includes(activePractice) && <option value={activePractice}>{activePractice}</option>}
+        {names.map((name) => <option key={name} value={name}>{name}</option>)}
+      </select>
+    </div>
+  );
+}
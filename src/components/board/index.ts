@@ -8,6 +8,7 @@ export { Board } from './Board';
 export { CaseRow } from './CaseRow';
 export { DayCol } from './DayCol';
 export { MetaCol } from './MetaCol';
+export { PracticeFilter } from './PracticeFilter';
 
 // Shared subcomponents (also available via ./shared)
 export * from './shared';
@@ -4,6 +4,8 @@
  * ColumnHeader - Shared column header component
  * 
  * Used by both DayCol and MetaCol for consistent header styling.
+ * An optional control (e.g. DayCol's sort toggle) sits at the right edge,
+ * and an optional note (e.g. DayCol's forecast summary) under the title.
  */
 
 import { motion } from 'framer-motion';
@@ -13,19 +15,23 @@ import { SPRING } from '@/lib/animations';
 interface ColumnHeaderProps {
   text: string;
   variant?: 'light' | 'dark'; // light = dark text (for today column), dark = white text
+  aside?: React.ReactNode;
+  note?: React.ReactNode;
 }
 
-export function ColumnHeader({ text, variant = 'dark' }: ColumnHeaderProps) {
+export function ColumnHeader({ text, variant = 'dark', aside, note }: ColumnHeaderProps) {
   return (
     <motion.h2
       layout="position"
       transition={SPRING}
       className={cn(
-        'mb-3 text-center font-semibold',
+        'relative mb-3 text-center font-semibold',
         variant === 'light' ? 'text-black' : 'text-white'
       )}
     >
       {text}
+      {aside && <span className="absolute right-0 top-0 font-normal">{aside}</span>}
+      {note && <span className="block text-[10px] font-normal leading-tight opacity-80">{note}</span>}
     </motion.h2>
   );
 }
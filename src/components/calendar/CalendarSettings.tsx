@@ -0,0 +1,376 @@
+'use client';
+
+/**
+ * CalendarSettings Component
+ * The lab calendar in the Manage view: the timezone, each weekday's
+ * hours and lunch break, holidays and closures, and a department's own
+ * week where it differs from the lab's. Managers edit it; stage times,
+ * the board's day columns and business-day due dates all follow it.
+ */
+
+import React, { useState } from 'react';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { useData } from '@/contexts/DataContext';
+import { useUser } from '@/contexts/UserContext';
+import { DEFAULT_LAB_CALENDAR } from '@/lib/calendar';
+import type {
+  CalendarClosure,
+  CalendarDepartment,
+  DaySchedule,
+  LabCalendar,
+  SaveCalendarInput,
+  WeekSchedule,
+} from '@/types/calendar';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+type Scope = 'lab' | CalendarDepartment;
+
+const SCOPES: { value: Scope; label: string }[] = [
+  { value: 'lab', label: 'Whole lab' },
+  { value: 'General', label: 'Digital' },
+  { value: 'C&B', label: 'C&B' },
+  { value: 'Metal', label: 'Metal' },
+];
+
+/**
+ * One weekday as edited: a single shift and an optional break (a day
+ * saved with several shifts shows from the first start to the last end)
+ */
+interface DayForm {
+  open: boolean;
+  start: string;
+  end: string;
+  breakStart: string;
+  breakEnd: string;
+}
+
+interface CalendarForm {
+  timezone: string;
+  /** Department scopes only: work the lab's week */
+  useLabWeek: boolean;
+  week: DayForm[];
+  closures: CalendarClosure[];
+}
+
+function dayToForm(day: DaySchedule): DayForm {
+  const first = day.shifts[0];
+  const last = day.shifts[day.shifts.length - 1];
+  return {
+    open: day.shifts.length > 0,
+    start: first?.start ?? '08:00',
+    end: last?.end ?? '17:00',
+    breakStart: day.breaks[0]?.start ?? '',
+    breakEnd: day.breaks[0]?.end ?? '',
+  };
+}
+
+function formToDay(day: DayForm): DaySchedule {
+  if (!day.open) return { shifts: [], breaks: [] };
+  return {
+    shifts: [{ start: day.start, end: day.end }],
+    breaks: day.breakStart && day.breakEnd ? [{ start: day.breakStart, end: day.breakEnd }] : [],
+  };
+}
+
+function calendarToForm(calendar: LabCalendar, scope: Scope): CalendarForm {
+  const own = scope === 'lab' ? null : calendar.departments[scope];
+  const week: WeekSchedule = own?.week ?? calendar.week;
+  return {
+    timezone: calendar.timezone,
+    useLabWeek: scope !== 'lab' && !own?.week,
+    week: week.map(dayToForm),
+    closures: scope === 'lab' ? calendar.closures : own?.closures ?? [],
+  };
+}
+
+/** Form values as sent to calendar.save (a department replaces only its own entry) */
+function formToInput(form: CalendarForm, scope: Scope, calendar: LabCalendar): SaveCalendarInput {
+  const week = form.week.map(formToDay);
+  if (scope === 'lab') {
+    return { timezone: form.timezone.trim(), week, closures: form.closures };
+  }
+  return {
+    departments: {
+      ...calendar.departments,
+      [scope]: { ...(!form.useLabWeek && { week }), closures: form.closures },
+    },
+  };
+}
+
+/** "Dec 24-26 · Christmas (short day 08:00-12:00)" */
+function describeClosure(c: CalendarClosure): string {
+  const range = c.from === c.to ? c.from : `${c.from} to ${c.to}`;
+  const hours = c.shifts?.length ? ` (short day ${c.shifts.map((s) => `${s.start}-${s.end}`).join(', ')})` : '';
+  return `${range} · ${c.label}${hours}`;
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function CalendarSettings() {
+  const { dispatch } = useDispatch();
+  const { calendar } = useData();
+  const { can } = useUser();
+
+  const [scope, setScope] = useState<Scope>('lab');
+  const [form, setForm] = useState<CalendarForm | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ text: string; error: boolean } | null>(null);
+
+  const editable = can('calendar.save');
+  const shown = form ?? calendarToForm(calendar, scope);
+
+  const update = <K extends keyof CalendarForm>(field: K, value: CalendarForm[K]) => {
+    setForm({ ...shown, [field]: value });
+    setMessage(null);
+  };
+
+  const updateDay = (weekday: number, changes: Partial<DayForm>) => {
+    update('week', shown.week.map((day, i) => (i === weekday ? { ...day, ...changes } : day)));
+  };
+
+  const handleScope = (next: Scope) => {
+    if (form && !window.confirm('Discard the unsaved calendar changes?')) return;
+    setScope(next);
+    setForm(null);
+    setMessage(null);
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+    setBusy(true);
+    const result = await dispatch('calendar.save', formToInput(form, scope, calendar));
+    setBusy(false);
+
+    if (!result.success) {
+      setMessage({ text: result.error, error: true });
+      return;
+    }
+    setForm(null);
+    setMessage({ text: 'Calendar saved', error: false });
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Go back to Monday-Friday 8:00-17:00 with no closures?')) return;
+    const defaults = calendarToForm(DEFAULT_LAB_CALENDAR, 'lab');
+    setForm({ ...defaults, timezone: shown.timezone, useLabWeek: scope !== 'lab' });
+  };
+
+  return (
+    <div className="glass-panel p-4 mt-6">
+      <div className="flex items-center justify-between mb-3 gap-3">
+        <h3 className="font-semibold text-gray-800">Lab Calendar</h3>
+        <select value={scope} onChange={(e) => handleScope(e.target.value as Scope)} className="filter-input w-auto">
+          {SCOPES.map((s) => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+      </div>
+
+      {scope === 'lab' ? (
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+          <span className="w-20 flex-shrink-0">Timezone</span>
+          <input
+            type="text"
+            value={shown.timezone}
+            onChange={(e) => update('timezone', e.target.value)}
+            disabled={!editable}
+            placeholder="America/Boise"
+            className="filter-input w-full"
+          />
+        </label>
+      ) : (
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+          <input
+            type="checkbox"
+            checked={shown.useLabWeek}
+            onChange={(e) => update('useLabWeek', e.target.checked)}
+            disabled={!editable}
+          />
+          Work the lab&apos;s hours (closures below are added to the lab&apos;s)
+        </label>
+      )}
+
+      {!(scope !== 'lab' && shown.useLabWeek) && (
+        <WeekTable week={shown.week} editable={editable} onChange={updateDay} />
+      )}
+
+      <ClosureList
+        closures={shown.closures}
+        editable={editable}
+        onChange={(closures) => update('closures', closures)}
+      />
+
+      {editable && (
+        <div className="flex items-center justify-between gap-3 mt-3">
+          <button onClick={handleReset} className="text-xs text-gray-500 hover:underline">
+            Reset to defaults
+          </button>
+          <div className="flex gap-2">
+            {form && (
+              <button onClick={() => setForm(null)} className="secondary-button text-sm">
+                Cancel
+              </button>
+            )}
+            <button onClick={handleSave} disabled={busy || !form} className="primary-button text-sm">
+              {busy ? 'Saving…' : 'Save calendar'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && (
+        <p className={message.error ? 'mt-2 text-sm text-red-600' : 'mt-2 text-sm text-gray-500'}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// WEEK
+// ═══════════════════════════════════════════════════════════
+
+interface WeekTableProps {
+  week: DayForm[];
+  editable: boolean;
+  onChange: (weekday: number, changes: Partial<DayForm>) => void;
+}
+
+function WeekTable({ week, editable, onChange }: WeekTableProps) {
+  return (
+    <table className="w-full text-sm mb-3">
+      <thead>
+        <tr className="text-xs text-gray-500 text-left">
+          <th className="font-normal pb-1">Day</th>
+          <th className="font-normal pb-1">Hours</th>
+          <th className="font-normal pb-1">Break (optional)</th>
+        </tr>
+      </thead>
+      <tbody>
+        {week.map((day, i) => (
+          <tr key={WEEKDAY_NAMES[i]}>
+            <td className="py-1 pr-2">
+              <label className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={day.open}
+                  onChange={(e) => onChange(i, { open: e.target.checked })}
+                  disabled={!editable}
+                />
+                {WEEKDAY_NAMES[i]}
+              </label>
+            </td>
+            <td className="py-1 pr-2">
+              {day.open ? (
+                <div className="flex items-center gap-1">
+                  <input type="time" value={day.start} onChange={(e) => onChange(i, { start: e.target.value })} disabled={!editable} className="filter-input py-1" />
+                  <span className="text-gray-400">–</span>
+                  <input type="time" value={day.end} onChange={(e) => onChange(i, { end: e.target.value })} disabled={!editable} className="filter-input py-1" />
+                </div>
+              ) : (
+                <span className="text-xs text-gray-400">Closed</span>
+              )}
+            </td>
+            <td className="py-1">
+              {day.open && (
+                <div className="flex items-center gap-1">
+                  <input type="time" value={day.breakStart} onChange={(e) => onChange(i, { breakStart: e.target.value })} disabled={!editable} className="filter-input py-1" />
+                  <span className="text-gray-400">–</span>
+                  <input type="time" value={day.breakEnd} onChange={(e) => onChange(i, { breakEnd: e.target.value })} disabled={!editable} className="filter-input py-1" />
+                </div>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// CLOSURES
+// ═══════════════════════════════════════════════════════════
+
+interface ClosureForm {
+  from: string;
+  to: string;
+  label: string;
+  kind: CalendarClosure['kind'];
+  /** Short-day hours; both blank closes the whole day */
+  start: string;
+  end: string;
+}
+
+const EMPTY_CLOSURE: ClosureForm = { from: '', to: '', label: '', kind: 'holiday', start: '', end: '' };
+
+function formToClosure(form: ClosureForm): CalendarClosure {
+  return {
+    from: form.from,
+    to: form.to || form.from,
+    label: form.label.trim(),
+    kind: form.kind,
+    ...(form.start && form.end && { shifts: [{ start: form.start, end: form.end }] }),
+  };
+}
+
+interface ClosureListProps {
+  closures: CalendarClosure[];
+  editable: boolean;
+  onChange: (closures: CalendarClosure[]) => void;
+}
+
+function ClosureList({ closures, editable, onChange }: ClosureListProps) {
+  const [draft, setDraft] = useState<ClosureForm>(EMPTY_CLOSURE);
+  const set = (changes: Partial<ClosureForm>) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const handleAdd = () => {
+    const closure = formToClosure(draft);
+    onChange([...closures, closure].sort((a, b) => a.from.localeCompare(b.from)));
+    setDraft(EMPTY_CLOSURE);
+  };
+
+  return (
+    <div>
+      <div className="text-xs text-gray-600 mb-1">Holidays &amp; closures</div>
+      {closures.length === 0 && <p className="text-sm text-gray-500">None.</p>}
+      <ul className="divide-y divide-gray-200">
+        {closures.map((c, i) => (
+          <li key={`${c.from}-${c.label}-${i}`} className="py-1.5 flex items-center justify-between gap-3 text-sm">
+            <span className="text-gray-700 min-w-0 truncate">
+              {describeClosure(c)}
+              <span className="ml-2 text-xs text-gray-500">{c.kind}</span>
+            </span>
+            {editable && (
+              <button
+                onClick={() => onChange(closures.filter((_, j) => j !== i))}
+                className="text-xs text-red-600 hover:underline flex-shrink-0"
+              >
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {editable && (
+        <div className="mt-2 grid gap-2 sm:grid-cols-3 text-sm">
+          <input type="date" value={draft.from} onChange={(e) => set({ from: e.target.value })} className="filter-input" aria-label="From" />
+          <input type="date" value={draft.to} min={draft.from} onChange={(e) => set({ to: e.target.value })} className="filter-input" aria-label="To (blank for one day)" />
+          <input type="text" value={draft.label} onChange={(e) => set({ label: e.target.value })} placeholder="Label" className="filter-input" />
+          <select value={draft.kind} onChange={(e) => set({ kind: e.target.value as CalendarClosure['kind'] })} className="filter-input">
+            <option value="holiday">Holiday</option>
+            <option value="closure">Closure</option>
+          </select>
+          <div className="flex items-center gap-1" title="Short day: work these hours instead">
+            <input type="time" value={draft.start} onChange={(e) => set({ start: e.target.value })} className="filter-input py-1 w-full" />
+            <span className="text-gray-400">–</span>
+            <input type="time" value={draft.end} onChange={(e) => set({ end: e.target.value })} className="filter-input py-1 w-full" />
+          </div>
+          <button onClick={handleAdd} disabled={!draft.from || !draft.label.trim()} className="secondary-button text-sm">
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
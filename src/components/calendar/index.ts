@@ -0,0 +1,7 @@
+/**
+ * Calendar Components
+ *
+ * Export all lab calendar components from this barrel file.
+ */
+
+export { CalendarSettings } from './CalendarSettings';
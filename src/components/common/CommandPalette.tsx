@@ -0,0 +1,283 @@
+'use client';
+
+/**
+ * Command Palette
+ * Cmd+K / Ctrl+K command bar. Free text is compiled into dispatcher
+ * actions by the configured parser, previewed, and only dispatched
+ * (as one atomic batch) after the user confirms.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { createPortal } from 'react-dom';
+import clsx from 'clsx';
+import { useData } from '@/contexts/DataContext';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { createCommandParser } from '@/commands';
+import type { Action, BatchResult } from '@/types/actions';
+import type { Case } from '@/types/case';
+import type { ParsedCommand } from '@/types/commands';
+import { parseISODate, formatDisplayDate } from '@/utils/dateUtils';
+
+const parser = createCommandParser();
+
+const EXAMPLES = [
+  'rush 1234 and move it to production',
+  "what's overdue in Metal",
+  'put 5678 on hold',
+];
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+/** Case ids an action touches, for the preview annotation */
+function targetIds(action: Action): string[] {
+  const payload = action.payload as { id?: string; ids?: string[] };
+  return payload.ids ?? (payload.id ? [payload.id] : []);
+}
+
+function isCaseList(data: unknown): data is Case[] {
+  return Array.isArray(data) && data.every((d) => typeof d === 'object' && d !== null && 'caseNumber' in d);
+}
+
+// ═══════════════════════════════════════════════════════════
+// PREVIEW
+// ═══════════════════════════════════════════════════════════
+
+function ActionPreview({ action, getRowById }: {
+  action: Action;
+  getRowById: (id: string) => Case | undefined;
+}) {
+  const cases = targetIds(action)
+    .map((id) => getRowById(id)?.caseNumber)
+    .filter(Boolean);
+
+  return (
+    <li className="flex items-start gap-2 px-3 py-2 rounded-lg bg-gray-50 text-xs">
+      <code className="flex-1 min-w-0 break-all text-gray-700">
+        dispatch(<span className="font-semibold text-[#103E48]">&apos;{action.type}&apos;</span>,{' '}
+        {JSON.stringify(action.payload)})
+      </code>
+      {cases.length > 0 && (
+        <span className="shrink-0 px-2 py-0.5 rounded-full bg-[#103E48]/10 text-[#103E48] font-medium">
+          {cases.join(', ')}
+        </span>
+      )}
+    </li>
+  );
+}
+
+function ResultList({ cases, onOpen }: { cases: Case[]; onOpen: (id: string) => void }) {
+  if (cases.length === 0) {
+    return <p className="px-3 py-2 text-xs text-gray-500">No matching cases</p>;
+  }
+
+  return (
+    <ul className="max-h-48 overflow-y-auto">
+      {cases.map((c) => (
+        <li key={c.id}>
+          <button
+            onClick={() => onOpen(c.id)}
+            className="flex w-full items-center justify-between px-3 py-1.5 text-sm hover:bg-gray-100 rounded"
+          >
+            <span className="truncate">{c.caseNumber}</span>
+            <span className="ml-3 text-xs text-gray-500">{formatDisplayDate(parseISODate(c.due))}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function CommandPalette({ className }: { className?: string }) {
+  const { allRows, getRowById } = useData();
+  const { dispatch, dispatchBatch } = useDispatch();
+
+  const [open, setOpen] = useState(false);
+  const [input, setInput] = useState('');
+  const [parsed, setParsed] = useState<ParsedCommand | null>(null);
+  const [report, setReport] = useState<BatchResult | null>(null);
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef<HTMLInputElement>(null);
+
+  const close = useCallback(() => {
+    setOpen(false);
+    setInput('');
+    setParsed(null);
+    setReport(null);
+  }, []);
+
+  // Cmd+K / Ctrl+K toggles, Escape closes
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (open) close();
+        else setOpen(true);
+      } else if (e.key === 'Escape' && open) {
+        close();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [open, close]);
+
+  const canRun = !!parsed && parsed.actions.length > 0 && parsed.errors.length === 0;
+
+  const preview = async () => {
+    if (!input.trim()) return;
+    setBusy(true);
+    setReport(null);
+    setParsed(await parser.parse(input, { rows: allRows, today: new Date() }));
+    setBusy(false);
+  };
+
+  const run = async () => {
+    if (!parsed || !canRun) return;
+    setBusy(true);
+    const result = await dispatchBatch(parsed.actions, { atomic: true });
+    setBusy(false);
+
+    // Pure mutations are done - the undo toast takes over from here
+    const hasQuery = parsed.actions.some((a) => a.type.startsWith('query.'));
+    if (result.success && !hasQuery) close();
+    else setReport(result);
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (busy) return;
+    if (canRun && !report) run();
+    else preview();
+  };
+
+  const openCase = (id: string) => {
+    dispatch('ui.open_editor', { id });
+    close();
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setOpen(true)}
+        className={clsx(
+          "items-center gap-2 px-3 py-1.5 rounded-full transition-all text-xs text-white/80",
+          "bg-white/10 hover:bg-white/20 backdrop-blur border border-white/20",
+          className
+        )}
+        aria-label="Open command bar"
+      >
+        <span>Command</span>
+        <kbd className="px-1.5 py-0.5 rounded bg-white/15 font-mono text-[10px]">⌘K</kbd>
+      </button>
+
+      {open && createPortal(
+        <div
+          className="fixed inset-0 z-[100] flex items-start justify-center pt-[15vh] bg-black/40 backdrop-blur-sm"
+          onMouseDown={close}
+        >
+          <div
+            role="dialog"
+            aria-label="Command bar"
+            className="w-full max-w-xl mx-4 rounded-2xl shadow-2xl bg-white text-gray-800 overflow-hidden animate-slide-up"
+            onMouseDown={(e) => e.stopPropagation()}
+          >
+            <form onSubmit={handleSubmit} className="border-b border-gray-200">
+              <input
+                ref={inputRef}
+                autoFocus
+                value={input}
+                onChange={(e) => {
+                  setInput(e.target.value);
+                  setParsed(null);
+                  setReport(null);
+                }}
+                placeholder="Type a command, e.g. rush 1234 and move it to production"
+                className="w-full px-4 py-3 text-sm bg-transparent focus:outline-none"
+              />
+            </form>
+
+            <div className="p-3 space-y-3 max-h-[50vh] overflow-y-auto">
+              {!parsed && !busy && (
+                <div className="text-xs text-gray-500 space-y-1">
+                  <p>Press Enter to preview, Enter again to run.</p>
+                  {EXAMPLES.map((example) => (
+                    <button
+                      key={example}
+                      onClick={() => {
+                        setInput(example);
+                        inputRef.current?.focus();
+                      }}
+                      className="block hover:text-gray-800"
+                    >
+                      “{example}”
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {busy && <p className="text-xs text-gray-500">Working…</p>}
+
+              {parsed && !report && (
+                <>
+                  {parsed.actions.length > 0 && (
+                    <ul className="space-y-1">
+                      {parsed.actions.map((action, i) => (
+                        <ActionPreview key={i} action={action} getRowById={getRowById} />
+                      ))}
+                    </ul>
+                  )}
+                  {parsed.errors.map((error) => (
+                    <p key={error} className="text-xs text-red-600">{error}</p>
+                  ))}
+                  {parsed.notes.map((note) => (
+                    <p key={note} className="text-xs text-gray-500">{note}</p>
+                  ))}
+                  {canRun && (
+                    <div className="flex justify-end gap-2">
+                      <button onClick={close} className="secondary-button text-sm">Cancel</button>
+                      <button onClick={run} disabled={busy} className="primary-button text-sm">
+                        Run {parsed.actions.length === 1 ? 'action' : `${parsed.actions.length} actions`}
+                      </button>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {report && (
+                <div className="space-y-2">
+                  {report.results.map((r) => (
+                    <div key={r.index}>
+                      <p className={clsx(
+                        "text-xs font-medium",
+                        r.status === 'applied' ? 'text-gray-700' : 'text-red-600'
+                      )}>
+                        {r.type} · {r.status.replace('_', ' ')}
+                        {r.error && ` - ${r.error}`}
+                      </p>
+                      {isCaseList(r.data) && <ResultList cases={r.data} onOpen={openCase} />}
+                    </div>
+                  ))}
+                  {report.rollbackErrors.map((error) => (
+                    <p key={error} className="text-xs text-red-600">{error}</p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="px-4 py-2 border-t border-gray-100 text-[10px] text-gray-400 flex justify-between">
+              <span>Parser: {parser.name}</span>
+              <span>Esc to close</span>
+            </div>
+          </div>
+        </div>,
+        document.body
+      )}
+    </>
+  );
+}
@@ -12,6 +12,10 @@ import { useUser } from '@/contexts/UserContext';
 import { useUI } from '@/contexts/UIContext';
 import { useData } from '@/contexts/DataContext';
 import { useDispatch } from '@/contexts/DispatchContext';
+import { scoreTone } from '@/lib/efficiency';
+import type { EfficiencyCarryOver, EfficiencyScore, EfficiencyView } from '@/types/efficiency';
+import { CommandPalette } from './CommandPalette';
+import { SyncIndicator } from './SyncIndicator';
 
 // ═══════════════════════════════════════════════════════════
 // SETTINGS PILL (from original)
@@ -60,10 +64,14 @@ function SettingsPill({ onClick, className, isMobile = false }: {
 // DROPDOWN COMPONENTS (from original)
 // ═══════════════════════════════════════════════════════════
 
-function MenuItem({ active, label, meta, onClick }: {
+type ViewScores = Partial<Record<EfficiencyView, EfficiencyScore>>;
+
+function MenuItem({ active, label, meta, score, onClick }: {
   active: boolean;
   label: string;
   meta: string | number;
+  /** Efficiency score for the view, when there is one */
+  score?: number | null;
   onClick: () => void;
 }) {
   return (
@@ -79,7 +87,14 @@ function MenuItem({ active, label, meta, onClick }: {
       )}
     >
       <span className="truncate">{label}</span>
-      <span className="ml-3 text-xs text-gray-500">{meta}</span>
+      <span className="ml-3 flex items-center gap-2 text-xs">
+        {score != null && (
+          <span className={clsx("font-semibold", scoreTone(score))} title="Efficiency score">
+            {Math.round(score)}%
+          </span>
+        )}
+        <span className="text-gray-500">{meta}</span>
+      </span>
     </button>
   );
 }
@@ -91,6 +106,7 @@ function DigitalDropdown({
   anchorRef,
   digitalView,
   stageCounts,
+  scores,
   onSelect,
   onMouseEnter,
   onMouseLeave,
@@ -100,6 +116,7 @@ function DigitalDropdown({
   anchorRef: React.RefObject<HTMLButtonElement | null>;
   digitalView: string;
   stageCounts: { design: number; production: number; finishing: number };
+  scores: ViewScores;
   onSelect: (view: string) => void;
   onMouseEnter: () => void;
   onMouseLeave: () => void;
@@ -153,6 +170,7 @@ function DigitalDropdown({
         active={digitalView === "overview"}
         label="Overview"
         meta="All"
+        score={scores.overview?.score}
         onClick={() => onSelect("overview")}
       />
       <Divider />
@@ -160,18 +178,21 @@ function DigitalDropdown({
         active={digitalView === "design"}
         label="Design Stage"
         meta={stageCounts.design}
+        score={scores.design?.score}
         onClick={() => onSelect("design")}
       />
       <MenuItem
         active={digitalView === "production"}
         label="Production Stage"
         meta={stageCounts.production}
+        score={scores.production?.score}
         onClick={() => onSelect("production")}
       />
       <MenuItem
         active={digitalView === "finishing"}
         label="Finishing Stage"
         meta={stageCounts.finishing}
+        score={scores.finishing?.score}
         onClick={() => onSelect("finishing")}
       />
     </div>,
@@ -184,6 +205,7 @@ function MetalDropdown({
   anchorRef,
   metalView,
   stageCounts,
+  scores,
   onSelect,
   onMouseEnter,
   onMouseLeave,
@@ -193,6 +215,7 @@ function MetalDropdown({
   anchorRef: React.RefObject<HTMLButtonElement | null>;
   metalView: string;
   stageCounts: { development: number; finishing: number };
+  scores: ViewScores;
   onSelect: (view: string) => void;
   onMouseEnter: () => void;
   onMouseLeave: () => void;
@@ -246,6 +269,7 @@ function MetalDropdown({
         active={metalView === "overview"}
         label="Overview"
         meta="All"
+        score={scores.overview?.score}
         onClick={() => onSelect("overview")}
       />
       <Divider />
@@ -271,7 +295,7 @@ function MetalDropdown({
 // ═══════════════════════════════════════════════════════════
 
 export function Header() {
-  const { name } = useUser();
+  const { name, can } = useUser();
   const { activeDepartment, currentView } = useUI();
   const { allRows } = useData();
   const { dispatch } = useDispatch();
@@ -280,6 +304,13 @@ export function Header() {
   const [metalView, setMetalView] = useState('overview');
   const [showDigitalDropdown, setShowDigitalDropdown] = useState(false);
   const [showMetalDropdown, setShowMetalDropdown] = useState(false);
+  const [digitalScores, setDigitalScores] = useState<ViewScores>({});
+  const [metalScores, setMetalScores] = useState<ViewScores>({});
+  // Last results, sent back so scores are smoothed between refreshes
+  const carryOver = useRef<Record<'Digital' | 'Metal', Partial<Record<EfficiencyView, EfficiencyCarryOver>>>>({
+    Digital: {},
+    Metal: {},
+  });
   
   const buttonRef = useRef<HTMLButtonElement>(null);
   const dropdownRef = useRef<HTMLDivElement>(null);
@@ -319,6 +350,26 @@ export function Header() {
     return c;
   }, [allRows]);
 
+  // Efficiency scores, refreshed each time a dropdown opens
+  useEffect(() => {
+    const department = showDigitalDropdown ? 'Digital' : showMetalDropdown ? 'Metal' : null;
+    if (!department || !can('query.efficiency_scores')) return;
+
+    let cancelled = false;
+    dispatch('query.efficiency_scores', { department, previous: carryOver.current[department] }).then((result) => {
+      if (cancelled || !result.success) return;
+      const next: Partial<Record<EfficiencyView, EfficiencyCarryOver>> = {};
+      for (const [view, score] of Object.entries(result.data) as [EfficiencyView, EfficiencyScore][]) {
+        if (score.carryOver) next[view] = score.carryOver;
+      }
+      carryOver.current[department] = next;
+      (department === 'Digital' ? setDigitalScores : setMetalScores)(result.data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [showDigitalDropdown, showMetalDropdown, can, dispatch]);
+
   // Track visited departments
   useEffect(() => {
     if (activeDepartment === 'Digital') hasBeenOnDigital.current = true;
@@ -508,6 +559,7 @@ export function Header() {
             anchorRef={buttonRef}
             digitalView={digitalView}
             stageCounts={stageCounts}
+            scores={digitalScores}
             onSelect={selectDigitalView}
             onMouseEnter={handleDigitalMouseEnter}
             onMouseLeave={handleDigitalMouseLeave}
@@ -551,6 +603,7 @@ export function Header() {
             anchorRef={metalButtonRef}
             metalView={metalView}
             stageCounts={metalStageCounts}
+            scores={metalScores}
             onSelect={selectMetalView}
             onMouseEnter={handleMetalMouseEnter}
             onMouseLeave={handleMetalMouseLeave}
@@ -585,6 +638,12 @@ export function Header() {
         >
           Manage Cases
         </button>
+
+        {/* Pending-sync indicator + command bar (Cmd+K, desktop) */}
+        <div className="absolute right-4 top-1/2 -translate-y-1/2 flex items-center gap-2">
+          <SyncIndicator />
+          <CommandPalette className="hidden md:flex" />
+        </div>
       </header>
 
       {/* Mobile settings fab */}
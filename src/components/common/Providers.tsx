@@ -12,12 +12,12 @@ import { DataProvider } from '@/contexts/DataContext';
 import { DispatchProvider } from '@/contexts/DispatchContext';
 import { useUI } from '@/contexts/UIContext';
 
-// Inner component that uses UI context for department
+// Inner component that uses UI context for the department/practice filters
 function DataProviderWithDepartment({ children }: { children: React.ReactNode }) {
-  const { activeDepartment } = useUI();
+  const { activeDepartment, activePractice } = useUI();
   
   return (
-    <DataProvider activeDept={activeDepartment}>
+    <DataProvider activeDept={activeDepartment} activePractice={activePractice}>
       <DispatchProvider>
         {children}
       </DispatchProvider>
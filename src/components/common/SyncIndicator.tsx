@@ -0,0 +1,87 @@
+'use client';
+
+/**
+ * SyncIndicator Component
+ * Header pill for the offline queue: how many actions are waiting for
+ * the server, whether they're replaying, and - when replay stopped at
+ * a conflict or a rejected action - the choice to apply it anyway or
+ * discard it. Renders nothing while everything is in sync.
+ */
+
+import { useState } from 'react';
+import clsx from 'clsx';
+import { offlineQueue } from '@/actions/offline';
+import { useSyncState } from '@/contexts/DispatchContext';
+
+export function SyncIndicator({ className }: { className?: string }) {
+  const { status, pending, offline, blocked } = useSyncState();
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  if (status === 'idle') return null;
+
+  const label =
+    status === 'blocked' ? 'Sync stopped'
+      : status === 'syncing' ? `Syncing ${pending}…`
+        : `${pending} pending${offline ? ' · offline' : ''}`;
+
+  const resolve = async (choice: 'apply' | 'discard') => {
+    setBusy(true);
+    await offlineQueue.resolve(choice);
+    setBusy(false);
+    setOpen(false);
+  };
+
+  return (
+    <div className={clsx("relative", className)}>
+      <button
+        onClick={() => setOpen(!open)}
+        className={clsx(
+          "flex items-center gap-2 px-3 py-1.5 rounded-full text-xs font-medium border backdrop-blur transition-all",
+          status === 'blocked'
+            ? "bg-red-500/80 border-red-300/40 text-white"
+            : "bg-amber-400/20 border-amber-200/40 text-amber-50"
+        )}
+        aria-label="Sync status"
+      >
+        <span
+          className={clsx(
+            "w-2 h-2 rounded-full",
+            status === 'blocked' ? "bg-white" : "bg-amber-300",
+            status === 'syncing' && "animate-pulse"
+          )}
+        />
+        {label}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 p-3 rounded-xl shadow-xl bg-white text-gray-800 text-xs space-y-2 z-50">
+          {blocked ? (
+            <>
+              <p className="font-semibold">
+                {blocked.conflict ? 'Conflict' : 'Rejected by the server'}: {blocked.entry.action.type}
+              </p>
+              <p className="text-gray-600">{blocked.reason}</p>
+              <p className="text-gray-500">
+                {pending - 1 > 0 ? `${pending - 1} more waiting behind it.` : 'Nothing else is waiting.'}
+              </p>
+              <div className="flex justify-end gap-2 pt-1">
+                <button onClick={() => resolve('discard')} disabled={busy} className="secondary-button text-xs">
+                  Discard
+                </button>
+                <button onClick={() => resolve('apply')} disabled={busy} className="primary-button text-xs">
+                  {blocked.conflict ? 'Apply anyway' : 'Retry'}
+                </button>
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-600">
+              {pending} {pending === 1 ? 'change is' : 'changes are'} saved on this device
+              {offline ? ' and will sync when the connection returns.' : ' and syncing now.'}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
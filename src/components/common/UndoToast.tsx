@@ -0,0 +1,111 @@
+'use client';
+
+/**
+ * Undo Toast
+ * Shows the last recorded case change with an Undo/Redo button
+ * and binds Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { useDispatch, useUndoState } from '@/contexts/DispatchContext';
+import { slideUpVariants } from '@/lib/animations';
+import { UNDO_TOAST_DURATION } from '@/lib/constants';
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+/** Leave native undo alone while the user is typing */
+function isTextEntry(target: EventTarget | null): boolean {
+  if (!(target instanceof HTMLElement)) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+const KIND_PREFIX = {
+  do: '',
+  undo: 'Undone: ',
+  redo: 'Redone: ',
+} as const;
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function UndoToast() {
+  const { dispatch } = useDispatch();
+  const { lastChange, canUndo, canRedo } = useUndoState();
+  const [dismissedAt, setDismissedAt] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const visible = lastChange !== null && lastChange.timestamp !== dismissedAt;
+
+  const runHistoryAction = useCallback(async (type: 'history.undo' | 'history.redo') => {
+    const result = await dispatch(type, {});
+    setError(result.success ? null : result.error);
+  }, [dispatch]);
+
+  // Auto-dismiss after each change
+  useEffect(() => {
+    if (!lastChange) return;
+    const timer = setTimeout(() => setDismissedAt(lastChange.timestamp), UNDO_TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [lastChange]);
+
+  // Keyboard shortcuts
+  useEffect(() => {
+    const handleKeyDown = (e: KeyboardEvent) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+      if (isTextEntry(e.target)) return;
+
+      e.preventDefault();
+      runHistoryAction(e.shiftKey ? 'history.redo' : 'history.undo');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [runHistoryAction]);
+
+  // Offer the opposite of what just happened
+  const showRedo = lastChange?.kind === 'undo' && canRedo;
+  const showUndo = lastChange?.kind !== 'undo' && canUndo;
+
+  return (
+    <AnimatePresence>
+      {visible && lastChange && (
+        <motion.div
+          key={lastChange.timestamp}
+          variants={slideUpVariants}
+          initial="initial"
+          animate="animate"
+          exit="exit"
+          role="status"
+          className="glass-notification fixed bottom-6 left-1/2 -translate-x-1/2 flex items-center gap-4 px-4 py-3 rounded-xl"
+        >
+          <div className="min-w-0">
+            <p className="text-sm text-gray-800 truncate">
+              {KIND_PREFIX[lastChange.kind]}{lastChange.label}
+            </p>
+            {error && <p className="text-xs text-red-600 mt-0.5">{error}</p>}
+          </div>
+          {showUndo && (
+            <button
+              onClick={() => runHistoryAction('history.undo')}
+              className="secondary-button text-sm font-semibold"
+            >
+              Undo
+            </button>
+          )}
+          {showRedo && (
+            <button
+              onClick={() => runHistoryAction('history.redo')}
+              className="secondary-button text-sm font-semibold"
+            >
+              Redo
+            </button>
+          )}
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -6,3 +6,6 @@
 export { Header } from './Header';
 export { Providers } from './Providers';
 export { UserSetupModal } from './UserSetupModal';
+export { UndoToast } from './UndoToast';
+export { CommandPalette } from './CommandPalette';
+export { SyncIndicator } from './SyncIndicator';
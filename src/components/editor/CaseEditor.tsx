@@ -10,18 +10,44 @@
  * - Uses form-input/form-select CSS classes from globals.css
  * - Toggle buttons use toggle-button classes with glow effects
  * - Business logic flows through dispatch()
+ * - Edits are saved against the version the editor opened; if someone
+ *   else saved first, a merge dialog shows mine vs. theirs
+ * - Practice and doctor autocomplete from the client directory; for a
+ *   new case, picking a practice pre-fills the due date from its
+ *   turnaround rules (and its default department) unless set by hand
+ * - Other case details (teeth, shade, ...) sit in a collapsible
+ *   section, open by default when the case already has any
+ * - An existing case's notes and comments show below the form, then
+ *   its attachments (photos, Rx PDFs, scans) and linked cases (remakes,
+ *   split units, dependencies)
  */
 
 import { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { useData } from '@/contexts/DataContext';
 import { useUI } from '@/contexts/UIContext';
 import { useDispatch } from '@/contexts/DispatchContext';
+import { useData } from '@/contexts/DataContext';
+import { useUser } from '@/contexts/UserContext';
+import { permissionReason } from '@/actions/permissions';
 import { checkForDuplicates } from '@/services/caseService';
-import { DEPARTMENTS, CASE_TYPES, APP_VERSION } from '@/lib/constants';
+import { DEPARTMENTS, CASE_TYPES, APP_VERSION, RESTORATION_TYPES, MATERIALS, DEFAULT_TOOTH_NOTATION } from '@/lib/constants';
 import { toISODate, getToday, getDateFromToday } from '@/utils/dateUtils';
 import { cn } from '@/lib/cn';
-import type { Case, CreateCaseInput, UpdateCaseInput, Department, CaseType } from '@/types/case';
+import { findPractice, turnaroundDays, turnaroundDueDate } from '@/lib/practices';
+import { CaseNotes } from '@/components/notes';
+import { CaseAttachments } from '@/components/attachments';
+import { CaseLinks } from '@/components/links';
+import type {
+  Case,
+  CaseDetailsInput,
+  CreateCaseInput,
+  UpdateCaseInput,
+  Department,
+  CaseType,
+  ToothNotation,
+} from '@/types/case';
+import type { FieldError } from '@/types/actions';
+import type { CalendarDepartment } from '@/types/calendar';
 
 // ═══════════════════════════════════════════════════════════
 // TYPES
@@ -41,6 +67,108 @@ interface FormData {
   hold: boolean;
   caseType: CaseType;
   needsRepair: boolean;
+  // Case details (text as typed)
+  practice: string;
+  doctor: string;
+  patientRef: string;
+  restorationType: string;
+  units: string;
+  teeth: string;
+  toothNotation: ToothNotation;
+  shade: string;
+  material: string;
+}
+
+type FieldErrors = Partial<Record<keyof FormData, string>>;
+
+/** A save rejected because the case changed since the editor opened */
+interface SaveConflict {
+  mine: FormData;
+  /** The case as stored now (null if it was deleted) */
+  theirs: Case | null;
+}
+
+function emptyForm(department: Department): FormData {
+  return {
+    caseNumber: '',
+    department,
+    due: '',
+    priority: false,
+    rush: false,
+    hold: false,
+    caseType: 'general',
+    needsRepair: false,
+    practice: '',
+    doctor: '',
+    patientRef: '',
+    restorationType: '',
+    units: '',
+    teeth: '',
+    toothNotation: DEFAULT_TOOTH_NOTATION,
+    shade: '',
+    material: '',
+  };
+}
+
+/** Department as the calendar keys it ("Digital" is "General") */
+function calendarDepartment(department: Department): CalendarDepartment {
+  return department === 'Digital' ? 'General' : department;
+}
+
+/** Editable form values for a stored case */
+function caseToForm(c: Case): FormData {
+  return {
+    caseNumber: c.caseNumber || '',
+    department: (c.department === 'General' ? 'Digital' : c.department) as Department,
+    due: c.due?.split('T')[0] || toISODate(getToday()),
+    priority: c.priority || false,
+    rush: c.rush || false,
+    hold: c.hold || false,
+    caseType: c.caseType || 'general',
+    needsRepair: false,
+    practice: c.practice ?? '',
+    doctor: c.doctor ?? '',
+    patientRef: c.patient_ref ?? '',
+    restorationType: c.restoration_type ?? '',
+    units: c.units ? String(c.units) : '',
+    teeth: (c.teeth ?? []).join(', '),
+    toothNotation: c.tooth_notation ?? DEFAULT_TOOTH_NOTATION,
+    shade: c.shade ?? '',
+    material: c.material ?? '',
+  };
+}
+
+// Practice and doctor have their own row; these are in the collapsible section
+const DETAIL_KEYS = ['patientRef', 'restorationType', 'units', 'teeth', 'shade', 'material'] as const;
+
+/** Does any collapsible detail field have a value? (the section opens if so) */
+function hasDetails(values: FormData): boolean {
+  return DETAIL_KEYS.some((key) => values[key] !== '');
+}
+
+/** Detail fields as sent to case.create / case.update */
+function toDetailsInput(values: FormData): CaseDetailsInput {
+  return {
+    practice: values.practice,
+    doctor: values.doctor,
+    patientRef: values.patientRef,
+    restorationType: values.restorationType,
+    units: values.units.trim() ? Number(values.units) : null,
+    teeth: values.teeth.replace(/\s*([-–])\s*/g, '$1').split(/[\s,;]+/).filter(Boolean),
+    toothNotation: values.toothNotation,
+    shade: values.shade,
+    material: values.material,
+  };
+}
+
+/** Index dispatcher field errors by form field (first message wins) */
+function toFieldErrors(errors: FieldError[] = []): FieldErrors {
+  const out: FieldErrors = {};
+  for (const e of errors) {
+    const field = e.field as keyof FormData;
+    if (!out[field]) out[field] = e.message;
+  }
+  return out;
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -48,61 +176,81 @@ interface FormData {
 // ═══════════════════════════════════════════════════════════
 
 export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
-  const { addOrUpdate } = useData();
   const { activeDepartment } = useUI();
   const { dispatch } = useDispatch();
+  const { practices, calendar } = useData();
+  const { role } = useUser();
+
+  // Role check for the save button (the dispatcher enforces it too)
+  const saveBlockedReason = permissionReason(role, editCase ? 'case.update' : 'case.create');
 
   // Refs
   const caseInputRef = useRef<HTMLInputElement>(null);
   const dateInputRef = useRef<HTMLInputElement>(null);
 
   // Form state
-  const [formData, setFormData] = useState<FormData>({
-    caseNumber: '',
-    department: (activeDepartment as Department) || 'Digital',
-    due: '',
-    priority: false,
-    rush: false,
-    hold: false,
-    caseType: 'general',
-    needsRepair: false,
-  });
+  const [formData, setFormData] = useState<FormData>(() =>
+    editCase ? caseToForm(editCase) : emptyForm((activeDepartment as Department) || 'Digital')
+  );
+
+  // The case as the form was loaded from it. Realtime updates to
+  // editCase don't touch the form; the save compares versions instead.
+  const [base, setBase] = useState<Case | null>(editCase ?? null);
+  const [conflict, setConflict] = useState<SaveConflict | null>(null);
+  const changedElsewhere = !!editCase && !!base && editCase.id === base.id && editCase.version !== base.version;
 
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [fieldErrors, setFieldErrors] = useState<FieldErrors>({});
   const [lastSaved, setLastSaved] = useState<string | null>(null);
   const [duplicates, setDuplicates] = useState<any[]>([]);
   const [showDuplicateWarning, setShowDuplicateWarning] = useState(false);
+  const [showDetails, setShowDetails] = useState(() => hasDetails(formData));
+  // Set by hand, so the practice's defaults no longer apply
+  const [touched, setTouched] = useState<{ due?: boolean; department?: boolean }>({});
+
+  // The directory entry for the practice typed in
+  const practice = useMemo(() => findPractice(practices, formData.practice), [practices, formData.practice]);
+  const practiceDue = practice
+    ? turnaroundDueDate(practice, formData.caseType, getToday(), calendar, calendarDepartment(formData.department))
+    : null;
+  const doctorSuggestions = useMemo(
+    () => (practice ? practice.doctors : [...new Set(practices.flatMap((p) => p.doctors))]),
+    [practice, practices]
+  );
 
   // Has user made changes to an edited case?
   const hasChanges = useMemo(() => {
-    if (!editCase) return true;
-    return (
-      formData.caseNumber !== editCase.caseNumber ||
-      formData.department !== (editCase.department === 'General' ? 'Digital' : editCase.department) ||
-      formData.due !== editCase.due ||
-      formData.priority !== editCase.priority ||
-      formData.rush !== editCase.rush ||
-      formData.hold !== editCase.hold ||
-      formData.caseType !== (editCase.caseType || 'general')
-    );
-  }, [editCase, formData]);
-
-  // Initialize form when editing
+    if (!editCase || !base) return true;
+    const loaded = caseToForm(base);
+    return MERGE_FIELDS.some(({ key }) => fieldDiffers(formData, loaded, key));
+  }, [editCase, base, formData]);
+
+  // Initialize form when a different case is opened
   useEffect(() => {
-    if (editCase) {
-      setFormData({
-        caseNumber: editCase.caseNumber || '',
-        department: (editCase.department === 'General' ? 'Digital' : editCase.department) as Department,
-        due: editCase.due?.split('T')[0] || toISODate(getToday()),
-        priority: editCase.priority || false,
-        rush: editCase.rush || false,
-        hold: editCase.hold || false,
-        caseType: editCase.caseType || 'general',
-        needsRepair: false,
-      });
+    if (editCase && editCase.id !== base?.id) {
+      const loaded = caseToForm(editCase);
+      setBase(editCase);
+      setFormData(loaded);
+      setShowDetails(hasDetails(loaded));
     }
-  }, [editCase]);
+  }, [editCase, base]);
+
+  // New cases take the practice's turnaround and default department
+  useEffect(() => {
+    if (editCase || !practice) return;
+    setFormData((prev) => {
+      const next = { ...prev };
+      const department = practice.default_department === 'General' ? 'Digital' : practice.default_department;
+      if (!touched.department && department && department !== prev.department) {
+        next.department = department;
+        if (department !== 'Digital') next.caseType = 'general';
+      }
+      const due = turnaroundDueDate(practice, next.caseType, getToday(), calendar, calendarDepartment(next.department));
+      if (!touched.due && due) next.due = due;
+      return next.due === prev.due && next.department === prev.department ? prev : next;
+    });
+  }, [editCase, practice, formData.caseType, touched, calendar]);
 
   // Check for duplicates when case number changes
   useEffect(() => {
@@ -130,26 +278,66 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
   // Update form field
   const updateField = useCallback(<K extends keyof FormData>(field: K, value: FormData[K]) => {
     setFormData(prev => ({ ...prev, [field]: value }));
+    setFieldErrors(prev => ({ ...prev, [field]: undefined }));
     setError(null);
   }, []);
 
   // Reset form
   const reset = useCallback(() => {
-    setFormData({
-      caseNumber: '',
-      department: (activeDepartment as Department) || 'Digital',
-      due: '',
-      priority: false,
-      rush: false,
-      hold: false,
-      caseType: 'general',
-      needsRepair: false,
-    });
+    setFormData(emptyForm((activeDepartment as Department) || 'Digital'));
+    setBase(null);
+    setConflict(null);
     setDuplicates([]);
     setShowDuplicateWarning(false);
     setError(null);
+    setFieldErrors({});
+    setTouched({});
   }, [activeDepartment]);
 
+  // Field errors go next to their input; anything else in the banner
+  const showDispatchError = useCallback((message: string, errors?: FieldError[]) => {
+    const byField = toFieldErrors(errors);
+    setFieldErrors(byField);
+    if (Object.keys(byField).length === 0) setError(message);
+  }, []);
+
+  // Handle close
+  const handleClose = useCallback(() => {
+    reset();
+    if (onClose) {
+      onClose();
+    } else {
+      dispatch('ui.close_editor', {});
+    }
+  }, [onClose, dispatch, reset]);
+
+  // Save edits made against `against`; a version conflict opens the merge dialog
+  const saveUpdate = useCallback(async (values: FormData, against: Case) => {
+    const dbDepartment = values.department === 'Digital' ? 'General' : values.department;
+    const updatePayload: UpdateCaseInput = {
+      id: against.id,
+      caseNumber: values.caseNumber.trim(),
+      department: dbDepartment as Department,
+      due: values.due,
+      priority: values.priority,
+      rush: values.rush,
+      hold: values.hold,
+      caseType: values.caseType,
+      ...toDetailsInput(values),
+      expectedVersion: against.version,
+    };
+
+    const result = await dispatch('case.update', updatePayload);
+
+    if (result.success) {
+      handleClose();
+    } else if (result.conflict) {
+      setConflict({ mine: values, theirs: result.conflict.current });
+    } else {
+      showDispatchError(result.error, result.fieldErrors);
+    }
+  }, [dispatch, handleClose, showDispatchError]);
+
   // Handle form submission
   const handleSubmit = useCallback(async (e: React.FormEvent) => {
     e.preventDefault();
@@ -159,29 +347,13 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
 
     setIsSubmitting(true);
     setError(null);
+    setFieldErrors({});
 
     try {
       const dbDepartment = formData.department === 'Digital' ? 'General' : formData.department;
 
       if (editCase) {
-        const updatePayload: UpdateCaseInput = {
-          id: editCase.id,
-          caseNumber: formData.caseNumber.trim(),
-          department: dbDepartment as Department,
-          due: formData.due,
-          priority: formData.priority,
-          rush: formData.rush,
-          hold: formData.hold,
-          caseType: formData.caseType,
-        };
-
-        const result = await addOrUpdate(updatePayload, editCase.id);
-        
-        if (result.error) {
-          setError(result.error.message);
-        } else {
-          handleClose();
-        }
+        await saveUpdate(formData, base ?? editCase);
       } else {
         const createPayload: CreateCaseInput = {
           caseNumber: formData.caseNumber.trim(),
@@ -192,12 +364,13 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
           hold: formData.hold,
           caseType: formData.caseType,
           needsRepair: formData.needsRepair,
+          ...toDetailsInput(formData),
         };
 
-        const result = await addOrUpdate(createPayload);
+        const result = await dispatch('case.create', createPayload);
         
-        if (result.error) {
-          setError(result.error.message);
+        if (!result.success) {
+          showDispatchError(result.error, result.fieldErrors);
         } else {
           setLastSaved(formData.caseNumber);
           reset();
@@ -209,7 +382,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
     } finally {
       setIsSubmitting(false);
     }
-  }, [formData, editCase, addOrUpdate, reset]);
+  }, [formData, editCase, base, dispatch, reset, saveUpdate, showDispatchError]);
 
   // Handle button click
   const handleButtonClick = useCallback((e: React.MouseEvent) => {
@@ -222,21 +395,35 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
     }
   }, [editCase, hasChanges, handleSubmit]);
 
-  // Handle close
-  const handleClose = useCallback(() => {
-    reset();
-    if (onClose) {
-      onClose();
-    } else {
-      dispatch('ui.close_editor', {});
-    }
-  }, [onClose, dispatch, reset]);
-
   // Handle date input click
   const handleDateClick = useCallback(() => {
     dateInputRef.current?.showPicker?.();
   }, []);
 
+  // Merge dialog: save the chosen values on top of their version
+  const handleMergeSave = useCallback(async (merged: FormData) => {
+    const theirs = conflict?.theirs;
+    if (!theirs) return;
+    setConflict(null);
+    setBase(theirs);
+    setFormData(merged);
+    setIsSubmitting(true);
+    try {
+      await saveUpdate(merged, theirs);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [conflict, saveUpdate]);
+
+  // Merge dialog: drop my edits and continue from their version
+  const handleTakeTheirs = useCallback(() => {
+    const theirs = conflict?.theirs;
+    setConflict(null);
+    if (!theirs) return;
+    setBase(theirs);
+    setFormData(caseToForm(theirs));
+  }, [conflict]);
+
   return (
     <div className="max-w-2xl mx-auto">
       {/* Version indicator */}
@@ -281,6 +468,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                   </svg>
                 </div>
               )}
+              <FieldErrorText message={fieldErrors.caseNumber} />
             </div>
 
             {/* Due Date Input */}
@@ -289,7 +477,10 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                 ref={dateInputRef}
                 type="date"
                 value={formData.due}
-                onChange={(e) => updateField('due', e.target.value)}
+                onChange={(e) => {
+                  updateField('due', e.target.value);
+                  setTouched((prev) => ({ ...prev, due: true }));
+                }}
                 className={cn('form-input date-input cursor-pointer', !formData.due && 'date-empty')}
               />
               {!formData.due && (
@@ -297,7 +488,47 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                   <span className="text-gray-400 text-sm">mm/dd/yyyy</span>
                 </div>
               )}
+              <FieldErrorText message={fieldErrors.due} />
+            </div>
+          </div>
+
+          {/* Practice & Doctor (autocomplete from the client directory) */}
+          <div>
+            <div className="grid gap-4 sm:grid-cols-2">
+              <div>
+                <input
+                  type="text"
+                  placeholder="Practice"
+                  value={formData.practice}
+                  onChange={(e) => updateField('practice', e.target.value)}
+                  list="practice-directory"
+                  className="form-input"
+                />
+                <FieldErrorText message={fieldErrors.practice} />
+              </div>
+              <div>
+                <input
+                  type="text"
+                  placeholder="Doctor"
+                  value={formData.doctor}
+                  onChange={(e) => updateField('doctor', e.target.value)}
+                  list="practice-doctors"
+                  className="form-input"
+                />
+                <FieldErrorText message={fieldErrors.doctor} />
+              </div>
             </div>
+            {!editCase && practice && practiceDue && formData.due === practiceDue && (
+              <p className="mt-1 text-xs text-gray-500">
+                Due in {turnaroundDays(practice, formData.caseType)} business days per {practice.name}&apos;s turnaround
+              </p>
+            )}
+            <datalist id="practice-directory">
+              {practices.map((p) => <option key={p.id} value={p.name} />)}
+            </datalist>
+            <datalist id="practice-doctors">
+              {doctorSuggestions.map((doctor) => <option key={doctor} value={doctor} />)}
+            </datalist>
           </div>
 
           {/* Row 2: Department & Case Type */}
@@ -319,6 +550,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                     const dept = e.target.value as Department;
                     updateField('department', dept);
                     if (dept !== 'Digital') updateField('caseType', 'general');
+                    setTouched((prev) => ({ ...prev, department: true }));
                   }}
                   className="form-select"
                 >
@@ -326,6 +558,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                   <option value="C&B">C&B</option>
                   <option value="Metal">Metal</option>
                 </select>
+                <FieldErrorText message={fieldErrors.department} />
               </motion.div>
 
               {/* Case Type Select (Digital only) */}
@@ -351,6 +584,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                       <option value="bbs">Base Plates / Bite Rims / Splints</option>
                       <option value="flex">3D Flex</option>
                     </select>
+                    <FieldErrorText message={fieldErrors.caseType} />
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -362,6 +596,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
             <button
               type="button"
               onClick={() => updateField('priority', !formData.priority)}
+              disabled={!!saveBlockedReason}
               className={cn(
                 'toggle-button',
                 formData.priority
@@ -374,6 +609,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
             <button
               type="button"
               onClick={() => updateField('rush', !formData.rush)}
+              disabled={!!saveBlockedReason}
               className={cn(
                 'toggle-button',
                 formData.rush
@@ -386,6 +622,7 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
             <button
               type="button"
               onClick={() => updateField('hold', !formData.hold)}
+              disabled={!!saveBlockedReason}
               className={cn(
                 'toggle-button',
                 formData.hold
@@ -396,12 +633,43 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
               Hold {formData.hold ? 'ON' : 'OFF'}
             </button>
           </div>
+          {formData.rush && practice?.rush_surcharge && (
+            <p className="-mt-2 text-xs text-center text-orange-600">Rush surcharge applies for {practice.name}</p>
+          )}
+
+          {/* Row 4: Case details (collapsible) */}
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowDetails((open) => !open)}
+              className="text-sm text-gray-600 hover:text-gray-800 transition-colors"
+            >
+              {showDetails ? '▾' : '▸'} Case details
+            </button>
+            <AnimatePresence initial={false}>
+              {showDetails && (
+                <motion.div
+                  initial={{ height: 0, opacity: 0 }}
+                  animate={{ height: 'auto', opacity: 1 }}
+                  exit={{ height: 0, opacity: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className="overflow-hidden"
+                >
+                  <CaseDetailsFields values={formData} errors={fieldErrors} onChange={updateField} />
+                </motion.div>
+              )}
+            </AnimatePresence>
+          </div>
 
           {/* Submit Button */}
           <button
             type="button"
             onClick={handleButtonClick}
-            disabled={(!formData.caseNumber.trim() || !formData.due) && (!editCase || hasChanges)}
+            disabled={
+              (!formData.caseNumber.trim() || !formData.due || !!saveBlockedReason) &&
+              (!editCase || hasChanges)
+            }
+            title={saveBlockedReason ?? undefined}
             className={cn(
               'primary-button w-full relative overflow-hidden',
               isSubmitting && 'animate-pulse cursor-not-allowed opacity-75',
@@ -417,6 +685,14 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
                 : 'Save Case'
             }
           </button>
+          {saveBlockedReason && (
+            <p className="text-xs text-center text-gray-500">{saveBlockedReason}</p>
+          )}
+          {changedElsewhere && (
+            <p className="text-xs text-center text-amber-600">
+              Someone else saved this case since you opened it - saving will ask you to merge
+            </p>
+          )}
         </form>
 
         {/* Success Message */}
@@ -448,6 +724,30 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
         </AnimatePresence>
       </motion.section>
 
+      {/* Notes & comments (existing cases only) */}
+      {editCase && (
+        <section className="glass-panel p-6 mt-6">
+          <h3 className="mb-3 font-semibold text-gray-800">Notes</h3>
+          <CaseNotes caseId={editCase.id} />
+        </section>
+      )}
+
+      {/* Photos, Rx PDFs and scans (existing cases only) */}
+      {editCase && (
+        <section className="glass-panel p-6 mt-6">
+          <h3 className="mb-3 font-semibold text-gray-800">Attachments</h3>
+          <CaseAttachments caseId={editCase.id} />
+        </section>
+      )}
+
+      {/* Remakes, split units and dependencies (existing cases only) */}
+      {editCase && (
+        <section className="glass-panel p-6 mt-6">
+          <h3 className="mb-3 font-semibold text-gray-800">Linked Cases</h3>
+          <CaseLinks caseId={editCase.id} />
+        </section>
+      )}
+
       {/* Duplicate Warning Notification */}
       <AnimatePresence>
         {showDuplicateWarning && duplicates.length > 0 && (
@@ -496,6 +796,20 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
         )}
       </AnimatePresence>
 
+      {/* Save conflict: mine vs. theirs */}
+      <AnimatePresence>
+        {conflict && base && (
+          <MergeDialog
+            key={conflict.theirs?.version ?? 'deleted'}
+            base={base}
+            conflict={conflict}
+            onSave={handleMergeSave}
+            onTakeTheirs={handleTakeTheirs}
+            onClose={handleClose}
+          />
+        )}
+      </AnimatePresence>
+
       {/* Info Rows (Priority, Rush, Standard explanations) */}
       <div className="mx-auto mt-6 grid max-w-2xl grid-cols-1 sm:grid-cols-3 gap-3">
         <InfoRow type="priority" title="Priority" desc="Patient appointment today" />
@@ -506,6 +820,266 @@ export function CaseEditor({ editCase, onClose }: CaseEditorProps) {
   );
 }
 
+// ═══════════════════════════════════════════════════════════
+// MERGE DIALOG
+// ═══════════════════════════════════════════════════════════
+
+// Tooth notation travels with the teeth it describes
+type MergeField = Exclude<keyof FormData, 'needsRepair' | 'toothNotation'>;
+type MergeChoice = 'mine' | 'theirs';
+
+const MERGE_FIELDS: { key: MergeField; label: string }[] = [
+  { key: 'caseNumber', label: 'Case #' },
+  { key: 'department', label: 'Department' },
+  { key: 'caseType', label: 'Case Type' },
+  { key: 'due', label: 'Due' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'rush', label: 'Rush' },
+  { key: 'hold', label: 'Hold' },
+  { key: 'doctor', label: 'Doctor' },
+  { key: 'practice', label: 'Practice' },
+  { key: 'patientRef', label: 'Patient' },
+  { key: 'restorationType', label: 'Restoration' },
+  { key: 'units', label: 'Units' },
+  { key: 'teeth', label: 'Teeth' },
+  { key: 'shade', label: 'Shade' },
+  { key: 'material', label: 'Material' },
+];
+
+function fieldDiffers(a: FormData, b: FormData, key: MergeField): boolean {
+  if (key === 'teeth') return a.teeth !== b.teeth || (a.teeth !== '' && a.toothNotation !== b.toothNotation);
+  return a[key] !== b[key];
+}
+
+const NOTATION_LABELS: Record<ToothNotation, string> = {
+  universal: 'Universal',
+  fdi: 'FDI',
+};
+
+const CASE_TYPE_LABELS: Record<CaseType, string> = {
+  general: 'General',
+  bbs: 'Base Plates / Bite Rims / Splints',
+  flex: '3D Flex',
+};
+
+function formatMergeValue(field: MergeField, values: FormData): string {
+  const value = values[field];
+  if (typeof value === 'boolean') return value ? 'On' : 'Off';
+  if (field === 'caseType') return CASE_TYPE_LABELS[values.caseType];
+  if (field === 'teeth' && value) return `${value} (${NOTATION_LABELS[values.toothNotation]})`;
+  return value || '—';
+}
+
+interface MergeDialogProps {
+  /** The case as the editor loaded it */
+  base: Case;
+  conflict: SaveConflict;
+  onSave: (merged: FormData) => void;
+  onTakeTheirs: () => void;
+  onClose: () => void;
+}
+
+/**
+ * Pick mine or theirs for every field that differs. Fields only I
+ * changed default to mine, everything else to theirs.
+ */
+function MergeDialog({ base, conflict, onSave, onTakeTheirs, onClose }: MergeDialogProps) {
+  const { mine } = conflict;
+  const loaded = caseToForm(base);
+  const theirs = conflict.theirs ? caseToForm(conflict.theirs) : null;
+  const differing = theirs ? MERGE_FIELDS.filter(({ key }) => fieldDiffers(mine, theirs, key)) : [];
+
+  const [choices, setChoices] = useState<Partial<Record<MergeField, MergeChoice>>>(() =>
+    Object.fromEntries(differing.map(({ key }) => [key, fieldDiffers(mine, loaded, key) ? 'mine' : 'theirs']))
+  );
+
+  const handleSave = () => {
+    if (!theirs) return;
+    const merged: FormData = { ...theirs };
+    const takeMine = <K extends MergeField>(key: K) => {
+      merged[key] = mine[key];
+    };
+    for (const { key } of differing) {
+      if (choices[key] === 'mine') takeMine(key);
+    }
+    if (choices.teeth === 'mine') merged.toothNotation = mine.toothNotation;
+    if (merged.department !== 'Digital') merged.caseType = 'general';
+    onSave(merged);
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-[100] flex items-center justify-center bg-black/40 backdrop-blur-sm"
+    >
+      <motion.div
+        role="dialog"
+        aria-label="Resolve save conflict"
+        initial={{ y: 10, scale: 0.98 }}
+        animate={{ y: 0, scale: 1 }}
+        exit={{ y: 10, scale: 0.98 }}
+        className="w-full max-w-lg mx-4 rounded-2xl shadow-2xl bg-white text-gray-800 p-5 space-y-4"
+      >
+        <div>
+          <h3 className="text-base font-semibold">Someone else saved this case</h3>
+          <p className="mt-1 text-sm text-gray-600">
+            {theirs
+              ? 'Choose which value to keep where your edits and theirs differ.'
+              : 'It was deleted while you were editing, so your changes cannot be saved.'}
+          </p>
+        </div>
+
+        {theirs && differing.length === 0 && (
+          <p className="text-sm text-gray-500">Their changes don&apos;t overlap with yours.</p>
+        )}
+
+        {theirs && differing.length > 0 && (
+          <div className="grid grid-cols-[auto_1fr_1fr] gap-x-3 gap-y-2 items-center text-sm">
+            <span />
+            <span className="text-xs font-medium uppercase text-gray-500">Mine</span>
+            <span className="text-xs font-medium uppercase text-gray-500">Theirs</span>
+            {differing.map(({ key, label }) => {
+              const bothEdited = fieldDiffers(mine, loaded, key) && fieldDiffers(theirs, loaded, key);
+              return (
+                <div key={key} className="contents">
+                  <span className="text-gray-600">
+                    {label}
+                    {bothEdited && <span className="block text-[10px] text-amber-600">both edited</span>}
+                  </span>
+                  {(['mine', 'theirs'] as const).map((side) => (
+                    <button
+                      key={side}
+                      type="button"
+                      onClick={() => setChoices((prev) => ({ ...prev, [key]: side }))}
+                      className={cn(
+                        'px-3 py-1.5 rounded-lg border text-left truncate transition-colors',
+                        choices[key] === side
+                          ? 'border-[#103E48] bg-[#103E48]/10 font-medium'
+                          : 'border-gray-200 text-gray-500 hover:bg-gray-50'
+                      )}
+                    >
+                      {formatMergeValue(key, side === 'mine' ? mine : theirs)}
+                    </button>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          {theirs ? (
+            <>
+              <button type="button" onClick={onTakeTheirs} className="secondary-button text-sm">
+                Discard mine
+              </button>
+              <button type="button" onClick={handleSave} className="primary-button text-sm">
+                Save merged
+              </button>
+            </>
+          ) : (
+            <button type="button" onClick={onClose} className="primary-button text-sm">
+              Close editor
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE DETAILS FIELDS
+// ═══════════════════════════════════════════════════════════
+
+interface CaseDetailsFieldsProps {
+  values: FormData;
+  errors: FieldErrors;
+  onChange: <K extends keyof FormData>(field: K, value: FormData[K]) => void;
+}
+
+/**
+ * Patient and restoration inputs. Restoration type and material
+ * suggest the usual values but take any text.
+ */
+function CaseDetailsFields({ values, errors, onChange }: CaseDetailsFieldsProps) {
+  const text = (field: (typeof DETAIL_KEYS)[number], placeholder: string, list?: string) => (
+    <div>
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={values[field]}
+        onChange={(e) => onChange(field, e.target.value)}
+        list={list}
+        className="form-input"
+      />
+      <FieldErrorText message={errors[field]} />
+    </div>
+  );
+
+  return (
+    <div className="grid gap-3 pt-3 sm:grid-cols-3">
+      {text('patientRef', 'Patient ID')}
+      {text('restorationType', 'Restoration', 'restoration-types')}
+      {text('material', 'Material', 'materials')}
+
+      {text('shade', 'Shade (e.g. A2)')}
+
+      <div className="sm:col-span-2 flex gap-2">
+        <div className="flex-1">
+          <input
+            type="text"
+            placeholder={values.toothNotation === 'fdi' ? 'Teeth (e.g. 14-16, 21)' : 'Teeth (e.g. 3-5, 8)'}
+            value={values.teeth}
+            onChange={(e) => onChange('teeth', e.target.value)}
+            className="form-input"
+          />
+          <FieldErrorText message={errors.teeth} />
+        </div>
+        <select
+          value={values.toothNotation}
+          onChange={(e) => onChange('toothNotation', e.target.value as ToothNotation)}
+          title="Tooth numbering"
+          className="form-select w-32"
+        >
+          <option value="universal">{NOTATION_LABELS.universal}</option>
+          <option value="fdi">{NOTATION_LABELS.fdi}</option>
+        </select>
+      </div>
+      <div>
+        <input
+          type="number"
+          min={1}
+          step={1}
+          placeholder="Units"
+          value={values.units}
+          onChange={(e) => onChange('units', e.target.value)}
+          className="form-input"
+        />
+        <FieldErrorText message={errors.units} />
+      </div>
+
+      <datalist id="restoration-types">
+        {RESTORATION_TYPES.map((type) => <option key={type} value={type} />)}
+      </datalist>
+      <datalist id="materials">
+        {MATERIALS.map((material) => <option key={material} value={material} />)}
+      </datalist>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// FIELD ERROR TEXT
+// ═══════════════════════════════════════════════════════════
+
+function FieldErrorText({ message }: { message?: string }) {
+  if (!message) return null;
+  return <p className="mt-1 text-xs text-red-600">{message}</p>;
+}
+
 // ═══════════════════════════════════════════════════════════
 // INFO ROW COMPONENT (from original)
 // ═══════════════════════════════════════════════════════════
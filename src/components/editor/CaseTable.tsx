@@ -16,7 +16,9 @@ import { motion, AnimatePresence } from 'framer-motion';
 import { useData } from '@/contexts/DataContext';
 import { useUI } from '@/contexts/UIContext';
 import { useDispatch } from '@/contexts/DispatchContext';
+import { useUser } from '@/contexts/UserContext';
 import { cn } from '@/lib/cn';
+import { describeCaseDetails, describeCaseSource, matchesCaseSearch } from '@/lib/caseDetails';
 import { parseISODate, isToday, isPast } from '@/utils/dateUtils';
 import type { Case } from '@/types/case';
 
@@ -101,6 +103,7 @@ const TableRow = memo(({
   onEdit: (row: Case) => void;
 }) => {
   const [caseNum, caseDesc] = splitCase(row.caseNumber);
+  const details = [describeCaseSource(row), describeCaseDetails(row)].filter(Boolean).join(' · ');
   const { dispatch } = useDispatch();
 
   const handleMenuAction = useCallback((action: string) => {
@@ -138,6 +141,9 @@ const TableRow = memo(({
         {caseDesc && (
           <div className="text-xs text-gray-500 mt-0.5">{caseDesc}</div>
         )}
+        {details && (
+          <div className="text-xs text-gray-400 mt-0.5">{details}</div>
+        )}
       </td>
       <td className="px-4 py-3">
         <span className="text-sm text-gray-600">
@@ -168,6 +174,7 @@ TableRow.displayName = 'TableRow';
 // ═══════════════════════════════════════════════════════════
 
 function RowMenu({ row, onAction }: { row: Case; onAction: (action: string) => void }) {
+  const { can } = useUser();
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef<HTMLDivElement>(null);
 
@@ -202,23 +209,31 @@ function RowMenu({ row, onAction }: { row: Case; onAction: (action: string) => v
             exit={{ opacity: 0, scale: 0.95 }}
             className="absolute right-0 top-full mt-1 w-36 rounded-lg bg-white shadow-lg ring-1 ring-gray-200 py-1 z-50"
           >
-            <MenuButton onClick={() => { onAction('done'); setIsOpen(false); }} className="text-blue-600 hover:bg-blue-50">
-              {row.completed ? 'Undo' : 'Done'}
-            </MenuButton>
+            {can('case.toggle_complete') && (
+              <MenuButton onClick={() => { onAction('done'); setIsOpen(false); }} className="text-blue-600 hover:bg-blue-50">
+                {row.completed ? 'Undo' : 'Done'}
+              </MenuButton>
+            )}
             {!row.completed && (
               <>
                 <MenuButton onClick={() => { onAction('edit'); setIsOpen(false); }} className="text-gray-700 hover:bg-gray-50">
                   Edit
                 </MenuButton>
-                <MenuButton onClick={() => { onAction('priority'); setIsOpen(false); }} className="text-red-600 hover:bg-red-50">
-                  {row.priority ? 'Remove Priority' : 'Set Priority'}
-                </MenuButton>
-                <MenuButton onClick={() => { onAction('rush'); setIsOpen(false); }} className="text-orange-600 hover:bg-orange-50">
-                  {row.rush ? 'Remove Rush' : 'Set Rush'}
-                </MenuButton>
-                <MenuButton onClick={() => { onAction('hold'); setIsOpen(false); }} className="text-amber-600 hover:bg-amber-50">
-                  {row.hold ? 'Remove Hold' : 'Set Hold'}
-                </MenuButton>
+                {can('case.toggle_priority') && (
+                  <MenuButton onClick={() => { onAction('priority'); setIsOpen(false); }} className="text-red-600 hover:bg-red-50">
+                    {row.priority ? 'Remove Priority' : 'Set Priority'}
+                  </MenuButton>
+                )}
+                {can('case.toggle_rush') && (
+                  <MenuButton onClick={() => { onAction('rush'); setIsOpen(false); }} className="text-orange-600 hover:bg-orange-50">
+                    {row.rush ? 'Remove Rush' : 'Set Rush'}
+                  </MenuButton>
+                )}
+                {can('case.toggle_hold') && (
+                  <MenuButton onClick={() => { onAction('hold'); setIsOpen(false); }} className="text-amber-600 hover:bg-amber-50">
+                    {row.hold ? 'Remove Hold' : 'Set Hold'}
+                  </MenuButton>
+                )}
               </>
             )}
           </motion.div>
@@ -332,6 +347,8 @@ CollapsibleSection.displayName = 'CollapsibleSection';
 export function CaseTable({ searchQuery = '', deptFilter = 'All' }: CaseTableProps) {
   const { allRows } = useData();
   const { openEditor } = useUI();
+  const { dispatch } = useDispatch();
+  const { can } = useUser();
 
   // Filter and categorize cases
   const { overdueCases, onHoldCases, activeCases, completedCases } = useMemo(() => {
@@ -341,10 +358,7 @@ export function CaseTable({ searchQuery = '', deptFilter = 'All' }: CaseTablePro
     let filtered = allRows.filter(row => !row.archived);
     
     if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      filtered = filtered.filter(row => 
-        row.caseNumber.toLowerCase().includes(query)
-      );
+      filtered = filtered.filter(row => matchesCaseSearch(row, searchQuery));
     }
     
     if (deptFilter !== 'All') {
@@ -400,9 +414,19 @@ export function CaseTable({ searchQuery = '', deptFilter = 'All' }: CaseTablePro
       {/* Header */}
       <div className="flex items-center justify-between mb-4">
         <h3 className="font-semibold text-gray-800">Active Cases</h3>
-        <button className="secondary-button text-sm">
-          View History
-        </button>
+        <div className="flex gap-2">
+          {can('query.get_action_log') && (
+            <button
+              onClick={() => dispatch('ui.navigate', { view: 'audit' })}
+              className="secondary-button text-sm"
+            >
+              Audit Log
+            </button>
+          )}
+          <button className="secondary-button text-sm">
+            View History
+          </button>
+        </div>
       </div>
 
       {/* Case Sections */}
@@ -0,0 +1,155 @@
+'use client';
+
+/**
+ * ExportPanel Component
+ * Downloads cases through case.export: pick a scope (board, completed
+ * in a date range, archived search), a format and whether to include
+ * history and stage durations.
+ */
+
+import React, { useState } from 'react';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { downloadExportFile } from '@/export';
+import { toISODate, addDays, getToday } from '@/utils/dateUtils';
+import type { ExportFormat, ExportOptions, ExportScope } from '@/types/export';
+
+const SCOPES: { value: ExportScope; label: string }[] = [
+  { value: 'active', label: 'Active board' },
+  { value: 'completed', label: 'Completed cases' },
+  { value: 'archived', label: 'Archived cases' },
+];
+
+const FORMATS: { value: ExportFormat; label: string }[] = [
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+];
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function ExportPanel() {
+  const { dispatch } = useDispatch();
+
+  const [options, setOptions] = useState<ExportOptions>(() => ({
+    format: 'xlsx',
+    scope: 'active',
+    from: toISODate(addDays(getToday(), -30)),
+    to: toISODate(getToday()),
+    search: '',
+    includeHistory: false,
+    includeStageDurations: false,
+  }));
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ text: string; error: boolean } | null>(null);
+
+  const update = <K extends keyof ExportOptions>(field: K, value: ExportOptions[K]) => {
+    setOptions((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleExport = async () => {
+    // Only send the filters that apply to the scope (empty ones fail validation)
+    const { from, to, search, ...rest } = options;
+    const payload: ExportOptions = {
+      ...rest,
+      ...(rest.scope === 'completed' && from && { from }),
+      ...(rest.scope === 'completed' && to && { to }),
+      ...(rest.scope === 'archived' && search && { search }),
+    };
+
+    setBusy(true);
+    const result = await dispatch('case.export', payload);
+    setBusy(false);
+
+    if (!result.success) {
+      setMessage({ text: result.error, error: true });
+      return;
+    }
+    downloadExportFile(result.data);
+    setMessage({ text: `Exported ${result.data.caseCount} case${result.data.caseCount === 1 ? '' : 's'}`, error: false });
+  };
+
+  return (
+    <div className="glass-panel p-4 mt-6">
+      <h3 className="font-semibold text-gray-800 mb-3">Export Cases</h3>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+        <select
+          value={options.scope}
+          onChange={(e) => update('scope', e.target.value as ExportScope)}
+          className="filter-input"
+        >
+          {SCOPES.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+
+        {options.scope === 'completed' && (
+          <>
+            <input
+              type="date"
+              value={options.from ?? ''}
+              onChange={(e) => update('from', e.target.value)}
+              title="Completed on or after"
+              className="filter-input"
+            />
+            <input
+              type="date"
+              value={options.to ?? ''}
+              onChange={(e) => update('to', e.target.value)}
+              title="Completed on or before"
+              className="filter-input"
+            />
+          </>
+        )}
+
+        {options.scope === 'archived' && (
+          <input
+            type="text"
+            value={options.search ?? ''}
+            onChange={(e) => update('search', e.target.value)}
+            placeholder="Case # search (optional)"
+            className="filter-input md:col-span-2"
+          />
+        )}
+
+        <select
+          value={options.format}
+          onChange={(e) => update('format', e.target.value as ExportFormat)}
+          className="filter-input"
+        >
+          {FORMATS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={options.includeHistory ?? false}
+              onChange={(e) => update('includeHistory', e.target.checked)}
+            />
+            History timeline
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={options.includeStageDurations ?? false}
+              onChange={(e) => update('includeStageDurations', e.target.checked)}
+            />
+            Stage durations
+          </label>
+        </div>
+
+        <div className="flex items-center gap-3">
+          {message && (
+            <span className={message.error ? 'text-sm text-red-600' : 'text-sm text-gray-500'}>{message.text}</span>
+          )}
+          <button onClick={handleExport} disabled={busy} className="primary-button text-sm">
+            {busy ? 'Exporting…' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Export Components
+ *
+ * Export all export-related components from this barrel file.
+ */
+
+export { ExportPanel } from './ExportPanel';
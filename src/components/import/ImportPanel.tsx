@@ -0,0 +1,298 @@
+'use client';
+
+/**
+ * ImportPanel Component
+ * Bulk case intake from a CSV/XLSX sheet: pick a file, check the
+ * column mapping, preview (a dry-run case.import that validates rows
+ * and flags duplicate case numbers), untick rows to leave out, then
+ * import and get a summary report.
+ */
+
+import React, { useState, useMemo, useRef } from 'react';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { cn } from '@/lib/cn';
+import { toCsv, downloadFile } from '@/utils/csvUtils';
+import { toISODate, getToday } from '@/utils/dateUtils';
+import {
+  IMPORT_FIELDS,
+  SPREADSHEET_ACCEPT,
+  guessColumnMapping,
+  missingRequiredFields,
+  mapRows,
+  readSpreadsheet,
+} from '@/import';
+import type { ColumnMapping, ImportField, ImportReport, ImportRowReport, ImportRowStatus } from '@/types/import';
+
+const STATUS_STYLES: Record<ImportRowStatus, { label: string; className: string }> = {
+  ready: { label: 'Ready', className: 'bg-teal-100 text-teal-700' },
+  duplicate: { label: 'Duplicate', className: 'bg-amber-100 text-amber-700' },
+  invalid: { label: 'Invalid', className: 'bg-red-100 text-red-700' },
+  created: { label: 'Created', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-700' },
+};
+
+const REPORT_HEADERS = ['Line', 'Case #', 'Department', 'Due', 'Status', 'Issues'];
+
+/** Why a row needs attention, in one line */
+function describeIssues(row: ImportRowReport): string {
+  const issues = [...row.errors];
+  if (row.duplicates.length > 0) {
+    issues.push(`Already on the board: ${row.duplicates.map((d) => d.caseNumber).join(', ')}`);
+  }
+  if (row.duplicateLines.length > 0) {
+    issues.push(`Same case # as line ${row.duplicateLines.join(', ')}`);
+  }
+  return issues.join(' · ');
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function ImportPanel() {
+  const { dispatch } = useDispatch();
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [table, setTable] = useState<string[][] | null>(null);
+  const [mapping, setMapping] = useState<ColumnMapping | null>(null);
+  const [preview, setPreview] = useState<ImportReport | null>(null);
+  const [accepted, setAccepted] = useState<Set<number>>(new Set());
+  const [result, setResult] = useState<ImportReport | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const headers = table?.[0] ?? [];
+  const rows = useMemo(() => (table && mapping ? mapRows(table, mapping) : []), [table, mapping]);
+  const missing = mapping ? missingRequiredFields(mapping) : [];
+
+  const reset = () => {
+    setFileName(null);
+    setTable(null);
+    setMapping(null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  const handleFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    reset();
+    try {
+      const sheet = await readSpreadsheet(file);
+      if (sheet.length < 2) throw new Error(`${file.name} has no rows below the header`);
+      setFileName(file.name);
+      setTable(sheet);
+      setMapping(guessColumnMapping(sheet[0]));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Could not read the file');
+    }
+  };
+
+  const handleMappingChange = (field: ImportField) => (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const column = e.target.value === '' ? null : Number(e.target.value);
+    setMapping((prev) => (prev ? { ...prev, [field]: column } : prev));
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    const response = await dispatch('case.import', { rows, dryRun: true });
+    setBusy(false);
+
+    if (!response.success) {
+      setError(response.error);
+      return;
+    }
+    setError(null);
+    setPreview(response.data);
+    setAccepted(new Set(response.data.rows.filter((r) => r.status === 'ready').map((r) => r.line)));
+  };
+
+  const toggleAccepted = (line: number) => {
+    setAccepted((prev) => {
+      const next = new Set(prev);
+      if (!next.delete(line)) next.add(line);
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    if (!preview) return;
+    const duplicates = new Set(preview.rows.filter((r) => r.status === 'duplicate').map((r) => r.line));
+    const selected = rows
+      .filter((row) => accepted.has(row.line))
+      .map((row) => (duplicates.has(row.line) ? { ...row, allowDuplicate: true } : row));
+
+    setBusy(true);
+    const response = await dispatch('case.import', { rows: selected });
+    setBusy(false);
+
+    if (!response.success) {
+      setError(response.error);
+      return;
+    }
+    setError(null);
+    setPreview(null);
+    setResult(response.data);
+  };
+
+  const handleDownloadReport = (report: ImportReport) => {
+    const csvRows = report.rows.map((row) => [
+      row.line,
+      row.input?.caseNumber ?? '',
+      row.input?.department ?? '',
+      row.input?.due ?? '',
+      STATUS_STYLES[row.status].label,
+      describeIssues(row),
+    ]);
+    downloadFile(`case-import-${toISODate(getToday())}.csv`, toCsv(REPORT_HEADERS, csvRows));
+  };
+
+  const report = result ?? preview;
+
+  return (
+    <div className="glass-panel p-4 mt-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="font-semibold text-gray-800">Import Cases</h3>
+          <p className="text-xs text-gray-500">
+            {fileName ?? 'CSV or Excel sheet, one case per row, with a header row'}
+          </p>
+        </div>
+        <div className="flex gap-2">
+          {table && (
+            <button onClick={reset} className="secondary-button text-sm">
+              {result ? 'Done' : 'Cancel'}
+            </button>
+          )}
+          <button onClick={() => fileInput.current?.click()} className="secondary-button text-sm">
+            Choose File
+          </button>
+          <input ref={fileInput} type="file" accept={SPREADSHEET_ACCEPT} onChange={handleFile} className="hidden" />
+        </div>
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {/* Column mapping */}
+      {mapping && !result && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+          {IMPORT_FIELDS.map(({ field, label, required }) => (
+            <label key={field} className="text-xs text-gray-600">
+              {label}{required && ' *'}
+              <select
+                value={mapping[field] ?? ''}
+                onChange={handleMappingChange(field)}
+                className="filter-input mt-1 w-full"
+              >
+                <option value="">— none —</option>
+                {headers.map((header, i) => (
+                  <option key={i} value={i}>{header || `Column ${i + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {mapping && !preview && !result && (
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-gray-500">
+            {missing.length > 0
+              ? `Map ${missing.map((f) => f.label).join(', ')} to continue`
+              : `${rows.length} row${rows.length === 1 ? '' : 's'} found`}
+          </p>
+          <button
+            onClick={handlePreview}
+            disabled={busy || missing.length > 0 || rows.length === 0}
+            className="primary-button text-sm"
+          >
+            {busy ? 'Checking…' : 'Preview'}
+          </button>
+        </div>
+      )}
+
+      {/* Preview / result */}
+      {report && (
+        <>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm text-gray-700">
+              {result ? 'Imported: ' : 'Preview: '}{report.summary}
+            </p>
+            <button onClick={() => handleDownloadReport(report)} className="secondary-button text-xs">
+              Download Report
+            </button>
+          </div>
+
+          <div className="bg-white rounded-xl overflow-hidden max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b border-gray-200 sticky top-0">
+                <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+                  {!result && <th className="px-3 py-2 font-medium w-8"></th>}
+                  <th className="px-3 py-2 font-medium">Line</th>
+                  <th className="px-3 py-2 font-medium">Case</th>
+                  <th className="px-3 py-2 font-medium">Dept</th>
+                  <th className="px-3 py-2 font-medium">Due</th>
+                  <th className="px-3 py-2 font-medium">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map((row) => {
+                  const issues = describeIssues(row);
+                  const flags = row.input
+                    ? [row.input.rush && 'rush', row.input.hold && 'hold', row.input.caseType !== 'general' && row.input.caseType, row.input.needsRepair && 'repair'].filter(Boolean)
+                    : [];
+                  return (
+                    <tr key={row.line} className="border-b border-gray-100 align-top">
+                      {!result && (
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={accepted.has(row.line)}
+                            disabled={row.status === 'invalid'}
+                            onChange={() => toggleAccepted(row.line)}
+                            title={row.status === 'duplicate' ? 'Import anyway' : undefined}
+                          />
+                        </td>
+                      )}
+                      <td className="px-3 py-2 text-gray-400">{row.line}</td>
+                      <td className="px-3 py-2">
+                        <span className="font-mono text-gray-900">{row.input?.caseNumber ?? '—'}</span>
+                        {flags.length > 0 && <span className="ml-2 text-xs text-gray-500">{flags.join(' · ')}</span>}
+                      </td>
+                      <td className="px-3 py-2 text-gray-600">{row.input?.department ?? ''}</td>
+                      <td className="px-3 py-2 font-mono text-gray-600">{row.input?.due ?? ''}</td>
+                      <td className="px-3 py-2">
+                        <span className={cn('px-2 py-0.5 rounded-full text-xs font-medium', STATUS_STYLES[row.status].className)}>
+                          {STATUS_STYLES[row.status].label}
+                        </span>
+                        {issues && <p className="mt-1 text-xs text-gray-500">{issues}</p>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {preview && !result && (
+            <div className="flex justify-end mt-3">
+              <button
+                onClick={handleImport}
+                disabled={busy || accepted.size === 0}
+                className="primary-button text-sm"
+              >
+                {busy ? 'Importing…' : `Import ${accepted.size} case${accepted.size === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
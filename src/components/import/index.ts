@@ -0,0 +1,7 @@
+/**
+ * Import Components
+ *
+ * Export all import-related components from this barrel file.
+ */
+
+export { ImportPanel } from './ImportPanel';
@@ -0,0 +1,172 @@
+'use client';
+
+/**
+ * CaseLinks Component
+ * A case's relationships in the editor: remakes, split units and the
+ * cases it waits on (or that wait on it), with a form to link another
+ * case and a "Create remake" button that copies this case with a reason.
+ */
+
+import { useMemo, useState } from 'react';
+import { useData } from '@/contexts/DataContext';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { useUser } from '@/contexts/UserContext';
+import { cn } from '@/lib/cn';
+import { MAX_LINK_REASON_LENGTH } from '@/lib/constants';
+import { CASE_LINK_KINDS, LINK_LABELS, describeLink } from '@/lib/links';
+import type { CaseLinkKind } from '@/types/database';
+
+interface CaseLinksProps {
+  caseId: string;
+  className?: string;
+}
+
+export function CaseLinks({ caseId, className }: CaseLinksProps) {
+  const { linksByCase, allRows, getRowById } = useData();
+  const { dispatch } = useDispatch();
+  const { can } = useUser();
+
+  const [kind, setKind] = useState<CaseLinkKind>('depends_on');
+  const [other, setOther] = useState('');
+  const [reason, setReason] = useState('');
+  const [remakeReason, setRemakeReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ text: string; error: boolean } | null>(null);
+
+  const links = linksByCase.get(caseId) ?? [];
+  const otherCases = useMemo(() => allRows.filter((r) => r.id !== caseId), [allRows, caseId]);
+  const target = otherCases.find((r) => r.caseNumber.trim().toLowerCase() === other.trim().toLowerCase());
+
+  const run = async (action: () => Promise<{ success: boolean; error?: string }>, done: string) => {
+    setBusy(true);
+    const result = await action();
+    setBusy(false);
+    setMessage(result.success ? { text: done, error: false } : { text: result.error ?? 'Failed', error: true });
+    return result.success;
+  };
+
+  const handleLink = async () => {
+    if (!target) return;
+    const linked = await run(
+      () => dispatch('case.link', { caseId, linkedCaseId: target.id, kind, ...(reason.trim() && { reason }) }),
+      `Linked to ${target.caseNumber}`
+    );
+    if (linked) {
+      setOther('');
+      setReason('');
+    }
+  };
+
+  const handleRemake = async () => {
+    if (!remakeReason.trim()) return;
+    setBusy(true);
+    const result = await dispatch('case.create_remake', { id: caseId, reason: remakeReason });
+    setBusy(false);
+    if (!result.success) {
+      setMessage({ text: result.error, error: true });
+      return;
+    }
+    setRemakeReason('');
+    setMessage({ text: `Created ${result.data.caseNumber}`, error: false });
+    dispatch('ui.open_editor', { id: result.data.id });
+  };
+
+  return (
+    <div className={cn('space-y-3 text-sm text-gray-800', className)}>
+      {links.length === 0 && <p className="text-gray-500">Not linked to other cases.</p>}
+
+      {links.length > 0 && (
+        <ul className="divide-y divide-gray-200">
+          {links.map((link) => {
+            const { otherId, label } = describeLink(link, caseId);
+            const row = getRowById(otherId);
+            return (
+              <li key={link.id} className="flex items-start justify-between gap-3 py-1.5">
+                <div className="min-w-0">
+                  <span className="text-gray-500">{label}</span>{' '}
+                  {row ? (
+                    <button
+                      onClick={() => dispatch('ui.open_editor', { id: row.id })}
+                      className="font-medium text-teal-700 hover:underline"
+                    >
+                      {row.caseNumber}
+                    </button>
+                  ) : (
+                    <span className="italic text-gray-500">an archived case</span>
+                  )}
+                  {row?.completed && <span className="ml-1 text-xs text-gray-500">(done)</span>}
+                  {link.reason && <div className="truncate text-xs text-gray-500">{link.reason}</div>}
+                </div>
+                {can('case.unlink') && (
+                  <button
+                    onClick={() => void run(() => dispatch('case.unlink', { id: link.id }), 'Link removed')}
+                    disabled={busy}
+                    className="flex-shrink-0 text-xs text-red-600 hover:underline"
+                  >
+                    Unlink
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {can('case.link') && (
+        <div className="grid gap-2 sm:grid-cols-[auto_1fr]">
+          <select value={kind} onChange={(e) => setKind(e.target.value as CaseLinkKind)} className="filter-input">
+            {CASE_LINK_KINDS.map((k) => (
+              <option key={k} value={k}>{LINK_LABELS[k]}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            list={`link-cases-${caseId}`}
+            placeholder="Case number"
+            value={other}
+            onChange={(e) => setOther(e.target.value)}
+            className="filter-input"
+          />
+          <datalist id={`link-cases-${caseId}`}>
+            {otherCases.map((r) => <option key={r.id} value={r.caseNumber} />)}
+          </datalist>
+          <input
+            type="text"
+            placeholder="Note (optional)"
+            value={reason}
+            maxLength={MAX_LINK_REASON_LENGTH}
+            onChange={(e) => setReason(e.target.value)}
+            className="filter-input sm:col-span-2"
+          />
+          <div className="flex justify-end sm:col-span-2">
+            <button onClick={() => void handleLink()} disabled={busy || !target} className="secondary-button text-xs">
+              Link case
+            </button>
+          </div>
+        </div>
+      )}
+
+      {can('case.create_remake') && (
+        <div className="flex gap-2 border-t border-gray-200 pt-3">
+          <input
+            type="text"
+            placeholder="Remake reason (e.g. open margin on #8)"
+            value={remakeReason}
+            maxLength={MAX_LINK_REASON_LENGTH}
+            onChange={(e) => setRemakeReason(e.target.value)}
+            className="filter-input flex-1"
+          />
+          <button
+            onClick={() => void handleRemake()}
+            disabled={busy || !remakeReason.trim()}
+            className="secondary-button text-xs"
+          >
+            Create remake
+          </button>
+        </div>
+      )}
+
+      {message && <p className={cn('text-xs', message.error ? 'text-red-600' : 'text-gray-500')}>{message.text}</p>}
+    </div>
+  );
+}
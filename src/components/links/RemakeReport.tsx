@@ -0,0 +1,99 @@
+'use client';
+
+/**
+ * RemakeReport Component
+ * Remake rate per department in the Manage view: remakes among the
+ * cases created in the chosen period, archived ones included.
+ * Defaults to the last 30 days; reloads when a remake is created or
+ * a link changes.
+ */
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useDispatchEvents } from '@/contexts/DispatchContext';
+import { cn } from '@/lib/cn';
+import { addDays, getToday, toISODate } from '@/utils/dateUtils';
+import type { RemakeRate } from '@/types/link';
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+export function RemakeReport() {
+  const { dispatch } = useDispatch();
+  const [from, setFrom] = useState(() => toISODate(addDays(getToday(), -DEFAULT_PERIOD_DAYS)));
+  const [to, setTo] = useState(() => toISODate(getToday()));
+  const [rates, setRates] = useState<RemakeRate[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [version, setVersion] = useState(0);
+
+  useDispatchEvents((event) => {
+    if (event.success && ['case.link', 'case.unlink', 'case.create_remake', 'case.delete'].includes(event.type)) {
+      setVersion((v) => v + 1);
+    }
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    dispatch('query.remake_rates', { ...(from && { from }), ...(to && { to }) }).then((result) => {
+      if (cancelled) return;
+      setRates(result.success ? result.data : null);
+      setError(result.success ? null : result.error);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch, from, to, version]);
+
+  const total = rates?.reduce((sum, r) => ({ cases: sum.cases + r.cases, remakes: sum.remakes + r.remakes }), {
+    cases: 0,
+    remakes: 0,
+  });
+
+  return (
+    <div className="glass-panel p-4 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <h3 className="font-semibold text-gray-800">Remake Rate</h3>
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="filter-input" aria-label="From" />
+          <span>to</span>
+          <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="filter-input" aria-label="To" />
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {rates && total && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500">
+              <th className="py-1 font-medium">Department</th>
+              <th className="py-1 font-medium text-right">Cases</th>
+              <th className="py-1 font-medium text-right">Remakes</th>
+              <th className="py-1 font-medium text-right">Rate</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 text-gray-800">
+            {rates.map((r) => (
+              <tr key={r.department}>
+                <td className="py-1">{r.department}</td>
+                <td className="py-1 text-right tabular-nums">{r.cases}</td>
+                <td className="py-1 text-right tabular-nums">{r.remakes}</td>
+                <td className={cn('py-1 text-right tabular-nums', r.remakes > 0 && 'font-semibold')}>
+                  {formatRate(r.remakes, r.cases)}
+                </td>
+              </tr>
+            ))}
+            <tr className="font-semibold">
+              <td className="py-1">All</td>
+              <td className="py-1 text-right tabular-nums">{total.cases}</td>
+              <td className="py-1 text-right tabular-nums">{total.remakes}</td>
+              <td className="py-1 text-right tabular-nums">{formatRate(total.remakes, total.cases)}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function formatRate(remakes: number, cases: number): string {
+  return cases === 0 ? '—' : `${((remakes / cases) * 100).toFixed(1)}%`;
+}
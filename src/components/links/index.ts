@@ -0,0 +1,8 @@
+/**
+ * Link Components
+ *
+ * Export all linked case and remake components from this barrel file.
+ */
+
+export { CaseLinks } from './CaseLinks';
+export { RemakeReport } from './RemakeReport';
@@ -0,0 +1,324 @@
+'use client';
+
+/**
+ * CaseNotes Component
+ * A case's notes and threaded replies with a composer. "@" suggests
+ * recently active users; authors can edit (earlier texts stay in the
+ * edit history) and delete their own notes, anyone can pin one note
+ * to the case row. Used by the CaseRow popover and the editor; the
+ * list follows the realtime note feed through DataContext.
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useData } from '@/contexts/DataContext';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { useUser } from '@/contexts/UserContext';
+import { cn } from '@/lib/cn';
+import { MAX_NOTE_LENGTH } from '@/lib/constants';
+import { mentionableUsers, mentionQuery, noteSegments, noteThreads } from '@/lib/notes';
+import type { DbCaseNote } from '@/types/database';
+
+const MAX_SUGGESTIONS = 5;
+
+function formatTimestamp(iso: string): string {
+  return new Date(iso).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+interface CaseNotesProps {
+  caseId: string;
+  className?: string;
+}
+
+export function CaseNotes({ caseId, className }: CaseNotesProps) {
+  const { notesByCase, refreshCaseNotes } = useData();
+  const { dispatch } = useDispatch();
+  const { can } = useUser();
+
+  const [users, setUsers] = useState<string[]>([]);
+  const [replyTo, setReplyTo] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const threads = useMemo(() => noteThreads(notesByCase.get(caseId) ?? []), [notesByCase, caseId]);
+
+  // Fresh copy on open (the board only loads notes for cases it had at start)
+  useEffect(() => {
+    void refreshCaseNotes(caseId);
+  }, [caseId, refreshCaseNotes]);
+
+  useEffect(() => {
+    let cancelled = false;
+    dispatch('query.get_active_users', {}).then((result) => {
+      if (!cancelled && result.success) setUsers(mentionableUsers(result.data));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dispatch]);
+
+  const handleAdd = async (body: string, parentId?: string): Promise<boolean> => {
+    const result = await dispatch('note.add', { caseId, body, ...(parentId && { parentId }) });
+    setError(result.success ? null : result.error);
+    if (result.success) setReplyTo(null);
+    return result.success;
+  };
+
+  return (
+    <div className={cn('space-y-3 text-sm text-gray-800', className)}>
+      {threads.length === 0 && <p className="text-gray-500">No notes yet.</p>}
+
+      {threads.map(({ note, replies }) => (
+        <div key={note.id} className={cn('rounded-lg p-2', note.pinned ? 'bg-amber-50 ring-1 ring-amber-300' : 'bg-white/60')}>
+          <NoteItem note={note} users={users} onReply={() => setReplyTo(note.id)} onError={setError} />
+
+          {replies.length > 0 && (
+            <div className="mt-2 ml-4 space-y-2 border-l-2 border-gray-200 pl-3">
+              {replies.map((reply) => (
+                <NoteItem key={reply.id} note={reply} users={users} onError={setError} />
+              ))}
+            </div>
+          )}
+
+          {replyTo === note.id && (
+            <NoteComposer
+              className="mt-2 ml-4"
+              users={users}
+              placeholder={`Reply to ${note.author}…`}
+              submitLabel="Reply"
+              onSubmit={(body) => handleAdd(body, note.id)}
+              onCancel={() => setReplyTo(null)}
+            />
+          )}
+        </div>
+      ))}
+
+      {can('note.add') && (
+        <NoteComposer users={users} placeholder="Add a note… (@ to mention)" submitLabel="Add note" onSubmit={handleAdd} />
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// NOTE
+// ═══════════════════════════════════════════════════════════
+
+interface NoteItemProps {
+  note: DbCaseNote;
+  users: string[];
+  /** Top-level notes only */
+  onReply?: () => void;
+  onError: (message: string | null) => void;
+}
+
+function NoteItem({ note, users, onReply, onError }: NoteItemProps) {
+  const { dispatch } = useDispatch();
+  const { name, can } = useUser();
+  const [editing, setEditing] = useState(false);
+  const [showEdits, setShowEdits] = useState(false);
+
+  const isAuthor = note.author === name;
+  const isReply = !!note.parent_id;
+
+  const run = async (action: Promise<{ success: boolean; error?: string }>) => {
+    const result = await action;
+    onError(result.success ? null : result.error ?? 'Failed');
+    return result.success;
+  };
+
+  const handleEdit = async (body: string) => {
+    const saved = await run(dispatch('note.edit', { id: note.id, body }));
+    if (saved) setEditing(false);
+    return saved;
+  };
+
+  const handleDelete = () => {
+    const what = isReply ? 'this reply' : 'this note and its replies';
+    if (window.confirm(`Delete ${what}?`)) void run(dispatch('note.delete', { id: note.id }));
+  };
+
+  if (editing) {
+    return (
+      <NoteComposer
+        users={users}
+        initial={note.body}
+        submitLabel="Save"
+        onSubmit={handleEdit}
+        onCancel={() => setEditing(false)}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-baseline gap-2 text-xs text-gray-500">
+        <span className="font-semibold text-gray-700">{note.author}</span>
+        <span>{formatTimestamp(note.created_at)}</span>
+        {note.edits.length > 0 && (
+          <button onClick={() => setShowEdits((v) => !v)} className="hover:underline">
+            (edited)
+          </button>
+        )}
+        {note.pinned && <span className="font-semibold text-amber-700">Pinned</span>}
+      </div>
+
+      <p className="whitespace-pre-wrap break-words">
+        {noteSegments(note.body, note.mentions).map((segment, i) =>
+          segment.mention ? (
+            <span
+              key={i}
+              className={cn('font-medium text-teal-700', segment.mention === name && 'rounded bg-teal-100 px-0.5')}
+            >
+              {segment.text}
+            </span>
+          ) : (
+            <React.Fragment key={i}>{segment.text}</React.Fragment>
+          )
+        )}
+      </p>
+
+      {showEdits && (
+        <ol className="mt-1 space-y-1 border-l-2 border-gray-200 pl-2 text-xs text-gray-500">
+          {note.edits.map((edit) => (
+            <li key={edit.edited_at}>
+              <span className="line-through">{edit.body}</span> · replaced {formatTimestamp(edit.edited_at)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <div className="mt-1 flex gap-3 text-xs">
+        {onReply && can('note.add') && (
+          <button onClick={onReply} className="text-teal-700 hover:underline">Reply</button>
+        )}
+        {!isReply && can('note.pin') && (
+          <button
+            onClick={() => void run(dispatch('note.pin', { id: note.id, pinned: !note.pinned }))}
+            className="text-amber-700 hover:underline"
+          >
+            {note.pinned ? 'Unpin' : 'Pin'}
+          </button>
+        )}
+        {isAuthor && can('note.edit') && (
+          <button onClick={() => setEditing(true)} className="text-gray-600 hover:underline">Edit</button>
+        )}
+        {isAuthor && can('note.delete') && (
+          <button onClick={handleDelete} className="text-red-600 hover:underline">Delete</button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPOSER
+// ═══════════════════════════════════════════════════════════
+
+interface NoteComposerProps {
+  users: string[];
+  initial?: string;
+  placeholder?: string;
+  submitLabel: string;
+  /** Resolves true when saved (the composer then clears) */
+  onSubmit: (body: string) => Promise<boolean>;
+  onCancel?: () => void;
+  className?: string;
+}
+
+function NoteComposer({ users, initial = '', placeholder, submitLabel, onSubmit, onCancel, className }: NoteComposerProps) {
+  const [body, setBody] = useState(initial);
+  const [cursor, setCursor] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const textareaRef = useRef<HTMLTextAreaElement>(null);
+
+  // "@partial" before the cursor → users whose name starts with it
+  const query = mentionQuery(body, cursor);
+  const suggestions = query
+    ? users.filter((u) => u.toLowerCase().startsWith(query.query.toLowerCase())).slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const insertMention = (user: string) => {
+    if (!query) return;
+    const before = `${body.slice(0, query.start)}@${user} `;
+    setBody(before + body.slice(cursor));
+    setCursor(before.length);
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(before.length, before.length);
+    });
+  };
+
+  const submit = async () => {
+    if (!body.trim() || busy) return;
+    setBusy(true);
+    const saved = await onSubmit(body);
+    setBusy(false);
+    if (saved && !initial) {
+      setBody('');
+      setCursor(0);
+    }
+  };
+
+  return (
+    <div className={cn('relative', className)}>
+      <textarea
+        ref={textareaRef}
+        value={body}
+        placeholder={placeholder}
+        maxLength={MAX_NOTE_LENGTH}
+        rows={2}
+        onChange={(e) => {
+          setBody(e.target.value);
+          setCursor(e.target.selectionStart);
+        }}
+        onSelect={(e) => setCursor(e.currentTarget.selectionStart)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            void submit();
+          }
+        }}
+        className="filter-input w-full"
+      />
+
+      {suggestions.length > 0 && (
+        <ul className="absolute left-0 z-40 mt-1 w-56 rounded-lg bg-white py-1 shadow-lg ring-1 ring-gray-200">
+          {suggestions.map((user) => (
+            <li key={user}>
+              <button
+                type="button"
+                // Keep focus (and the cursor) in the textarea
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => insertMention(user)}
+                className="w-full px-3 py-1 text-left text-sm hover:bg-teal-50"
+              >
+                @{user}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-1 flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="secondary-button text-xs">
+            Cancel
+          </button>
+        )}
+        <button type="button" onClick={() => void submit()} disabled={busy || !body.trim()} className="primary-button text-xs">
+          {busy ? 'Saving…' : submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Note Components
+ *
+ * Export all case note components from this barrel file.
+ */
+
+export { CaseNotes } from './CaseNotes';
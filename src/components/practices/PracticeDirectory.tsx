@@ -0,0 +1,319 @@
+'use client';
+
+/**
+ * PracticeDirectory Component
+ * The client directory in the Manage view: every practice with its
+ * contact, doctors, default department, turnaround rules and rush
+ * surcharge flag. Leads can add and edit practices, managers remove
+ * them; the editor uses the rules to pre-fill new cases.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { useDispatch } from '@/contexts/DispatchContext';
+import { useData } from '@/contexts/DataContext';
+import { useUser } from '@/contexts/UserContext';
+import { CASE_TYPES, MAX_TURNAROUND_DAYS } from '@/lib/constants';
+import { isSamePractice } from '@/lib/practices';
+import type { CaseType, Department } from '@/types/case';
+import type { DbPractice } from '@/types/database';
+import type { SavePracticeInput } from '@/types/practice';
+
+const CASE_TYPE_NAMES: Record<CaseType, string> = {
+  general: 'General',
+  bbs: 'BBS',
+  flex: '3D Flex',
+};
+
+const DEPARTMENT_OPTIONS: Department[] = ['Digital', 'C&B', 'Metal'];
+
+/** Form values, text as typed */
+interface PracticeForm {
+  id?: string;
+  name: string;
+  contact: string;
+  /** Comma-separated */
+  doctors: string;
+  defaultDepartment: Department | '';
+  turnaround: Record<CaseType, string>;
+  rushSurcharge: boolean;
+  notes: string;
+}
+
+function emptyForm(): PracticeForm {
+  return {
+    name: '',
+    contact: '',
+    doctors: '',
+    defaultDepartment: '',
+    turnaround: { general: '', bbs: '', flex: '' },
+    rushSurcharge: false,
+    notes: '',
+  };
+}
+
+function practiceToForm(p: DbPractice): PracticeForm {
+  const days = (caseType: CaseType) => String(p.turnaround_days[caseType] ?? '');
+  return {
+    id: p.id,
+    name: p.name,
+    contact: p.contact ?? '',
+    doctors: p.doctors.join(', '),
+    defaultDepartment: p.default_department === 'General' ? 'Digital' : p.default_department ?? '',
+    turnaround: { general: days('general'), bbs: days('bbs'), flex: days('flex') },
+    rushSurcharge: p.rush_surcharge,
+    notes: p.notes ?? '',
+  };
+}
+
+/** Form values as sent to practice.save (blank turnaround fields have no rule) */
+function formToInput(form: PracticeForm): SavePracticeInput {
+  return {
+    ...(form.id && { id: form.id }),
+    name: form.name,
+    contact: form.contact,
+    doctors: form.doctors.split(',').filter((d) => d.trim()),
+    defaultDepartment: form.defaultDepartment || null,
+    turnaroundDays: Object.fromEntries(
+      CASE_TYPES.filter((t) => form.turnaround[t].trim()).map((t) => [t, Number(form.turnaround[t])])
+    ),
+    rushSurcharge: form.rushSurcharge,
+    notes: form.notes,
+  };
+}
+
+/** "General 5d · 3D Flex 8d" */
+function describeTurnaround(p: DbPractice): string {
+  return CASE_TYPES.filter((t) => p.turnaround_days[t] !== undefined)
+    .map((t) => `${CASE_TYPE_NAMES[t]} ${p.turnaround_days[t]}d`)
+    .join(' · ');
+}
+
+// ═══════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════
+
+export function PracticeDirectory() {
+  const { dispatch } = useDispatch();
+  const { practices, allRows } = useData();
+  const { can } = useUser();
+
+  const [form, setForm] = useState<PracticeForm | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ text: string; error: boolean } | null>(null);
+
+  // Active cases per practice
+  const caseCounts = useMemo(() => {
+    const counts = new Map<string, number>();
+    for (const p of practices) {
+      counts.set(p.id, allRows.filter((r) => !r.completed && isSamePractice(r.practice, p.name)).length);
+    }
+    return counts;
+  }, [practices, allRows]);
+
+  const update = <K extends keyof PracticeForm>(field: K, value: PracticeForm[K]) => {
+    setForm((prev) => (prev ? { ...prev, [field]: value } : prev));
+  };
+
+  const handleSave = async () => {
+    if (!form || !form.name.trim()) return;
+    setBusy(true);
+    const result = await dispatch('practice.save', formToInput(form));
+    setBusy(false);
+
+    if (!result.success) {
+      setMessage({ text: result.error, error: true });
+      return;
+    }
+    setForm(null);
+    setMessage({ text: `Saved ${result.data.name}`, error: false });
+  };
+
+  const handleDelete = async (p: DbPractice) => {
+    if (!window.confirm(`Remove ${p.name} from the directory? Its cases keep the practice name.`)) return;
+    const result = await dispatch('practice.delete', { id: p.id });
+    setMessage(result.success ? { text: `Removed ${p.name}`, error: false } : { text: result.error, error: true });
+  };
+
+  return (
+    <div className="glass-panel p-4 mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-800">
+          Client Directory <span className="text-sm font-normal text-gray-500">({practices.length})</span>
+        </h3>
+        {can('practice.save') && !form && (
+          <button
+            onClick={() => {
+              setForm(emptyForm());
+              setMessage(null);
+            }}
+            className="secondary-button text-sm"
+          >
+            Add practice
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <PracticeFormFields form={form} busy={busy} onChange={update} onSave={handleSave} onCancel={() => setForm(null)} />
+      )}
+
+      {practices.length === 0 && !form && (
+        <p className="text-sm text-gray-500">No practices yet.</p>
+      )}
+
+      <ul className="divide-y divide-gray-200">
+        {practices.map((p) => (
+          <li key={p.id} className="py-2 flex items-start justify-between gap-3 text-sm">
+            <div className="min-w-0">
+              <div className="font-medium text-gray-800">
+                {p.name}
+                {p.rush_surcharge && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded bg-orange-100 text-orange-700 text-[10px] font-semibold uppercase">
+                    Rush surcharge
+                  </span>
+                )}
+                <span className="ml-2 text-xs font-normal text-gray-500">
+                  {caseCounts.get(p.id) ?? 0} active
+                </span>
+              </div>
+              <div className="text-xs text-gray-600 truncate">
+                {[
+                  p.doctors.map((d) => `Dr. ${d}`).join(', '),
+                  p.contact,
+                  p.default_department && (p.default_department === 'General' ? 'Digital' : p.default_department),
+                  describeTurnaround(p),
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+              {p.notes && <div className="text-xs text-gray-500 truncate">{p.notes}</div>}
+            </div>
+
+            <div className="flex gap-2 flex-shrink-0">
+              {can('practice.save') && (
+                <button
+                  onClick={() => {
+                    setForm(practiceToForm(p));
+                    setMessage(null);
+                  }}
+                  className="text-xs text-teal-700 hover:underline"
+                >
+                  Edit
+                </button>
+              )}
+              {can('practice.delete') && (
+                <button onClick={() => handleDelete(p)} className="text-xs text-red-600 hover:underline">
+                  Remove
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {message && (
+        <p className={message.error ? 'mt-2 text-sm text-red-600' : 'mt-2 text-sm text-gray-500'}>{message.text}</p>
+      )}
+    </div>
+  );
+}
+
+// ═══════════════════════════════════════════════════════════
+// FORM
+// ═══════════════════════════════════════════════════════════
+
+interface PracticeFormFieldsProps {
+  form: PracticeForm;
+  busy: boolean;
+  onChange: <K extends keyof PracticeForm>(field: K, value: PracticeForm[K]) => void;
+  onSave: () => void;
+  onCancel: () => void;
+}
+
+function PracticeFormFields({ form, busy, onChange, onSave, onCancel }: PracticeFormFieldsProps) {
+  return (
+    <div className="mb-4 p-3 rounded-lg bg-white/60 space-y-3">
+      <div className="grid gap-3 sm:grid-cols-2">
+        <input
+          type="text"
+          placeholder="Practice name"
+          value={form.name}
+          onChange={(e) => onChange('name', e.target.value)}
+          className="filter-input"
+          autoFocus
+        />
+        <input
+          type="text"
+          placeholder="Contact (phone, email, person)"
+          value={form.contact}
+          onChange={(e) => onChange('contact', e.target.value)}
+          className="filter-input"
+        />
+        <input
+          type="text"
+          placeholder="Doctors (comma-separated)"
+          value={form.doctors}
+          onChange={(e) => onChange('doctors', e.target.value)}
+          className="filter-input"
+        />
+        <select
+          value={form.defaultDepartment}
+          onChange={(e) => onChange('defaultDepartment', e.target.value as Department | '')}
+          className="filter-input"
+        >
+          <option value="">No default department</option>
+          {DEPARTMENT_OPTIONS.map((d) => <option key={d} value={d}>{d}</option>)}
+        </select>
+      </div>
+
+      <div>
+        <div className="text-xs text-gray-600 mb-1">
+          Turnaround (business days; blank types use General)
+        </div>
+        <div className="grid grid-cols-3 gap-3">
+          {CASE_TYPES.map((t) => (
+            <label key={t} className="flex items-center gap-2 text-sm text-gray-700">
+              <span className="w-16 flex-shrink-0">{CASE_TYPE_NAMES[t]}</span>
+              <input
+                type="number"
+                min={0}
+                max={MAX_TURNAROUND_DAYS}
+                step={1}
+                value={form.turnaround[t]}
+                onChange={(e) => onChange('turnaround', { ...form.turnaround, [t]: e.target.value })}
+                className="filter-input w-full"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <textarea
+        placeholder="Notes"
+        value={form.notes}
+        onChange={(e) => onChange('notes', e.target.value)}
+        rows={2}
+        className="filter-input w-full"
+      />
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.rushSurcharge}
+            onChange={(e) => onChange('rushSurcharge', e.target.checked)}
+          />
+          Rush surcharge
+        </label>
+        <div className="flex gap-2">
+          <button onClick={onCancel} className="secondary-button text-sm">
+            Cancel
+          </button>
+          <button onClick={onSave} disabled={busy || !form.name.trim()} className="primary-button text-sm">
+            {busy ? 'Saving…' : form.id ? 'Update practice' : 'Add practice'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * Practice Components
+ *
+ * Export all client directory components from this barrel file.
+ */
+
+export { PracticeDirectory } from './PracticeDirectory';
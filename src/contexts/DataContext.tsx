@@ -2,11 +2,14 @@
 
 /**
  * Data Context
- * Manages case data with realtime updates from Supabase
+ * Manages case data and case notes with realtime updates from the
+ * repository's change feeds, plus the client directory, lab calendar
+ * and case links (reloaded after practice.*, calendar.* and link actions),
+ * and a risk prediction and due-date forecast per active case
  */
 
-import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
-import { db } from '@/lib/supabase';
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo, useRef } from 'react';
+import { getRepository } from '@/repositories';
 import {
   fetchCases,
   mapDbToCase,
@@ -22,9 +25,23 @@ import {
   toggleCaseExclusion as svcToggleCaseExclusion,
   batchToggleExclusions as svcBatchToggleExclusions,
 } from '@/services/caseService';
+import { fetchPractices } from '@/services/practiceService';
+import { fetchCalendar } from '@/services/calendarService';
+import { fetchNotes } from '@/services/noteService';
+import { fetchLinks } from '@/services/linkService';
+import { fetchRiskBasis } from '@/services/efficiencyService';
+import { efficiencyConfig, forecastCases, predictCaseRisks } from '@/analytics';
+import type { ForecastCacheEntry, RiskCacheEntry } from '@/analytics';
+import { applyOptimistic } from '@/actions/optimistic';
+import { matchesPractice } from '@/lib/practices';
+import { DEFAULT_LAB_CALENDAR } from '@/lib/calendar';
+import { notesByCase as groupNotesByCase } from '@/lib/notes';
+import { linksByCase as groupLinksByCase } from '@/lib/links';
+import type { Action } from '@/types/actions';
 import type { Case, CreateCaseInput, UpdateCaseInput, CaseStage, Department } from '@/types/case';
-import type { DbCase } from '@/types/database';
-import type { RealtimePostgresChangesPayload } from '@supabase/supabase-js';
+import type { DbCase, DbCaseLink, DbCaseNote, DbPractice } from '@/types/database';
+import type { LabCalendar } from '@/types/calendar';
+import type { CaseForecast, CaseRiskPrediction, ForecastBasis } from '@/types/efficiency';
 
 // ═══════════════════════════════════════════════════════════
 // UPDATE ROW HANDLING (special "update" case numbers)
@@ -75,15 +92,31 @@ function flagUpdatePending(record: DbCase): void {
 }
 
 async function purgeUpdateRows(): Promise<void> {
-  await db.from('cases').delete().ilike('casenumber', 'update');
+  await getRepository().deleteCasesByNumber('update');
 }
 
+// ═══════════════════════════════════════════════════════════
+// CASE RISK
+// ═══════════════════════════════════════════════════════════
+
+/** How often the risk benchmarks are rebuilt from the full history */
+const RISK_BASIS_REFRESH = 15 * 60 * 1000;
+
+/** How often predictions move on with the clock */
+const RISK_CLOCK_TICK = 5 * 60 * 1000;
+
+/** Each row's last prediction; a row object that hasn't changed keeps it */
+const riskCache = new WeakMap<Case, RiskCacheEntry>();
+
+/** Each row's last due-date forecast, kept the same way */
+const forecastCache = new WeakMap<Case, ForecastCacheEntry>();
+
 // ═══════════════════════════════════════════════════════════
 // TYPES
 // ═══════════════════════════════════════════════════════════
 
 interface DataContextValue {
-  /** All non-archived cases (filtered by activeDept if set) */
+  /** All non-archived cases (filtered by activeDept and activePractice if set) */
   rows: Case[];
   /** All cases regardless of department filter */
   allRows: Case[];
@@ -91,17 +124,42 @@ interface DataContextValue {
   loading: boolean;
   /** Error state */
   error: Error | null;
+  /** Client directory, by name */
+  practices: DbPractice[];
+  /** Lab calendar (the defaults until it has loaded) */
+  calendar: LabCalendar;
+  /** Notes on the loaded cases by case id, oldest first */
+  notesByCase: Map<string, DbCaseNote[]>;
+  /** Every case link */
+  links: DbCaseLink[];
+  /** Links by case id, each under both of its cases */
+  linksByCase: Map<string, DbCaseLink[]>;
+  /** Risk prediction per active case (empty until the benchmarks have loaded) */
+  riskByCase: Map<string, CaseRiskPrediction>;
+  /** Due-date forecast per active case (empty until the benchmarks have loaded) */
+  forecastByCase: Map<string, CaseForecast>;
   
   // Actions
   togglePriority: (row: Case) => Promise<void>;
   toggleRush: (row: Case) => Promise<void>;
   toggleHold: (row: Case) => Promise<void>;
-  toggleComplete: (id: string, currentCompleted: boolean) => Promise<void>;
+  toggleComplete: (row: Case) => Promise<void>;
   toggleStage2: (row: Case) => Promise<void>;
   updateCaseStage: (row: Case, newStage: CaseStage | null, isRepair?: boolean) => Promise<void>;
   addOrUpdate: (payload: CreateCaseInput | UpdateCaseInput, editId?: string) => Promise<{ error: Error | null }>;
   removeCase: (id: string) => Promise<void>;
-  refreshCases: () => Promise<void>;
+  /** Reload cases; `silent` keeps the current rows on screen instead of the loading state */
+  refreshCases: (options?: { silent?: boolean }) => Promise<void>;
+  /** Reload the client directory */
+  refreshPractices: () => Promise<void>;
+  /** Reload the lab calendar */
+  refreshCalendar: () => Promise<void>;
+  /** Reload the case links */
+  refreshLinks: () => Promise<void>;
+  /** Reload one case's notes (e.g. a case restored from the archive) */
+  refreshCaseNotes: (caseId: string) => Promise<void>;
+  /** Apply a case mutation locally before the server has it (offline queue) */
+  applyLocalAction: (action: Action, now: Date) => void;
   toggleCaseExclusion: (caseId: string, stage?: string | null, reason?: string | null) => Promise<{ isExcluded: boolean }>;
   batchToggleExclusions: (caseIds: string[], exclude: boolean, stage?: string | null, reason?: string | null) => Promise<{ caseId: string; success: boolean }[]>;
   
@@ -122,10 +180,15 @@ const DataContext = createContext<DataContextValue | null>(null);
 interface DataProviderProps {
   children: React.ReactNode;
   activeDept?: Department | null;
+  activePractice?: string | null;
 }
 
-export function DataProvider({ children, activeDept }: DataProviderProps) {
+export function DataProvider({ children, activeDept, activePractice = null }: DataProviderProps) {
   const [allRows, setAllRows] = useState<Case[]>([]);
+  const [practices, setPractices] = useState<DbPractice[]>([]);
+  const [calendar, setCalendar] = useState<LabCalendar>(DEFAULT_LAB_CALENDAR);
+  const [notes, setNotes] = useState<DbCaseNote[]>([]);
+  const [links, setLinks] = useState<DbCaseLink[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<Error | null>(null);
   const isInitialLoadRef = useRef(true);
@@ -164,90 +227,225 @@ export function DataProvider({ children, activeDept }: DataProviderProps) {
       setAllRows(filtered);
       setLoading(false);
       isInitialLoadRef.current = false;
+
+      // Notes come after the board is on screen; it works without them
+      const { data: caseNotes, error: notesError } = await fetchNotes(filtered.map((r) => r.id));
+      if (notesError) {
+        console.error('Failed to load notes:', notesError);
+        return;
+      }
+      setNotes(caseNotes);
     }
 
     loadCases();
   }, []);
 
-  // ─── Realtime subscription ───────────────────────────────
+  // ─── Client directory ────────────────────────────────────
+  const refreshPractices = useCallback(async () => {
+    const { data, error: fetchError } = await fetchPractices();
+    // The board works without the directory, so keep what we have
+    if (fetchError) {
+      console.error('Failed to load practices:', fetchError);
+      return;
+    }
+    setPractices(data);
+  }, []);
+
   useEffect(() => {
-    const channel = db
-      .channel('cases-realtime')
-      .on<DbCase>(
-        'postgres_changes',
-        { event: '*', schema: 'public', table: 'cases' },
-        (payload: RealtimePostgresChangesPayload<DbCase>) => {
-          setAllRows((current) => {
-            const newRecord = payload.new as DbCase | undefined;
-            const oldRecord = payload.old as DbCase | undefined;
-
-            // Handle archived cases - remove from list
-            if (newRecord && newRecord.archived) {
-              return current.filter((r) => r.id !== newRecord.id);
-            }
-
-            // Handle "update" rows
-            if (newRecord && newRecord.casenumber?.trim().toLowerCase() === 'update') {
-              flagUpdatePending(newRecord);
-              purgeUpdateRows();
-              return current;
-            }
-
-            // Handle DELETE
-            if (payload.eventType === 'DELETE' && oldRecord) {
-              return current.filter((r) => r.id !== oldRecord.id);
-            }
-
-            // Handle INSERT/UPDATE
-            if (newRecord && newRecord.id) {
-              const newRow = mapDbToCase(newRecord);
-              const existingIndex = current.findIndex((r) => r.id === newRow.id);
-              
-              if (existingIndex === -1) {
-                // New row - add to list
-                return [...current, newRow];
-              } else {
-                // Updated row - replace in list
-                const updated = [...current];
-                updated[existingIndex] = newRow;
-                return updated;
-              }
-            }
-
-            return current;
-          });
-        }
-      )
-      .subscribe();
+    async function loadPractices() {
+      const { data, error: fetchError } = await fetchPractices();
+      if (fetchError) {
+        console.error('Failed to load practices:', fetchError);
+        return;
+      }
+      setPractices(data);
+    }
+
+    loadPractices();
+  }, []);
+
+  // ─── Lab calendar ────────────────────────────────────────
+  const refreshCalendar = useCallback(async () => {
+    const { data, error: fetchError } = await fetchCalendar();
+    // Working days fall back to the defaults, so keep what we have
+    if (fetchError) {
+      console.error('Failed to load lab calendar:', fetchError);
+      return;
+    }
+    setCalendar(data);
+  }, []);
+
+  useEffect(() => {
+    async function loadCalendar() {
+      const { data, error: fetchError } = await fetchCalendar();
+      if (fetchError) {
+        console.error('Failed to load lab calendar:', fetchError);
+        return;
+      }
+      setCalendar(data);
+    }
+
+    loadCalendar();
+  }, []);
+
+  // ─── Case links ──────────────────────────────────────────
+  const refreshLinks = useCallback(async () => {
+    const { data, error: fetchError } = await fetchLinks();
+    // Without links the board just shows no indicators, so keep what we have
+    if (fetchError) {
+      console.error('Failed to load case links:', fetchError);
+      return;
+    }
+    setLinks(data);
+  }, []);
+
+  useEffect(() => {
+    async function loadLinks() {
+      const { data, error: fetchError } = await fetchLinks();
+      if (fetchError) {
+        console.error('Failed to load case links:', fetchError);
+        return;
+      }
+      setLinks(data);
+    }
+
+    loadLinks();
+  }, []);
+
+  const linksByCase = useMemo(() => groupLinksByCase(links), [links]);
+
+  // ─── Case risk ───────────────────────────────────────────
+  const [riskBasis, setRiskBasis] = useState<ForecastBasis | null>(null);
+  const [riskClock, setRiskClock] = useState<number | null>(null);
+
+  useEffect(() => {
+    async function loadRiskBasis() {
+      const { data, error: fetchError } = await fetchRiskBasis();
+      // Without benchmarks the board just shows no risk badges
+      if (fetchError) {
+        console.error('Failed to load case risk benchmarks:', fetchError);
+        return;
+      }
+      setRiskBasis(data);
+      setRiskClock(Date.now());
+    }
 
+    loadRiskBasis();
+    const basisTimer = setInterval(loadRiskBasis, RISK_BASIS_REFRESH);
+    const clockTimer = setInterval(() => setRiskClock(Date.now()), RISK_CLOCK_TICK);
     return () => {
-      db.removeChannel(channel);
+      clearInterval(basisTimer);
+      clearInterval(clockTimer);
     };
   }, []);
 
+  // Only rows that changed since the last tick are predicted again
+  const riskConfig = useMemo(() => efficiencyConfig({ calendar }), [calendar]);
+  const riskByCase = useMemo(
+    () =>
+      riskBasis && riskClock !== null
+        ? predictCaseRisks(allRows, riskBasis, riskConfig, new Date(riskClock), riskCache)
+        : new Map<string, CaseRiskPrediction>(),
+    [allRows, riskBasis, riskConfig, riskClock]
+  );
+  const forecastByCase = useMemo(
+    () =>
+      riskBasis && riskClock !== null
+        ? forecastCases(allRows, riskBasis, riskConfig, new Date(riskClock), forecastCache)
+        : new Map<string, CaseForecast>(),
+    [allRows, riskBasis, riskConfig, riskClock]
+  );
+
+  // ─── Realtime subscription ───────────────────────────────
+  useEffect(() => {
+    return getRepository().subscribeToCases((change) => {
+      setAllRows((current) => {
+        const newRecord = change.row;
+        const oldRecord = change.previous;
+
+        // Handle archived cases - remove from list
+        if (newRecord && newRecord.archived) {
+          return current.filter((r) => r.id !== newRecord.id);
+        }
+
+        // Handle "update" rows
+        if (newRecord && newRecord.casenumber?.trim().toLowerCase() === 'update') {
+          flagUpdatePending(newRecord);
+          purgeUpdateRows();
+          return current;
+        }
+
+        // Handle DELETE
+        if (change.event === 'DELETE' && oldRecord) {
+          return current.filter((r) => r.id !== oldRecord.id);
+        }
+
+        // Handle INSERT/UPDATE
+        if (newRecord && newRecord.id) {
+          const newRow = mapDbToCase(newRecord);
+          const existingIndex = current.findIndex((r) => r.id === newRow.id);
+          
+          if (existingIndex === -1) {
+            // New row - add to list
+            return [...current, newRow];
+          } else {
+            // Updated row - replace in list
+            const updated = [...current];
+            updated[existingIndex] = newRow;
+            return updated;
+          }
+        }
+
+        return current;
+      });
+    });
+  }, []);
+
+  // ─── Case notes ──────────────────────────────────────────
+  const refreshCaseNotes = useCallback(async (caseId: string) => {
+    const { data, error: fetchError } = await fetchNotes([caseId]);
+    if (fetchError) {
+      console.error('Failed to load notes:', fetchError);
+      return;
+    }
+    setNotes((current) => [...current.filter((n) => n.case_id !== caseId), ...data]);
+  }, []);
+
+  useEffect(() => {
+    return getRepository().subscribeToNotes((change) => {
+      setNotes((current) => {
+        const id = change.row?.id ?? change.previous?.id;
+        const others = current.filter((n) => n.id !== id);
+        return change.row ? [...others, change.row] : others;
+      });
+    });
+  }, []);
+
+  const notesByCase = useMemo(() => groupNotesByCase(notes), [notes]);
+
   // ─── Actions ─────────────────────────────────────────────
   const togglePriority = useCallback(async (row: Case) => {
-    await svcTogglePriority({ id: row.id, priority: row.priority });
+    await svcTogglePriority(row);
   }, []);
 
   const toggleRush = useCallback(async (row: Case) => {
-    await svcToggleRush({ id: row.id, modifiers: row.modifiers });
+    await svcToggleRush(row);
   }, []);
 
   const toggleHold = useCallback(async (row: Case) => {
-    await svcToggleHold({ id: row.id, modifiers: row.modifiers });
+    await svcToggleHold(row);
   }, []);
 
-  const toggleComplete = useCallback(async (id: string, currentCompleted: boolean) => {
-    await svcToggleComplete(id, currentCompleted);
+  const toggleComplete = useCallback(async (row: Case) => {
+    await svcToggleComplete(row);
   }, []);
 
   const toggleStage2 = useCallback(async (row: Case) => {
-    await svcToggleStage2({ id: row.id, modifiers: row.modifiers });
+    await svcToggleStage2(row);
   }, []);
 
   const updateCaseStage = useCallback(async (row: Case, newStage: CaseStage | null, isRepair = false) => {
-    await svcUpdateCaseStage({ id: row.id, modifiers: row.modifiers }, newStage, isRepair);
+    await svcUpdateCaseStage(row, newStage, isRepair);
   }, []);
 
   const addOrUpdate = useCallback(async (
@@ -270,19 +468,31 @@ export function DataProvider({ children, activeDept }: DataProviderProps) {
     }
   }, []);
 
-  const refreshCases = useCallback(async () => {
-    setLoading(true);
+  const refreshCases = useCallback(async ({ silent = false }: { silent?: boolean } = {}) => {
+    if (!silent) setLoading(true);
     const { data, error: fetchError } = await fetchCases();
     
     if (fetchError) {
-      setError(fetchError);
+      // A failed background refresh keeps the rows already on screen
+      if (!silent) setError(fetchError);
     } else {
       const filtered = (data ?? []).filter(
         (row) => row.caseNumber?.trim().toLowerCase() !== 'update'
       );
       setAllRows(filtered);
+      setError(null);
     }
-    setLoading(false);
+    if (!silent) setLoading(false);
+  }, []);
+
+  const applyLocalAction = useCallback((action: Action, now: Date) => {
+    setAllRows((current) => {
+      try {
+        return applyOptimistic(current, action, now).rows;
+      } catch {
+        return current; // Target row gone (e.g. deleted by a realtime event)
+      }
+    });
   }, []);
 
   const toggleCaseExclusion = useCallback(async (
@@ -312,8 +522,8 @@ export function DataProvider({ children, activeDept }: DataProviderProps) {
     return allRows.find((r) => r.id === id);
   }, [allRows]);
 
-  // ─── Filter by department ────────────────────────────────
-  const rows = activeDept
+  // ─── Filter by department and practice ───────────────────
+  const deptRows = activeDept
     ? allRows.filter((r) => {
         // "Digital" is stored as "General" in the database
         if (activeDept === 'Digital') {
@@ -322,6 +532,7 @@ export function DataProvider({ children, activeDept }: DataProviderProps) {
         return r.department === activeDept;
       })
     : allRows;
+  const rows = activePractice ? deptRows.filter((r) => matchesPractice(r, activePractice)) : deptRows;
 
   // ─── Context value ───────────────────────────────────────
   const value: DataContextValue = {
@@ -329,6 +540,13 @@ export function DataProvider({ children, activeDept }: DataProviderProps) {
     allRows,
     loading,
     error,
+    practices,
+    calendar,
+    notesByCase,
+    links,
+    linksByCase,
+    riskByCase,
+    forecastByCase,
     togglePriority,
     toggleRush,
     toggleHold,
@@ -338,6 +556,11 @@ export function DataProvider({ children, activeDept }: DataProviderProps) {
     addOrUpdate,
     removeCase,
     refreshCases,
+    refreshPractices,
+    refreshCalendar,
+    refreshLinks,
+    refreshCaseNotes,
+    applyLocalAction,
     toggleCaseExclusion,
     batchToggleExclusions,
     getRowById,
@@ -6,16 +6,38 @@
  * This is the bridge between the action system and React state
  */
 
-import React, { createContext, useContext, useEffect, useCallback, useRef } from 'react';
+import React, { createContext, useContext, useEffect, useCallback, useRef, useSyncExternalStore } from 'react';
 import { dispatcher, createLoggingMiddleware } from '@/actions/dispatcher';
+import type { Subscriber } from '@/actions/dispatcher';
+import {
+  registerAttachmentHandlers,
+  registerCalendarHandlers,
+  registerCaseHandlers,
+  registerNoteHandlers,
+  registerPracticeHandlers,
+  registerQueryHandlers,
+} from '@/actions/handlers';
+import { createAuditLogger, indexedDbAuditStore } from '@/actions/audit';
+import { offlineQueue } from '@/actions/offline';
+import { createPermissionMiddleware } from '@/actions/permissions';
 import { useData } from './DataContext';
 import { useUser } from './UserContext';
 import { useUI } from './UIContext';
-import type { ActionType, ActionPayloads, DispatchResult, Action, ActionContext } from '@/types/actions';
-
-// Import services for registering handlers
+import type {
+  ActionType,
+  ActionPayloads,
+  DispatchResult,
+  Action,
+  ActionContext,
+  UndoState,
+  BatchOptions,
+  BatchResult,
+} from '@/types/actions';
+import type { SyncState } from '@/types/offline';
+
+// Import services for context lookups
 import * as caseService from '@/services/caseService';
-import { fetchActiveUsers } from '@/services/userService';
+import { setUserRole } from '@/services/userService';
 
 // ═══════════════════════════════════════════════════════════
 // TYPES
@@ -24,8 +46,8 @@ import { fetchActiveUsers } from '@/services/userService';
 interface DispatchContextValue {
   /** Dispatch a single action */
   dispatch: <T extends ActionType>(type: T, payload: ActionPayloads[T]) => Promise<DispatchResult<T>>;
-  /** Dispatch multiple actions in sequence */
-  dispatchBatch: (actions: Action[]) => Promise<DispatchResult<ActionType>[]>;
+  /** Dispatch multiple actions in sequence (optionally all-or-nothing) */
+  dispatchBatch: (actions: Action[], options?: BatchOptions) => Promise<BatchResult>;
   /** Check if dispatcher is ready */
   isReady: boolean;
 }
@@ -56,85 +78,56 @@ export function DispatchProvider({ children }: { children: React.ReactNode }) {
     // Create action context
     const context: ActionContext = {
       getRowById: (id: string) => data.getRowById(id),
+      getAllRows: () => data.allRows,
       getCurrentUser: () => user.name,
+      getCaseHistory: async (caseId: string) => {
+        const result = await caseService.fetchCaseHistory(caseId);
+        if (result.error) throw result.error;
+        return result.data ?? [];
+      },
     };
     dispatcher.setContext(context);
 
     // ═══════════════════════════════════════════════════════
-    // REGISTER CASE HANDLERS
+    // REGISTER CASE HANDLERS (shared with the HTTP API)
     // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('case.create', async (payload) => {
-      const result = await caseService.addCase(payload);
-      if (result.error) throw result.error;
-      return result.data!;
-    });
-
-    dispatcher.register('case.update', async (payload) => {
-      const result = await caseService.updateCase(payload);
-      if (result.error) throw result.error;
-      return result.data!;
-    });
+    registerCaseHandlers(dispatcher);
 
-    dispatcher.register('case.delete', async ({ id }) => {
-      const result = await caseService.removeCase(id);
-      if (result.error) throw result.error;
-    });
+    // ═══════════════════════════════════════════════════════
+    // REGISTER CLIENT DIRECTORY HANDLERS (shared with the HTTP API)
+    // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('case.toggle_priority', async ({ id }) => {
-      const row = data.getRowById(id);
-      if (!row) throw new Error('Case not found');
-      await caseService.togglePriority({ id: row.id, priority: row.priority });
-    });
+    registerPracticeHandlers(dispatcher);
 
-    dispatcher.register('case.toggle_rush', async ({ id }) => {
-      const row = data.getRowById(id);
-      if (!row) throw new Error('Case not found');
-      await caseService.toggleRush({ id: row.id, modifiers: row.modifiers });
-    });
+    // ═══════════════════════════════════════════════════════
+    // REGISTER LAB CALENDAR HANDLERS (shared with the HTTP API)
+    // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('case.toggle_hold', async ({ id }) => {
-      const row = data.getRowById(id);
-      if (!row) throw new Error('Case not found');
-      await caseService.toggleHold({ id: row.id, modifiers: row.modifiers });
-    });
+    registerCalendarHandlers(dispatcher);
 
-    dispatcher.register('case.toggle_complete', async ({ id }) => {
-      const row = data.getRowById(id);
-      if (!row) throw new Error('Case not found');
-      await caseService.toggleComplete(id, row.completed);
-    });
+    // ═══════════════════════════════════════════════════════
+    // REGISTER NOTE HANDLERS (shared with the HTTP API)
+    // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('case.toggle_stage2', async ({ id }) => {
-      const row = data.getRowById(id);
-      if (!row) throw new Error('Case not found');
-      await caseService.toggleStage2({ id: row.id, modifiers: row.modifiers });
-    });
+    registerNoteHandlers(dispatcher);
 
-    dispatcher.register('case.change_stage', async ({ id, stage, isRepair }) => {
-      const row = data.getRowById(id);
-      if (!row) throw new Error('Case not found');
-      await caseService.updateCaseStage({ id: row.id, modifiers: row.modifiers }, stage, isRepair);
-    });
+    // ═══════════════════════════════════════════════════════
+    // REGISTER ATTACHMENT HANDLERS (shared with the HTTP API)
+    // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('case.archive', async ({ ids }) => {
-      const result = await caseService.archiveCases(ids);
-      if (result.error) throw result.error;
-    });
+    registerAttachmentHandlers(dispatcher);
 
-    dispatcher.register('case.restore', async ({ id }) => {
-      const result = await caseService.restoreCase(id);
-      if (result.error) throw result.error;
-    });
+    // ═══════════════════════════════════════════════════════
+    // REGISTER HISTORY HANDLERS (undo/redo)
+    // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('case.toggle_stats_exclusion', async ({ id, stage, reason }) => {
-      const result = await caseService.toggleCaseExclusion(id, stage ?? null, reason ?? null);
-      if (result.error) throw result.error;
-      return { isExcluded: result.isExcluded };
+    dispatcher.register('history.undo', async () => {
+      return await dispatcher.undo();
     });
 
-    dispatcher.register('case.batch_toggle_exclusions', async ({ ids, exclude, stage, reason }) => {
-      return await caseService.batchToggleExclusions(ids, exclude, stage ?? null, reason ?? null);
+    dispatcher.register('history.redo', async () => {
+      return await dispatcher.redo();
     });
 
     // ═══════════════════════════════════════════════════════
@@ -149,6 +142,12 @@ export function DispatchProvider({ children }: { children: React.ReactNode }) {
       user.switchUser();
     });
 
+    dispatcher.register('user.set_role', async ({ userName, role }) => {
+      const result = await setUserRole(userName, role);
+      if (result.error) throw result.error;
+      if (userName.trim() === user.name) await user.refreshRole();
+    });
+
     // ═══════════════════════════════════════════════════════
     // REGISTER UI HANDLERS
     // ═══════════════════════════════════════════════════════
@@ -157,6 +156,10 @@ export function DispatchProvider({ children }: { children: React.ReactNode }) {
       ui.setActiveDepartment(department);
     });
 
+    dispatcher.register('ui.set_practice', async ({ practice }) => {
+      ui.setActivePractice(practice ?? null);
+    });
+
     dispatcher.register('ui.set_theme', async ({ theme }) => {
       ui.setTheme(theme);
     });
@@ -178,107 +181,79 @@ export function DispatchProvider({ children }: { children: React.ReactNode }) {
     });
 
     // ═══════════════════════════════════════════════════════
-    // REGISTER QUERY HANDLERS
+    // REGISTER QUERY HANDLERS (shared with the HTTP API)
     // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('query.get_case', async ({ id }) => {
-      return data.getRowById(id) ?? null;
-    });
+    registerQueryHandlers(dispatcher);
 
-    dispatcher.register('query.search_cases', async (filters) => {
-      let results = data.allRows;
-      
-      if (filters.caseNumber) {
-        const search = filters.caseNumber.toLowerCase();
-        results = results.filter(r => r.caseNumber.toLowerCase().includes(search));
-      }
-      
-      if (filters.department) {
-        const dept = filters.department === 'Digital' ? 'General' : filters.department;
-        results = results.filter(r => r.department === dept);
-      }
-      
-      if (filters.status === 'completed') {
-        results = results.filter(r => r.completed);
-      } else if (filters.status === 'overdue') {
-        const today = new Date().toISOString().slice(0, 10);
-        results = results.filter(r => !r.completed && r.due.slice(0, 10) < today);
-      } else if (filters.status === 'on_hold') {
-        results = results.filter(r => r.hold);
-      }
-      
-      return results;
-    });
+    // ═══════════════════════════════════════════════════════
+    // REGISTER DATA HANDLERS
+    // ═══════════════════════════════════════════════════════
 
-    dispatcher.register('query.get_overdue', async ({ department }) => {
-      const today = new Date().toISOString().slice(0, 10);
-      let results = data.allRows.filter(r => !r.completed && r.due.slice(0, 10) < today);
-      
-      if (department) {
-        const dept = department === 'Digital' ? 'General' : department;
-        results = results.filter(r => r.department === dept);
-      }
-      
-      return results;
+    dispatcher.register('data.refresh', async () => {
+      await data.refreshCases();
     });
 
-    dispatcher.register('query.get_on_hold', async ({ department }) => {
-      let results = data.allRows.filter(r => r.hold);
-      
-      if (department) {
-        const dept = department === 'Digital' ? 'General' : department;
-        results = results.filter(r => r.department === dept);
-      }
-      
-      return results;
-    });
+    isReadyRef.current = true;
+  }, [data, user, ui]);
 
-    dispatcher.register('query.get_cases_by_date', async ({ date, department }) => {
-      let results = data.allRows.filter(r => r.due.slice(0, 10) === date);
-      
-      if (department) {
-        const dept = department === 'Digital' ? 'General' : department;
-        results = results.filter(r => r.department === dept);
-      }
-      
-      return results;
-    });
+  // ─── Enforce role permissions ────────────────────────────
+  const { role } = user;
+  useEffect(() => dispatcher.use(createPermissionMiddleware(() => role)), [role]);
 
-    dispatcher.register('query.check_duplicates', async ({ caseNumber, excludeId }) => {
-      return await caseService.checkForDuplicates(caseNumber, excludeId);
-    });
+  // ─── Persist every action to the audit log ───────────────
+  useEffect(() => {
+    const audit = createAuditLogger({ client: 'web', store: indexedDbAuditStore });
+    const unsubscribe = dispatcher.subscribe(audit.record);
+    // Send whatever an earlier session couldn't
+    void audit.flush();
+    const handlePageHide = () => void audit.flush();
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      unsubscribe();
+      void audit.flush();
+    };
+  }, []);
 
-    dispatcher.register('query.get_history', async ({ caseId, limit }) => {
-      const result = await caseService.fetchAllHistory();
-      if (result.error) throw result.error;
-      
-      let history = result.data ?? [];
-      
-      if (caseId) {
-        history = history.filter(h => h.case_id === caseId);
-      }
-      
-      if (limit) {
-        history = history.slice(0, limit);
-      }
-      
-      return history;
+  // ─── Reload the client directory after it changes ────────
+  const { refreshPractices } = data;
+  useEffect(() => {
+    return dispatcher.subscribe((event) => {
+      if (event.success && event.type.startsWith('practice.')) void refreshPractices();
     });
+  }, [refreshPractices]);
 
-    dispatcher.register('query.get_active_users', async () => {
-      return await fetchActiveUsers();
+  // ─── Reload the lab calendar after it changes ────────────
+  const { refreshCalendar } = data;
+  useEffect(() => {
+    return dispatcher.subscribe((event) => {
+      if (event.success && event.type.startsWith('calendar.')) void refreshCalendar();
     });
+  }, [refreshCalendar]);
 
-    // ═══════════════════════════════════════════════════════
-    // REGISTER DATA HANDLERS
-    // ═══════════════════════════════════════════════════════
-
-    dispatcher.register('data.refresh', async () => {
-      await data.refreshCases();
+  // ─── Reload case links after they change ─────────────────
+  const { refreshLinks } = data;
+  useEffect(() => {
+    return dispatcher.subscribe((event) => {
+      if (event.success && ['case.link', 'case.unlink', 'case.create_remake'].includes(event.type)) void refreshLinks();
     });
+  }, [refreshLinks]);
 
-    isReadyRef.current = true;
-  }, [data, user, ui]);
+  // ─── Queue case mutations while offline ──────────────────
+  const { applyLocalAction, refreshCases } = data;
+  useEffect(() => {
+    const detach = offlineQueue.attach({
+      applyLocal: applyLocalAction,
+      refresh: () => refreshCases({ silent: true }),
+    });
+    const release = dispatcher.setOfflineStrategy(offlineQueue);
+    return () => {
+      release();
+      detach();
+    };
+  }, [applyLocalAction, refreshCases]);
 
   // ─── Dispatch function ───────────────────────────────────
   const dispatch = useCallback(<T extends ActionType>(
@@ -288,8 +263,8 @@ export function DispatchProvider({ children }: { children: React.ReactNode }) {
     return dispatcher.dispatch({ type, payload });
   }, []);
 
-  const dispatchBatch = useCallback((actions: Action[]): Promise<DispatchResult<ActionType>[]> => {
-    return dispatcher.dispatchBatch(actions);
+  const dispatchBatch = useCallback((actions: Action[], options?: BatchOptions): Promise<BatchResult> => {
+    return dispatcher.dispatchBatch(actions, options);
   }, []);
 
   // ─── Context value ───────────────────────────────────────
@@ -329,4 +304,39 @@ export function useAction<T extends ActionType>(type: T) {
   );
 }
 
+/**
+ * Run a listener after every dispatched action (e.g. to reload data
+ * another component changed). The latest listener is always used, so
+ * it doesn't need to be memoized.
+ */
+export function useDispatchEvents(listener: Subscriber): void {
+  const latest = useRef(listener);
+  useEffect(() => {
+    latest.current = listener;
+  });
+  useEffect(() => dispatcher.subscribe((event) => latest.current(event)), []);
+}
+
+/**
+ * Subscribe to the dispatcher's undo/redo stacks
+ */
+export function useUndoState(): UndoState {
+  return useSyncExternalStore(
+    (onChange) => dispatcher.onUndoChange(onChange),
+    () => dispatcher.getUndoState(),
+    () => dispatcher.getUndoState()
+  );
+}
+
+/**
+ * Subscribe to the offline queue (pending actions, replay, conflicts)
+ */
+export function useSyncState(): SyncState {
+  return useSyncExternalStore(
+    (onChange) => offlineQueue.subscribe(onChange),
+    () => offlineQueue.getState(),
+    () => offlineQueue.getState()
+  );
+}
+
 export { DispatchContext };
@@ -14,7 +14,7 @@ import { STORAGE_KEYS } from '@/lib/constants';
 // ═══════════════════════════════════════════════════════════
 
 type Theme = 'light' | 'dark' | 'system';
-type View = 'board' | 'manage' | 'history' | 'archive';
+type View = 'board' | 'manage' | 'history' | 'archive' | 'audit';
 
 interface UIContextValue {
   // Theme
@@ -25,6 +25,10 @@ interface UIContextValue {
   // Department filter
   activeDepartment: Department | null;
   setActiveDepartment: (dept: Department | null) => void;
+
+  // Practice filter (board)
+  activePractice: string | null;
+  setActivePractice: (practice: string | null) => void;
   
   // Navigation
   currentView: View;
@@ -66,6 +70,9 @@ export function UIProvider({ children, defaultDepartment = 'Digital' }: UIProvid
   // Department state
   const [activeDepartment, setActiveDepartmentState] = useState<Department | null>(defaultDepartment);
 
+  // Practice filter state
+  const [activePractice, setActivePracticeState] = useState<string | null>(null);
+
   // Navigation state
   const [currentView, setCurrentView] = useState<View>('board');
 
@@ -131,6 +138,10 @@ export function UIProvider({ children, defaultDepartment = 'Digital' }: UIProvid
     setActiveDepartmentState(dept);
   }, []);
 
+  const setActivePractice = useCallback((practice: string | null) => {
+    setActivePracticeState(practice?.trim() || null);
+  }, []);
+
   const navigate = useCallback((view: View) => {
     setCurrentView(view);
     // Close editor when navigating away from manage view
@@ -170,6 +181,8 @@ export function UIProvider({ children, defaultDepartment = 'Digital' }: UIProvid
     resolvedTheme,
     activeDepartment,
     setActiveDepartment,
+    activePractice,
+    setActivePractice,
     currentView,
     navigate,
     editorOpen,
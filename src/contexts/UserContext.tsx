@@ -6,7 +6,11 @@
  */
 
 import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
-import { userService, startHeartbeat, stopHeartbeat, reportActive } from '@/services/userService';
+import { userService, startHeartbeat, stopHeartbeat, reportActive, fetchUserRole } from '@/services/userService';
+import { can as roleCan } from '@/actions/permissions';
+import { DEFAULT_ROLE } from '@/lib/constants';
+import type { ActionType } from '@/types/actions';
+import type { Role } from '@/types/permissions';
 
 // ═══════════════════════════════════════════════════════════
 // TYPES
@@ -21,6 +25,12 @@ interface UserContextValue {
   saveName: (name: string) => void;
   /** Switch to a different user (clear current and reload) */
   switchUser: () => void;
+  /** Current user's role (technician until loaded) */
+  role: Role;
+  /** Re-read the role from the database */
+  refreshRole: () => Promise<void>;
+  /** Check whether the current role may dispatch an action */
+  can: (type: ActionType) => boolean;
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -37,6 +47,7 @@ export function UserProvider({ children }: { children: React.ReactNode }) {
   const [name, setName] = useState<string>('');
   const [needsName, setNeedsName] = useState<boolean>(true);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [role, setRole] = useState<Role>(DEFAULT_ROLE);
 
   // Initialize from localStorage on mount (client-side only)
   useEffect(() => {
@@ -61,6 +72,28 @@ export function UserProvider({ children }: { children: React.ReactNode }) {
     }
   }, [name, isInitialized]);
 
+  // Load the role whenever the name changes
+  const refreshRole = useCallback(async () => {
+    if (!name) return;
+    const result = await fetchUserRole(name);
+    if (result.error) console.error('[UserContext] Failed to load role:', result.error);
+    setRole(result.data);
+  }, [name]);
+
+  useEffect(() => {
+    if (!name) return;
+    let cancelled = false;
+    fetchUserRole(name).then((result) => {
+      if (result.error) console.error('[UserContext] Failed to load role:', result.error);
+      if (!cancelled) setRole(result.data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [name]);
+
+  const can = useCallback((type: ActionType) => roleCan(role, type), [role]);
+
   const saveName = useCallback((newName: string) => {
     if (!newName || !newName.trim()) return;
 
@@ -85,6 +118,9 @@ export function UserProvider({ children }: { children: React.ReactNode }) {
     needsName,
     saveName,
     switchUser,
+    role,
+    refreshRole,
+    can,
   };
 
   return (
@@ -6,4 +6,4 @@
 export { UserProvider, useUser, UserContext } from './UserContext';
 export { DataProvider, useData, useMut, DataContext } from './DataContext';
 export { UIProvider, useUI, UIContext } from './UIContext';
-export { DispatchProvider, useDispatch, useAction, DispatchContext } from './DispatchContext';
+export { DispatchProvider, useDispatch, useAction, useDispatchEvents, useUndoState, useSyncState, DispatchContext } from './DispatchContext';
@@ -0,0 +1,22 @@
+/**
+ * Export Download
+ * Saves an ExportFile (from case.export) in the browser
+ */
+
+import type { ExportFile } from '@/types/export';
+import { downloadFile } from '@/utils/csvUtils';
+
+/**
+ * Decode the file content and hand it to the browser as a download
+ */
+export function downloadExportFile(file: ExportFile): void {
+  if (file.encoding === 'utf8') {
+    downloadFile(file.filename, file.content, file.mimeType);
+    return;
+  }
+
+  const binary = atob(file.content);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  downloadFile(file.filename, bytes, file.mimeType);
+}
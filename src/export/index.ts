@@ -0,0 +1,10 @@
+/**
+ * Export Module
+ * Case exports: build per-case records (history, stage durations),
+ * render them as CSV/JSON/XLSX and download the result. The
+ * case.export action loads the data (services/exportService.ts).
+ */
+
+export { toExportedCase, completedAt } from './records';
+export { renderExport } from './render';
+export { downloadExportFile } from './download';
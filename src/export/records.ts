@@ -0,0 +1,110 @@
+/**
+ * Export Records
+ * Turns cases (plus their history) into the rows an export contains
+ */
+
+import type { Case } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type { LabCalendar } from '@/types/calendar';
+import type { ExportedCase, ExportedHistoryEvent, ExportOptions } from '@/types/export';
+import { DEPARTMENT_DISPLAY } from '@/types/case';
+import { STAGES } from '@/lib/constants';
+import { DEFAULT_LAB_CALENDAR } from '@/lib/calendar';
+import { calculateStageTime } from '@/analytics';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+function hours(ms: number): number {
+  return Math.round((ms / MS_PER_HOUR) * 10) / 10;
+}
+
+/**
+ * When a completed case was (last) marked complete, from its history
+ */
+export function completedAt(row: Case, history: DbCaseHistory[]): string | null {
+  if (!row.completed) return null;
+  let at: string | null = null;
+  for (const event of history) {
+    if (event.event_type === 'completed' && (!at || event.created_at > at)) at = event.created_at;
+  }
+  return at;
+}
+
+function toHistoryEvent(event: DbCaseHistory): ExportedHistoryEvent {
+  return {
+    at: event.created_at,
+    user: event.user_name,
+    action: event.action,
+    event: event.event_type,
+    field: event.field,
+    from: event.stage_from ?? event.old_value,
+    to: event.stage_to ?? event.new_value,
+  };
+}
+
+/**
+ * Working time per stage; only stages the case has visited are listed
+ */
+function stageDurations(
+  row: Case,
+  history: DbCaseHistory[],
+  now: Date,
+  calendar: LabCalendar
+): ExportedCase['stageDurations'] {
+  const durations: ExportedCase['stageDurations'] = {};
+
+  for (const stage of STAGES) {
+    const time = calculateStageTime(row, stage, history, now, calendar);
+    if (time.visitCount === 0) continue;
+    durations[stage] = {
+      workingHours: hours(time.adjustedWorkingTime),
+      totalHours: hours(time.totalTime),
+      visits: time.visitCount,
+    };
+  }
+  return durations;
+}
+
+/**
+ * Build the exported form of a case
+ * @param history - the case's history rows (any order); empty if not loaded
+ */
+export function toExportedCase(
+  row: Case,
+  history: DbCaseHistory[],
+  options: Pick<ExportOptions, 'includeHistory' | 'includeStageDurations'>,
+  now: Date = new Date(),
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR
+): ExportedCase {
+  const events = [...history].sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  return {
+    id: row.id,
+    caseNumber: row.caseNumber,
+    department: DEPARTMENT_DISPLAY[row.department] ?? row.department,
+    due: row.due.slice(0, 10),
+    stage: row.stage ?? null,
+    priority: row.priority,
+    rush: row.rush,
+    hold: row.hold,
+    stage2: row.stage2,
+    caseType: row.caseType,
+    doctor: row.doctor ?? null,
+    practice: row.practice ?? null,
+    patientRef: row.patient_ref ?? null,
+    restorationType: row.restoration_type ?? null,
+    units: row.units ?? null,
+    teeth: row.teeth ?? [],
+    toothNotation: row.tooth_notation ?? null,
+    shade: row.shade ?? null,
+    material: row.material ?? null,
+    completed: row.completed,
+    completedAt: completedAt(row, events),
+    archived: row.archived,
+    archivedAt: row.archived_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    ...(options.includeHistory && { history: events.map(toHistoryEvent) }),
+    ...(options.includeStageDurations && { stageDurations: stageDurations(row, events, now, calendar) }),
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Export Rendering
+ * Writes exported cases as CSV, JSON or XLSX. CSV and XLSX get one
+ * row per case; the history timeline goes into a text column (CSV)
+ * or its own worksheet (XLSX), JSON nests it under each case.
+ */
+
+import type { ExportedCase, ExportFile, ExportOptions } from '@/types/export';
+import { STAGES, STAGE_DISPLAY_NAMES } from '@/lib/constants';
+import { toCsv } from '@/utils/csvUtils';
+import { writeXlsx, type XlsxSheet } from '@/utils/xlsxUtils';
+import { toISODate } from '@/utils/dateUtils';
+import { formatTeeth } from '@/lib/teeth';
+
+// ═══════════════════════════════════════════════════════════
+// TABLES
+// ═══════════════════════════════════════════════════════════
+
+const CASE_HEADERS = [
+  'Case #', 'Department', 'Due', 'Stage', 'Priority', 'Rush', 'Hold', 'Stage 2', 'Case type',
+  'Doctor', 'Practice', 'Patient', 'Restoration', 'Units', 'Teeth', 'Shade', 'Material',
+  'Completed', 'Completed at', 'Archived', 'Archived at', 'Created', 'Updated', 'ID',
+];
+
+const HISTORY_HEADERS = ['Case #', 'Time', 'User', 'Action', 'Event', 'Field', 'From', 'To'];
+
+const yesNo = (value: boolean) => (value ? 'yes' : 'no');
+
+function caseHeaders(options: ExportOptions): string[] {
+  return [
+    ...CASE_HEADERS,
+    ...(options.includeStageDurations ? STAGES.map((stage) => `${STAGE_DISPLAY_NAMES[stage]} (working h)`) : []),
+  ];
+}
+
+function caseRow(c: ExportedCase, options: ExportOptions): unknown[] {
+  return [
+    c.caseNumber, c.department, c.due, c.stage ?? '', yesNo(c.priority), yesNo(c.rush), yesNo(c.hold),
+    yesNo(c.stage2), c.caseType, c.doctor ?? '', c.practice ?? '', c.patientRef ?? '', c.restorationType ?? '',
+    c.units ?? '', formatTeeth(c.teeth, c.toothNotation), c.shade ?? '', c.material ?? '',
+    yesNo(c.completed), c.completedAt ?? '', yesNo(c.archived),
+    c.archivedAt ?? '', c.createdAt, c.updatedAt, c.id,
+    ...(options.includeStageDurations ? STAGES.map((stage) => c.stageDurations?.[stage]?.workingHours ?? '') : []),
+  ];
+}
+
+function historyRows(cases: ExportedCase[]): unknown[][] {
+  return cases.flatMap((c) =>
+    (c.history ?? []).map((e) => [c.caseNumber, e.at, e.user, e.action, e.event ?? '', e.field ?? '', e.from ?? '', e.to ?? ''])
+  );
+}
+
+/** The timeline as one multi-line cell, for the CSV History column */
+function historyText(c: ExportedCase): string {
+  return (c.history ?? []).map((e) => `${e.at} ${e.user}: ${e.action}`).join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════
+// FORMATS
+// ═══════════════════════════════════════════════════════════
+
+const MIME_TYPES: Record<ExportOptions['format'], string> = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/** Base64 without Buffer, so it runs in the browser too */
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Render exported cases in the requested format
+ */
+export async function renderExport(
+  cases: ExportedCase[],
+  options: ExportOptions,
+  now: Date = new Date()
+): Promise<ExportFile> {
+  const file = {
+    filename: `cases-${options.scope}-${toISODate(now)}.${options.format}`,
+    mimeType: MIME_TYPES[options.format],
+    caseCount: cases.length,
+  };
+
+  switch (options.format) {
+    case 'json': {
+      const document = { exportedAt: now.toISOString(), ...options, cases };
+      return { ...file, encoding: 'utf8', content: JSON.stringify(document, null, 2) };
+    }
+
+    case 'xlsx': {
+      const sheets: XlsxSheet[] = [
+        { name: 'Cases', headers: caseHeaders(options), rows: cases.map((c) => caseRow(c, options)) },
+      ];
+      if (options.includeHistory) {
+        sheets.push({ name: 'Case history', headers: HISTORY_HEADERS, rows: historyRows(cases) });
+      }
+      return { ...file, encoding: 'base64', content: toBase64(await writeXlsx(sheets)) };
+    }
+
+    case 'csv': {
+      const headers = [...caseHeaders(options), ...(options.includeHistory ? ['History'] : [])];
+      const rows = cases.map((c) => [...caseRow(c, options), ...(options.includeHistory ? [historyText(c)] : [])]);
+      return { ...file, encoding: 'utf8', content: toCsv(headers, rows) };
+    }
+  }
+}
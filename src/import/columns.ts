@@ -0,0 +1,86 @@
+/**
+ * Import Columns
+ * Which spreadsheet column feeds which case field. Headers are matched
+ * against known aliases so the intake sheet usually maps itself; the
+ * import panel lets the user correct the guess.
+ */
+
+import type { ColumnMapping, ImportField, ImportRowInput } from '@/types/import';
+
+// ═══════════════════════════════════════════════════════════
+// FIELDS
+// ═══════════════════════════════════════════════════════════
+
+export interface ImportFieldInfo {
+  field: ImportField;
+  label: string;
+  required: boolean;
+  /** Header spellings that map to the field (compared lowercase, letters and digits only) */
+  aliases: string[];
+}
+
+export const IMPORT_FIELDS: ImportFieldInfo[] = [
+  { field: 'caseNumber', label: 'Case #', required: true, aliases: ['case', 'casenumber', 'caseno', 'casenum', 'number', 'id'] },
+  { field: 'department', label: 'Department', required: true, aliases: ['department', 'dept', 'dep'] },
+  { field: 'due', label: 'Due', required: true, aliases: ['due', 'duedate', 'dueon', 'date'] },
+  { field: 'rush', label: 'Rush', required: false, aliases: ['rush'] },
+  { field: 'hold', label: 'Hold', required: false, aliases: ['hold', 'onhold'] },
+  { field: 'caseType', label: 'Case type', required: false, aliases: ['casetype', 'type'] },
+  { field: 'needsRepair', label: 'Repair', required: false, aliases: ['repair', 'needsrepair'] },
+];
+
+function headerKey(header: string): string {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ═══════════════════════════════════════════════════════════
+// MAPPING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Guess the column for each field from the header row
+ */
+export function guessColumnMapping(headers: string[]): ColumnMapping {
+  const keys = headers.map(headerKey);
+  const used = new Set<number>();
+  const mapping = {} as ColumnMapping;
+
+  for (const { field, aliases } of IMPORT_FIELDS) {
+    const index = keys.findIndex((key, i) => !used.has(i) && aliases.includes(key));
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  }
+
+  return mapping;
+}
+
+/**
+ * Fields that must be mapped before the sheet can be previewed
+ */
+export function missingRequiredFields(mapping: ColumnMapping): ImportFieldInfo[] {
+  return IMPORT_FIELDS.filter((info) => info.required && mapping[info.field] === null);
+}
+
+/**
+ * Turn sheet rows (header first) into import rows, skipping blank lines
+ */
+export function mapRows(table: string[][], mapping: ColumnMapping): ImportRowInput[] {
+  const rows: ImportRowInput[] = [];
+
+  table.slice(1).forEach((cells, index) => {
+    if (cells.every((cell) => cell.trim() === '')) return;
+
+    const fields: ImportRowInput['fields'] = {};
+    for (const { field } of IMPORT_FIELDS) {
+      const column = mapping[field];
+      if (column === null) continue;
+      // Undo the formula guard our own CSV exports add
+      const value = (cells[column] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+      if (value) fields[field] = value;
+    }
+
+    rows.push({ line: index + 2, fields });
+  });
+
+  return rows;
+}
@@ -0,0 +1,10 @@
+/**
+ * Import Module
+ * Spreadsheet intake: read a CSV/XLSX file, map its columns to case
+ * fields and validate rows. The case.import action does the writing.
+ */
+
+export { IMPORT_FIELDS, guessColumnMapping, missingRequiredFields, mapRows } from './columns';
+export type { ImportFieldInfo } from './columns';
+export { normalizeImportRow, parseDueDate } from './normalize';
+export { readSpreadsheet, SPREADSHEET_ACCEPT } from './spreadsheet';
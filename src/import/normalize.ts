@@ -0,0 +1,141 @@
+/**
+ * Import Normalization
+ * Validates one mapped spreadsheet row and turns it into a
+ * CreateCaseInput. Pure: the service adds the duplicate checks.
+ */
+
+import type { CaseType, CreateCaseInput, Department } from '@/types/case';
+import type { ImportRowInput } from '@/types/import';
+import { toISODate } from '@/utils/dateUtils';
+
+// ═══════════════════════════════════════════════════════════
+// VALUE PARSERS
+// ═══════════════════════════════════════════════════════════
+
+const DEPARTMENTS: Record<string, Department> = {
+  digital: 'Digital',
+  dig: 'Digital',
+  general: 'Digital', // the database name for Digital
+  metal: 'Metal',
+  cb: 'C&B',
+  candb: 'C&B',
+  crownbridge: 'C&B',
+  crownandbridge: 'C&B',
+};
+
+const CASE_TYPES: Record<string, CaseType> = {
+  general: 'general',
+  standard: 'general',
+  bbs: 'bbs',
+  flex: 'flex',
+};
+
+const FLAG_LABELS = { rush: 'Rush', hold: 'Hold', needsRepair: 'Repair' } as const;
+
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'x'];
+const FALSE_VALUES = ['no', 'n', 'false', '0'];
+
+// Excel counts days from 1899-12-30; 20000..80000 covers 1954..2119
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function parseDepartment(value: string): Department | null {
+  return DEPARTMENTS[value.toLowerCase().replace(/[^a-z]/g, '')] ?? null;
+}
+
+function parseBoolean(value: string): boolean | null {
+  const text = value.toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+}
+
+function validDate(year: number, month: number, day: number): string | null {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return toISODate(date);
+}
+
+/**
+ * Accepts 2025-12-15 (optionally with a time), 12/15/2025, 12/15/25,
+ * 12/15 (in `today`'s year) and Excel day serials
+ */
+export function parseDueDate(value: string, today: Date): string | null {
+  let match = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ].*)?$/);
+  if (match) return validDate(+match[1], +match[2], +match[3]);
+
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})(?:[-/.](\d{2}|\d{4}))?$/);
+  if (match) {
+    const year = match[3] === undefined
+      ? today.getFullYear()
+      : match[3].length === 2 ? 2000 + +match[3] : +match[3];
+    return validDate(year, +match[1], +match[2]);
+  }
+
+  if (/^\d{5}(\.\d+)?$/.test(value) && +value >= 20000 && +value <= 80000) {
+    return new Date(EXCEL_EPOCH + Math.floor(+value) * MS_PER_DAY).toISOString().slice(0, 10);
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// ROW
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Validate a row and build the case it describes
+ * @returns the case, or null with the reasons it can't be created
+ */
+export function normalizeImportRow(
+  row: ImportRowInput,
+  today: Date = new Date()
+): { input: CreateCaseInput | null; errors: string[] } {
+  // API callers send JSON, so cells may arrive as numbers or booleans
+  const fields: ImportRowInput['fields'] = Object.fromEntries(
+    Object.entries(row.fields ?? {}).map(([field, value]) => [field, value == null ? '' : String(value).trim()])
+  );
+  const errors: string[] = [];
+
+  const caseNumber = fields.caseNumber ?? '';
+  if (!caseNumber) errors.push('Case number is missing');
+
+  const department = fields.department ? parseDepartment(fields.department) : null;
+  if (!fields.department) errors.push('Department is missing');
+  else if (!department) errors.push(`Unknown department "${fields.department}"`);
+
+  const due = fields.due ? parseDueDate(fields.due, today) : null;
+  if (!fields.due) errors.push('Due date is missing');
+  else if (!due) errors.push(`"${fields.due}" is not a date`);
+
+  const caseType = fields.caseType ? CASE_TYPES[fields.caseType.toLowerCase()] : 'general';
+  if (!caseType) errors.push(`Unknown case type "${fields.caseType}" (use general, bbs or flex)`);
+
+  const flags: Partial<Record<keyof typeof FLAG_LABELS, boolean>> = {};
+  for (const flag of Object.keys(FLAG_LABELS) as (keyof typeof FLAG_LABELS)[]) {
+    const text = fields[flag];
+    if (!text) continue;
+    const value = parseBoolean(text);
+    if (value === null) errors.push(`${FLAG_LABELS[flag]} must be yes or no, not "${text}"`);
+    else flags[flag] = value;
+  }
+
+  if (flags.needsRepair && department && department !== 'Digital') {
+    errors.push('Only Digital cases can be sent straight to repair');
+  }
+
+  if (errors.length > 0) return { input: null, errors };
+
+  return {
+    input: {
+      caseNumber,
+      department: department!,
+      due: due!,
+      rush: flags.rush ?? false,
+      hold: flags.hold ?? false,
+      caseType,
+      needsRepair: flags.needsRepair ?? false,
+    },
+    errors,
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Spreadsheet Reader
+ * Loads an uploaded CSV or XLSX file into rows of cell text
+ */
+
+import { parseCsv } from '@/utils/csvUtils';
+import { readXlsx } from '@/utils/xlsxUtils';
+
+export const SPREADSHEET_ACCEPT = '.csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Read a CSV or XLSX file (header row first)
+ */
+export async function readSpreadsheet(file: File): Promise<string[][]> {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.xlsx')) return readXlsx(await file.arrayBuffer());
+  if (name.endsWith('.csv') || file.type === 'text/csv') return parseCsv(await file.text());
+
+  throw new Error(`${file.name} is not a CSV or XLSX file`);
+}
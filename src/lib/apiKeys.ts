@@ -0,0 +1,91 @@
+/**
+ * API Keys
+ * Server-only key registry for the HTTP action API.
+ * Not re-exported from the lib barrel: it reads secrets and uses
+ * node:crypto, neither of which belongs in the browser bundle.
+ *
+ * Keys come from the ACTION_API_KEYS environment variable, a JSON array:
+ *   [{ "name": "scanner-1", "key": "<secret>", "actions": ["case.toggle_complete", "query.*"] }]
+ * `actions` entries are exact action types, "<prefix>.*" or "*".
+ */
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import type { ActionType } from '@/types/actions';
+
+// ═══════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════
+
+export interface ApiKey {
+  /** Caller name, recorded as the acting user */
+  name: string;
+  key: string;
+  /** Allowed action patterns */
+  actions: string[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════════
+
+function isApiKey(value: unknown): value is ApiKey {
+  const entry = value as ApiKey;
+  return (
+    typeof entry?.name === 'string' &&
+    typeof entry.key === 'string' &&
+    entry.key.length > 0 &&
+    Array.isArray(entry.actions) &&
+    entry.actions.every((a) => typeof a === 'string')
+  );
+}
+
+/**
+ * Read configured keys (malformed entries are skipped and logged)
+ */
+export function loadApiKeys(): ApiKey[] {
+  const raw = process.env.ACTION_API_KEYS;
+  if (!raw) return [];
+
+  try {
+    const parsed: unknown = JSON.parse(raw);
+    if (!Array.isArray(parsed)) throw new Error('expected an array');
+    const keys = parsed.filter(isApiKey);
+    if (keys.length !== parsed.length) {
+      console.error(`ACTION_API_KEYS: skipped ${parsed.length - keys.length} malformed entries`);
+    }
+    return keys;
+  } catch (err) {
+    console.error('ACTION_API_KEYS is not valid JSON:', err);
+    return [];
+  }
+}
+
+const digest = (value: string) => createHash('sha256').update(value).digest();
+
+/**
+ * Find the key matching a presented secret (constant-time comparison)
+ */
+export function findApiKey(secret: string): ApiKey | null {
+  const presented = digest(secret);
+  return loadApiKeys().find((k) => timingSafeEqual(digest(k.key), presented)) ?? null;
+}
+
+/**
+ * Read the secret from `Authorization: Bearer <key>` or `X-API-Key`
+ */
+export function extractApiKey(request: Request): string | null {
+  const auth = request.headers.get('authorization');
+  if (auth?.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim() || null;
+  return request.headers.get('x-api-key')?.trim() || null;
+}
+
+/**
+ * Check whether a key may dispatch an action type
+ */
+export function isActionAllowed(key: ApiKey, type: ActionType): boolean {
+  return key.actions.some((pattern) =>
+    pattern === '*' ||
+    pattern === type ||
+    (pattern.endsWith('.*') && type.startsWith(pattern.slice(0, -1)))
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * Attachments
+ * Which files a case can carry (photos, Rx PDFs, intraoral/model
+ * scans), where they're stored and how they're shown.
+ */
+
+import type { AttachmentKind, DbAttachment } from '@/types/database';
+import type { FieldError } from '@/types/actions';
+import type { AddAttachmentInput } from '@/types/attachment';
+import { MAX_ATTACHMENT_BYTES } from './constants';
+import { formatFileSize } from '@/utils/fileUtils';
+
+/** Photos the browser can show. No SVG: it can carry script. */
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+/** Scanner exports; browsers send them with no or a generic type */
+const SCAN_EXTENSIONS = ['stl', 'ply', 'obj', '3mf', 'dcm'];
+
+export const SCAN_CONTENT_TYPE = 'application/octet-stream';
+
+/** For file inputs' accept attribute */
+export const ATTACHMENT_ACCEPT = [...IMAGE_TYPES, 'application/pdf', ...SCAN_EXTENSIONS.map((e) => `.${e}`)].join(',');
+
+function extension(fileName: string): string {
+  const dot = fileName.lastIndexOf('.');
+  return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+}
+
+/**
+ * What a file is, from its type and name; null when cases can't carry it
+ */
+export function attachmentKind(fileName: string, contentType: string): AttachmentKind | null {
+  const type = contentType.toLowerCase();
+  if (IMAGE_TYPES.includes(type)) return 'image';
+  if (type === 'application/pdf') return 'pdf';
+  if (SCAN_EXTENSIONS.includes(extension(fileName))) return 'scan';
+  return null;
+}
+
+/**
+ * Content type to store: scans are always octet-stream, whatever the
+ * browser guessed (some guess "model/stl", some nothing)
+ */
+export function storedContentType(kind: AttachmentKind, contentType: string): string {
+  return kind === 'scan' ? SCAN_CONTENT_TYPE : contentType.toLowerCase();
+}
+
+/**
+ * File name safe to use in a storage path: no directories, only
+ * letters, digits, dots, dashes and underscores
+ */
+export function safeFileName(fileName: string): string {
+  const base = fileName.split(/[\\/]/).pop() ?? '';
+  const safe = base.replace(/[^A-Za-z0-9._-]+/g, '_').replace(/^[._]+/, '');
+  return safe.slice(-100) || 'file';
+}
+
+/**
+ * Storage path of an attachment: "<case>/<attachment>/<name>"
+ */
+export function attachmentPath(caseId: string, attachmentId: string, fileName: string): string {
+  return `${caseId}/${attachmentId}/${safeFileName(fileName)}`;
+}
+
+/**
+ * Size of base64 data once decoded
+ */
+export function base64Size(data: string): number {
+  const clean = data.replace(/\s+/g, '');
+  const padding = clean.endsWith('==') ? 2 : clean.endsWith('=') ? 1 : 0;
+  return Math.floor((clean.length * 3) / 4) - padding;
+}
+
+/**
+ * Field errors for an upload the schema can't check on its own
+ */
+export function attachmentErrors(input: AddAttachmentInput): FieldError[] {
+  const errors: FieldError[] = [];
+
+  if (!input.fileName.trim()) {
+    errors.push({ field: 'fileName', code: 'required', message: 'File name is required' });
+  } else if (!attachmentKind(input.fileName, input.contentType)) {
+    errors.push({
+      field: 'contentType',
+      code: 'format',
+      message: `${input.fileName} isn't a photo, PDF or scan (${SCAN_EXTENSIONS.join(', ')})`,
+    });
+  }
+
+  const size = base64Size(input.data);
+  if (size === 0) {
+    errors.push({ field: 'data', code: 'required', message: 'File is empty' });
+  } else if (size > MAX_ATTACHMENT_BYTES) {
+    errors.push({
+      field: 'data',
+      code: 'format',
+      message: `File is ${formatFileSize(size)}; the limit is ${formatFileSize(MAX_ATTACHMENT_BYTES)}`,
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Label for the attachment's tile when there's no thumbnail
+ */
+export function attachmentLabel(attachment: Pick<DbAttachment, 'kind' | 'file_name'>): string {
+  return attachment.kind === 'pdf' ? 'PDF' : attachment.kind === 'scan' ? extension(attachment.file_name).toUpperCase() : 'IMG';
+}
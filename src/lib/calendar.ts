@@ -0,0 +1,312 @@
+/**
+ * Lab Calendar
+ * Working hours, holidays and closures in the lab's timezone: which
+ * days are open, the working periods of a day, converting between
+ * instants and lab time, and validating a calendar before it's saved.
+ */
+
+import type { FieldError } from '@/types/actions';
+import type {
+  CalendarClosure,
+  CalendarDepartment,
+  DaySchedule,
+  LabCalendar,
+  TimeRange,
+  WeekSchedule,
+  WorkingPeriod,
+} from '@/types/calendar';
+import { DB_DEPARTMENTS, LAB_TIMEZONE, STAGE_SYSTEM_START, WORKING_HOURS } from './constants';
+
+const MINUTE = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+const CLOCK_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function workday(): DaySchedule {
+  const pad = (hour: number) => `${String(hour).padStart(2, '0')}:00`;
+  return { shifts: [{ start: pad(WORKING_HOURS.start), end: pad(WORKING_HOURS.end) }], breaks: [] };
+}
+
+const CLOSED: DaySchedule = { shifts: [], breaks: [] };
+
+/** Monday-Friday 8:00-17:00 lab time, no closures (the legacy hours) */
+export const DEFAULT_LAB_CALENDAR: LabCalendar = {
+  timezone: LAB_TIMEZONE,
+  week: [CLOSED, workday(), workday(), workday(), workday(), workday(), CLOSED],
+  closures: [],
+  departments: {},
+  stageSystemStart: STAGE_SYSTEM_START,
+};
+
+// ═══════════════════════════════════════════════════════════
+// CLOCK TIMES & DATES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Minutes after midnight for "HH:MM"; null when malformed
+ */
+export function parseClock(time: string): number | null {
+  const match = CLOCK_PATTERN.exec(time);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= DAY_MINUTES ? minutes : null;
+}
+
+export function formatClock(minutes: number): string {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/** 0 = Sunday for a "YYYY-MM-DD" date */
+export function weekdayOf(date: string): number {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/** The "YYYY-MM-DD" date `days` after this one */
+export function shiftDate(date: string, days: number): string {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+// ═══════════════════════════════════════════════════════════
+// TIMEZONE
+// ═══════════════════════════════════════════════════════════
+
+const formatters = new Map<string, Intl.DateTimeFormat>();
+
+function formatter(timezone: string): Intl.DateTimeFormat {
+  let format = formatters.get(timezone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    formatters.set(timezone, format);
+  }
+  return format;
+}
+
+export function isValidTimezone(timezone: string): boolean {
+  try {
+    formatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Minutes the timezone is ahead of UTC at an instant
+ */
+export function timezoneOffset(instant: Date | number, timezone: string): number {
+  const time = typeof instant === 'number' ? instant : instant.getTime();
+  const parts: Record<string, number> = {};
+  for (const part of formatter(timezone).formatToParts(time)) parts[part.type] = Number(part.value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(time / 1000) * 1000) / MINUTE);
+}
+
+/**
+ * Lab date, weekday and minute of the day at an instant
+ */
+export function zonedTime(instant: Date | number, timezone: string): { date: string; weekday: number; minute: number } {
+  const time = typeof instant === 'number' ? instant : instant.getTime();
+  const local = new Date(time + timezoneOffset(time, timezone) * MINUTE);
+  return {
+    date: local.toISOString().slice(0, 10),
+    weekday: local.getUTCDay(),
+    minute: local.getUTCHours() * 60 + local.getUTCMinutes(),
+  };
+}
+
+/**
+ * The instant a lab date and minute of the day fall on. A time the
+ * clocks skip (spring forward) lands the same distance after the jump.
+ */
+export function zonedInstant(date: string, minute: number, timezone: string): Date {
+  const local = new Date(`${date}T00:00:00Z`).getTime() + minute * MINUTE;
+  const guess = local - timezoneOffset(local, timezone) * MINUTE;
+  const offset = timezoneOffset(guess, timezone);
+  const instant = local - offset * MINUTE;
+  return new Date(timezoneOffset(instant, timezone) === offset ? instant : guess);
+}
+
+/**
+ * Last moment of a lab date ("YYYY-MM-DD")
+ */
+export function endOfLabDay(date: string, calendar: LabCalendar = DEFAULT_LAB_CALENDAR): Date {
+  return new Date(zonedInstant(shiftDate(date, 1), 0, calendar.timezone).getTime() - 1);
+}
+
+// ═══════════════════════════════════════════════════════════
+// SCHEDULE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * The holiday or closure covering a date, the department's own first
+ */
+export function closureOn(
+  calendar: LabCalendar,
+  date: string,
+  department?: CalendarDepartment | null
+): CalendarClosure | undefined {
+  const own = department ? calendar.departments[department]?.closures ?? [] : [];
+  return [...own, ...calendar.closures].find((c) => c.from <= date && date <= c.to);
+}
+
+function toPeriods(ranges: TimeRange[]): WorkingPeriod[] {
+  const periods: WorkingPeriod[] = [];
+  for (const range of ranges) {
+    const start = parseClock(range.start);
+    const end = parseClock(range.end);
+    if (start !== null && end !== null && start < end) periods.push({ start, end });
+  }
+  return periods.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Working periods of a lab date, in minutes after lab midnight: the
+ * department's week (or the lab's), or a closure's short-day hours,
+ * with breaks cut out. Empty when the lab is closed.
+ */
+export function workingPeriods(
+  calendar: LabCalendar,
+  date: string,
+  department?: CalendarDepartment | null
+): WorkingPeriod[] {
+  const week: WeekSchedule = (department && calendar.departments[department]?.week) || calendar.week;
+  const day = week[weekdayOf(date)] ?? CLOSED;
+  const closure = closureOn(calendar, date, department);
+  const breaks = toPeriods(day.breaks);
+
+  const periods: WorkingPeriod[] = [];
+  for (const shift of toPeriods(closure ? closure.shifts ?? [] : day.shifts)) {
+    let start = shift.start;
+    for (const pause of breaks) {
+      if (pause.end <= start || pause.start >= shift.end) continue;
+      if (pause.start > start) periods.push({ start, end: pause.start });
+      start = Math.max(start, pause.end);
+    }
+    if (start < shift.end) periods.push({ start, end: shift.end });
+  }
+
+  // Overlapping shifts count once
+  const merged: WorkingPeriod[] = [];
+  for (const period of periods.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) last.end = Math.max(last.end, period.end);
+    else merged.push({ ...period });
+  }
+  return merged;
+}
+
+/**
+ * Does the lab (or department) work at all on this date?
+ */
+export function isOpenDay(calendar: LabCalendar, date: string, department?: CalendarDepartment | null): boolean {
+  return workingPeriods(calendar, date, department).length > 0;
+}
+
+/**
+ * A stored calendar with anything missing taken from the defaults
+ */
+export function normalizeCalendar(stored: Partial<LabCalendar> | null | undefined): LabCalendar {
+  return {
+    timezone: stored?.timezone || DEFAULT_LAB_CALENDAR.timezone,
+    week: stored?.week?.length === 7 ? stored.week : DEFAULT_LAB_CALENDAR.week,
+    closures: stored?.closures ?? [],
+    departments: stored?.departments ?? {},
+    stageSystemStart: stored?.stageSystemStart || DEFAULT_LAB_CALENDAR.stageSystemStart,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+
+function rangeErrors(field: string, ranges: unknown): FieldError[] {
+  if (!Array.isArray(ranges)) return [{ field, code: 'type', message: `${field} must be an array` }];
+  const errors: FieldError[] = [];
+  ranges.forEach((range: Partial<TimeRange> | null, i) => {
+    const start = typeof range?.start === 'string' ? parseClock(range.start) : null;
+    const end = typeof range?.end === 'string' ? parseClock(range.end) : null;
+    if (start === null || end === null || start >= end) {
+      errors.push({
+        field: `${field}[${i}]`,
+        code: 'format',
+        message: `${field}[${i}] must have a start before its end, as HH:MM`,
+      });
+    }
+  });
+  return errors;
+}
+
+function weekErrors(field: string, week: unknown): FieldError[] {
+  if (!Array.isArray(week) || week.length !== 7) {
+    return [{ field, code: 'format', message: `${field} must list 7 days, Sunday first` }];
+  }
+  const errors = week.flatMap((day: Partial<DaySchedule> | null, i) => [
+    ...rangeErrors(`${field}[${i}].shifts`, day?.shifts),
+    ...rangeErrors(`${field}[${i}].breaks`, day?.breaks),
+  ]);
+  if (errors.length === 0 && week.every((day: DaySchedule) => day.shifts.length === 0)) {
+    errors.push({ field, code: 'format', message: `${field} needs at least one working day` });
+  }
+  return errors;
+}
+
+function closureErrors(field: string, closures: unknown): FieldError[] {
+  if (!Array.isArray(closures)) return [{ field, code: 'type', message: `${field} must be an array` }];
+  return closures.flatMap((closure: Partial<CalendarClosure> | null, i) => {
+    const at = `${field}[${i}]`;
+    const errors: FieldError[] = [];
+    const from = closure?.from;
+    const to = closure?.to;
+    if (typeof from !== 'string' || typeof to !== 'string' || !DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+      errors.push({ field: at, code: 'format', message: `${at} must run from one YYYY-MM-DD date to the same or a later one` });
+    }
+    if (typeof closure?.label !== 'string' || !closure.label.trim()) {
+      errors.push({ field: `${at}.label`, code: 'required', message: `${at} needs a label` });
+    }
+    if (closure?.kind !== 'holiday' && closure?.kind !== 'closure') {
+      errors.push({ field: `${at}.kind`, code: 'enum', message: `${at}.kind must be one of: holiday, closure` });
+    }
+    if (closure?.shifts !== undefined) errors.push(...rangeErrors(`${at}.shifts`, closure.shifts));
+    return errors;
+  });
+}
+
+/**
+ * Field errors for a calendar the schema can't check on its own
+ */
+export function calendarErrors(input: Partial<LabCalendar>): FieldError[] {
+  const errors: FieldError[] = [];
+
+  if (typeof input.timezone === 'string' && !isValidTimezone(input.timezone)) {
+    errors.push({ field: 'timezone', code: 'format', message: `Unknown timezone: ${input.timezone}` });
+  }
+  if (input.week !== undefined) errors.push(...weekErrors('week', input.week));
+  if (input.closures !== undefined) errors.push(...closureErrors('closures', input.closures));
+  if (typeof input.stageSystemStart === 'string' && Number.isNaN(Date.parse(input.stageSystemStart))) {
+    errors.push({ field: 'stageSystemStart', code: 'format', message: 'stageSystemStart must be a date or timestamp' });
+  }
+
+  for (const [department, override] of Object.entries(input.departments ?? {})) {
+    const field = `departments.${department}`;
+    if (!(DB_DEPARTMENTS as readonly string[]).includes(department)) {
+      errors.push({ field, code: 'unknown', message: `Unknown department: ${department} (Digital is "General")` });
+      continue;
+    }
+    if (override?.week !== undefined) errors.push(...weekErrors(`${field}.week`, override.week));
+    if (override?.closures !== undefined) errors.push(...closureErrors(`${field}.closures`, override.closures));
+  }
+
+  return errors;
+}
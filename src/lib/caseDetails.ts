@@ -0,0 +1,205 @@
+/**
+ * Case Details
+ * Practice, doctor, patient, restoration, units, teeth, shade and
+ * material: turning editor/API input into columns, validating it,
+ * showing it, searching it, and pulling it out of old case numbers
+ * like "5678 Crown #8 A2".
+ */
+
+import type { Case, CaseDetailsInput } from '@/types/case';
+import type { CaseDetailColumn, DbCase, ToothNotation } from '@/types/database';
+import type { FieldError } from '@/types/actions';
+import { DEFAULT_TOOTH_NOTATION } from './constants';
+import { formatTeeth, parseTeeth } from './teeth';
+
+export type CaseDetailFields = Partial<Pick<DbCase, CaseDetailColumn>>;
+
+/** Text fields: input key → column */
+const TEXT_FIELDS = [
+  ['practice', 'practice'],
+  ['doctor', 'doctor'],
+  ['patientRef', 'patient_ref'],
+  ['restorationType', 'restoration_type'],
+  ['shade', 'shade'],
+  ['material', 'material'],
+] as const;
+
+// ═══════════════════════════════════════════════════════════
+// INPUT → COLUMNS
+// ═══════════════════════════════════════════════════════════
+
+function teethText(teeth: string[]): string {
+  return teeth.join(' ').replace(/\s*([-–])\s*/g, '$1');
+}
+
+/**
+ * Columns for the detail fields present in the input. Empty text
+ * becomes null; teeth are expanded and normalized (invalid ones are
+ * dropped - caseDetailErrors reports them before a write).
+ */
+export function caseDetailFields(input: CaseDetailsInput): CaseDetailFields {
+  const fields: CaseDetailFields = {};
+
+  for (const [key, column] of TEXT_FIELDS) {
+    const value = input[key];
+    if (value !== undefined) fields[column] = value.trim() || null;
+  }
+  // Shown as "Dr. <name>", so don't store the title twice
+  if (fields.doctor) fields.doctor = fields.doctor.replace(/^dr\.?\s+/i, '') || null;
+  if (fields.shade && SHADE_CODE.test(fields.shade)) fields.shade = fields.shade.toUpperCase();
+
+  if (input.units !== undefined) fields.units = input.units;
+
+  if (input.teeth !== undefined) {
+    const notation = input.toothNotation ?? DEFAULT_TOOTH_NOTATION;
+    const { teeth } = parseTeeth(teethText(input.teeth), notation);
+    fields.teeth = teeth;
+    fields.tooth_notation = teeth.length > 0 ? notation : null;
+  }
+
+  return fields;
+}
+
+/**
+ * Field errors for detail input the schema can't check on its own
+ */
+export function caseDetailErrors(input: CaseDetailsInput): FieldError[] {
+  const errors: FieldError[] = [];
+
+  if (input.units !== undefined && input.units !== null && (!Number.isInteger(input.units) || input.units < 1)) {
+    errors.push({ field: 'units', code: 'format', message: 'units must be a whole number of at least 1' });
+  }
+
+  if (input.teeth !== undefined) {
+    const notation = input.toothNotation ?? DEFAULT_TOOTH_NOTATION;
+    const { invalid } = parseTeeth(teethText(input.teeth), notation);
+    if (invalid.length > 0) {
+      const name = notation === 'fdi' ? 'FDI' : 'Universal';
+      errors.push({ field: 'teeth', code: 'format', message: `Not ${name} tooth numbers: ${invalid.join(', ')}` });
+    }
+  }
+
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// DISPLAY & SEARCH
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * One-line summary: "3× Bridge · #3, #4, #5 · A2 · Zirconia"
+ */
+export function describeCaseDetails(c: DbCase): string {
+  const restoration = [c.units && c.units > 1 ? `${c.units}×` : '', c.restoration_type ?? ''].join(' ').trim();
+  return [restoration, formatTeeth(c.teeth ?? [], c.tooth_notation), c.shade, c.material]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Who the case is for: "Dr. Smith · Bright Smiles · pt 4411"
+ */
+export function describeCaseSource(c: DbCase): string {
+  return [c.doctor && `Dr. ${c.doctor}`, c.practice, c.patient_ref && `pt ${c.patient_ref}`]
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Case-insensitive match on the case number and every text detail
+ */
+export function matchesCaseSearch(c: Case, query: string): boolean {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [c.caseNumber, ...TEXT_FIELDS.map(([, column]) => c[column])]
+    .some((value) => value?.toLowerCase().includes(needle));
+}
+
+// ═══════════════════════════════════════════════════════════
+// EXTRACTION FROM CASE NUMBERS
+// ═══════════════════════════════════════════════════════════
+
+// Mirrored in supabase/migrations/20261019000500_case_details.sql; keep them in step
+
+const RESTORATION_PATTERNS: [RegExp, string][] = [
+  [/\bimplant\b/i, 'Implant crown'],
+  [/\babutments?\b/i, 'Abutment'],
+  [/\b(?:partials?|rpd)\b/i, 'Partial denture'],
+  [/\bdentures?\b/i, 'Denture'],
+  [/\b(?:bridge|fpd)\b/i, 'Bridge'],
+  [/\bcrowns?\b/i, 'Crown'],
+  [/\bveneers?\b/i, 'Veneer'],
+  [/\binlays?\b/i, 'Inlay'],
+  [/\bonlays?\b/i, 'Onlay'],
+  [/\bnight\s*guard\b/i, 'Night guard'],
+  [/\bsplints?\b/i, 'Splint'],
+  [/\bmodels?\b/i, 'Model'],
+];
+
+const MATERIAL_PATTERNS: [RegExp, string][] = [
+  [/\b(?:zirconia|zirc|zr|bruxzir)\b/i, 'Zirconia'],
+  [/\be\.?max\b/i, 'e.max'],
+  [/\bpfm\b/i, 'PFM'],
+  [/\b(?:full\s*cast|fcc)\b/i, 'Full cast'],
+  [/\bgold\b/i, 'Gold'],
+  [/\btitanium\b/i, 'Titanium'],
+  [/\bpmma\b/i, 'PMMA'],
+  [/\bcomposite\b/i, 'Composite'],
+];
+
+/** VITA classic (A1-D4), bleach (BL1-BL4) and 3D-Master (2M2, 1M1.5) */
+const SHADE_PATTERN = /\b(BL[1-4]|[A-D][1-4]|[0-5][LMR][1-3](?:\.5)?)\b/i;
+const SHADE_CODE = new RegExp(`^${SHADE_PATTERN.source.slice(2, -2)}$`, 'i');
+// Everything after the leading case id ("5678 Crown", "5678 - Crown", "(5678 Crown)")
+const DESCRIPTION_PATTERN = /^[^\s-]+(?:\s*-\s*|\s+)(.+)$/;
+const UNITS_PATTERN = /\b(\d{1,2})\s*-?\s*(?:units?|u)\b/i;
+const DOCTOR_PATTERN = /\bdr(?:\.\s*|\s+)([a-z][\w'-]*)/i;
+const PATIENT_PATTERN = /\b(?:pt|patient)\b\s*[:#.]?\s*([\w-]+)/i;
+// "#8", "#3-5", "#8, 9" are Universal; "tooth 36", "teeth 14-16" are FDI
+const UNIVERSAL_TEETH_PATTERN = /#\s*([0-9a-t]{1,2}(?:\s*[-–,]\s*#?\s*[0-9a-t]{1,2}\b)*)/i;
+const FDI_TEETH_PATTERN = /\b(?:tooth|teeth)\s*(\d{2}(?:\s*[-–,]\s*\d{2}\b)*)/i;
+
+function firstMatch(text: string, patterns: [RegExp, string][]): string | undefined {
+  return patterns.find(([pattern]) => pattern.test(text))?.[1];
+}
+
+function extractTeeth(text: string): Pick<CaseDetailFields, 'teeth' | 'tooth_notation'> {
+  const candidates: [RegExp, ToothNotation][] = [
+    [UNIVERSAL_TEETH_PATTERN, 'universal'],
+    [FDI_TEETH_PATTERN, 'fdi'],
+  ];
+  for (const [pattern, notation] of candidates) {
+    const list = pattern.exec(text)?.[1];
+    if (!list) continue;
+    const { teeth, invalid } = parseTeeth(teethText(list.replace(/#/g, '').split(',')), notation);
+    if (teeth.length > 0 && invalid.length === 0) return { teeth, tooth_notation: notation };
+  }
+  return {};
+}
+
+/**
+ * Details found in the description part of a case number
+ * ("5678 Crown #8 A2 zirc" → Crown, #8, A2, Zirconia). Only what is
+ * recognised is returned; the case number itself is left alone.
+ */
+export function extractCaseDetails(caseNumber: string): CaseDetailFields {
+  const description = DESCRIPTION_PATTERN.exec(caseNumber.replace(/[()]/g, '').trim())?.[1];
+  if (!description) return {};
+
+  const fields: CaseDetailFields = { ...extractTeeth(description) };
+  const restoration = firstMatch(description, RESTORATION_PATTERNS);
+  const material = firstMatch(description, MATERIAL_PATTERNS);
+  const shade = SHADE_PATTERN.exec(description)?.[1];
+  const units = UNITS_PATTERN.exec(description)?.[1];
+  const doctor = DOCTOR_PATTERN.exec(description)?.[1];
+  const patient = PATIENT_PATTERN.exec(description)?.[1];
+
+  if (restoration) fields.restoration_type = restoration;
+  if (material) fields.material = material;
+  if (shade) fields.shade = shade.toUpperCase();
+  if (units && Number(units) > 0) fields.units = Number(units);
+  if (doctor) fields.doctor = doctor.charAt(0).toUpperCase() + doctor.slice(1);
+  if (patient) fields.patient_ref = patient;
+
+  return fields;
+}
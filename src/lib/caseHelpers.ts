@@ -5,7 +5,7 @@
  * Import these instead of defining inline in components.
  */
 
-import type { Case, CaseStage } from '@/types/case';
+import type { Case, CaseStage, ModifierOps } from '@/types/case';
 
 // ═══════════════════════════════════════════════════════════
 // ROW BACKGROUND COLORS
@@ -188,3 +188,29 @@ export function getPriorityIds(rows: Case[]): string[] {
   }
   return ids;
 }
+
+// ═══════════════════════════════════════════════════════════
+// MODIFIER OPERATIONS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Apply modifier operations to an array, keeping order
+ * (the same rules as the update_case_modifiers database function)
+ */
+export function applyModifierOps(modifiers: string[], ops: ModifierOps): string[] {
+  const { add = [], remove = [], removePrefixes = [] } = ops;
+  const kept = modifiers.filter(
+    (m) => add.includes(m) || (!remove.includes(m) && !removePrefixes.some((prefix) => m.startsWith(prefix)))
+  );
+  for (const m of add) {
+    if (!kept.includes(m)) kept.push(m);
+  }
+  return kept;
+}
+
+/**
+ * Same flags in the same order (the database function writes nothing then)
+ */
+export function sameModifiers(a: string[], b: string[]): boolean {
+  return a.length === b.length && a.every((m, i) => m === b[i]);
+}
@@ -10,6 +10,31 @@ export const APP_NAME = 'Stoma Board';
 export const HEARTBEAT_INTERVAL = 20 * 1000; // 20 seconds
 export const ACTIVITY_DEBOUNCE = 3 * 1000; // 3 seconds
 
+// Undo/redo configuration
+export const UNDO_LIMIT = 50; // Max entries kept on the undo stack
+export const UNDO_TOAST_DURATION = 5 * 1000; // 5 seconds
+
+// Audit log configuration
+export const AUDIT_FLUSH_DELAY = 2 * 1000; // Batch audit writes for 2 seconds
+export const AUDIT_BUFFER_LIMIT = 1000; // Max unsent entries kept in memory where they can't be persisted
+export const AUDIT_RETRY_MAX_DELAY = 60 * 1000; // Failed audit writes retry with backoff, up to a minute apart
+export const AUDIT_PAGE_SIZE = 500; // Default rows per audit log query
+
+// Offline queue configuration
+export const OFFLINE_DB_NAME = 'stoma-board-offline'; // IndexedDB database holding queued actions
+export const OFFLINE_RETRY_INTERVAL = 30 * 1000; // Retry replay every 30 seconds while actions are pending
+
+// Local storage backend
+export const LOCAL_DB_NAME = 'stoma-board-local'; // IndexedDB database holding the local backend's SQLite file
+
+// Concurrency control
+export const CAS_MAX_ATTEMPTS = 3; // Re-read and retry a flag/stage write this many times before reporting a conflict
+
+// Lab calendar (defaults until a manager saves one)
+export const STAGE_SYSTEM_START = '2025-07-14T00:00:00Z'; // Digital cases created after this start in Design
+export const WORKING_HOURS = { start: 8, end: 17 } as const; // Lab time, Monday-Friday
+export const LAB_TIMEZONE = 'America/Boise';
+
 // Department mappings
 // Note: "Digital" is stored as "General" in the database
 export const DEPARTMENTS = ['Digital', 'Metal', 'C&B'] as const;
@@ -24,9 +49,39 @@ export const STAGE_DISPLAY_NAMES: Record<typeof STAGES[number], string> = {
   qc: 'Quality Control',
 };
 
+// Roles (lowest to highest privilege)
+export const ROLES = ['technician', 'lead', 'manager', 'admin'] as const;
+export const DEFAULT_ROLE = 'technician'; // Users without a user_roles row
+
 // Case types
 export const CASE_TYPES = ['general', 'bbs', 'flex'] as const;
 
+// Case details (suggestions only - any text is accepted)
+export const RESTORATION_TYPES = [
+  'Crown', 'Bridge', 'Veneer', 'Inlay', 'Onlay', 'Implant crown', 'Abutment',
+  'Denture', 'Partial denture', 'Night guard', 'Splint', 'Model',
+] as const;
+export const MATERIALS = ['Zirconia', 'e.max', 'PFM', 'Full cast', 'Gold', 'Titanium', 'PMMA', 'Composite'] as const;
+export const TOOTH_NOTATIONS = ['fdi', 'universal'] as const;
+export const DEFAULT_TOOTH_NOTATION = 'universal'; // New cases; the editor can switch per case
+
+// Client directory
+export const MAX_TURNAROUND_DAYS = 60; // Longest turnaround rule a practice can have, in business days
+
+// Case notes
+export const MAX_NOTE_LENGTH = 2000; // Characters per note or reply
+export const MENTION_ACTIVE_DAYS = 30; // Users seen within this many days can be @mentioned
+
+// Case attachments
+export const ATTACHMENT_BUCKET = 'case-attachments'; // Supabase Storage bucket
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024; // 25 MB per file
+export const ATTACHMENT_URL_TTL = 60 * 60; // Seconds a signed attachment URL stays valid
+export const LOCAL_FILES_DB_NAME = 'stoma-board-files'; // IndexedDB database holding local attachment files
+
+// Case links
+export const MAX_LINK_REASON_LENGTH = 500; // Characters in a remake reason or link note
+export const DEFAULT_REMAKE_DAYS = 5; // Business days a remake gets when its practice has no turnaround rule
+
 // Local storage keys
 export const STORAGE_KEYS = {
   USER_NAME: 'userName',
@@ -0,0 +1,132 @@
+/**
+ * Efficiency
+ * Checking the carry-over a client sends back with an efficiency
+ * query, how a score is shown (the legacy board's colour bands), and
+ * how a case's risk prediction and a day's due-date forecasts are
+ * shown on the board
+ */
+
+import type { FieldError } from '@/types/actions';
+import type { CaseForecast, CaseRiskPrediction, EfficiencyCarryOver, RiskLevel } from '@/types/efficiency';
+import { CASE_TYPES } from './constants';
+
+const VIEWS = ['overview', 'design', 'production', 'finishing'];
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isCarryOver(value: unknown): value is EfficiencyCarryOver {
+  if (!isRecord(value) || typeof value.score !== 'number' || !isRecord(value.targets)) return false;
+  return Object.entries(value.targets).every(
+    ([caseType, target]) =>
+      (CASE_TYPES as readonly string[]).includes(caseType) && typeof target === 'number' && target > 0
+  );
+}
+
+/**
+ * Field errors for the `previous` carry-over of query.department_efficiency
+ * (one carry-over) or query.efficiency_scores (one per view)
+ */
+export function carryOverErrors(previous: unknown, perView: boolean): FieldError[] {
+  if (previous === undefined) return [];
+  const invalid = (field: string): FieldError => ({
+    field,
+    code: 'format',
+    message: `${field} must be a carryOver from an earlier result ({ score, targets })`,
+  });
+
+  if (!perView) return isCarryOver(previous) ? [] : [invalid('previous')];
+  if (!isRecord(previous)) return [invalid('previous')];
+  return Object.entries(previous)
+    .filter(([view, carryOver]) => !VIEWS.includes(view) || !isCarryOver(carryOver))
+    .map(([view]) => invalid(`previous.${view}`));
+}
+
+/**
+ * Text colour for a score: green from 85, blue from 70, yellow from 50
+ */
+export function scoreTone(score: number): string {
+  if (score >= 85) return 'text-green-600';
+  if (score >= 70) return 'text-blue-600';
+  if (score >= 50) return 'text-yellow-600';
+  return 'text-red-600';
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE RISK
+// ═══════════════════════════════════════════════════════════
+
+export const RISK_LABELS: Record<RiskLevel, string> = {
+  low: 'On track',
+  medium: 'At risk',
+  high: 'High risk',
+  critical: 'Critical',
+};
+
+/** Badge colours per risk level (on-track cases have no badge) */
+export const RISK_BADGE_CLASSES: Record<RiskLevel, string> = {
+  low: 'bg-green-600 text-white',
+  medium: 'bg-yellow-300 text-yellow-950',
+  high: 'bg-orange-500 text-white',
+  critical: 'bg-red-600 text-white',
+};
+
+/**
+ * Tooltip lines for a prediction: predicted finish against the end of
+ * the due day (in lab time), confidence and what to do
+ */
+export function describeRisk(prediction: CaseRiskPrediction, timezone: string): string {
+  const format = (iso: string) =>
+    new Date(iso).toLocaleString(undefined, {
+      timeZone: timezone,
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  const late = prediction.willBeLate ? ` (${Math.round(prediction.daysLate * 10) / 10}d late)` : '';
+  return [
+    `${RISK_LABELS[prediction.riskLevel]}: predicted to finish ${format(prediction.predictedFinish)}${late}`,
+    `Due by ${format(prediction.dueAt)}`,
+    `Confidence: ${prediction.confidence} (${Math.round(prediction.confidenceScore)}%)`,
+    prediction.recommendation,
+  ].join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════
+// DUE-DATE FORECAST
+// ═══════════════════════════════════════════════════════════
+
+/** Cases less likely than this to finish on time are flagged in their day's header */
+export const ON_TIME_ALERT = 0.7;
+
+/**
+ * "3 of 9 cases at <70% on-time probability" for a day's forecasts;
+ * null when none are below the alert line
+ */
+export function forecastSummary(forecasts: CaseForecast[]): string | null {
+  const below = forecasts.filter((f) => f.onTimeProbability < ON_TIME_ALERT).length;
+  if (below === 0) return null;
+  const noun = forecasts.length === 1 ? 'case' : 'cases';
+  return `${below} of ${forecasts.length} ${noun} at <${Math.round(ON_TIME_ALERT * 100)}% on-time probability`;
+}
+
+/**
+ * One tooltip line per flagged case, least likely first: on-time chance
+ * and P50 / P85 finish (in lab time)
+ */
+export function describeForecasts(forecasts: CaseForecast[], timezone: string): string {
+  const format = (iso: string) =>
+    new Date(iso).toLocaleString(undefined, { timeZone: timezone, weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  return forecasts
+    .filter((f) => f.onTimeProbability < ON_TIME_ALERT)
+    .sort((a, b) => a.onTimeProbability - b.onTimeProbability)
+    .map(
+      (f) =>
+        `${f.caseNumber}: ${Math.round(f.onTimeProbability * 100)}% on time, ` +
+        `P50 ${format(f.p50Finish)}, P85 ${format(f.p85Finish)}`
+    )
+    .join('\n');
+}
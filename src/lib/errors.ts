@@ -0,0 +1,23 @@
+/**
+ * Errors
+ * Error classes that carry more than a message. Handlers throw
+ * them; the dispatcher turns them into structured DispatchResult
+ * fields so callers don't have to parse error strings.
+ */
+
+import type { Case } from '@/types/case';
+
+/**
+ * A compare-and-swap write lost the race: the row's version moved
+ * on (or the row was deleted) since the caller read it
+ */
+export class ConflictError extends Error {
+  /** The row as it is stored now (null if it was deleted) */
+  readonly current: Case | null;
+
+  constructor(message: string, current: Case | null) {
+    super(message);
+    this.name = 'ConflictError';
+    this.current = current;
+  }
+}
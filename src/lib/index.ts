@@ -10,3 +10,13 @@ export * from './constants';
 export * from './animations';
 export { cn } from './cn';
 export * from './caseHelpers';
+export * from './caseDetails';
+export * from './teeth';
+export * from './practices';
+export * from './notes';
+export * from './attachments';
+export * from './links';
+export * from './efficiency';
+export * from './calendar';
+export { isOffline, isNetworkError } from './network';
+export { ConflictError } from './errors';
@@ -0,0 +1,186 @@
+/**
+ * Case Links
+ * Relationships between cases: remakes, split units and work that
+ * waits on another department. Labels both ways round, which cases
+ * are blocking a row, dependency cycles, remake copies and the
+ * remake-rate report.
+ */
+
+import type { Case, CaseType, CreateCaseInput, Department } from '@/types/case';
+import type { CaseLinkKind, DbCase, DbCaseLink, DbPractice } from '@/types/database';
+import type { FieldError } from '@/types/actions';
+import type { LinkCasesInput, RemakeRate, RemakeRateFilters } from '@/types/link';
+import type { LabCalendar } from '@/types/calendar';
+import { DEPARTMENT_DISPLAY } from '@/types/case';
+import { DEFAULT_REMAKE_DAYS, DEPARTMENTS, MAX_LINK_REASON_LENGTH } from './constants';
+import { findPractice, turnaroundDueDate } from './practices';
+import { DEFAULT_LAB_CALENDAR } from './calendar';
+import { addBusinessDays, getToday, toISODate } from '@/utils/dateUtils';
+
+export const CASE_LINK_KINDS: readonly CaseLinkKind[] = ['remake_of', 'split_from', 'depends_on'];
+
+/** Read from the linking case: "1235 is a remake of 1234" */
+export const LINK_LABELS: Record<CaseLinkKind, string> = {
+  remake_of: 'Remake of',
+  split_from: 'Split from',
+  depends_on: 'Waits on',
+};
+
+/** Read from the linked case: "1234 was remade as 1235" */
+export const REVERSE_LINK_LABELS: Record<CaseLinkKind, string> = {
+  remake_of: 'Remade as',
+  split_from: 'Split into',
+  depends_on: 'Needed by',
+};
+
+// ═══════════════════════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Links by case id; each link is listed under both of its cases
+ */
+export function linksByCase(links: DbCaseLink[]): Map<string, DbCaseLink[]> {
+  const byCase = new Map<string, DbCaseLink[]>();
+  const add = (caseId: string, link: DbCaseLink) => {
+    const list = byCase.get(caseId);
+    if (list) list.push(link);
+    else byCase.set(caseId, [link]);
+  };
+  for (const link of links) {
+    add(link.case_id, link);
+    add(link.linked_case_id, link);
+  }
+  return byCase;
+}
+
+/**
+ * The other case on a link, and how it relates as seen from `caseId`
+ */
+export function describeLink(link: DbCaseLink, caseId: string): { otherId: string; label: string } {
+  return link.case_id === caseId
+    ? { otherId: link.linked_case_id, label: LINK_LABELS[link.kind] }
+    : { otherId: link.case_id, label: REVERSE_LINK_LABELS[link.kind] };
+}
+
+/**
+ * Cases this one waits on that aren't done yet. Only loaded cases
+ * count: an archived prerequisite has left the board, so it's finished.
+ */
+export function blockingCases(caseId: string, links: DbCaseLink[], getRow: (id: string) => Case | undefined): Case[] {
+  return links
+    .filter((l) => l.kind === 'depends_on' && l.case_id === caseId)
+    .map((l) => getRow(l.linked_case_id))
+    .filter((row): row is Case => !!row && !row.completed);
+}
+
+/**
+ * Would "caseId waits on linkedCaseId" close a loop (the linked case
+ * already waiting, directly or not, on caseId)?
+ */
+export function wouldCreateCycle(links: DbCaseLink[], caseId: string, linkedCaseId: string): boolean {
+  const waitsOn = new Map<string, string[]>();
+  for (const l of links.filter((l) => l.kind === 'depends_on')) {
+    waitsOn.set(l.case_id, [...(waitsOn.get(l.case_id) ?? []), l.linked_case_id]);
+  }
+
+  const seen = new Set<string>();
+  const pending = [linkedCaseId];
+  while (pending.length > 0) {
+    const id = pending.pop()!;
+    if (id === caseId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    pending.push(...(waitsOn.get(id) ?? []));
+  }
+  return false;
+}
+
+/**
+ * Field errors for link input the schema can't check on its own
+ */
+export function linkErrors(input: Pick<LinkCasesInput, 'reason'> & Partial<LinkCasesInput>): FieldError[] {
+  const errors: FieldError[] = [];
+  if (input.caseId && input.caseId === input.linkedCaseId) {
+    errors.push({ field: 'linkedCaseId', code: 'format', message: 'A case cannot be linked to itself' });
+  }
+  if ((input.reason?.trim().length ?? 0) > MAX_LINK_REASON_LENGTH) {
+    errors.push({
+      field: 'reason',
+      code: 'format',
+      message: `Reason must be ${MAX_LINK_REASON_LENGTH} characters or fewer`,
+    });
+  }
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// REMAKES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * A new case with the original's department, type and details. Flags
+ * (priority, rush, hold) and progress start over; a Digital remake
+ * starts in Design.
+ */
+export function remakeInput(
+  original: DbCase,
+  practices: DbPractice[],
+  { caseNumber, due }: { caseNumber?: string; due?: string } = {},
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR,
+  today: Date = getToday()
+): CreateCaseInput {
+  const modifiers = original.modifiers ?? [];
+  const caseType: CaseType = modifiers.includes('bbs') ? 'bbs' : modifiers.includes('flex') ? 'flex' : 'general';
+  const practice = findPractice(practices, original.practice);
+
+  return {
+    caseNumber: caseNumber?.trim() || `${original.casenumber.trim()} remake`,
+    department: DEPARTMENT_DISPLAY[original.department],
+    due:
+      due ??
+      (practice && turnaroundDueDate(practice, caseType, today, calendar, original.department)) ??
+      toISODate(addBusinessDays(today, DEFAULT_REMAKE_DAYS, calendar, original.department)),
+    caseType,
+    practice: original.practice ?? '',
+    doctor: original.doctor ?? '',
+    patientRef: original.patient_ref ?? '',
+    restorationType: original.restoration_type ?? '',
+    units: original.units,
+    teeth: [...(original.teeth ?? [])],
+    ...(original.tooth_notation && { toothNotation: original.tooth_notation }),
+    shade: original.shade ?? '',
+    material: original.material ?? '',
+  };
+}
+
+/**
+ * Remakes against all cases created in the period, per department.
+ * A remake counts in its own department (which is its original's).
+ */
+export function remakeRates(
+  cases: Pick<DbCase, 'id' | 'department' | 'created_at'>[],
+  links: DbCaseLink[],
+  { from, to }: RemakeRateFilters = {}
+): RemakeRate[] {
+  const remakeIds = new Set(links.filter((l) => l.kind === 'remake_of').map((l) => l.case_id));
+  const totals = new Map<Department, { cases: number; remakes: number }>(
+    DEPARTMENTS.map((d) => [d, { cases: 0, remakes: 0 }])
+  );
+
+  for (const c of cases) {
+    const day = c.created_at.slice(0, 10);
+    if ((from && day < from) || (to && day > to)) continue;
+    const total = totals.get(DEPARTMENT_DISPLAY[c.department]);
+    if (!total) continue;
+    total.cases++;
+    if (remakeIds.has(c.id)) total.remakes++;
+  }
+
+  return [...totals].map(([department, { cases: count, remakes }]) => ({
+    department,
+    cases: count,
+    remakes,
+    rate: count === 0 ? 0 : remakes / count,
+  }));
+}
@@ -0,0 +1,23 @@
+/**
+ * Network
+ * Telling "the server said no" apart from "the request never arrived"
+ */
+
+// fetch() failure messages across browsers, Node and supabase-js
+const NETWORK_ERROR_PATTERN = /failed to fetch|fetch failed|networkerror|network request failed|load failed|err_internet_disconnected/i;
+
+/**
+ * Whether the browser reports no connection
+ */
+export function isOffline(): boolean {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Whether an error means the request didn't reach the server
+ */
+export function isNetworkError(error: unknown): boolean {
+  if (isOffline()) return true;
+  const message = error instanceof Error ? error.message : String(error ?? '');
+  return NETWORK_ERROR_PATTERN.test(message);
+}
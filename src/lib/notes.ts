@@ -0,0 +1,161 @@
+/**
+ * Notes
+ * Case notes and comments: finding @mentions, grouping notes into
+ * threads, and the short forms shown in history and on case rows.
+ */
+
+import type { DbActiveDevice, DbCaseNote } from '@/types/database';
+import type { FieldError } from '@/types/actions';
+import { MAX_NOTE_LENGTH, MENTION_ACTIVE_DAYS } from './constants';
+
+/** A top-level note with its replies, oldest first */
+export interface NoteThread {
+  note: DbCaseNote;
+  replies: DbCaseNote[];
+}
+
+/** Piece of a note body; `mention` is the user an "@name" piece refers to */
+export interface NoteSegment {
+  text: string;
+  mention: string | null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// MENTIONS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Users who can be @mentioned: everyone seen in the last
+ * MENTION_ACTIVE_DAYS, by name
+ */
+export function mentionableUsers(
+  devices: Pick<DbActiveDevice, 'user_name' | 'last_seen'>[],
+  now: Date = new Date()
+): string[] {
+  const since = now.getTime() - MENTION_ACTIVE_DAYS * 24 * 60 * 60 * 1000;
+  const names = devices
+    .filter((d) => d.user_name.trim() && Date.parse(d.last_seen) >= since)
+    .map((d) => d.user_name.trim());
+  return [...new Set(names)].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * The user an "@" at `index` mentions: the longest name it spells,
+ * ignoring case. Not after a word character, so emails don't count,
+ * and not followed by one ("@Sam" is not in "@Samantha").
+ */
+function mentionAt(body: string, index: number, users: string[]): string | null {
+  if (index > 0 && /[\w.]/.test(body[index - 1])) return null;
+
+  const rest = body.slice(index + 1).toLowerCase();
+  let match: string | null = null;
+  for (const user of users) {
+    const name = user.toLowerCase();
+    if (!name || !rest.startsWith(name) || /\w/.test(rest[name.length] ?? '')) continue;
+    if (!match || user.length > match.length) match = user;
+  }
+  return match;
+}
+
+/**
+ * Users a note body @mentions, in order of first mention
+ */
+export function extractMentions(body: string, users: string[]): string[] {
+  const mentions: string[] = [];
+  for (let i = body.indexOf('@'); i !== -1; i = body.indexOf('@', i + 1)) {
+    const user = mentionAt(body, i, users);
+    if (user && !mentions.includes(user)) mentions.push(user);
+  }
+  return mentions;
+}
+
+/**
+ * Split a body into plain text and the @mentions it was saved with
+ */
+export function noteSegments(body: string, mentions: string[]): NoteSegment[] {
+  const segments: NoteSegment[] = [];
+  let start = 0;
+
+  for (let i = body.indexOf('@'); i !== -1; i = body.indexOf('@', i + 1)) {
+    const user = mentionAt(body, i, mentions);
+    if (!user) continue;
+    if (i > start) segments.push({ text: body.slice(start, i), mention: null });
+    segments.push({ text: body.slice(i, i + 1 + user.length), mention: user });
+    start = i + 1 + user.length;
+    i = start - 1;
+  }
+
+  if (start < body.length) segments.push({ text: body.slice(start), mention: null });
+  return segments;
+}
+
+/**
+ * The "@partial" being typed just before the cursor, for suggestions.
+ * `start` is where the "@" is; null when the cursor isn't in one.
+ */
+export function mentionQuery(text: string, cursor: number): { start: number; query: string } | null {
+  const match = /(?:^|[\s(])@([^\s@]*)$/.exec(text.slice(0, cursor));
+  if (!match) return null;
+  return { start: cursor - match[1].length - 1, query: match[1] };
+}
+
+// ═══════════════════════════════════════════════════════════
+// THREADS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Group one case's notes into threads: the pinned note first, the
+ * rest oldest first. Replies whose note is gone are left out.
+ */
+export function noteThreads(notes: DbCaseNote[]): NoteThread[] {
+  const byCreated = [...notes].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const threads = byCreated
+    .filter((n) => !n.parent_id)
+    .map((note) => ({ note, replies: byCreated.filter((r) => r.parent_id === note.id) }));
+  return threads.sort((a, b) => Number(b.note.pinned) - Number(a.note.pinned));
+}
+
+/**
+ * The case's pinned note, if any
+ */
+export function pinnedNote(notes: DbCaseNote[]): DbCaseNote | undefined {
+  return notes.find((n) => n.pinned && !n.parent_id);
+}
+
+/**
+ * Group notes by case id
+ */
+export function notesByCase(notes: DbCaseNote[]): Map<string, DbCaseNote[]> {
+  const byCase = new Map<string, DbCaseNote[]>();
+  for (const note of notes) {
+    const list = byCase.get(note.case_id);
+    if (list) list.push(note);
+    else byCase.set(note.case_id, [note]);
+  }
+  return byCase;
+}
+
+// ═══════════════════════════════════════════════════════════
+// TEXT
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * One-line start of a note, for history entries and case rows
+ */
+export function noteExcerpt(body: string, length = 60): string {
+  const line = body.replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 1).trimEnd()}…` : line;
+}
+
+/**
+ * Field errors for a note body the schema can't check on its own
+ */
+export function noteErrors(payload: { body?: unknown }): FieldError[] {
+  if (typeof payload.body !== 'string') return [];
+  const body = payload.body.trim();
+  if (!body) return [{ field: 'body', code: 'required', message: 'Note is empty' }];
+  if (body.length > MAX_NOTE_LENGTH) {
+    return [{ field: 'body', code: 'format', message: `Notes are limited to ${MAX_NOTE_LENGTH} characters` }];
+  }
+  return [];
+}
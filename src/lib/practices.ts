@@ -0,0 +1,118 @@
+/**
+ * Practices
+ * The client directory: turning editor/API input into columns,
+ * validating it, finding a case's practice by name and working out
+ * the due date its turnaround rules give.
+ */
+
+import type { Case, CaseType } from '@/types/case';
+import type { DbPractice } from '@/types/database';
+import type { FieldError } from '@/types/actions';
+import type { SavePracticeInput } from '@/types/practice';
+import type { CalendarDepartment, LabCalendar } from '@/types/calendar';
+import { CASE_TYPES, MAX_TURNAROUND_DAYS } from './constants';
+import { DEFAULT_LAB_CALENDAR } from './calendar';
+import { addBusinessDays, getToday, toISODate } from '@/utils/dateUtils';
+
+export type PracticeFields = Partial<Omit<DbPractice, 'id' | 'created_at' | 'updated_at'>>;
+
+// ═══════════════════════════════════════════════════════════
+// INPUT → COLUMNS
+// ═══════════════════════════════════════════════════════════
+
+/** Same practice? Names match ignoring case and surrounding space */
+export function isSamePractice(a: string | null | undefined, b: string | null | undefined): boolean {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Columns for the fields present in the input. Empty text becomes
+ * null; doctors lose their "Dr." title, blanks and duplicates.
+ */
+export function practiceFields(input: SavePracticeInput): PracticeFields & Pick<DbPractice, 'name'> {
+  const fields: PracticeFields & Pick<DbPractice, 'name'> = { name: input.name.trim() };
+
+  if (input.contact !== undefined) fields.contact = input.contact.trim() || null;
+  if (input.notes !== undefined) fields.notes = input.notes.trim() || null;
+  if (input.rushSurcharge !== undefined) fields.rush_surcharge = input.rushSurcharge;
+  if (input.turnaroundDays !== undefined) fields.turnaround_days = { ...input.turnaroundDays };
+
+  if (input.defaultDepartment !== undefined) {
+    const department = input.defaultDepartment;
+    fields.default_department = department === 'Digital' ? 'General' : department;
+  }
+
+  if (input.doctors !== undefined) {
+    const doctors: string[] = [];
+    for (const doctor of input.doctors.map((d) => d.trim().replace(/^dr\.?\s+/i, ''))) {
+      if (doctor && !doctors.some((d) => d.toLowerCase() === doctor.toLowerCase())) doctors.push(doctor);
+    }
+    fields.doctors = doctors;
+  }
+
+  return fields;
+}
+
+/**
+ * Field errors for practice input the schema can't check on its own
+ */
+export function practiceErrors(input: SavePracticeInput): FieldError[] {
+  const errors: FieldError[] = [];
+
+  for (const [caseType, days] of Object.entries(input.turnaroundDays ?? {})) {
+    const field = `turnaroundDays.${caseType}`;
+    if (!(CASE_TYPES as readonly string[]).includes(caseType)) {
+      errors.push({ field, code: 'unknown', message: `Unknown case type: ${caseType}` });
+    } else if (typeof days !== 'number' || !Number.isInteger(days) || days < 0 || days > MAX_TURNAROUND_DAYS) {
+      errors.push({
+        field,
+        code: 'format',
+        message: `${caseType} turnaround must be a whole number of days from 0 to ${MAX_TURNAROUND_DAYS}`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════
+// LOOKUP & TURNAROUND
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * The directory entry a case's practice name refers to
+ */
+export function findPractice(practices: DbPractice[], name: string | null | undefined): DbPractice | undefined {
+  return practices.find((p) => isSamePractice(p.name, name));
+}
+
+/**
+ * Business days the practice allows for a case type. Types without
+ * their own rule use the practice's general one.
+ */
+export function turnaroundDays(practice: DbPractice, caseType: CaseType): number | null {
+  return practice.turnaround_days[caseType] ?? practice.turnaround_days.general ?? null;
+}
+
+/**
+ * Due date ("YYYY-MM-DD") the practice's turnaround gives a case
+ * taken in on `from`, counting the days the department works; null
+ * when there's no rule
+ */
+export function turnaroundDueDate(
+  practice: DbPractice,
+  caseType: CaseType,
+  from: Date = getToday(),
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR,
+  department?: CalendarDepartment | null
+): string | null {
+  const days = turnaroundDays(practice, caseType);
+  return days === null ? null : toISODate(addBusinessDays(from, days, calendar, department));
+}
+
+/**
+ * Is the case for this practice? (board filter)
+ */
+export function matchesPractice(c: Case, practice: string | null): boolean {
+  return !practice || isSamePractice(c.practice, practice);
+}
@@ -6,7 +6,7 @@
 import { createClient, SupabaseClient } from '@supabase/supabase-js';
 
 // Environment variables with hard-coded fallbacks
-const SUPABASE_URL =
+export const SUPABASE_URL =
   process.env.NEXT_PUBLIC_SUPABASE_URL ??
   'https://totqejdgvgxfonaebyla.supabase.co';
 
@@ -0,0 +1,122 @@
+/**
+ * Tooth Numbers
+ * Parsing, validation and formatting for FDI (two digits, "11"-"48",
+ * primary "51"-"85") and Universal ("1"-"32", primary "A"-"T") tooth
+ * numbers. Ranges run along the arch, so "13-23" in FDI is the six
+ * upper anterior teeth, same as "6-11" in Universal.
+ */
+
+import type { ToothNotation } from '@/types/database';
+
+// ═══════════════════════════════════════════════════════════
+// ARCH ORDER
+// ═══════════════════════════════════════════════════════════
+
+// FDI numbers in Universal order: upper arch from the patient's right
+// (18 → 28), then lower arch from the left (38 → 48)
+const PERMANENT_FDI = [
+  18, 17, 16, 15, 14, 13, 12, 11, 21, 22, 23, 24, 25, 26, 27, 28,
+  38, 37, 36, 35, 34, 33, 32, 31, 41, 42, 43, 44, 45, 46, 47, 48,
+].map(String);
+
+const PRIMARY_FDI = [
+  55, 54, 53, 52, 51, 61, 62, 63, 64, 65,
+  75, 74, 73, 72, 71, 81, 82, 83, 84, 85,
+].map(String);
+
+const PERMANENT_UNIVERSAL = PERMANENT_FDI.map((_, i) => String(i + 1));
+const PRIMARY_UNIVERSAL = PRIMARY_FDI.map((_, i) => String.fromCharCode(65 + i)); // A-T
+
+/** Each notation's teeth as arches (upper then lower), in arch order */
+const ARCHES: Record<ToothNotation, string[][]> = {
+  fdi: [PERMANENT_FDI.slice(0, 16), PERMANENT_FDI.slice(16), PRIMARY_FDI.slice(0, 10), PRIMARY_FDI.slice(10)],
+  universal: [
+    PERMANENT_UNIVERSAL.slice(0, 16),
+    PERMANENT_UNIVERSAL.slice(16),
+    PRIMARY_UNIVERSAL.slice(0, 10),
+    PRIMARY_UNIVERSAL.slice(10),
+  ],
+};
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════
+
+/** Canonical spelling: "#8" → "8", "a" → "A", "08" → "8" (Universal only) */
+function canonical(tooth: string, notation: ToothNotation): string {
+  const text = tooth.trim().replace(/^#/, '').toUpperCase();
+  return notation === 'universal' && /^\d+$/.test(text) ? String(Number(text)) : text;
+}
+
+export function isValidTooth(tooth: string, notation: ToothNotation): boolean {
+  const text = canonical(tooth, notation);
+  return ARCHES[notation].some((arch) => arch.includes(text));
+}
+
+// ═══════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Expand "from-to" along the arch both are on
+ * @returns null when the ends are not on the same arch
+ */
+function expandRange(from: string, to: string, notation: ToothNotation): string[] | null {
+  for (const arch of ARCHES[notation]) {
+    const a = arch.indexOf(from);
+    const b = arch.indexOf(to);
+    if (a !== -1 && b !== -1) return a <= b ? arch.slice(a, b + 1) : arch.slice(b, a + 1).reverse();
+  }
+  return null;
+}
+
+/**
+ * Parse free text like "8, 9" / "#3-5" / "14-16 24" into tooth numbers
+ * @returns the teeth (deduplicated, in input order) and the parts that
+ *   were not valid in this notation
+ */
+export function parseTeeth(text: string, notation: ToothNotation): { teeth: string[]; invalid: string[] } {
+  const teeth: string[] = [];
+  const invalid: string[] = [];
+  const add = (tooth: string) => {
+    if (!teeth.includes(tooth)) teeth.push(tooth);
+  };
+
+  const parts = text.split(/[\s,;]+/).filter(Boolean);
+  for (const part of parts) {
+    const [from, to, ...rest] = part.split(/[-–]/).map((t) => canonical(t, notation));
+
+    if (to === undefined) {
+      if (isValidTooth(from, notation)) add(from);
+      else invalid.push(part);
+      continue;
+    }
+
+    const range = rest.length === 0 ? expandRange(from, to, notation) : null;
+    if (range) range.forEach(add);
+    else invalid.push(part);
+  }
+
+  return { teeth, invalid };
+}
+
+// ═══════════════════════════════════════════════════════════
+// CONVERSION & FORMATTING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Convert a valid tooth number between notations
+ */
+export function convertTooth(tooth: string, from: ToothNotation, to: ToothNotation): string {
+  if (from === to) return canonical(tooth, to);
+  const text = canonical(tooth, from);
+  const source = ARCHES[from].flat();
+  return ARCHES[to].flat()[source.indexOf(text)] ?? text;
+}
+
+/**
+ * Display tooth numbers: "#8, #9" for Universal, "11, 21" for FDI
+ */
+export function formatTeeth(teeth: string[], notation: ToothNotation | null): string {
+  return teeth.map((tooth) => (notation === 'universal' ? `#${tooth}` : tooth)).join(', ');
+}
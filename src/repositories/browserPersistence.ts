@@ -0,0 +1,50 @@
+/**
+ * Browser Persistence
+ * Keeps the local repository's SQLite file in IndexedDB, so a board
+ * running without Supabase survives reloads
+ */
+
+import { LOCAL_DB_NAME } from '@/lib/constants';
+import type { LocalPersistence } from './localRepository';
+
+const STORE = 'files';
+const KEY = 'board.sqlite';
+
+function openDatabase(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('Could not open local database store'));
+  });
+}
+
+function complete<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Persist the database file in IndexedDB
+ */
+export function indexedDbPersistence(): LocalPersistence {
+  let opened: Promise<IDBDatabase> | null = null;
+  const store = async (mode: IDBTransactionMode) => {
+    opened ??= openDatabase();
+    return (await opened).transaction(STORE, mode).objectStore(STORE);
+  };
+
+  return {
+    async load() {
+      const data = await complete((await store('readonly')).get(KEY) as IDBRequest<Uint8Array | undefined>);
+      return data ?? null;
+    },
+    async save(data) {
+      await complete((await store('readwrite')).put(data, KEY));
+    },
+  };
+}
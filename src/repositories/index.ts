@@ -0,0 +1,44 @@
+/**
+ * Repositories
+ * Storage backends behind the services. NEXT_PUBLIC_DATA_BACKEND picks
+ * one: "supabase" (default) or "local" (embedded SQLite, see
+ * localRepository.ts). Services call getRepository() on every
+ * operation, so setRepository() takes effect immediately.
+ */
+
+import type { CaseRepository, RepositoryBackend } from '@/types/repository';
+import { createSupabaseRepository } from './supabaseRepository';
+import { createLocalRepository } from './localRepository';
+import { indexedDbPersistence } from './browserPersistence';
+
+let active: CaseRepository | null = null;
+
+/**
+ * The backend selected by NEXT_PUBLIC_DATA_BACKEND
+ */
+export function configuredBackend(): RepositoryBackend {
+  return process.env.NEXT_PUBLIC_DATA_BACKEND === 'local' ? 'local' : 'supabase';
+}
+
+/**
+ * The repository services read and write through
+ */
+export function getRepository(): CaseRepository {
+  active ??= configuredBackend() === 'local'
+    ? createLocalRepository({
+        persistence: typeof indexedDB === 'undefined' ? undefined : indexedDbPersistence(),
+      })
+    : createSupabaseRepository();
+  return active;
+}
+
+/**
+ * Replace the repository (server file storage, tests)
+ */
+export function setRepository(repository: CaseRepository): void {
+  active = repository;
+}
+
+export { createSupabaseRepository } from './supabaseRepository';
+export { createLocalRepository } from './localRepository';
+export type { LocalPersistence, LocalRepositoryOptions } from './localRepository';
@@ -0,0 +1,1027 @@
+/**
+ * Local Repository
+ * CaseRepository on an embedded SQLite database (sql.js), for machines
+ * without Supabase and for automated tests. Without persistence it is
+ * purely in-memory; with it, the database file is loaded on first use
+ * and written back after every change.
+ *
+ * Each runtime has its own copy: the browser keeps it in IndexedDB,
+ * the server (API routes, scripts) in the LOCAL_DB_FILE file. The
+ * change feed only reaches listeners in the same process.
+ */
+
+import type { Database as SqlDatabase, SqlValue } from 'sql.js';
+import { applyModifierOps } from '@/lib/caseHelpers';
+import { extractCaseDetails } from '@/lib/caseDetails';
+import type {
+  DbActionLog,
+  DbActiveDevice,
+  DbAttachment,
+  DbCaseLink,
+  DbCase,
+  DbCaseHistory,
+  DbCaseHistoryWithCase,
+  DbCaseNote,
+  DbLabCalendar,
+  DbPractice,
+} from '@/types/database';
+import type { Role } from '@/types/permissions';
+import type {
+  CaseChange,
+  CaseChangeListener,
+  CaseRepository,
+  CaseChanges,
+  NoteChange,
+  NoteChangeListener,
+} from '@/types/repository';
+
+/** Where the database file lives between sessions */
+export interface LocalPersistence {
+  load(): Promise<Uint8Array | null>;
+  save(data: Uint8Array): Promise<void>;
+}
+
+export interface LocalRepositoryOptions {
+  /** Omit for a throwaway in-memory database */
+  persistence?: LocalPersistence;
+}
+
+// ═══════════════════════════════════════════════════════════
+// SCHEMA
+// ═══════════════════════════════════════════════════════════
+
+// Mirrors the Supabase tables. Arrays and JSON are stored as JSON text,
+// booleans as 0/1, timestamps as ISO strings (so they sort as text).
+const SCHEMA = `
+  create table if not exists cases (
+    id          text primary key,
+    casenumber  text not null,
+    department  text not null,
+    due         text not null,
+    priority    integer not null default 0,
+    modifiers   text not null default '[]',
+    completed   integer not null default 0,
+    archived    integer not null default 0,
+    archived_at text,
+    created_at  text not null,
+    version     integer not null default 1,
+    updated_at  text not null,
+    practice         text,
+    doctor           text,
+    patient_ref      text,
+    restoration_type text,
+    units            integer,
+    teeth            text not null default '[]',
+    tooth_notation   text,
+    shade            text,
+    material         text
+  );
+
+  create table if not exists case_history (
+    id         text primary key,
+    case_id    text not null,
+    action     text not null,
+    user_name  text not null,
+    created_at text not null,
+    event_type text,
+    field      text,
+    old_value  text,
+    new_value  text,
+    stage_from text,
+    stage_to   text,
+    metadata   text
+  );
+  create index if not exists case_history_case_idx on case_history (case_id, created_at);
+
+  create table if not exists case_notes (
+    id         text primary key,
+    case_id    text not null,
+    parent_id  text,
+    author     text not null,
+    body       text not null,
+    mentions   text not null default '[]',
+    pinned     integer not null default 0,
+    edits      text not null default '[]',
+    created_at text not null,
+    updated_at text not null
+  );
+  create index if not exists case_notes_case_idx on case_notes (case_id, created_at);
+  create unique index if not exists case_notes_pinned_idx on case_notes (case_id) where pinned = 1;
+
+  create table if not exists case_attachments (
+    id           text primary key,
+    case_id      text not null,
+    file_name    text not null,
+    content_type text not null,
+    kind         text not null,
+    size         integer not null,
+    storage_path text not null,
+    uploaded_by  text not null,
+    created_at   text not null
+  );
+  create index if not exists case_attachments_case_idx on case_attachments (case_id, created_at);
+
+  create table if not exists case_links (
+    id             text primary key,
+    case_id        text not null,
+    linked_case_id text not null,
+    kind           text not null,
+    reason         text,
+    created_by     text not null,
+    created_at     text not null
+  );
+  create unique index if not exists case_links_pair_idx on case_links (case_id, linked_case_id, kind);
+
+  create table if not exists active_devices (
+    user_name   text primary key,
+    app_version text not null,
+    last_seen   text not null
+  );
+
+  create table if not exists user_roles (
+    user_name  text primary key,
+    role       text not null,
+    updated_at text not null
+  );
+
+  create table if not exists practices (
+    id                 text primary key,
+    name               text not null,
+    contact            text,
+    doctors            text not null default '[]',
+    default_department text,
+    turnaround_days    text not null default '{}',
+    rush_surcharge     integer not null default 0,
+    notes              text,
+    created_at         text not null,
+    updated_at         text not null
+  );
+  create unique index if not exists practices_name_idx on practices (lower(name));
+
+  create table if not exists lab_calendar (
+    id         text primary key,
+    settings   text not null,
+    updated_by text,
+    updated_at text not null
+  );
+
+  create table if not exists action_log (
+    id             text primary key,
+    action_type    text not null,
+    payload        text,
+    result_summary text not null,
+    success        integer not null,
+    error          text,
+    user_name      text not null,
+    client         text not null,
+    app_version    text not null,
+    created_at     text not null
+  );
+  create index if not exists action_log_created_idx on action_log (created_at);
+`;
+
+/** Columns a case update may write (keys are interpolated into SQL) */
+const WRITABLE_CASE_COLUMNS = [
+  'casenumber',
+  'department',
+  'due',
+  'priority',
+  'modifiers',
+  'completed',
+  'archived',
+  'archived_at',
+  'practice',
+  'doctor',
+  'patient_ref',
+  'restoration_type',
+  'units',
+  'teeth',
+  'tooth_notation',
+  'shade',
+  'material',
+] as const;
+
+/** Text columns a case search matches (as in the Supabase repository) */
+const SEARCH_COLUMNS = ['casenumber', 'practice', 'doctor', 'patient_ref', 'restoration_type', 'shade', 'material'];
+
+/**
+ * Columns added to `cases` after the first release, for database files
+ * created before them (see upgradeSchema)
+ */
+const ADDED_CASE_COLUMNS: [string, string][] = [
+  ['practice', 'text'],
+  ['doctor', 'text'],
+  ['patient_ref', 'text'],
+  ['restoration_type', 'text'],
+  ['units', 'integer'],
+  ['teeth', "text not null default '[]'"],
+  ['tooth_notation', 'text'],
+  ['shade', 'text'],
+  ['material', 'text'],
+];
+
+// ═══════════════════════════════════════════════════════════
+// ROW MAPPING
+// ═══════════════════════════════════════════════════════════
+
+type SqlRow = Record<string, SqlValue>;
+
+function toSql(value: unknown): SqlValue {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' || typeof value === 'number') return value;
+  return JSON.stringify(value);
+}
+
+function parseJson<T>(value: SqlValue): T | null {
+  return typeof value === 'string' ? (JSON.parse(value) as T) : null;
+}
+
+function toCase(row: SqlRow): DbCase {
+  return {
+    id: row.id as string,
+    casenumber: row.casenumber as string,
+    department: row.department as DbCase['department'],
+    due: row.due as string,
+    priority: row.priority === 1,
+    modifiers: parseJson<string[]>(row.modifiers) ?? [],
+    completed: row.completed === 1,
+    archived: row.archived === 1,
+    archived_at: row.archived_at as string | null,
+    created_at: row.created_at as string,
+    version: row.version as number,
+    updated_at: row.updated_at as string,
+    practice: row.practice as string | null,
+    doctor: row.doctor as string | null,
+    patient_ref: row.patient_ref as string | null,
+    restoration_type: row.restoration_type as string | null,
+    units: row.units as number | null,
+    teeth: parseJson<string[]>(row.teeth) ?? [],
+    tooth_notation: row.tooth_notation as DbCase['tooth_notation'],
+    shade: row.shade as string | null,
+    material: row.material as string | null,
+  };
+}
+
+function toHistory(row: SqlRow): DbCaseHistory {
+  return {
+    id: row.id as string,
+    case_id: row.case_id as string,
+    action: row.action as string,
+    user_name: row.user_name as string,
+    created_at: row.created_at as string,
+    event_type: row.event_type as DbCaseHistory['event_type'],
+    field: row.field as string | null,
+    old_value: row.old_value as string | null,
+    new_value: row.new_value as string | null,
+    stage_from: row.stage_from as string | null,
+    stage_to: row.stage_to as string | null,
+    metadata: parseJson<Record<string, unknown>>(row.metadata),
+  };
+}
+
+function toNote(row: SqlRow): DbCaseNote {
+  return {
+    id: row.id as string,
+    case_id: row.case_id as string,
+    parent_id: row.parent_id as string | null,
+    author: row.author as string,
+    body: row.body as string,
+    mentions: parseJson<string[]>(row.mentions) ?? [],
+    pinned: row.pinned === 1,
+    edits: parseJson<DbCaseNote['edits']>(row.edits) ?? [],
+    created_at: row.created_at as string,
+    updated_at: row.updated_at as string,
+  };
+}
+
+function toAttachment(row: SqlRow): DbAttachment {
+  return {
+    id: row.id as string,
+    case_id: row.case_id as string,
+    file_name: row.file_name as string,
+    content_type: row.content_type as string,
+    kind: row.kind as DbAttachment['kind'],
+    size: row.size as number,
+    storage_path: row.storage_path as string,
+    uploaded_by: row.uploaded_by as string,
+    created_at: row.created_at as string,
+  };
+}
+
+function toLink(row: SqlRow): DbCaseLink {
+  return {
+    id: row.id as string,
+    case_id: row.case_id as string,
+    linked_case_id: row.linked_case_id as string,
+    kind: row.kind as DbCaseLink['kind'],
+    reason: row.reason as string | null,
+    created_by: row.created_by as string,
+    created_at: row.created_at as string,
+  };
+}
+
+function toActionLog(row: SqlRow): DbActionLog {
+  return {
+    id: row.id as string,
+    action_type: row.action_type as string,
+    payload: parseJson<unknown>(row.payload),
+    result_summary: row.result_summary as string,
+    success: row.success === 1,
+    error: row.error as string | null,
+    user_name: row.user_name as string,
+    client: row.client as string,
+    app_version: row.app_version as string,
+    created_at: row.created_at as string,
+  };
+}
+
+function toPractice(row: SqlRow): DbPractice {
+  return {
+    id: row.id as string,
+    name: row.name as string,
+    contact: row.contact as string | null,
+    doctors: parseJson<string[]>(row.doctors) ?? [],
+    default_department: row.default_department as DbPractice['default_department'],
+    turnaround_days: parseJson<DbPractice['turnaround_days']>(row.turnaround_days) ?? {},
+    rush_surcharge: row.rush_surcharge === 1,
+    notes: row.notes as string | null,
+    created_at: row.created_at as string,
+    updated_at: row.updated_at as string,
+  };
+}
+
+function toCalendar(row: SqlRow): DbLabCalendar {
+  return {
+    id: row.id as string,
+    settings: parseJson<DbLabCalendar['settings']>(row.settings)!,
+    updated_by: row.updated_by as string | null,
+    updated_at: row.updated_at as string,
+  };
+}
+
+function toError(err: unknown): Error {
+  return err instanceof Error ? err : new Error(String(err));
+}
+
+// ═══════════════════════════════════════════════════════════
+// SCHEMA UPGRADES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Bring an older database file up to SCHEMA. Case details added here
+ * are filled from each case number's description, like the Supabase
+ * migration does.
+ */
+function upgradeSchema(sqlDb: SqlDatabase): void {
+  const [info] = sqlDb.exec('pragma table_info(cases)');
+  const existing = new Set((info?.values ?? []).map((column) => column[1] as string));
+  const missing = ADDED_CASE_COLUMNS.filter(([name]) => !existing.has(name));
+  if (missing.length === 0) return;
+
+  for (const [name, definition] of missing) {
+    sqlDb.run(`alter table cases add column ${name} ${definition}`);
+  }
+
+  if (!missing.some(([name]) => name === 'teeth')) return;
+  const [rows] = sqlDb.exec('select id, casenumber from cases');
+  for (const [id, casenumber] of rows?.values ?? []) {
+    const details = extractCaseDetails(casenumber as string);
+    const columns = Object.keys(details) as (keyof typeof details)[];
+    if (columns.length === 0) continue;
+    sqlDb.run(`update cases set ${columns.map((column) => `${column} = ?`).join(', ')} where id = ?`, [
+      ...columns.map((column) => toSql(details[column])),
+      id,
+    ]);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// REPOSITORY
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Create a repository on an embedded SQLite database
+ */
+export function createLocalRepository({ persistence }: LocalRepositoryOptions = {}): CaseRepository {
+  let opened: Promise<SqlDatabase> | null = null;
+  let saving: Promise<void> = Promise.resolve();
+  const listeners = new Set<CaseChangeListener>();
+  const noteListeners = new Set<NoteChangeListener>();
+
+  async function open(): Promise<SqlDatabase> {
+    const { default: initSqlJs } = await import('sql.js/dist/sql-asm.js');
+    const SQL = await initSqlJs();
+    const stored = persistence ? await persistence.load() : null;
+    const database = new SQL.Database(stored);
+    database.run(SCHEMA);
+    upgradeSchema(database);
+    return database;
+  }
+
+  function database(): Promise<SqlDatabase> {
+    opened ??= open().catch((err) => {
+      opened = null; // Allow a later retry
+      throw err;
+    });
+    return opened;
+  }
+
+  function all(sqlDb: SqlDatabase, sql: string, params: SqlValue[] = []): SqlRow[] {
+    const statement = sqlDb.prepare(sql, params);
+    const rows: SqlRow[] = [];
+    try {
+      while (statement.step()) rows.push(statement.getAsObject());
+    } finally {
+      statement.free();
+    }
+    return rows;
+  }
+
+  function findCase(sqlDb: SqlDatabase, id: string): DbCase | null {
+    const [row] = all(sqlDb, 'select * from cases where id = ?', [id]);
+    return row ? toCase(row) : null;
+  }
+
+  /** Write the file after a change (saves run one at a time, in order) */
+  function persist(sqlDb: SqlDatabase): void {
+    if (!persistence) return;
+    const data = sqlDb.export();
+    saving = saving
+      .then(() => persistence.save(data))
+      .catch((err) => console.error('Failed to save local database:', err));
+  }
+
+  function emit(changes: CaseChange[]): void {
+    for (const change of changes) {
+      for (const listener of listeners) listener(change);
+    }
+  }
+
+  /**
+   * Run a read against the database
+   */
+  async function read<T>(query: (sqlDb: SqlDatabase) => T): Promise<{ data: T | null; error: Error | null }> {
+    try {
+      return { data: query(await database()), error: null };
+    } catch (err) {
+      return { data: null, error: toError(err) };
+    }
+  }
+
+  /**
+   * Run a change in one transaction, then persist it and notify the
+   * change feed. sql.js is synchronous, so nothing interleaves.
+   */
+  async function write<T>(
+    change: (sqlDb: SqlDatabase, changes: CaseChange[]) => T
+  ): Promise<{ data: T | null; error: Error | null }> {
+    let sqlDb: SqlDatabase;
+    try {
+      sqlDb = await database();
+    } catch (err) {
+      return { data: null, error: toError(err) };
+    }
+
+    const changes: CaseChange[] = [];
+    sqlDb.run('begin');
+    try {
+      const data = change(sqlDb, changes);
+      sqlDb.run('commit');
+      persist(sqlDb);
+      emit(changes);
+      return { data, error: null };
+    } catch (err) {
+      sqlDb.run('rollback');
+      return { data: null, error: toError(err) };
+    }
+  }
+
+  /**
+   * write() for the notes table: same transaction, but the changes go
+   * to the note feed
+   */
+  async function writeNotes<T>(
+    change: (sqlDb: SqlDatabase, changes: NoteChange[]) => T
+  ): Promise<{ data: T | null; error: Error | null }> {
+    const changes: NoteChange[] = [];
+    const result = await write((sqlDb) => change(sqlDb, changes));
+    if (!result.error) {
+      for (const noteChange of changes) {
+        for (const listener of noteListeners) listener(noteChange);
+      }
+    }
+    return result;
+  }
+
+  function findNote(sqlDb: SqlDatabase, id: string): DbCaseNote | null {
+    const [row] = all(sqlDb, 'select * from case_notes where id = ?', [id]);
+    return row ? toNote(row) : null;
+  }
+
+  function updateRow(
+    sqlDb: SqlDatabase,
+    changes: CaseChange[],
+    id: string,
+    fields: CaseChanges,
+    expectedVersion?: number
+  ): DbCase | null {
+    const previous = findCase(sqlDb, id);
+    if (!previous) return null;
+    if (expectedVersion !== undefined && previous.version !== expectedVersion) return null;
+
+    const columns = WRITABLE_CASE_COLUMNS.filter((column) => fields[column] !== undefined);
+    const assignments = [...columns.map((column) => `${column} = ?`), 'version = version + 1', 'updated_at = ?'];
+    sqlDb.run(`update cases set ${assignments.join(', ')} where id = ?`, [
+      ...columns.map((column) => toSql(fields[column])),
+      new Date().toISOString(),
+      id,
+    ]);
+
+    const row = findCase(sqlDb, id)!;
+    changes.push({ event: 'UPDATE', row, previous });
+    return row;
+  }
+
+  return {
+    backend: 'local',
+
+    // ─── Cases ─────────────────────────────────────────────
+
+    listCases({ archived, search, department }) {
+      return read((sqlDb) =>
+        all(
+          sqlDb,
+          `select * from cases where archived = ? and (? is null or department = ?)
+             and (${SEARCH_COLUMNS.map((column) => `${column} like ?`).join(' or ')})
+           order by ${archived ? 'archived_at desc' : 'due asc'}`,
+          [archived ? 1 : 0, department ?? null, department ?? null, ...SEARCH_COLUMNS.map(() => `%${search ?? ''}%`)]
+        ).map(toCase)
+      );
+    },
+
+    getCase(id) {
+      return read((sqlDb) => findCase(sqlDb, id));
+    },
+
+    insertCase(row) {
+      return write((sqlDb, changes) => {
+        const now = new Date().toISOString();
+        const full: DbCase = {
+          created_at: now,
+          version: 1,
+          updated_at: now,
+          practice: null,
+          doctor: null,
+          patient_ref: null,
+          restoration_type: null,
+          units: null,
+          teeth: [],
+          tooth_notation: null,
+          shade: null,
+          material: null,
+          ...row,
+        };
+        sqlDb.run(
+          `insert into cases (id, casenumber, department, due, priority, modifiers, completed,
+             archived, archived_at, created_at, version, updated_at, practice, doctor, patient_ref,
+             restoration_type, units, teeth, tooth_notation, shade, material)
+           values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            full.id, full.casenumber, full.department, full.due, toSql(full.priority),
+            toSql(full.modifiers ?? []), toSql(full.completed), toSql(full.archived),
+            full.archived_at, full.created_at, full.version, full.updated_at, full.practice,
+            full.doctor, full.patient_ref, full.restoration_type, full.units, toSql(full.teeth ?? []),
+            full.tooth_notation, full.shade, full.material,
+          ]
+        );
+        const inserted = findCase(sqlDb, full.id)!;
+        changes.push({ event: 'INSERT', row: inserted, previous: null });
+        return inserted;
+      });
+    },
+
+    updateCase(id, fields, expectedVersion) {
+      return write((sqlDb, changes) => updateRow(sqlDb, changes, id, fields, expectedVersion));
+    },
+
+    updateModifiers(id, ops) {
+      return write((sqlDb, changes) => {
+        const row = findCase(sqlDb, id);
+        if (!row) throw new Error('Case not found');
+
+        const before = row.modifiers;
+        const after = applyModifierOps(before, ops);
+        const unchanged = after.length === before.length && after.every((m, i) => m === before[i]);
+        if (!unchanged) updateRow(sqlDb, changes, id, { modifiers: after });
+        return { before, after };
+      });
+    },
+
+    setArchived(ids, archived) {
+      return write((sqlDb, changes) => {
+        const archivedAt = archived ? new Date().toISOString() : null;
+        const changed: string[] = [];
+        for (const id of ids) {
+          const row = findCase(sqlDb, id);
+          if (!row || row.archived === archived) continue;
+          updateRow(sqlDb, changes, id, { archived, archived_at: archivedAt });
+          changed.push(id);
+        }
+        return changed;
+      });
+    },
+
+    async deleteCase(id) {
+      const { error } = await write((sqlDb, changes) => {
+        const previous = findCase(sqlDb, id);
+        if (!previous) return;
+        sqlDb.run('delete from cases where id = ?', [id]);
+        changes.push({ event: 'DELETE', row: null, previous });
+      });
+      return { error };
+    },
+
+    async deleteCasesByNumber(caseNumber) {
+      const { error } = await write((sqlDb, changes) => {
+        const rows = all(sqlDb, 'select * from cases where lower(casenumber) = lower(?)', [caseNumber]);
+        for (const row of rows.map(toCase)) {
+          sqlDb.run('delete from cases where id = ?', [row.id]);
+          changes.push({ event: 'DELETE', row: null, previous: row });
+        }
+      });
+      return { error };
+    },
+
+    // ─── History ───────────────────────────────────────────
+
+    async insertHistory(entry) {
+      const { error } = await write((sqlDb) => {
+        sqlDb.run(
+          `insert into case_history (id, case_id, action, user_name, created_at, event_type,
+             field, old_value, new_value, stage_from, stage_to, metadata)
+           values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            entry.id, entry.case_id, entry.action, entry.user_name, new Date().toISOString(),
+            entry.event_type, entry.field, entry.old_value, entry.new_value,
+            entry.stage_from, entry.stage_to, toSql(entry.metadata),
+          ]
+        );
+      });
+      return { error };
+    },
+
+    async restoreHistory(rows) {
+      const { error } = await write((sqlDb) => {
+        for (const row of rows) {
+          sqlDb.run(
+            `insert or ignore into case_history (id, case_id, action, user_name, created_at, event_type,
+               field, old_value, new_value, stage_from, stage_to, metadata)
+             values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              row.id, row.case_id, row.action, row.user_name, row.created_at,
+              row.event_type, row.field, row.old_value, row.new_value,
+              row.stage_from, row.stage_to, toSql(row.metadata),
+            ]
+          );
+        }
+      });
+      return { error };
+    },
+
+    listHistory(caseId) {
+      return read((sqlDb) =>
+        all(sqlDb, 'select * from case_history where case_id = ? order by created_at, rowid', [caseId]).map(toHistory)
+      );
+    },
+
+    listAllHistory() {
+      return read((sqlDb) =>
+        all(
+          sqlDb,
+          `select h.*, c.casenumber as case_number
+             from case_history h left join cases c on c.id = h.case_id
+            order by h.created_at desc, h.rowid desc`
+        ).map((row): DbCaseHistoryWithCase => ({
+          ...toHistory(row),
+          cases: row.case_number === null ? null : { casenumber: row.case_number as string },
+        }))
+      );
+    },
+
+    listDepartmentHistory(department) {
+      return read((sqlDb) =>
+        all(
+          sqlDb,
+          `select h.* from case_history h join cases c on c.id = h.case_id
+            where c.department = ?
+            order by h.created_at, h.rowid`,
+          [department]
+        ).map(toHistory)
+      );
+    },
+
+    // ─── Active devices ────────────────────────────────────
+
+    async upsertActiveDevice(device) {
+      const { error } = await write((sqlDb) => {
+        sqlDb.run(
+          `insert into active_devices (user_name, app_version, last_seen) values (?, ?, ?)
+           on conflict (user_name) do update set app_version = excluded.app_version, last_seen = excluded.last_seen`,
+          [device.user_name, device.app_version, device.last_seen]
+        );
+      });
+      return { error };
+    },
+
+    listActiveDevices() {
+      return read((sqlDb) =>
+        all(sqlDb, 'select user_name, last_seen from active_devices order by last_seen desc').map(
+          (row) => row as unknown as Pick<DbActiveDevice, 'user_name' | 'last_seen'>
+        )
+      );
+    },
+
+    // ─── Roles ─────────────────────────────────────────────
+
+    getUserRole(userName) {
+      return read((sqlDb) => {
+        const [row] = all(sqlDb, 'select role from user_roles where user_name = ?', [userName]);
+        return row ? (row.role as Role) : null;
+      });
+    },
+
+    async setUserRole(userName, role) {
+      const { error } = await write((sqlDb) => {
+        sqlDb.run(
+          `insert into user_roles (user_name, role, updated_at) values (?, ?, ?)
+           on conflict (user_name) do update set role = excluded.role, updated_at = excluded.updated_at`,
+          [userName, role, new Date().toISOString()]
+        );
+      });
+      return { error };
+    },
+
+    // ─── Practices ─────────────────────────────────────────
+
+    listPractices() {
+      return read((sqlDb) => all(sqlDb, 'select * from practices order by lower(name)').map(toPractice));
+    },
+
+    upsertPractice(row) {
+      return write((sqlDb) => {
+        const now = new Date().toISOString();
+        sqlDb.run(
+          `insert into practices (id, name, contact, doctors, default_department, turnaround_days,
+             rush_surcharge, notes, created_at, updated_at)
+           values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           on conflict (id) do update set
+             name = excluded.name, contact = excluded.contact, doctors = excluded.doctors,
+             default_department = excluded.default_department, turnaround_days = excluded.turnaround_days,
+             rush_surcharge = excluded.rush_surcharge, notes = excluded.notes, updated_at = excluded.updated_at`,
+          [
+            row.id, row.name, row.contact, toSql(row.doctors), row.default_department,
+            toSql(row.turnaround_days), toSql(row.rush_surcharge), row.notes, now, now,
+          ]
+        );
+        const [saved] = all(sqlDb, 'select * from practices where id = ?', [row.id]);
+        return toPractice(saved);
+      });
+    },
+
+    async deletePractice(id) {
+      const { error } = await write((sqlDb) => {
+        sqlDb.run('delete from practices where id = ?', [id]);
+      });
+      return { error };
+    },
+
+    // ─── Lab calendar ──────────────────────────────────────
+
+    getCalendar() {
+      return read((sqlDb) => {
+        const [row] = all(sqlDb, 'select * from lab_calendar limit 1');
+        return row ? toCalendar(row) : null;
+      });
+    },
+
+    saveCalendar(row) {
+      return write((sqlDb) => {
+        sqlDb.run(
+          `insert into lab_calendar (id, settings, updated_by, updated_at) values (?, ?, ?, ?)
+           on conflict (id) do update set
+             settings = excluded.settings, updated_by = excluded.updated_by, updated_at = excluded.updated_at`,
+          [row.id, toSql(row.settings), row.updated_by, new Date().toISOString()]
+        );
+        const [saved] = all(sqlDb, 'select * from lab_calendar where id = ?', [row.id]);
+        return toCalendar(saved);
+      });
+    },
+
+    // ─── Notes ─────────────────────────────────────────────
+
+    listNotes(caseIds) {
+      if (caseIds.length === 0) return Promise.resolve({ data: [], error: null });
+      return read((sqlDb) =>
+        all(
+          sqlDb,
+          `select * from case_notes where case_id in (${caseIds.map(() => '?').join(', ')})
+           order by created_at, rowid`,
+          caseIds
+        ).map(toNote)
+      );
+    },
+
+    getNote(id) {
+      return read((sqlDb) => findNote(sqlDb, id));
+    },
+
+    insertNote(row) {
+      return writeNotes((sqlDb, changes) => {
+        const now = new Date().toISOString();
+        sqlDb.run(
+          `insert into case_notes (id, case_id, parent_id, author, body, mentions, pinned, edits,
+             created_at, updated_at)
+           values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            row.id, row.case_id, row.parent_id, row.author, row.body, toSql(row.mentions),
+            toSql(row.pinned), toSql(row.edits), now, now,
+          ]
+        );
+        const inserted = findNote(sqlDb, row.id)!;
+        changes.push({ event: 'INSERT', row: inserted, previous: null });
+        return inserted;
+      });
+    },
+
+    updateNote(id, fields) {
+      return writeNotes((sqlDb, changes) => {
+        const previous = findNote(sqlDb, id);
+        if (!previous) return null;
+
+        const columns = (['body', 'mentions', 'pinned', 'edits'] as const).filter((c) => fields[c] !== undefined);
+        sqlDb.run(
+          `update case_notes set ${[...columns.map((c) => `${c} = ?`), 'updated_at = ?'].join(', ')} where id = ?`,
+          [...columns.map((c) => toSql(fields[c])), new Date().toISOString(), id]
+        );
+        const row = findNote(sqlDb, id)!;
+        changes.push({ event: 'UPDATE', row, previous });
+        return row;
+      });
+    },
+
+    async deleteNote(id) {
+      const { error } = await writeNotes((sqlDb, changes) => {
+        const rows = all(sqlDb, 'select * from case_notes where id = ? or parent_id = ?', [id, id]);
+        for (const previous of rows.map(toNote)) {
+          sqlDb.run('delete from case_notes where id = ?', [previous.id]);
+          changes.push({ event: 'DELETE', row: null, previous });
+        }
+      });
+      return { error };
+    },
+
+    // ─── Attachments ───────────────────────────────────────
+
+    listAttachments(caseId) {
+      return read((sqlDb) =>
+        all(sqlDb, 'select * from case_attachments where case_id = ? order by created_at, rowid', [caseId]).map(
+          toAttachment
+        )
+      );
+    },
+
+    getAttachment(id) {
+      return read((sqlDb) => {
+        const [row] = all(sqlDb, 'select * from case_attachments where id = ?', [id]);
+        return row ? toAttachment(row) : null;
+      });
+    },
+
+    insertAttachment(row) {
+      return write((sqlDb) => {
+        sqlDb.run(
+          `insert into case_attachments (id, case_id, file_name, content_type, kind, size, storage_path,
+             uploaded_by, created_at)
+           values (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            row.id, row.case_id, row.file_name, row.content_type, row.kind, row.size, row.storage_path,
+            row.uploaded_by, new Date().toISOString(),
+          ]
+        );
+        const [saved] = all(sqlDb, 'select * from case_attachments where id = ?', [row.id]);
+        return toAttachment(saved);
+      });
+    },
+
+    async deleteAttachment(id) {
+      const { error } = await write((sqlDb) => {
+        sqlDb.run('delete from case_attachments where id = ?', [id]);
+      });
+      return { error };
+    },
+
+    // ─── Case links ────────────────────────────────────────
+
+    listLinks() {
+      return read((sqlDb) => all(sqlDb, 'select * from case_links order by created_at, rowid').map(toLink));
+    },
+
+    getLink(id) {
+      return read((sqlDb) => {
+        const [row] = all(sqlDb, 'select * from case_links where id = ?', [id]);
+        return row ? toLink(row) : null;
+      });
+    },
+
+    insertLink(row) {
+      return write((sqlDb) => {
+        sqlDb.run(
+          `insert into case_links (id, case_id, linked_case_id, kind, reason, created_by, created_at)
+           values (?, ?, ?, ?, ?, ?, ?)`,
+          [row.id, row.case_id, row.linked_case_id, row.kind, row.reason, row.created_by, new Date().toISOString()]
+        );
+        const [saved] = all(sqlDb, 'select * from case_links where id = ?', [row.id]);
+        return toLink(saved);
+      });
+    },
+
+    async deleteLink(id) {
+      const { error } = await write((sqlDb) => {
+        sqlDb.run('delete from case_links where id = ?', [id]);
+      });
+      return { error };
+    },
+
+    // ─── Audit log ─────────────────────────────────────────
+
+    async insertActionLogs(entries) {
+      const { error } = await write((sqlDb) => {
+        for (const entry of entries) {
+          sqlDb.run(
+            `insert or ignore into action_log (id, action_type, payload, result_summary, success, error,
+               user_name, client, app_version, created_at)
+             values (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              entry.id, entry.action_type, JSON.stringify(entry.payload ?? null), entry.result_summary,
+              toSql(entry.success), entry.error, entry.user_name, entry.client,
+              entry.app_version, entry.created_at,
+            ]
+          );
+        }
+      });
+      return { error };
+    },
+
+    listActionLogs(filters) {
+      const where: string[] = [];
+      const params: SqlValue[] = [];
+
+      if (filters.userName) {
+        where.push('user_name = ?');
+        params.push(filters.userName);
+      }
+      if (filters.actionType?.endsWith('.*')) {
+        where.push('action_type like ?');
+        params.push(`${filters.actionType.slice(0, -1)}%`);
+      } else if (filters.actionType) {
+        where.push('action_type = ?');
+        params.push(filters.actionType);
+      }
+      // Day bounds are local days, so convert them to instants here
+      if (filters.from) {
+        where.push('created_at >= ?');
+        params.push(new Date(`${filters.from}T00:00:00`).toISOString());
+      }
+      if (filters.to) {
+        where.push('created_at <= ?');
+        params.push(new Date(`${filters.to}T23:59:59.999`).toISOString());
+      }
+
+      return read((sqlDb) =>
+        all(
+          sqlDb,
+          `select * from action_log ${where.length ? `where ${where.join(' and ')}` : ''}
+           order by created_at desc limit ?`,
+          [...params, filters.limit]
+        ).map(toActionLog)
+      );
+    },
+
+    // ─── Change feed ───────────────────────────────────────
+
+    subscribeToCases(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    subscribeToNotes(listener) {
+      noteListeners.add(listener);
+      return () => {
+        noteListeners.delete(listener);
+      };
+    },
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Server Repository Setup
+ * Server-only: gives the local backend a SQLite file on disk, and the
+ * Supabase backend the service role (for writes clients may not make,
+ * such as user roles). Not re-exported from the repositories barrel,
+ * since node:fs and the service key do not belong in the browser bundle.
+ */
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { createClient } from '@supabase/supabase-js';
+import { SUPABASE_URL } from '@/lib/supabase';
+import { createLocalRepository, type LocalPersistence } from './localRepository';
+import { createSupabaseRepository } from './supabaseRepository';
+import { configuredBackend, setRepository } from './index';
+
+/**
+ * Persist the database to a file (written to a temp file and renamed,
+ * so a crash mid-write can't leave a truncated database)
+ */
+export function filePersistence(path: string): LocalPersistence {
+  return {
+    async load() {
+      try {
+        return new Uint8Array(await readFile(path));
+      } catch (err) {
+        if ((err as NodeJS.ErrnoException).code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async save(data) {
+      const temp = `${path}.tmp`;
+      await writeFile(temp, data);
+      await rename(temp, path);
+    },
+  };
+}
+
+let configured = false;
+
+/**
+ * Point the server at LOCAL_DB_FILE when the local backend is selected
+ * (otherwise the server's local store lives only in memory), or connect
+ * to Supabase as the service role when SUPABASE_SERVICE_ROLE_KEY is set
+ */
+export function configureServerRepository(): void {
+  if (configured) return;
+  configured = true;
+
+  const file = process.env.LOCAL_DB_FILE;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (configuredBackend() === 'local' && file) {
+    setRepository(createLocalRepository({ persistence: filePersistence(file) }));
+  } else if (configuredBackend() === 'supabase' && serviceKey) {
+    const client = createClient(SUPABASE_URL, serviceKey, { auth: { persistSession: false } });
+    setRepository(createSupabaseRepository(client));
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Supabase repository: whole-table reads keep asking for pages until
+ * PostgREST returns a short one, so they aren't cut off at max_rows
+ */
+
+import { describe, expect, it } from 'vitest';
+import { createClient } from '@supabase/supabase-js';
+import { createSupabaseRepository } from './supabaseRepository';
+
+const MAX_ROWS = 1000;
+
+/** A client whose PostgREST serves `total` rows, at most MAX_ROWS per response */
+function serving(total: number) {
+  const requests: URL[] = [];
+  const fetch = async (input: RequestInfo | URL) => {
+    const url = new URL(input instanceof Request ? input.url : input);
+    requests.push(url);
+    const offset = Number(url.searchParams.get('offset') ?? 0);
+    const limit = Math.min(Number(url.searchParams.get('limit') ?? MAX_ROWS), MAX_ROWS);
+    const rows = Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => ({
+      id: String(offset + i),
+      case_id: 'c1',
+    }));
+    return new Response(JSON.stringify(rows), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+  const client = createClient('http://localhost:54321', 'anon', { global: { fetch }, auth: { persistSession: false } });
+  return { repository: createSupabaseRepository(client), requests };
+}
+
+describe('paged reads', () => {
+  it('reads every history row past max_rows', async () => {
+    const { repository, requests } = serving(2500);
+
+    const { data, error } = await repository.listAllHistory();
+
+    expect(error).toBeNull();
+    expect(data).toHaveLength(2500);
+    expect(new Set(data!.map((row) => row.id)).size).toBe(2500);
+    expect(requests.map((url) => url.searchParams.get('offset'))).toEqual(['0', '1000', '2000']);
+  });
+
+  it('stops after a full last page with one empty request', async () => {
+    const { repository, requests } = serving(2000);
+
+    const { data } = await repository.listCases({ archived: false });
+
+    expect(data).toHaveLength(2000);
+    expect(requests).toHaveLength(3);
+    expect(requests[0].searchParams.get('order')).toBe('due.asc,id.asc');
+  });
+});
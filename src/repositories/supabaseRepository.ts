@@ -0,0 +1,493 @@
+/**
+ * Supabase Repository
+ * CaseRepository backed by the hosted Postgres database. This is the
+ * default backend; the change feed is Supabase Realtime.
+ */
+
+import type { SupabaseClient, RealtimePostgresChangesPayload } from '@supabase/supabase-js';
+import { db } from '@/lib/supabase';
+import { applyModifierOps } from '@/lib/caseHelpers';
+import { ConflictError } from '@/lib/errors';
+import { CAS_MAX_ATTEMPTS } from '@/lib/constants';
+import type {
+  Database,
+  DbActionLog,
+  DbAttachment,
+  DbCaseLink,
+  DbCase,
+  DbCaseHistory,
+  DbCaseHistoryWithCase,
+  DbCaseNote,
+  DbLabCalendar,
+  DbPractice,
+} from '@/types/database';
+import type { ModifierOps } from '@/types/case';
+import type { Role } from '@/types/permissions';
+import type { CaseRepository, RepositoryResult } from '@/types/repository';
+
+type ModifierRpcRow = Database['public']['Functions']['update_case_modifiers']['Returns'][number];
+
+function toError(error: { message: string } | null): Error | null {
+  return error ? new Error(error.message) : null;
+}
+
+/** Text columns a case search matches (as in the local repository) */
+const SEARCH_COLUMNS = ['casenumber', 'practice', 'doctor', 'patient_ref', 'restoration_type', 'shade', 'material'];
+
+/**
+ * PostgREST `or` filter matching the search in any search column. The
+ * value is quoted so commas and parentheses in it don't end the filter.
+ */
+function searchFilter(search: string): string {
+  const quoted = `"%${search.replace(/["\\]/g, '\\$&')}%"`;
+  return SEARCH_COLUMNS.map((column) => `${column}.ilike.${quoted}`).join(',');
+}
+
+/** Case ids per notes request, so the `in` filter stays inside URL limits */
+const NOTE_QUERY_CHUNK = 100;
+
+/**
+ * Rows per request. PostgREST cuts a response off at the project's
+ * max_rows (1000 by default), so this must not be above it.
+ */
+const PAGE_SIZE = 1000;
+
+/**
+ * Read every row of a query a page at a time. `page` builds the query
+ * for one range; it needs an order that ends on a unique column, or rows
+ * can shift between pages.
+ */
+async function selectAll<T>(
+  page: (from: number, to: number) => PromiseLike<{ data: unknown[] | null; error: { message: string } | null }>
+): Promise<RepositoryResult<T[]>> {
+  const rows: T[] = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await page(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error: toError(error) };
+    rows.push(...((data ?? []) as T[]));
+    if ((data?.length ?? 0) < PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+function isMissingFunction(error: { code?: string }): boolean {
+  return error.code === 'PGRST202' || error.code === '42883';
+}
+
+/**
+ * Create a repository on a Supabase client
+ * @param client - defaults to the app-wide client from lib/supabase
+ */
+export function createSupabaseRepository(client: SupabaseClient = db): CaseRepository {
+  // Set once update_case_modifiers turns out to be missing, so later
+  // calls go straight to the compare-and-swap fallback
+  let modifierRpcMissing = false;
+
+  const repository: CaseRepository = {
+    backend: 'supabase',
+
+    // ─── Cases ─────────────────────────────────────────────
+
+    listCases({ archived, search, department }) {
+      return selectAll<DbCase>((from, to) => {
+        let query = client
+          .from('cases')
+          .select('*')
+          .eq('archived', archived)
+          .order(archived ? 'archived_at' : 'due', { ascending: !archived })
+          .order('id');
+
+        if (department) {
+          query = query.eq('department', department);
+        }
+        if (search) {
+          query = query.or(searchFilter(search));
+        }
+
+        return query.range(from, to);
+      });
+    },
+
+    async getCase(id) {
+      const { data, error } = await client.from('cases').select('*').eq('id', id).maybeSingle();
+      return { data: data as DbCase | null, error: toError(error) };
+    },
+
+    async insertCase(row) {
+      const { data, error } = await client.from('cases').insert(row).select().single();
+      return { data: data as DbCase | null, error: toError(error) };
+    },
+
+    async updateCase(id, changes, expectedVersion) {
+      let query = client.from('cases').update(changes).eq('id', id);
+      if (expectedVersion !== undefined) query = query.eq('version', expectedVersion);
+
+      const { data, error } = await query.select().maybeSingle();
+      return { data: data as DbCase | null, error: toError(error) };
+    },
+
+    async updateModifiers(id, ops) {
+      if (!modifierRpcMissing) {
+        const { data, error } = await client.rpc('update_case_modifiers', {
+          p_case_id: id,
+          p_add: ops.add ?? [],
+          p_remove: ops.remove ?? [],
+          p_remove_prefixes: ops.removePrefixes ?? [],
+        });
+
+        if (!error) {
+          const [row] = (data ?? []) as ModifierRpcRow[];
+          if (!row) return { data: null, error: new Error('Case not found') };
+          return { data: { before: row.modifiers_before, after: row.modifiers_after }, error: null };
+        }
+        if (!isMissingFunction(error)) return { data: null, error: new Error(error.message) };
+
+        modifierRpcMissing = true;
+        console.warn('update_case_modifiers is not installed - using compare-and-swap for modifier changes');
+      }
+
+      return updateModifiersWithRetry(repository, id, ops);
+    },
+
+    async setArchived(ids, archived) {
+      const { data, error } = await client
+        .from('cases')
+        .update({ archived, archived_at: archived ? new Date().toISOString() : null })
+        .in('id', ids)
+        .eq('archived', !archived)
+        .select('id');
+
+      return { data: (data ?? []).map((r: { id: string }) => r.id), error: toError(error) };
+    },
+
+    async deleteCase(id) {
+      const { error } = await client.from('cases').delete().eq('id', id);
+      return { error: toError(error) };
+    },
+
+    async deleteCasesByNumber(caseNumber) {
+      const { error } = await client.from('cases').delete().ilike('casenumber', caseNumber);
+      return { error: toError(error) };
+    },
+
+    // ─── History ───────────────────────────────────────────
+
+    async insertHistory(entry) {
+      const { error } = await client.from('case_history').insert(entry);
+      return { error: toError(error) };
+    },
+
+    async restoreHistory(rows) {
+      if (rows.length === 0) return { error: null };
+      const { error } = await client
+        .from('case_history')
+        .upsert(rows, { onConflict: 'id', ignoreDuplicates: true });
+      return { error: toError(error) };
+    },
+
+    listHistory(caseId) {
+      return selectAll<DbCaseHistory>((from, to) =>
+        client
+          .from('case_history')
+          .select('*')
+          .eq('case_id', caseId)
+          .order('created_at', { ascending: true })
+          .order('id')
+          .range(from, to)
+      );
+    },
+
+    listAllHistory() {
+      return selectAll<DbCaseHistoryWithCase>((from, to) =>
+        client
+          .from('case_history')
+          .select('*,cases:case_id(casenumber)')
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false })
+          .range(from, to)
+      );
+    },
+
+    listDepartmentHistory(department) {
+      // An empty inner embed only filters, it adds nothing to the rows
+      return selectAll<DbCaseHistory>((from, to) =>
+        client
+          .from('case_history')
+          .select('*,cases:case_id!inner()')
+          .eq('cases.department', department)
+          .order('created_at', { ascending: true })
+          .order('id')
+          .range(from, to)
+      );
+    },
+
+    // ─── Active devices ────────────────────────────────────
+
+    async upsertActiveDevice(device) {
+      const { error } = await client.from('active_devices').upsert(device, { onConflict: 'user_name' });
+      return { error: toError(error) };
+    },
+
+    async listActiveDevices() {
+      const { data, error } = await client
+        .from('active_devices')
+        .select('user_name, last_seen')
+        .order('last_seen', { ascending: false });
+      return { data, error: toError(error) };
+    },
+
+    // ─── Roles ─────────────────────────────────────────────
+
+    async getUserRole(userName) {
+      const { data, error } = await client
+        .from('user_roles')
+        .select('role')
+        .eq('user_name', userName)
+        .maybeSingle();
+      return { data: (data?.role as Role | undefined) ?? null, error: toError(error) };
+    },
+
+    async setUserRole(userName, role) {
+      const { error } = await client
+        .from('user_roles')
+        .upsert({ user_name: userName, role, updated_at: new Date().toISOString() }, { onConflict: 'user_name' });
+      return { error: toError(error) };
+    },
+
+    // ─── Practices ─────────────────────────────────────────
+
+    async listPractices() {
+      const { data, error } = await client.from('practices').select('*').order('name');
+      return { data: (data as DbPractice[] | null) ?? null, error: toError(error) };
+    },
+
+    async upsertPractice(row) {
+      const { data, error } = await client
+        .from('practices')
+        .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+        .select()
+        .single();
+      return { data: data as DbPractice | null, error: toError(error) };
+    },
+
+    async deletePractice(id) {
+      const { error } = await client.from('practices').delete().eq('id', id);
+      return { error: toError(error) };
+    },
+
+    // ─── Lab calendar ──────────────────────────────────────
+
+    async getCalendar() {
+      const { data, error } = await client.from('lab_calendar').select('*').limit(1).maybeSingle();
+      return { data: data as DbLabCalendar | null, error: toError(error) };
+    },
+
+    async saveCalendar(row) {
+      const { data, error } = await client
+        .from('lab_calendar')
+        .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+        .select()
+        .single();
+      return { data: data as DbLabCalendar | null, error: toError(error) };
+    },
+
+    // ─── Notes ─────────────────────────────────────────────
+
+    async listNotes(caseIds) {
+      const notes: DbCaseNote[] = [];
+      for (let i = 0; i < caseIds.length; i += NOTE_QUERY_CHUNK) {
+        const { data, error } = await client
+          .from('case_notes')
+          .select('*')
+          .in('case_id', caseIds.slice(i, i + NOTE_QUERY_CHUNK))
+          .order('created_at');
+        if (error) return { data: null, error: toError(error) };
+        notes.push(...((data as DbCaseNote[] | null) ?? []));
+      }
+      notes.sort((a, b) => a.created_at.localeCompare(b.created_at));
+      return { data: notes, error: null };
+    },
+
+    async getNote(id) {
+      const { data, error } = await client.from('case_notes').select('*').eq('id', id).maybeSingle();
+      return { data: data as DbCaseNote | null, error: toError(error) };
+    },
+
+    async insertNote(row) {
+      const { data, error } = await client.from('case_notes').insert(row).select().single();
+      return { data: data as DbCaseNote | null, error: toError(error) };
+    },
+
+    async updateNote(id, changes) {
+      const { data, error } = await client
+        .from('case_notes')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+      return { data: data as DbCaseNote | null, error: toError(error) };
+    },
+
+    async deleteNote(id) {
+      const { error } = await client.from('case_notes').delete().or(`id.eq.${id},parent_id.eq.${id}`);
+      return { error: toError(error) };
+    },
+
+    // ─── Attachments ───────────────────────────────────────
+
+    async listAttachments(caseId) {
+      const { data, error } = await client
+        .from('case_attachments')
+        .select('*')
+        .eq('case_id', caseId)
+        .order('created_at');
+      return { data: (data as DbAttachment[] | null) ?? null, error: toError(error) };
+    },
+
+    async getAttachment(id) {
+      const { data, error } = await client.from('case_attachments').select('*').eq('id', id).maybeSingle();
+      return { data: data as DbAttachment | null, error: toError(error) };
+    },
+
+    async insertAttachment(row) {
+      const { data, error } = await client.from('case_attachments').insert(row).select().single();
+      return { data: data as DbAttachment | null, error: toError(error) };
+    },
+
+    async deleteAttachment(id) {
+      const { error } = await client.from('case_attachments').delete().eq('id', id);
+      return { error: toError(error) };
+    },
+
+    // ─── Case links ────────────────────────────────────────
+
+    async listLinks() {
+      const { data, error } = await client.from('case_links').select('*').order('created_at');
+      return { data: (data as DbCaseLink[] | null) ?? null, error: toError(error) };
+    },
+
+    async getLink(id) {
+      const { data, error } = await client.from('case_links').select('*').eq('id', id).maybeSingle();
+      return { data: data as DbCaseLink | null, error: toError(error) };
+    },
+
+    async insertLink(row) {
+      const { data, error } = await client.from('case_links').insert(row).select().single();
+      return { data: data as DbCaseLink | null, error: toError(error) };
+    },
+
+    async deleteLink(id) {
+      const { error } = await client.from('case_links').delete().eq('id', id);
+      return { error: toError(error) };
+    },
+
+    // ─── Audit log ─────────────────────────────────────────
+
+    async insertActionLogs(entries) {
+      if (entries.length === 0) return { error: null };
+      // A batch retried after a lost response must not insert twice
+      const { error } = await client.from('action_log').upsert(entries, { onConflict: 'id', ignoreDuplicates: true });
+      return { error: toError(error) };
+    },
+
+    async listActionLogs(filters) {
+      let query = client
+        .from('action_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(filters.limit);
+
+      if (filters.userName) query = query.eq('user_name', filters.userName);
+
+      if (filters.actionType?.endsWith('.*')) {
+        query = query.like('action_type', `${filters.actionType.slice(0, -1)}%`);
+      } else if (filters.actionType) {
+        query = query.eq('action_type', filters.actionType);
+      }
+
+      // Day bounds are local days, so convert them to instants here
+      if (filters.from) query = query.gte('created_at', new Date(`${filters.from}T00:00:00`).toISOString());
+      if (filters.to) query = query.lte('created_at', new Date(`${filters.to}T23:59:59.999`).toISOString());
+
+      const { data, error } = await query;
+      return { data: (data as DbActionLog[] | null) ?? null, error: toError(error) };
+    },
+
+    // ─── Change feed ───────────────────────────────────────
+
+    subscribeToCases(listener) {
+      const channel = client
+        .channel('cases-realtime')
+        .on<DbCase>(
+          'postgres_changes',
+          { event: '*', schema: 'public', table: 'cases' },
+          (payload: RealtimePostgresChangesPayload<DbCase>) => {
+            const row = payload.new as DbCase | undefined;
+            const previous = payload.old as Partial<DbCase> | undefined;
+            listener({
+              event: payload.eventType,
+              row: payload.eventType === 'DELETE' || !row?.id ? null : row,
+              previous: previous?.id ? previous : null,
+            });
+          }
+        )
+        .subscribe();
+
+      return () => {
+        client.removeChannel(channel);
+      };
+    },
+
+    subscribeToNotes(listener) {
+      const channel = client
+        .channel('case-notes-realtime')
+        .on<DbCaseNote>(
+          'postgres_changes',
+          { event: '*', schema: 'public', table: 'case_notes' },
+          (payload: RealtimePostgresChangesPayload<DbCaseNote>) => {
+            const row = payload.new as DbCaseNote | undefined;
+            const previous = payload.old as Partial<DbCaseNote> | undefined;
+            listener({
+              event: payload.eventType,
+              row: payload.eventType === 'DELETE' || !row?.id ? null : row,
+              previous: previous?.id ? previous : null,
+            });
+          }
+        )
+        .subscribe();
+
+      return () => {
+        client.removeChannel(channel);
+      };
+    },
+  };
+
+  return repository;
+}
+
+/**
+ * Modifier change as a compare-and-swap loop, for databases
+ * without the update_case_modifiers function
+ */
+async function updateModifiersWithRetry(
+  repository: CaseRepository,
+  id: string,
+  ops: ModifierOps
+): Promise<RepositoryResult<{ before: string[]; after: string[] }>> {
+  for (let attempt = 0; attempt < CAS_MAX_ATTEMPTS; attempt++) {
+    const { data: row, error } = await repository.getCase(id);
+    if (error) return { data: null, error };
+    if (!row) return { data: null, error: new Error('Case not found') };
+
+    const before = row.modifiers ?? [];
+    const after = applyModifierOps(before, ops);
+    if (after.length === before.length && after.every((m, i) => m === before[i])) {
+      return { data: { before, after }, error: null };
+    }
+
+    const written = await repository.updateCase(id, { modifiers: after }, row.version);
+    if (written.error) return { data: null, error: written.error };
+    if (written.data) return { data: { before, after }, error: null };
+  }
+
+  return { data: null, error: new ConflictError('Case keeps changing on the server - try again', null) };
+}
@@ -0,0 +1,128 @@
+/**
+ * Attachment Service
+ * Case photos, Rx PDFs and scans: the row goes to the repository, the
+ * bytes to AttachmentStorage. Adding and removing one is recorded in
+ * the case's history.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { getRepository } from '@/repositories';
+import { getStorage } from '@/storage';
+import { logCase } from './caseService';
+import { attachmentKind, attachmentPath, storedContentType } from '@/lib/attachments';
+import { MAX_ATTACHMENT_BYTES } from '@/lib/constants';
+import { base64ToBytes, formatFileSize } from '@/utils/fileUtils';
+import type { DbAttachment } from '@/types/database';
+import type { AddAttachmentInput } from '@/types/attachment';
+
+async function findAttachment(id: string): Promise<{ data: DbAttachment | null; error: Error | null }> {
+  const { data, error } = await getRepository().getAttachment(id);
+  if (error) return { data: null, error };
+  if (!data) return { data: null, error: new Error('Attachment not found') };
+  return { data, error: null };
+}
+
+// ═══════════════════════════════════════════════════════════
+// READS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Fetch a case's attachments, oldest first
+ */
+export async function fetchAttachments(caseId: string): Promise<{ data: DbAttachment[]; error: Error | null }> {
+  const { data, error } = await getRepository().listAttachments(caseId);
+  return { data: data ?? [], error };
+}
+
+/**
+ * URL to show or download an attachment from
+ */
+export async function attachmentUrl(id: string): Promise<{ data: string | null; error: Error | null }> {
+  const { data: attachment, error } = await findAttachment(id);
+  if (!attachment) return { data: null, error };
+  return getStorage().getUrl(attachment.storage_path, attachment.content_type);
+}
+
+// ═══════════════════════════════════════════════════════════
+// WRITES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Attach a file to a case
+ * @param uploader - the acting user
+ */
+export async function addAttachment(
+  input: AddAttachmentInput,
+  uploader: string
+): Promise<{ data: DbAttachment | null; error: Error | null }> {
+  const { data: target, error: caseError } = await getRepository().getCase(input.caseId);
+  if (caseError) return { data: null, error: caseError };
+  if (!target) return { data: null, error: new Error('Case not found') };
+
+  const fileName = input.fileName.trim();
+  const kind = attachmentKind(fileName, input.contentType);
+  if (!kind) return { data: null, error: new Error(`Unsupported file type: ${fileName}`) };
+
+  const bytes = base64ToBytes(input.data);
+  if (!bytes || bytes.length === 0) return { data: null, error: new Error('File is empty or unreadable') };
+  if (bytes.length > MAX_ATTACHMENT_BYTES) {
+    return { data: null, error: new Error(`File is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}`) };
+  }
+
+  const id = uuid();
+  const contentType = storedContentType(kind, input.contentType);
+  const path = attachmentPath(input.caseId, id, fileName);
+
+  const { error: uploadError } = await getStorage().upload(path, bytes, contentType);
+  if (uploadError) return { data: null, error: uploadError };
+
+  const { data, error } = await getRepository().insertAttachment({
+    id,
+    case_id: input.caseId,
+    file_name: fileName,
+    content_type: contentType,
+    kind,
+    size: bytes.length,
+    storage_path: path,
+    uploaded_by: uploader,
+  });
+  if (error || !data) {
+    // Don't leave a file nothing points to
+    await getStorage().remove([path]);
+    return { data: null, error: error ?? new Error('Attachment was not saved') };
+  }
+
+  await logCase(data.case_id, `Attached ${data.file_name} (${formatFileSize(data.size)})`, {
+    type: 'attachment_added',
+    field: 'attachment',
+    oldValue: null,
+    newValue: data.file_name,
+    metadata: { attachment_id: data.id, kind: data.kind, content_type: data.content_type, size: data.size },
+  }, uploader);
+  return { data, error: null };
+}
+
+/**
+ * Remove an attachment and its file
+ * @param user - the acting user, for the history
+ */
+export async function removeAttachment(id: string, user?: string): Promise<{ error: Error | null }> {
+  const { data: attachment, error: findError } = await findAttachment(id);
+  if (!attachment) return { error: findError };
+
+  const { error } = await getRepository().deleteAttachment(id);
+  if (error) return { error };
+
+  // The row is gone, so a file left behind is only wasted space
+  const { error: storageError } = await getStorage().remove([attachment.storage_path]);
+  if (storageError) console.error('Failed to remove attachment file:', storageError);
+
+  await logCase(attachment.case_id, `Removed attachment ${attachment.file_name}`, {
+    type: 'attachment_removed',
+    field: 'attachment',
+    oldValue: attachment.file_name,
+    newValue: null,
+    metadata: { attachment_id: attachment.id, kind: attachment.kind, content_type: attachment.content_type, size: attachment.size },
+  }, user);
+  return { error: null };
+}
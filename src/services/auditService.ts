@@ -0,0 +1,28 @@
+/**
+ * Audit Service
+ * Reads and writes the action_log table (one row per dispatched action)
+ */
+
+import { getRepository } from '@/repositories';
+import { AUDIT_PAGE_SIZE } from '@/lib/constants';
+import type { DbActionLog } from '@/types/database';
+import type { ActionLogFilters } from '@/types/actions';
+import type { ActionLogInsert } from '@/types/repository';
+
+/**
+ * Append audit entries (ones already written are skipped, by id)
+ */
+export async function insertActionLogs(
+  entries: ActionLogInsert[]
+): Promise<{ error: Error | null }> {
+  return getRepository().insertActionLogs(entries);
+}
+
+/**
+ * Fetch audit entries, newest first
+ */
+export async function fetchActionLog(
+  filters: ActionLogFilters = {}
+): Promise<{ data: DbActionLog[] | null; error: Error | null }> {
+  return getRepository().listActionLogs({ ...filters, limit: filters.limit ?? AUDIT_PAGE_SIZE });
+}
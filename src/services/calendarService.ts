@@ -0,0 +1,38 @@
+/**
+ * Calendar Service
+ * Reads and saves the lab calendar (the defaults until one is saved)
+ */
+
+import { getRepository } from '@/repositories';
+import { normalizeCalendar } from '@/lib/calendar';
+import type { LabCalendar, SaveCalendarInput } from '@/types/calendar';
+
+/** The calendar table's only row */
+const CALENDAR_ID = 'lab';
+
+/**
+ * Fetch the lab calendar; the defaults when none is saved, and along
+ * with any error so callers can keep working
+ */
+export async function fetchCalendar(): Promise<{ data: LabCalendar; error: Error | null }> {
+  const { data, error } = await getRepository().getCalendar();
+  return { data: normalizeCalendar(data?.settings), error };
+}
+
+/**
+ * Replace the parts of the calendar present in the input
+ */
+export async function saveCalendar(
+  input: SaveCalendarInput,
+  updatedBy: string
+): Promise<{ data: LabCalendar | null; error: Error | null }> {
+  const { data: current, error: fetchError } = await fetchCalendar();
+  if (fetchError) return { data: null, error: fetchError };
+
+  const { data, error } = await getRepository().saveCalendar({
+    id: CALENDAR_ID,
+    settings: normalizeCalendar({ ...current, ...input }),
+    updated_by: updatedBy,
+  });
+  return { data: data ? normalizeCalendar(data.settings) : null, error };
+}
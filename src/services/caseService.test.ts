@@ -0,0 +1,37 @@
+/**
+ * Case service: bulk import reads the board once and matches duplicates
+ * the way checkForDuplicates does
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLocalRepository, getRepository, setRepository } from '@/repositories';
+import { addCase, importCases } from './caseService';
+
+const row = (line: number, caseNumber: string) => ({
+  line,
+  fields: { caseNumber, department: 'Metal', due: '2026-10-30' },
+});
+
+beforeEach(() => {
+  setRepository(createLocalRepository());
+});
+
+describe('importCases', () => {
+  it('lists active cases once for the whole file', async () => {
+    await addCase({ caseNumber: '8201 Smith', department: 'Metal', due: '2026-10-30' });
+    const listCases = vi.spyOn(getRepository(), 'listCases');
+
+    const report = await importCases([row(2, '8201 jones'), row(3, '8202'), row(4, '8203')], { dryRun: true });
+
+    expect(listCases).toHaveBeenCalledTimes(1);
+    expect(report.rows.map((r) => r.status)).toEqual(['duplicate', 'ready', 'ready']);
+    expect(report.rows[0].duplicates).toEqual([{ id: expect.any(String), caseNumber: '8201 Smith' }]);
+  });
+
+  it('catches a repeat of a row it just created', async () => {
+    const report = await importCases([row(2, '8204'), row(3, '8204')]);
+
+    expect(report.rows.map((r) => r.status)).toEqual(['created', 'duplicate']);
+    expect(report.rows[1].duplicateLines).toEqual([2]);
+  });
+});
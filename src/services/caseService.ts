@@ -5,23 +5,34 @@
  */
 
 import { v4 as uuid } from 'uuid';
-import { db } from '@/lib/supabase';
-import type { DbCase, DbCaseHistoryWithCase } from '@/types/database';
+import { getRepository } from '@/repositories';
+import type { CaseChanges, CaseInsert } from '@/types/repository';
+import type { CaseDetailColumn, DbCase, DbCaseHistory, DbCaseHistoryWithCase } from '@/types/database';
 import type { 
   Case, 
+  CaseEvent,
   CreateCaseInput, 
   UpdateCaseInput, 
   CaseStage,
   Department,
+  ModifierOps,
 } from '@/types/case';
+import type { ImportReport, ImportRowInput, ImportRowReport, ImportRowStatus } from '@/types/import';
 import { STAGE_NAMES } from '@/types/case';
+import { normalizeImportRow } from '@/import';
+import { caseDetailFields, type CaseDetailFields } from '@/lib/caseDetails';
+import { formatTeeth } from '@/lib/teeth';
+import { sameModifiers } from '@/lib/caseHelpers';
+import { ConflictError } from '@/lib/errors';
+import { CAS_MAX_ATTEMPTS } from '@/lib/constants';
 
 // ═══════════════════════════════════════════════════════════
 // HELPERS
 // ═══════════════════════════════════════════════════════════
 
 /**
- * Get current user name from storage
+ * Get current user name from storage (the default for history rows
+ * when the caller doesn't name the acting user)
  */
 function getCurrentUserName(): string {
   if (typeof window === 'undefined') return 'System';
@@ -67,6 +78,7 @@ export function mapDbToCase(rec: DbCase): Case {
   const mods = rec.modifiers ?? [];
   return {
     ...rec,
+    teeth: rec.teeth ?? [],
     department: rec.department,
     rush: mods.includes('rush'),
     hold: mods.includes('hold'),
@@ -86,15 +98,34 @@ export function mapDbToCase(rec: DbCase): Case {
 // HISTORY LOGGING
 // ═══════════════════════════════════════════════════════════
 
+function toText(value: string | boolean | null | undefined): string | null {
+  return value === undefined || value === null ? null : String(value);
+}
+
 /**
  * Log an action to case history
+ * @param action - display text shown in history lists
+ * @param event - the same change as structured data, read by analytics
+ * @param userName - the acting user (the dispatcher context's)
  */
-export async function logCase(caseId: string, action: string): Promise<void> {
-  const { error } = await db.from('case_history').insert({
+export async function logCase(
+  caseId: string,
+  action: string,
+  event: CaseEvent,
+  userName: string = getCurrentUserName()
+): Promise<void> {
+  const { error } = await getRepository().insertHistory({
     id: uuid(),
     case_id: caseId,
     action,
-    user_name: getCurrentUserName(),
+    user_name: userName,
+    event_type: event.type,
+    field: event.field ?? null,
+    old_value: toText(event.oldValue),
+    new_value: toText(event.newValue),
+    stage_from: event.stageFrom ?? null,
+    stage_to: event.stageTo ?? null,
+    metadata: event.metadata ?? null,
   });
   
   if (error) {
@@ -102,14 +133,103 @@ export async function logCase(caseId: string, action: string): Promise<void> {
   }
 }
 
+// ═══════════════════════════════════════════════════════════
+// COMPARE-AND-SWAP
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Write to a case only if it is still at `version`.
+ * Returns the new row, or null when the version moved on (or the row is gone).
+ */
+async function writeIfVersion(
+  id: string,
+  version: number,
+  changes: CaseChanges
+): Promise<{ data: DbCase | null; error: Error | null }> {
+  return getRepository().updateCase(id, changes, version);
+}
+
+/**
+ * Build the error for a lost compare-and-swap from the row as stored now
+ */
+async function conflictFor(id: string, fallback: string): Promise<Error> {
+  const { data, error } = await fetchCaseById(id);
+  if (error) return error;
+  if (!data) return new ConflictError('Case was deleted by someone else', null);
+  return new ConflictError(`Case ${data.caseNumber} ${fallback}`, data);
+}
+
+/**
+ * Apply a change computed from the current row with compare-and-swap.
+ * When someone else wrote first, the row is re-read and the change
+ * recomputed on top of theirs (so concurrent rush/hold toggles both
+ * land), up to CAS_MAX_ATTEMPTS times.
+ *
+ * @param compute - the fields to write, or null when the row already matches
+ * @returns the row the change was computed from, and the written row (null if nothing changed)
+ */
+async function compareAndSwap(
+  base: DbCase,
+  compute: (row: DbCase) => CaseChanges | null
+): Promise<{ prev: DbCase; next: DbCase | null; error: Error | null }> {
+  let row = base;
+
+  for (let attempt = 0; attempt < CAS_MAX_ATTEMPTS; attempt++) {
+    const changes = compute(row);
+    if (!changes) return { prev: row, next: null, error: null };
+
+    const { data, error } = await writeIfVersion(row.id, row.version, changes);
+    if (error) return { prev: row, next: null, error };
+    if (data) return { prev: row, next: data, error: null };
+
+    const fresh = await fetchCaseById(row.id);
+    if (fresh.error) return { prev: row, next: null, error: fresh.error };
+    if (!fresh.data) return { prev: row, next: null, error: new ConflictError('Case was deleted by someone else', null) };
+    row = fresh.data;
+  }
+
+  return {
+    prev: row,
+    next: null,
+    error: await conflictFor(row.id, 'keeps changing on the server - try again'),
+  };
+}
+
+/**
+ * Read a case for a compare-and-swap write
+ */
+async function loadForWrite(id: string): Promise<{ data: DbCase | null; error: Error | null }> {
+  const { data, error } = await fetchCaseById(id);
+  if (error) return { data: null, error };
+  return { data, error: data ? null : new Error('Case not found') };
+}
+
+// ═══════════════════════════════════════════════════════════
+// ATOMIC MODIFIER OPERATIONS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Add and remove modifiers atomically, leaving flags others changed
+ * meanwhile alone
+ * @returns modifiers before and after (equal when nothing changed)
+ */
+async function updateModifiers(
+  id: string,
+  ops: ModifierOps
+): Promise<{ before: string[]; after: string[]; error: Error | null }> {
+  const { data, error } = await getRepository().updateModifiers(id, ops);
+  if (!data) return { before: [], after: [], error };
+  return { ...data, error: null };
+}
+
 // ═══════════════════════════════════════════════════════════
 // CASE CRUD
 // ═══════════════════════════════════════════════════════════
 
 /**
- * Create a new case
+ * Build the row a new case is inserted as (also used for optimistic offline creates)
  */
-export async function addCase(input: CreateCaseInput): Promise<{ data: Case | null; error: Error | null }> {
+export function buildNewCaseRow(input: CreateCaseInput & { id: string }): CaseInsert & Pick<DbCase, CaseDetailColumn> {
   const {
     caseNumber,
     department,
@@ -133,71 +253,94 @@ export async function addCase(input: CreateCaseInput): Promise<{ data: Case | nu
     modifiers.push(needsRepair ? 'stage-finishing' : 'stage-design');
   }
 
-  const id = uuid();
+  return {
+    id: input.id,
+    casenumber: caseNumber.trim(),
+    department: mapDepartmentToDb(department),
+    priority,
+    modifiers,
+    due: `${due}T00:00:00Z`,
+    completed: false,
+    archived: false,
+    archived_at: null,
+    practice: null,
+    doctor: null,
+    patient_ref: null,
+    restoration_type: null,
+    units: null,
+    teeth: [],
+    tooth_notation: null,
+    shade: null,
+    material: null,
+    ...caseDetailFields(input),
+  };
+}
+
+/**
+ * Create a new case
+ * @param userName - the acting user, for the history
+ */
+export async function addCase(
+  input: CreateCaseInput,
+  userName?: string
+): Promise<{ data: Case | null; error: Error | null }> {
+  const { department, needsRepair = false } = input;
+
+  // Offline creates bring their own id so queued follow-ups can refer to it
+  const id = input.id ?? uuid();
   
-  const { data, error } = await db
-    .from('cases')
-    .insert({
-      id,
-      casenumber: caseNumber.trim(),
-      department: mapDepartmentToDb(department),
-      priority,
-      modifiers,
-      due: `${due}T00:00:00Z`,
-      completed: false,
-      archived: false,
-      archived_at: null,
-    })
-    .select()
-    .single();
+  const { data, error } = await getRepository().insertCase(buildNewCaseRow({ ...input, id }));
 
-  if (error) {
-    return { data: null, error: new Error(error.message) };
+  if (error || !data) {
+    return { data: null, error: error ?? new Error('Case was not created') };
   }
 
   // Log creation
   if (needsRepair && department === 'Digital') {
-    await logCase(id, 'Case created and sent directly to Finishing for repair');
+    await logCase(id, 'Case created and sent directly to Finishing for repair', {
+      type: 'created',
+      stageTo: 'finishing',
+      metadata: { repair: true },
+    }, userName);
   } else {
-    await logCase(id, 'Case created');
+    await logCase(id, 'Case created', {
+      type: 'created',
+      stageTo: getStageFromModifiers(data.modifiers ?? []) ?? null,
+    }, userName);
   }
 
   return { data: mapDbToCase(data), error: null };
 }
 
+/** The fields an update writes: the core ones always, details when given */
+type UpdatedFields = Pick<DbCase, 'casenumber' | 'department' | 'priority' | 'modifiers' | 'due'> & CaseDetailFields;
+
 /**
- * Update an existing case
+ * Compute the fields an update writes (also used for optimistic offline updates).
+ * Rush, hold and case type left out of the input keep their current values.
  */
-export async function updateCase(input: UpdateCaseInput): Promise<{ data: Case | null; error: Error | null }> {
-  const { id } = input;
-
-  // Fetch current state
-  const { data: prev, error: fetchError } = await db
-    .from('cases')
-    .select('*')
-    .eq('id', id)
-    .single();
-
-  if (fetchError || !prev) {
-    return { data: null, error: new Error('Case not found') };
-  }
-
+export function buildUpdatedFields(prev: DbCase, input: UpdateCaseInput): UpdatedFields {
   // Preserve stage modifiers and stats-exclude modifiers
   const preservedModifiers = (prev.modifiers ?? []).filter(
     (m: string) => m.startsWith('stage-') || m.startsWith('stats-exclude')
   );
 
+  const current = mapDbToCase(prev);
+  const rush = input.rush ?? current.rush;
+  const hold = input.hold ?? current.hold;
+  const caseType = input.caseType ?? current.caseType;
+
   // Build new modifiers
   const newModifiers: string[] = input.modifiers ?? [
-    ...(input.rush ? ['rush'] : []),
-    ...(input.hold ? ['hold'] : []),
-    ...(input.caseType === 'bbs' ? ['bbs'] : []),
-    ...(input.caseType === 'flex' ? ['flex'] : []),
+    ...(rush ? ['rush'] : []),
+    ...(hold ? ['hold'] : []),
+    ...(caseType === 'bbs' ? ['bbs'] : []),
+    ...(caseType === 'flex' ? ['flex'] : []),
     ...((prev.modifiers ?? []).includes('stage2') ? ['stage2'] : []),
     ...preservedModifiers,
   ];
 
-  const nextRow = {
+  return {
     casenumber: (input.caseNumber ?? prev.casenumber).trim(),
     department: input.department 
       ? mapDepartmentToDb(input.department)
@@ -205,35 +348,87 @@ export async function updateCase(input: UpdateCaseInput): Promise<{ data: Case |
     priority: input.priority ?? prev.priority,
     modifiers: newModifiers,
     due: `${input.due ?? prev.due.slice(0, 10)}T00:00:00Z`,
+    ...caseDetailFields(input),
   };
+}
 
-  const { data, error } = await db
-    .from('cases')
-    .update(nextRow)
-    .eq('id', id)
-    .select()
-    .single();
+/**
+ * Update an existing case
+ *
+ * Compare-and-swap on `expectedVersion` (or the version read here when
+ * the caller didn't say): if someone else saved in between, nothing is
+ * written and a ConflictError carries their row for the merge dialog.
+ * @param userName - the acting user, for the history
+ */
+export async function updateCase(
+  input: UpdateCaseInput,
+  userName?: string
+): Promise<{ data: Case | null; error: Error | null }> {
+  const { id } = input;
+
+  // Fetch current state
+  const { data: prev, error: fetchError } = await getRepository().getCase(id);
 
+  if (fetchError) {
+    return { data: null, error: fetchError };
+  }
+  if (!prev) {
+    return { data: null, error: new ConflictError('Case was deleted by someone else', null) };
+  }
+
+  const expectedVersion = input.expectedVersion ?? prev.version;
+  if (prev.version !== expectedVersion) {
+    return {
+      data: null,
+      error: new ConflictError(`Case ${prev.casenumber} was changed by someone else`, mapDbToCase(prev)),
+    };
+  }
+
+  const nextRow = buildUpdatedFields(prev, input);
+  const newModifiers = nextRow.modifiers;
+
+  const { data, error } = await writeIfVersion(id, expectedVersion, nextRow);
   if (error) {
-    return { data: null, error: new Error(error.message) };
+    return { data: null, error };
+  }
+  if (!data) {
+    return { data: null, error: await conflictFor(id, 'was changed by someone else') };
   }
 
   // Log changes
-  await logChanges(id, prev, nextRow, newModifiers);
+  await logChanges(id, prev, nextRow, newModifiers, userName);
 
   return { data: mapDbToCase(data), error: null };
 }
 
+const DETAIL_LABELS: [keyof CaseDetailFields, string][] = [
+  ['practice', 'Practice'],
+  ['doctor', 'Doctor'],
+  ['patient_ref', 'Patient'],
+  ['restoration_type', 'Restoration'],
+  ['units', 'Units'],
+  ['teeth', 'Teeth'],
+  ['shade', 'Shade'],
+  ['material', 'Material'],
+];
+
+/** A detail as history text ('' when empty); teeth carry their notation */
+function detailText(row: DbCase, column: keyof CaseDetailFields): string {
+  if (column === 'teeth' || column === 'tooth_notation') return formatTeeth(row.teeth ?? [], row.tooth_notation);
+  return row[column] === null || row[column] === undefined ? '' : String(row[column]);
+}
+
 /**
  * Log changes between old and new case state
  */
 async function logChanges(
   id: string,
   prev: DbCase,
-  next: { casenumber: string; department: string; priority: boolean; modifiers: string[]; due: string },
-  newMods: string[]
+  next: UpdatedFields,
+  newMods: string[],
+  userName?: string
 ): Promise<void> {
-  const logs: string[] = [];
+  const logs: [string, CaseEvent][] = [];
   const prevMods = prev.modifiers ?? [];
 
   const diff = (flag: string) => ({
@@ -241,43 +436,86 @@ async function logChanges(
     now: newMods.includes(flag),
   });
 
+  // Check stage change (undo restores stage modifiers through update)
+  const prevStage = getStageFromModifiers(prevMods) ?? null;
+  const nextStage = getStageFromModifiers(newMods) ?? null;
+  if (prevStage !== nextStage && nextStage) {
+    logs.push([
+      prevStage
+        ? `Moved from ${STAGE_NAMES[prevStage]} to ${STAGE_NAMES[nextStage]} stage`
+        : `Moved to ${STAGE_NAMES[nextStage]} stage`,
+      { type: 'stage_changed', stageFrom: prevStage, stageTo: nextStage },
+    ]);
+  }
+
   // Check stage2 change
   const stage2Diff = diff('stage2');
   if (stage2Diff.was !== stage2Diff.now) {
-    logs.push(stage2Diff.now ? 'Moved to Stage 2' : 'Moved back to Stage 1');
+    logs.push([
+      stage2Diff.now ? 'Moved to Stage 2' : 'Moved back to Stage 1',
+      { type: stage2Diff.now ? 'modifier_added' : 'modifier_removed', field: 'stage2' },
+    ]);
   }
 
   // Check modifier changes
   for (const flag of ['rush', 'hold', 'bbs', 'flex']) {
     const d = diff(flag);
     if (d.was !== d.now) {
-      logs.push(d.now ? `${flag} added` : `${flag} removed`);
+      logs.push([
+        d.now ? `${flag} added` : `${flag} removed`,
+        { type: d.now ? 'modifier_added' : 'modifier_removed', field: flag },
+      ]);
     }
   }
 
   // Check priority change
   if (prev.priority !== next.priority) {
-    logs.push(next.priority ? 'Priority added' : 'Priority removed');
+    logs.push([
+      next.priority ? 'Priority added' : 'Priority removed',
+      { type: 'field_changed', field: 'priority', oldValue: prev.priority, newValue: next.priority },
+    ]);
   }
 
   // Check case number change
   if (prev.casenumber !== next.casenumber) {
-    logs.push(`Case # changed from ${prev.casenumber} to ${next.casenumber}`);
+    logs.push([
+      `Case # changed from ${prev.casenumber} to ${next.casenumber}`,
+      { type: 'field_changed', field: 'casenumber', oldValue: prev.casenumber, newValue: next.casenumber },
+    ]);
   }
 
   // Check department change
   if (prev.department !== next.department) {
-    logs.push(`Department changed from ${prev.department} to ${next.department}`);
+    logs.push([
+      `Department changed from ${prev.department} to ${next.department}`,
+      { type: 'field_changed', field: 'department', oldValue: prev.department, newValue: next.department },
+    ]);
   }
 
   // Check due date change
   if (prev.due !== next.due) {
-    logs.push(`Due changed from ${prev.due.slice(0, 10)} to ${next.due.slice(0, 10)}`);
+    const [was, now] = [prev.due.slice(0, 10), next.due.slice(0, 10)];
+    logs.push([
+      `Due changed from ${was} to ${now}`,
+      { type: 'field_changed', field: 'due', oldValue: was, newValue: now },
+    ]);
+  }
+
+  // Check detail changes
+  for (const [column, label] of DETAIL_LABELS) {
+    if (next[column] === undefined) continue;
+    const was = detailText(prev, column);
+    const now = detailText({ ...prev, ...next }, column);
+    if (was === now) continue;
+    logs.push([
+      !was ? `${label} set to ${now}` : !now ? `${label} cleared` : `${label} changed from ${was} to ${now}`,
+      { type: 'field_changed', field: column, oldValue: was || null, newValue: now || null },
+    ]);
   }
 
   // Log all changes
-  for (const log of logs) {
-    await logCase(id, log);
+  for (const [action, event] of logs) {
+    await logCase(id, action, event, userName);
   }
 }
 
@@ -285,8 +523,33 @@ async function logChanges(
  * Delete a case permanently
  */
 export async function removeCase(id: string): Promise<{ error: Error | null }> {
-  const { error } = await db.from('cases').delete().eq('id', id);
-  return { error: error ? new Error(error.message) : null };
+  return getRepository().deleteCase(id);
+}
+
+/**
+ * Recreate a deleted case with its original id, modifiers and history
+ * Used to undo a delete
+ */
+export async function recreateCase(
+  snapshot: DbCase,
+  history: DbCaseHistory[] = [],
+  userName?: string
+): Promise<{ data: Case | null; error: Error | null }> {
+  const { data, error } = await getRepository().insertCase(snapshot);
+
+  if (error || !data) {
+    return { data: null, error: error ?? new Error('Case was not restored') };
+  }
+
+  // History may or may not have been removed with the case - skip rows that survived
+  const { error: historyError } = await getRepository().restoreHistory(history);
+  if (historyError) {
+    console.error('Failed to restore case history:', historyError);
+  }
+
+  await logCase(snapshot.id, 'Case restored after deletion', { type: 'recreated' }, userName);
+
+  return { data: mapDbToCase(data), error: null };
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -294,57 +557,92 @@ export async function removeCase(id: string): Promise<{ error: Error | null }> {
 // ═══════════════════════════════════════════════════════════
 
 /**
- * Toggle priority flag
+ * Set priority to the opposite of what the caller saw
+ * (a no-op if someone else already did)
  */
-export async function togglePriority(caseItem: { id: string; priority: boolean }): Promise<void> {
+export async function togglePriority(caseItem: DbCase, userName?: string): Promise<{ error: Error | null }> {
   const newPriority = !caseItem.priority;
-  await db.from('cases').update({ priority: newPriority }).eq('id', caseItem.id);
-  await logCase(caseItem.id, newPriority ? 'Priority added' : 'Priority removed');
+  const { next, error } = await compareAndSwap(caseItem, (row) =>
+    row.priority === newPriority ? null : { priority: newPriority }
+  );
+  if (error || !next) return { error };
+
+  await logCase(caseItem.id, newPriority ? 'Priority added' : 'Priority removed', {
+    type: 'field_changed',
+    field: 'priority',
+    oldValue: !newPriority,
+    newValue: newPriority,
+  }, userName);
+  return { error: null };
+}
+
+/**
+ * Flip one modifier relative to the caller's copy and log the change.
+ * Only that flag is added or removed on the server, so concurrent
+ * changes to other modifiers are kept.
+ */
+async function toggleModifier(
+  caseItem: DbCase,
+  modifier: string,
+  messages: { added: string; removed: string },
+  userName?: string
+): Promise<{ error: Error | null }> {
+  const had = (caseItem.modifiers ?? []).includes(modifier);
+
+  const { before, after, error } = await updateModifiers(
+    caseItem.id,
+    had ? { remove: [modifier] } : { add: [modifier] }
+  );
+  if (error) return { error };
+
+  // Someone else already made the same change
+  if (before.includes(modifier) === after.includes(modifier)) return { error: null };
+
+  await logCase(caseItem.id, had ? messages.removed : messages.added, {
+    type: had ? 'modifier_removed' : 'modifier_added',
+    field: modifier,
+  }, userName);
+  return { error: null };
 }
 
 /**
  * Toggle rush modifier
  */
-export async function toggleRush(caseItem: { id: string; modifiers: string[] }): Promise<void> {
-  const mods = new Set(caseItem.modifiers);
-  const wasRush = mods.has('rush');
-  wasRush ? mods.delete('rush') : mods.add('rush');
-  
-  await db.from('cases').update({ modifiers: [...mods] }).eq('id', caseItem.id);
-  await logCase(caseItem.id, wasRush ? 'rush removed' : 'rush added');
+export async function toggleRush(caseItem: DbCase, userName?: string): Promise<{ error: Error | null }> {
+  return toggleModifier(caseItem, 'rush', { added: 'rush added', removed: 'rush removed' }, userName);
 }
 
 /**
  * Toggle hold modifier
  */
-export async function toggleHold(caseItem: { id: string; modifiers: string[] }): Promise<void> {
-  const mods = new Set(caseItem.modifiers);
-  const wasHold = mods.has('hold');
-  wasHold ? mods.delete('hold') : mods.add('hold');
-  
-  await db.from('cases').update({ modifiers: [...mods] }).eq('id', caseItem.id);
-  await logCase(caseItem.id, wasHold ? 'hold removed' : 'hold added');
+export async function toggleHold(caseItem: DbCase, userName?: string): Promise<{ error: Error | null }> {
+  return toggleModifier(caseItem, 'hold', { added: 'hold added', removed: 'hold removed' }, userName);
 }
 
 /**
  * Toggle completed status
  */
-export async function toggleComplete(id: string, currentCompleted: boolean): Promise<void> {
-  const newCompleted = !currentCompleted;
-  await db.from('cases').update({ completed: newCompleted }).eq('id', id);
-  await logCase(id, newCompleted ? 'Marked done' : 'Undo done');
+export async function toggleComplete(caseItem: DbCase, userName?: string): Promise<{ error: Error | null }> {
+  const newCompleted = !caseItem.completed;
+  const { next, error } = await compareAndSwap(caseItem, (row) =>
+    row.completed === newCompleted ? null : { completed: newCompleted }
+  );
+  if (error || !next) return { error };
+
+  await logCase(caseItem.id, newCompleted ? 'Marked done' : 'Undo done', {
+    type: newCompleted ? 'completed' : 'reopened',
+    field: 'completed',
+    oldValue: !newCompleted,
+    newValue: newCompleted,
+  }, userName);
+  return { error: null };
 }
 
 /**
  * Toggle stage2 modifier
  */
-export async function toggleStage2(caseItem: { id: string; modifiers: string[] }): Promise<void> {
-  const mods = new Set(caseItem.modifiers);
-  const wasStage2 = mods.has('stage2');
-  wasStage2 ? mods.delete('stage2') : mods.add('stage2');
-  
-  await db.from('cases').update({ modifiers: [...mods] }).eq('id', caseItem.id);
-  await logCase(caseItem.id, wasStage2 ? 'Moved back to Stage 1' : 'Moved to Stage 2');
+export async function toggleStage2(caseItem: DbCase, userName?: string): Promise<{ error: Error | null }> {
+  return toggleModifier(caseItem, 'stage2', { added: 'Moved to Stage 2', removed: 'Moved back to Stage 1' }, userName);
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -355,79 +653,73 @@ export async function toggleStage2(caseItem: { id: string; modifiers: string[] }
  * Update case stage
  */
 export async function updateCaseStage(
-  caseItem: { id: string; modifiers: string[] },
+  caseItem: DbCase,
   newStage: CaseStage | null,
-  isRepair = false
-): Promise<void> {
-  const { id, modifiers } = caseItem;
-
-  // Get current stage for logging
-  const currentStage = getStageFromModifiers(modifiers);
-
-  // Remove existing stage modifiers, keep others
-  const filteredMods = modifiers.filter((m) => !m.startsWith('stage-'));
-
-  // Add new stage if specified
-  if (newStage) {
-    filteredMods.push(`stage-${newStage}`);
-  }
+  isRepair = false,
+  userName?: string
+): Promise<{ error: Error | null }> {
+  const { id } = caseItem;
+
+  // Replace stage modifiers on the server, keep the others
+  const { before, error } = await updateModifiers(
+    id,
+    { removePrefixes: ['stage-'], add: newStage ? [`stage-${newStage}`] : [] }
+  );
+  if (error) return { error };
 
-  await db.from('cases').update({ modifiers: filteredMods }).eq('id', id);
+  // Log the stage change against the stage it actually left
+  const currentStage = getStageFromModifiers(before);
+  if (!isRepair && (currentStage ?? null) === newStage) return { error: null };
 
-  // Log the stage change
+  const event: CaseEvent = { type: 'stage_changed', stageFrom: currentStage ?? null, stageTo: newStage };
   if (isRepair) {
-    await logCase(id, 'Sent for repair - moved directly to Finishing stage');
+    await logCase(id, 'Sent for repair - moved directly to Finishing stage', {
+      ...event,
+      metadata: { repair: true },
+    }, userName);
   } else if (newStage && currentStage) {
     const fromName = STAGE_NAMES[currentStage] || currentStage;
     const toName = STAGE_NAMES[newStage];
-    await logCase(id, `Moved from ${fromName} to ${toName} stage`);
+    await logCase(id, `Moved from ${fromName} to ${toName} stage`, event, userName);
   } else if (newStage) {
-    await logCase(id, `Moved to ${STAGE_NAMES[newStage]} stage`);
+    await logCase(id, `Moved to ${STAGE_NAMES[newStage]} stage`, event, userName);
   }
+
+  return { error: null };
 }
 
 // ═══════════════════════════════════════════════════════════
 // ARCHIVE OPERATIONS
 // ═══════════════════════════════════════════════════════════
 
+// Archive flags are set absolutely and nothing else in the row is written,
+// so instead of a version check the update is conditioned on the flag itself
+// and only rows that actually changed are logged.
+
 /**
  * Archive multiple cases
  */
-export async function archiveCases(caseIds: string[]): Promise<{ error: Error | null }> {
-  const { error } = await db
-    .from('cases')
-    .update({
-      archived: true,
-      archived_at: new Date().toISOString(),
-    })
-    .in('id', caseIds);
-
-  if (!error) {
-    for (const id of caseIds) {
-      await logCase(id, 'Case archived');
-    }
+export async function archiveCases(caseIds: string[], userName?: string): Promise<{ error: Error | null }> {
+  const { data, error } = await getRepository().setArchived(caseIds, true);
+
+  for (const id of data ?? []) {
+    await logCase(id, 'Case archived', { type: 'archived' }, userName);
   }
 
-  return { error: error ? new Error(error.message) : null };
+  return { error };
 }
 
 /**
  * Restore a case from archive
  */
-export async function restoreCase(caseId: string): Promise<{ error: Error | null }> {
-  const { error } = await db
-    .from('cases')
-    .update({
-      archived: false,
-      archived_at: null,
-    })
-    .eq('id', caseId);
+export async function restoreCase(caseId: string, userName?: string): Promise<{ error: Error | null }> {
+  const { data, error } = await getRepository().setArchived([caseId], false);
 
-  if (!error) {
-    await logCase(caseId, 'Case restored from archive');
+  if (data && data.length > 0) {
+    await logCase(caseId, 'Case restored from archive', { type: 'restored' }, userName);
   }
 
-  return { error: error ? new Error(error.message) : null };
+  return { error };
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -435,74 +727,74 @@ export async function restoreCase(caseId: string): Promise<{ error: Error | null
 // ═══════════════════════════════════════════════════════════
 
 /**
- * Toggle case exclusion from statistics
+ * Is a case left out of the statistics for a stage (or of all of them)?
  */
-export async function toggleCaseExclusion(
-  caseId: string,
-  stage: string | null = null,
-  reason: string | null = null
-): Promise<{ error: Error | null; isExcluded: boolean }> {
-  // Fetch current case
-  const { data: currentCase, error: fetchError } = await db
-    .from('cases')
-    .select('modifiers')
-    .eq('id', caseId)
-    .single();
-
-  if (fetchError || !currentCase) {
-    return { error: new Error('Case not found'), isExcluded: false };
-  }
-
-  const currentModifiers = currentCase.modifiers ?? [];
-  
-  // Remove existing exclusion modifiers
-  const filteredModifiers = currentModifiers.filter(
-    (m: string) => !m.startsWith('stats-exclude')
-  );
-
-  // Check if currently excluded
-  const isCurrentlyExcluded = currentModifiers.some(
-    (m: string) =>
+export function isExcludedFromStats(modifiers: string[], stage: string | null): boolean {
+  return modifiers.some(
+    (m) =>
       m === 'stats-exclude' ||
       m === 'stats-exclude:all' ||
-      (stage && m === `stats-exclude:${stage}`)
+      (stage !== null && m === `stats-exclude:${stage}`)
   );
+}
 
-  let action: string;
-  
-  if (isCurrentlyExcluded) {
-    // Include the case
-    action = stage
-      ? `Included in ${stage} stage statistics`
-      : 'Included in all statistics';
-  } else {
-    // Exclude the case
-    if (stage) {
-      filteredModifiers.push(`stats-exclude:${stage}`);
-      action = `Excluded from ${stage} stage statistics`;
-    } else {
-      filteredModifiers.push('stats-exclude:all');
-      action = 'Excluded from all statistics';
-    }
-
+/**
+ * Exclude a case from (or include it in) statistics
+ */
+async function setCaseExclusion(
+  caseId: string,
+  exclude: boolean,
+  stage: string | null,
+  reason: string | null,
+  userName?: string
+): Promise<{ error: Error | null }> {
+  // Replace existing exclusion modifiers (including the reason)
+  const add: string[] = [];
+  if (exclude) {
+    add.push(stage ? `stats-exclude:${stage}` : 'stats-exclude:all');
     if (reason) {
-      filteredModifiers.push(`stats-exclude-reason:${reason}`);
+      add.push(`stats-exclude-reason:${reason}`);
     }
   }
 
-  const { error: updateError } = await db
-    .from('cases')
-    .update({ modifiers: filteredModifiers })
-    .eq('id', caseId);
+  const { before, after, error } = await updateModifiers(caseId, { removePrefixes: ['stats-exclude'], add });
+  if (error || sameModifiers(before, after)) return { error };
+
+  const action = exclude
+    ? stage
+      ? `Excluded from ${stage} stage statistics`
+      : 'Excluded from all statistics'
+    : stage
+      ? `Included in ${stage} stage statistics`
+      : 'Included in all statistics';
+  await logCase(caseId, action, {
+    type: exclude ? 'stats_excluded' : 'stats_included',
+    field: stage ?? 'all',
+    metadata: exclude && reason ? { reason } : undefined,
+  }, userName);
+  return { error: null };
+}
 
-  if (!updateError) {
-    await logCase(caseId, action);
+/**
+ * Toggle case exclusion from statistics
+ */
+export async function toggleCaseExclusion(
+  caseId: string,
+  stage: string | null = null,
+  reason: string | null = null,
+  userName?: string
+): Promise<{ error: Error | null; isExcluded: boolean }> {
+  // Fetch current case
+  const { data: currentCase, error: fetchError } = await loadForWrite(caseId);
+  if (fetchError || !currentCase) {
+    return { error: fetchError, isExcluded: false };
   }
 
-  return {
-    error: updateError ? new Error(updateError.message) : null,
-    isExcluded: !isCurrentlyExcluded,
-  };
+  // Flip relative to what was read
+  const exclude = !isExcludedFromStats(currentCase.modifiers ?? [], stage);
+  const { error } = await setCaseExclusion(caseId, exclude, stage, reason, userName);
+
+  return { error, isExcluded: exclude };
 }
 
 /**
@@ -512,54 +804,94 @@ export async function batchToggleExclusions(
   caseIds: string[],
   exclude: boolean,
   stage: string | null = null,
-  reason: string | null = null
+  reason: string | null = null,
+  userName?: string
 ): Promise<{ caseId: string; success: boolean; error?: Error }[]> {
   const results: { caseId: string; success: boolean; error?: Error }[] = [];
 
   for (const caseId of caseIds) {
-    const { data: currentCase } = await db
-      .from('cases')
-      .select('modifiers')
-      .eq('id', caseId)
-      .single();
-
-    if (!currentCase) {
-      results.push({ caseId, success: false, error: new Error('Case not found') });
-      continue;
-    }
+    const { error } = await setCaseExclusion(caseId, exclude, stage, reason, userName);
+    results.push({ caseId, success: !error, error: error ?? undefined });
+  }
 
-    const currentModifiers = currentCase.modifiers ?? [];
-    let newModifiers = currentModifiers.filter(
-      (m: string) => !m.startsWith('stats-exclude')
-    );
+  return results;
+}
 
-    if (exclude) {
-      newModifiers.push(stage ? `stats-exclude:${stage}` : 'stats-exclude:all');
-      if (reason) {
-        newModifiers.push(`stats-exclude-reason:${reason}`);
-      }
-    }
+// ═══════════════════════════════════════════════════════════
+// BULK IMPORT
+// ═══════════════════════════════════════════════════════════
 
-    const { error } = await db
-      .from('cases')
-      .update({ modifiers: newModifiers })
-      .eq('id', caseId);
-
-    if (!error) {
-      const action = exclude
-        ? stage
-          ? `Excluded from ${stage} stage statistics`
-          : 'Excluded from all statistics'
-        : stage
-          ? `Included in ${stage} stage statistics`
-          : 'Included in all statistics';
-      await logCase(caseId, action);
-    }
+/** The part of a case number duplicates are matched on (as in checkForDuplicates) */
+function caseNumberKey(caseNumber: string): string {
+  return caseNumber.trim().toLowerCase().split(' ')[0];
+}
+
+/** Active (not completed) cases on the board, by caseNumberKey */
+async function activeCasesByKey(): Promise<Map<string, DbCase[]>> {
+  const { data, error } = await getRepository().listCases({ archived: false });
+  if (error) console.error('Error checking for duplicates:', error);
 
-    results.push({ caseId, success: !error, error: error ? new Error(error.message) : undefined });
+  const byKey = new Map<string, DbCase[]>();
+  for (const row of data ?? []) {
+    if (row.completed) continue;
+    const key = caseNumberKey(row.casenumber);
+    byKey.set(key, [...(byKey.get(key) ?? []), row]);
   }
+  return byKey;
+}
 
-  return results;
+function summarizeImport(dryRun: boolean, counts: Record<ImportRowStatus, number>): string {
+  const parts = dryRun
+    ? [`${counts.ready} ready`]
+    : [`${counts.created} created`, ...(counts.failed ? [`${counts.failed} failed`] : [])];
+  if (counts.duplicate) parts.push(`${counts.duplicate} duplicate${counts.duplicate === 1 ? '' : 's'} skipped`);
+  if (counts.invalid) parts.push(`${counts.invalid} invalid`);
+  return parts.join(', ');
+}
+
+/**
+ * Validate spreadsheet rows and create the good ones, in file order.
+ * A row whose case number is already on the board (or earlier in the
+ * file) is skipped unless it says `allowDuplicate`. With `dryRun`
+ * nothing is written and valid rows are reported as "ready".
+ */
+export async function importCases(
+  rows: ImportRowInput[],
+  { dryRun = false, userName }: { dryRun?: boolean; userName?: string } = {}
+): Promise<ImportReport> {
+  const reports: ImportRowReport[] = [];
+  const seen = new Map<string, number[]>();
+  // Rows created by this import are caught by `seen`, so one read will do
+  const onBoard = await activeCasesByKey();
+
+  for (const row of rows) {
+    const { input, errors } = normalizeImportRow(row);
+    const report: ImportRowReport = { line: row.line, status: 'invalid', input, errors, duplicates: [], duplicateLines: [] };
+    reports.push(report);
+    if (!input) continue;
+
+    const key = caseNumberKey(input.caseNumber);
+    report.duplicateLines = seen.get(key) ?? [];
+    seen.set(key, [...report.duplicateLines, row.line]);
+    report.duplicates = (onBoard.get(key) ?? []).map((c) => ({ id: c.id, caseNumber: c.casenumber }));
+
+    const isDuplicate = report.duplicates.length > 0 || report.duplicateLines.length > 0;
+    if (isDuplicate && !row.allowDuplicate) {
+      report.status = 'duplicate';
+    } else if (dryRun) {
+      report.status = 'ready';
+    } else {
+      const { data, error } = await addCase(input, userName);
+      report.status = data ? 'created' : 'failed';
+      report.caseId = data?.id;
+      if (error) report.errors = [error.message];
+    }
+  }
+
+  const counts: Record<ImportRowStatus, number> = { ready: 0, duplicate: 0, invalid: 0, created: 0, failed: 0 };
+  for (const { status } of reports) counts[status]++;
+
+  return { dryRun, rows: reports, counts, summary: summarizeImport(dryRun, counts) };
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -573,62 +905,45 @@ export async function checkForDuplicates(
   caseNumber: string,
   excludeId?: string
 ): Promise<Case[]> {
-  const searchTerm = caseNumber.trim().toLowerCase();
-  const caseNumPart = searchTerm.split(' ')[0];
-
-  let query = db
-    .from('cases')
-    .select('*')
-    .eq('archived', false)
-    .eq('completed', false);
-
-  if (excludeId) {
-    query = query.neq('id', excludeId);
-  }
-
-  const { data, error } = await query;
-
-  if (error) {
-    console.error('Error checking for duplicates:', error);
-    return [];
-  }
-
-  // Filter for potential duplicates
-  const duplicates = (data ?? []).filter((caseItem) => {
-    const itemCaseNum = caseItem.casenumber.toLowerCase().split(' ')[0];
-    return itemCaseNum === caseNumPart;
-  });
-
-  return duplicates.map(mapDbToCase);
+  const duplicates = (await activeCasesByKey()).get(caseNumberKey(caseNumber)) ?? [];
+  return duplicates.filter((caseItem) => caseItem.id !== excludeId).map(mapDbToCase);
 }
 
 /**
  * Fetch all case history
  */
 export async function fetchAllHistory(): Promise<{ data: DbCaseHistoryWithCase[] | null; error: Error | null }> {
-  const { data, error } = await db
-    .from('case_history')
-    .select('action,created_at,user_name,cases:case_id(casenumber)')
-    .order('created_at', { ascending: false });
+  return getRepository().listAllHistory();
+}
 
-  return {
-    data: data as DbCaseHistoryWithCase[] | null,
-    error: error ? new Error(error.message) : null,
-  };
+/**
+ * Fetch history rows for a single case (oldest first)
+ */
+export async function fetchCaseHistory(caseId: string): Promise<{ data: DbCaseHistory[] | null; error: Error | null }> {
+  return getRepository().listHistory(caseId);
+}
+
+/**
+ * Fetch one case by id, archived or not (null if it doesn't exist)
+ */
+export async function fetchCaseById(id: string): Promise<{ data: Case | null; error: Error | null }> {
+  const { data, error } = await getRepository().getCase(id);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return { data: data ? mapDbToCase(data) : null, error: null };
 }
 
 /**
  * Fetch all non-archived cases
  */
 export async function fetchCases(): Promise<{ data: Case[] | null; error: Error | null }> {
-  const { data, error } = await db
-    .from('cases')
-    .select('*')
-    .eq('archived', false)
-    .order('due');
+  const { data, error } = await getRepository().listCases({ archived: false });
 
   if (error) {
-    return { data: null, error: new Error(error.message) };
+    return { data: null, error };
   }
 
   return {
@@ -641,20 +956,10 @@ export async function fetchCases(): Promise<{ data: Case[] | null; error: Error
  * Fetch archived cases
  */
 export async function fetchArchivedCases(searchQuery = ''): Promise<{ data: Case[] | null; error: Error | null }> {
-  let query = db
-    .from('cases')
-    .select('*')
-    .eq('archived', true)
-    .order('archived_at', { ascending: false });
-
-  if (searchQuery) {
-    query = query.ilike('casenumber', `%${searchQuery}%`);
-  }
-
-  const { data, error } = await query;
+  const { data, error } = await getRepository().listCases({ archived: true, search: searchQuery });
 
   return {
     data: data ? data.map(mapDbToCase) : null,
-    error: error ? new Error(error.message) : null,
+    error,
   };
 }
@@ -0,0 +1,58 @@
+/**
+ * Efficiency service: department and case queries read only that
+ * department's cases and history, not the whole lab's
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLocalRepository, getRepository, setRepository } from '@/repositories';
+import { addCase, toggleRush } from './caseService';
+import { fetchCaseForecast, fetchCaseRisk, fetchDepartmentEfficiency } from './efficiencyService';
+
+let metalId: string;
+let generalId: string;
+
+beforeEach(async () => {
+  setRepository(createLocalRepository());
+  const metal = await addCase({ caseNumber: '8601', department: 'Metal', due: '2026-10-30' });
+  const general = await addCase({ caseNumber: '8602', department: 'General', due: '2026-10-30' });
+  metalId = metal.data!.id;
+  generalId = general.data!.id;
+  await toggleRush(metal.data!);
+  await toggleRush(general.data!);
+});
+
+describe('department reads', () => {
+  it('loads one department for its efficiency', async () => {
+    const repository = getRepository();
+    const listAllHistory = vi.spyOn(repository, 'listAllHistory');
+    const listCases = vi.spyOn(repository, 'listCases');
+
+    const { error } = await fetchDepartmentEfficiency({ department: 'Digital' });
+
+    expect(error).toBeNull();
+    expect(listAllHistory).not.toHaveBeenCalled();
+    expect(listCases.mock.calls.map(([filter]) => filter.department)).toEqual(['General', 'General']);
+  });
+
+  it("forecasts a case from its own department's history", async () => {
+    const listDepartmentHistory = vi.spyOn(getRepository(), 'listDepartmentHistory');
+
+    const { data, error } = await fetchCaseForecast(metalId);
+
+    expect(error).toBeNull();
+    expect(data).not.toBeNull();
+    expect(listDepartmentHistory).toHaveBeenCalledWith('Metal');
+    const { data: history } = await getRepository().listDepartmentHistory('Metal');
+    expect(history?.map((h) => h.case_id)).toContain(metalId);
+    expect(history?.map((h) => h.case_id)).not.toContain(generalId);
+  });
+
+  it('still reads the whole lab without a department', async () => {
+    const listAllHistory = vi.spyOn(getRepository(), 'listAllHistory');
+
+    const { data } = await fetchCaseRisk({});
+
+    expect(listAllHistory).toHaveBeenCalledTimes(1);
+    expect(data).not.toBeNull();
+  });
+});
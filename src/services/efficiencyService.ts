@@ -0,0 +1,169 @@
+/**
+ * Efficiency Service
+ * Loads a department's cases (archived ones included) with their
+ * history and the lab calendar, and runs the velocity engine and
+ * efficiency score over them, or the case-risk predictions and
+ * due-date forecasts
+ */
+
+import { getRepository } from '@/repositories';
+import { mapDbToCase } from './caseService';
+import { fetchCalendar } from './calendarService';
+import {
+  activeLoad,
+  buildForecastBasis,
+  buildRiskBasis,
+  calculateDepartmentEfficiency,
+  calculateEfficiencyScores,
+  collectStageStatistics,
+  efficiencyConfig,
+  forecastCase,
+  generateCaseRiskPredictions,
+} from '@/analytics';
+import type { Case } from '@/types/case';
+import type { DbCase, DbCaseHistory } from '@/types/database';
+import type {
+  CaseForecast,
+  CaseRiskQuery,
+  CaseRiskReport,
+  DepartmentEfficiency,
+  EfficiencyConfig,
+  EfficiencyQuery,
+  EfficiencyScore,
+  EfficiencyScoresQuery,
+  EfficiencyView,
+  ForecastBasis,
+  ScoredStage,
+  StageStatistics,
+  StatsDepartment,
+} from '@/types/efficiency';
+
+interface DepartmentData {
+  cases: Case[];
+  historyByCase: Map<string, DbCaseHistory[]>;
+  /** Default tuning with the lab's calendar */
+  config: EfficiencyConfig;
+}
+
+/**
+ * Every case (archived ones included) and their history rows, or only
+ * one stored department's, plus the calendar
+ */
+async function loadLab(department?: DbCase['department']): Promise<{ data: DepartmentData | null; error: Error | null }> {
+  const repository = getRepository();
+  const [active, archived, history, calendar] = await Promise.all([
+    repository.listCases({ archived: false, department }),
+    repository.listCases({ archived: true, department }),
+    department ? repository.listDepartmentHistory(department) : repository.listAllHistory(),
+    fetchCalendar(),
+  ]);
+  const error = active.error ?? archived.error ?? history.error ?? calendar.error;
+  if (error) return { data: null, error };
+
+  const historyByCase = new Map<string, DbCaseHistory[]>();
+  for (const event of history.data!) {
+    const list = historyByCase.get(event.case_id);
+    if (list) list.push(event);
+    else historyByCase.set(event.case_id, [event]);
+  }
+
+  return {
+    data: {
+      cases: [...active.data!, ...archived.data!].map(mapDbToCase),
+      historyByCase,
+      config: efficiencyConfig({ calendar: calendar.data }),
+    },
+    error: null,
+  };
+}
+
+/**
+ * One department's cases and history (Digital is stored as General)
+ */
+function loadDepartment(department: StatsDepartment): Promise<{ data: DepartmentData | null; error: Error | null }> {
+  return loadLab(department === 'Digital' ? 'General' : department);
+}
+
+/**
+ * Working-time statistics for a Digital stage
+ */
+export async function fetchStageStatistics(stage: ScoredStage): Promise<{ data: StageStatistics | null; error: Error | null }> {
+  const { data, error } = await loadDepartment('Digital');
+  if (error) return { data: null, error };
+  const { cases, historyByCase, config } = data!;
+  return { data: collectStageStatistics(cases, historyByCase, stage, config), error: null };
+}
+
+/**
+ * Efficiency of a department or Digital stage
+ */
+export async function fetchDepartmentEfficiency(
+  query: EfficiencyQuery
+): Promise<{ data: DepartmentEfficiency | null; error: Error | null }> {
+  const { data, error } = await loadDepartment(query.department);
+  if (error) return { data: null, error };
+  const { cases, historyByCase, config } = data!;
+  return {
+    data: calculateDepartmentEfficiency(
+      { department: query.department, stage: query.stage ?? null, previous: query.previous, cases, historyByCase },
+      config
+    ),
+    error: null,
+  };
+}
+
+/**
+ * Score for each of a department's header views
+ */
+export async function fetchEfficiencyScores(
+  query: EfficiencyScoresQuery
+): Promise<{ data: Partial<Record<EfficiencyView, EfficiencyScore>> | null; error: Error | null }> {
+  const { data, error } = await loadDepartment(query.department);
+  if (error) return { data: null, error };
+  const { cases, historyByCase, config } = data!;
+  return {
+    data: calculateEfficiencyScores({ department: query.department, previous: query.previous, cases, historyByCase }, config),
+    error: null,
+  };
+}
+
+/**
+ * Risk benchmarks and forecast durations for every department and the
+ * progress of each active case, for the board to predict from
+ */
+export async function fetchRiskBasis(): Promise<{ data: ForecastBasis | null; error: Error | null }> {
+  const { data, error } = await loadLab();
+  if (error) return { data: null, error };
+  const { cases, historyByCase, config } = data!;
+  return { data: buildForecastBasis(cases, historyByCase, config), error: null };
+}
+
+/**
+ * Risk predictions for the active cases of a department (or all of them)
+ */
+export async function fetchCaseRisk(query: CaseRiskQuery): Promise<{ data: CaseRiskReport | null; error: Error | null }> {
+  const { data, error } = query.department ? await loadDepartment(query.department) : await loadLab();
+  if (error) return { data: null, error };
+  const { cases, historyByCase, config } = data!;
+  const active = cases.filter((c) => !c.completed && !c.archived);
+  return { data: generateCaseRiskPredictions(active, buildRiskBasis(cases, historyByCase, config), config), error: null };
+}
+
+/**
+ * Due-date forecast for one active case, from its department's history
+ */
+export async function fetchCaseForecast(id: string): Promise<{ data: CaseForecast | null; error: Error | null }> {
+  const row = await getRepository().getCase(id);
+  if (row.error) return { data: null, error: row.error };
+  if (!row.data) return { data: null, error: new Error('Case not found') };
+  if (row.data.completed || row.data.archived) return { data: null, error: new Error('Case is already completed') };
+
+  const { data, error } = await loadLab(row.data.department);
+  if (error) return { data: null, error };
+  const { cases, historyByCase, config } = data!;
+
+  const caseItem = cases.find((c) => c.id === id);
+  if (!caseItem) return { data: null, error: new Error('Case not found') };
+  const basis = buildForecastBasis(cases, historyByCase, config);
+  return { data: forecastCase(caseItem, basis, activeLoad(cases), config), error: null };
+}
@@ -0,0 +1,77 @@
+/**
+ * Export Service
+ * Loads the cases for an export scope (and their history when the
+ * export needs it) and renders the file
+ */
+
+import { fetchAllHistory, fetchArchivedCases, fetchCases } from './caseService';
+import { fetchCalendar } from './calendarService';
+import { completedAt, renderExport, toExportedCase } from '@/export';
+import { zonedTime } from '@/lib/calendar';
+import type { Case } from '@/types/case';
+import type { DbCaseHistory } from '@/types/database';
+import type { ExportFile, ExportOptions } from '@/types/export';
+
+/**
+ * Cases in the scope, before any completion-date filter
+ */
+async function loadScope(options: ExportOptions): Promise<{ data: Case[] | null; error: Error | null }> {
+  if (options.scope === 'archived') return fetchArchivedCases(options.search ?? '');
+
+  const active = await fetchCases();
+  if (options.scope === 'active' || active.error) return active;
+
+  const archived = await fetchArchivedCases();
+  if (archived.error) return archived;
+  return { data: [...(active.data ?? []), ...(archived.data ?? [])].filter((c) => c.completed), error: null };
+}
+
+/**
+ * History rows grouped by case, read once for the whole export
+ */
+async function loadHistory(): Promise<{ data: Map<string, DbCaseHistory[]> | null; error: Error | null }> {
+  const { data, error } = await fetchAllHistory();
+  if (error) return { data: null, error };
+
+  const byCase = new Map<string, DbCaseHistory[]>();
+  for (const event of data ?? []) {
+    const events = byCase.get(event.case_id);
+    if (events) events.push(event);
+    else byCase.set(event.case_id, [event]);
+  }
+  return { data: byCase, error: null };
+}
+
+/**
+ * Build an export file
+ *
+ * The completed scope filters on the (lab) day a case was last marked
+ * complete (from its history), falling back to its archive day for
+ * cases completed before history events were recorded.
+ */
+export async function exportCases(options: ExportOptions): Promise<{ data: ExportFile | null; error: Error | null }> {
+  const scope = await loadScope(options);
+  if (scope.error) return { data: null, error: scope.error };
+  let cases = scope.data ?? [];
+
+  const needsHistory = options.includeHistory || options.includeStageDurations || options.scope === 'completed';
+  const history = needsHistory ? await loadHistory() : { data: new Map<string, DbCaseHistory[]>(), error: null };
+  if (history.error) return { data: null, error: history.error };
+  const historyOf = (c: Case) => history.data?.get(c.id) ?? [];
+
+  const calendar = await fetchCalendar();
+  if (calendar.error) return { data: null, error: calendar.error };
+
+  if (options.scope === 'completed' && (options.from || options.to)) {
+    cases = cases.filter((c) => {
+      const at = completedAt(c, historyOf(c)) ?? c.archived_at;
+      if (!at) return false;
+      const day = zonedTime(new Date(at), calendar.data.timezone).date;
+      return (!options.from || day >= options.from) && (!options.to || day <= options.to);
+    });
+  }
+
+  const now = new Date();
+  const records = cases.map((c) => toExportedCase(c, historyOf(c), options, now, calendar.data));
+  return { data: await renderExport(records, options, now), error: null };
+}
@@ -8,6 +8,7 @@ export {
   addCase,
   updateCase,
   removeCase,
+  recreateCase,
   togglePriority,
   toggleRush,
   toggleHold,
@@ -18,13 +19,19 @@ export {
   restoreCase,
   toggleCaseExclusion,
   batchToggleExclusions,
+  importCases,
   checkForDuplicates,
   fetchAllHistory,
+  fetchCaseHistory,
   fetchCases,
+  fetchCaseById,
+  buildNewCaseRow,
+  buildUpdatedFields,
   fetchArchivedCases,
   logCase,
   mapDbToCase,
   getStageFromModifiers,
+  isExcludedFromStats,
 } from './caseService';
 
 // User service
@@ -34,4 +41,47 @@ export {
   stopHeartbeat,
   reportActive,
   fetchActiveUsers,
+  fetchUserRole,
+  setUserRole,
 } from './userService';
+
+// Export service
+export { exportCases } from './exportService';
+
+// Practice service
+export { fetchPractices, savePractice, deletePractice } from './practiceService';
+
+// Calendar service
+export { fetchCalendar, saveCalendar } from './calendarService';
+
+// Note service
+export { fetchNotes, addNote, editNote, pinNote, deleteNote } from './noteService';
+
+// Attachment service
+export { fetchAttachments, attachmentUrl, addAttachment, removeAttachment } from './attachmentService';
+
+// Link service
+export { fetchLinks, fetchRemakeRates, linkCases, unlinkCases, createRemake } from './linkService';
+
+// Efficiency service
+export {
+  fetchStageStatistics,
+  fetchDepartmentEfficiency,
+  fetchEfficiencyScores,
+  fetchRiskBasis,
+  fetchCaseRisk,
+  fetchCaseForecast,
+} from './efficiencyService';
+
+// Audit service
+export { insertActionLogs, fetchActionLog } from './auditService';
+
+// Offline store
+export {
+  loadQueuedActions,
+  saveQueuedAction,
+  deleteQueuedAction,
+  loadPendingAuditEntries,
+  savePendingAuditEntry,
+  deletePendingAuditEntries,
+} from './offlineStore';
@@ -0,0 +1,63 @@
+/**
+ * Link service: unlinking is logged on whichever case still exists, and
+ * a remake whose link fails is removed again
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createLocalRepository, getRepository, setRepository } from '@/repositories';
+import { addCase, fetchCaseHistory, fetchCases, removeCase } from './caseService';
+import { createRemake, linkCases, unlinkCases } from './linkService';
+
+let originalId: string;
+let remakeId: string;
+
+beforeEach(async () => {
+  setRepository(createLocalRepository());
+  const original = await addCase({ caseNumber: '8701', department: 'Metal', due: '2026-10-30' });
+  const remake = await addCase({ caseNumber: '8701 remake', department: 'Metal', due: '2026-11-06' });
+  originalId = original.data!.id;
+  remakeId = remake.data!.id;
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const unlinked = async (caseId: string) =>
+  ((await fetchCaseHistory(caseId)).data ?? []).filter((h) => h.event_type === 'unlinked');
+
+describe('unlinkCases', () => {
+  it('logs on the case that remains when the other was deleted', async () => {
+    const { data: link } = await linkCases({ caseId: remakeId, linkedCaseId: originalId, kind: 'remake_of' }, 'Lee');
+    await removeCase(originalId);
+
+    expect((await unlinkCases(link!.id, 'Lee')).error).toBeNull();
+
+    const rows = await unlinked(remakeId);
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ user_name: 'Lee', old_value: null });
+    expect(rows[0].action).toMatch(/a deleted case$/);
+  });
+
+  it('logs on both cases when both exist', async () => {
+    const { data: link } = await linkCases({ caseId: remakeId, linkedCaseId: originalId, kind: 'remake_of' }, 'Lee');
+
+    await unlinkCases(link!.id, 'Lee');
+
+    expect((await unlinked(remakeId))[0]).toMatchObject({ old_value: '8701' });
+    expect((await unlinked(originalId))[0]).toMatchObject({ old_value: '8701 remake' });
+  });
+});
+
+describe('createRemake', () => {
+  it('removes the copy when the link is not saved', async () => {
+    vi.spyOn(getRepository(), 'insertLink').mockResolvedValueOnce({ data: null, error: new Error('offline') });
+
+    const { data, error } = await createRemake({ id: originalId, reason: 'Open margin', caseNumber: '8701 redo' }, 'Lee');
+
+    expect(data).toBeNull();
+    expect(error?.message).toBe('offline');
+    const { data: cases } = await fetchCases();
+    expect(cases?.map((c) => c.caseNumber)).not.toContain('8701 redo');
+  });
+});
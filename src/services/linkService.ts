@@ -0,0 +1,196 @@
+/**
+ * Link Service
+ * Relationships between cases (remakes, split units, cross-department
+ * dependencies) and the remake-rate report. Adding or removing a link
+ * is recorded in the history of both cases.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { getRepository } from '@/repositories';
+import { addCase, logCase, removeCase } from './caseService';
+import { fetchPractices } from './practiceService';
+import { fetchCalendar } from './calendarService';
+import { LINK_LABELS, REVERSE_LINK_LABELS, remakeInput, remakeRates, wouldCreateCycle } from '@/lib/links';
+import type { Case } from '@/types/case';
+import type { DbCase, DbCaseLink } from '@/types/database';
+import type { CreateRemakeInput, LinkCasesInput, RemakeRate, RemakeRateFilters } from '@/types/link';
+
+async function findCase(id: string): Promise<{ data: DbCase | null; error: Error | null }> {
+  const { data, error } = await getRepository().getCase(id);
+  if (error) return { data: null, error };
+  if (!data) return { data: null, error: new Error('Case not found') };
+  return { data, error: null };
+}
+
+/**
+ * Record a link change in the history of each case that still exists
+ * (links outlive deleted cases, so either side may be gone)
+ */
+async function logLink(
+  link: DbCaseLink,
+  from: DbCase | null,
+  to: DbCase | null,
+  change: 'linked' | 'unlinked',
+  user: string | undefined
+): Promise<void> {
+  const metadata = { link_id: link.id, kind: link.kind, reason: link.reason };
+  const verb = change === 'linked' ? 'Linked' : 'Unlinked';
+  const why = link.reason ? `: ${link.reason}` : '';
+  const number = (row: DbCase | null) => row?.casenumber ?? null;
+
+  if (from) {
+    await logCase(from.id, `${verb}: ${LINK_LABELS[link.kind].toLowerCase()} ${number(to) ?? 'a deleted case'}${why}`, {
+      type: change,
+      field: link.kind,
+      oldValue: change === 'unlinked' ? number(to) : null,
+      newValue: change === 'linked' ? number(to) : null,
+      metadata: { ...metadata, linked_case_id: link.linked_case_id },
+    }, user);
+  }
+  if (to) {
+    await logCase(to.id, `${verb}: ${REVERSE_LINK_LABELS[link.kind].toLowerCase()} ${number(from) ?? 'a deleted case'}${why}`, {
+      type: change,
+      field: link.kind,
+      oldValue: change === 'unlinked' ? number(from) : null,
+      newValue: change === 'linked' ? number(from) : null,
+      metadata: { ...metadata, linked_case_id: link.case_id },
+    }, user);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// READS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Fetch every case link, oldest first
+ */
+export async function fetchLinks(): Promise<{ data: DbCaseLink[]; error: Error | null }> {
+  const { data, error } = await getRepository().listLinks();
+  return { data: data ?? [], error };
+}
+
+/**
+ * Remake rate per department over all cases, archived ones included
+ */
+export async function fetchRemakeRates(
+  filters: RemakeRateFilters = {}
+): Promise<{ data: RemakeRate[] | null; error: Error | null }> {
+  const repository = getRepository();
+  const [active, archived, links] = await Promise.all([
+    repository.listCases({ archived: false }),
+    repository.listCases({ archived: true }),
+    fetchLinks(),
+  ]);
+  const error = active.error ?? archived.error ?? links.error;
+  if (error) return { data: null, error };
+
+  return { data: remakeRates([...active.data!, ...archived.data!], links.data, filters), error: null };
+}
+
+// ═══════════════════════════════════════════════════════════
+// WRITES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Link two cases. A case is a remake of, or split from, one case at
+ * most; dependencies can't go round in a loop.
+ * @param user - the acting user
+ */
+export async function linkCases(
+  input: LinkCasesInput,
+  user: string
+): Promise<{ data: DbCaseLink | null; error: Error | null }> {
+  if (input.caseId === input.linkedCaseId) {
+    return { data: null, error: new Error('A case cannot be linked to itself') };
+  }
+
+  const { data: from, error: fromError } = await findCase(input.caseId);
+  if (!from) return { data: null, error: fromError };
+  const { data: to, error: toError } = await findCase(input.linkedCaseId);
+  if (!to) return { data: null, error: toError };
+
+  const { data: links, error: listError } = await fetchLinks();
+  if (listError) return { data: null, error: listError };
+
+  const sameKind = links.filter((l) => l.kind === input.kind && l.case_id === input.caseId);
+  if (sameKind.some((l) => l.linked_case_id === input.linkedCaseId)) {
+    return { data: null, error: new Error(`${from.casenumber} is already linked to ${to.casenumber}`) };
+  }
+  if (input.kind !== 'depends_on' && sameKind.length > 0) {
+    return {
+      data: null,
+      error: new Error(
+        `${from.casenumber} is already ${input.kind === 'remake_of' ? 'a remake of' : 'split from'} another case`
+      ),
+    };
+  }
+  if (input.kind === 'depends_on' && wouldCreateCycle(links, input.caseId, input.linkedCaseId)) {
+    return { data: null, error: new Error(`${to.casenumber} already waits on ${from.casenumber}`) };
+  }
+
+  const { data, error } = await getRepository().insertLink({
+    id: uuid(),
+    case_id: from.id,
+    linked_case_id: to.id,
+    kind: input.kind,
+    reason: input.reason?.trim() || null,
+    created_by: user,
+  });
+  if (error || !data) return { data: null, error: error ?? new Error('Link was not saved') };
+
+  await logLink(data, from, to, 'linked', user);
+  return { data, error: null };
+}
+
+/**
+ * Remove a link (the cases stay as they are)
+ * @param user - the acting user, for the history
+ */
+export async function unlinkCases(id: string, user?: string): Promise<{ error: Error | null }> {
+  const { data: link, error: findError } = await getRepository().getLink(id);
+  if (findError) return { error: findError };
+  if (!link) return { error: new Error('Link not found') };
+
+  const { error } = await getRepository().deleteLink(id);
+  if (error) return { error };
+
+  // Either case may have been deleted since; log on whichever remain
+  const [{ data: from }, { data: to }] = await Promise.all([
+    getRepository().getCase(link.case_id),
+    getRepository().getCase(link.linked_case_id),
+  ]);
+  await logLink(link, from, to, 'unlinked', user);
+  return { error: null };
+}
+
+/**
+ * Copy a case as a remake and link it to the original with the reason.
+ * The copy is deleted again if the link can't be saved.
+ * @param user - the acting user
+ */
+export async function createRemake(
+  input: CreateRemakeInput,
+  user: string
+): Promise<{ data: Case | null; error: Error | null }> {
+  const { data: original, error: findError } = await findCase(input.id);
+  if (!original) return { data: null, error: findError };
+
+  const { data: practices } = await fetchPractices();
+  const { data: calendar } = await fetchCalendar();
+  const { data: remake, error } = await addCase(remakeInput(original, practices, input, calendar), user);
+  if (error || !remake) return { data: null, error: error ?? new Error('Remake was not created') };
+
+  const { error: linkError } = await linkCases(
+    { caseId: remake.id, linkedCaseId: original.id, kind: 'remake_of', reason: input.reason },
+    user
+  );
+  if (linkError) {
+    // Don't leave an unlinked copy behind for the user to retry over
+    const { error: removeError } = await removeCase(remake.id);
+    if (removeError) console.error('Failed to remove unlinked remake:', removeError);
+    return { data: null, error: linkError };
+  }
+
+  return { data: remake, error: null };
+}
@@ -0,0 +1,183 @@
+/**
+ * Note Service
+ * Reads and writes case notes and comments. Every change is also
+ * recorded in the case's history as a 'note' event.
+ */
+
+import { v4 as uuid } from 'uuid';
+import { getRepository } from '@/repositories';
+import { logCase } from './caseService';
+import { fetchActiveUsers } from './userService';
+import { extractMentions, mentionableUsers, noteExcerpt } from '@/lib/notes';
+import type { DbCaseNote } from '@/types/database';
+import type { AddNoteInput, EditNoteInput, PinNoteInput } from '@/types/note';
+
+type NoteChangeKind = 'added' | 'replied' | 'edited' | 'pinned' | 'unpinned' | 'deleted';
+
+/**
+ * Record a note change in case history
+ */
+async function logNote(
+  note: DbCaseNote,
+  change: NoteChangeKind,
+  action: string,
+  user: string | undefined,
+  oldBody?: string
+): Promise<void> {
+  await logCase(note.case_id, action, {
+    type: 'note',
+    field: 'note',
+    oldValue: oldBody ?? null,
+    newValue: change === 'deleted' ? null : note.body,
+    metadata: { note_id: note.id, change, author: note.author, mentions: note.mentions },
+  }, user);
+}
+
+async function findNote(id: string): Promise<{ data: DbCaseNote | null; error: Error | null }> {
+  const { data, error } = await getRepository().getNote(id);
+  if (error) return { data: null, error };
+  if (!data) return { data: null, error: new Error('Note not found') };
+  return { data, error: null };
+}
+
+async function mentionsIn(body: string): Promise<string[]> {
+  return extractMentions(body, mentionableUsers(await fetchActiveUsers()));
+}
+
+// ═══════════════════════════════════════════════════════════
+// READS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Fetch the notes on some cases, oldest first
+ */
+export async function fetchNotes(caseIds: string[]): Promise<{ data: DbCaseNote[]; error: Error | null }> {
+  const { data, error } = await getRepository().listNotes(caseIds);
+  return { data: data ?? [], error };
+}
+
+// ═══════════════════════════════════════════════════════════
+// WRITES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Add a note to a case, or a reply to one of its notes
+ * @param author - the acting user
+ */
+export async function addNote(
+  input: AddNoteInput,
+  author: string
+): Promise<{ data: DbCaseNote | null; error: Error | null }> {
+  const { data: target, error: caseError } = await getRepository().getCase(input.caseId);
+  if (caseError) return { data: null, error: caseError };
+  if (!target) return { data: null, error: new Error('Case not found') };
+
+  // Threads are one level deep: replying to a reply joins its thread
+  let parentId: string | null = null;
+  if (input.parentId) {
+    const { data: parent, error } = await findNote(input.parentId);
+    if (!parent) return { data: null, error };
+    if (parent.case_id !== input.caseId) {
+      return { data: null, error: new Error('Note belongs to another case') };
+    }
+    parentId = parent.parent_id ?? parent.id;
+  }
+
+  const body = input.body.trim();
+  const { data, error } = await getRepository().insertNote({
+    id: uuid(),
+    case_id: input.caseId,
+    parent_id: parentId,
+    author,
+    body,
+    mentions: await mentionsIn(body),
+    pinned: false,
+    edits: [],
+  });
+  if (error || !data) return { data: null, error: error ?? new Error('Note was not saved') };
+
+  await logNote(
+    data,
+    parentId ? 'replied' : 'added',
+    `${parentId ? 'Reply' : 'Note'} added: "${noteExcerpt(body)}"`,
+    author
+  );
+  return { data, error: null };
+}
+
+/**
+ * Change a note's text; the old text is kept in its edit history.
+ * Only the author may edit.
+ */
+export async function editNote(
+  input: EditNoteInput,
+  editor: string
+): Promise<{ data: DbCaseNote | null; error: Error | null }> {
+  const { data: note, error: findError } = await findNote(input.id);
+  if (!note) return { data: null, error: findError };
+  if (note.author !== editor) {
+    return { data: null, error: new Error('Only the author can edit a note') };
+  }
+
+  const body = input.body.trim();
+  if (body === note.body) return { data: note, error: null };
+
+  const { data, error } = await getRepository().updateNote(note.id, {
+    body,
+    mentions: await mentionsIn(body),
+    edits: [...note.edits, { body: note.body, edited_at: new Date().toISOString() }],
+  });
+  if (error || !data) return { data: null, error: error ?? new Error('Note not found') };
+
+  await logNote(data, 'edited', `Note edited: "${noteExcerpt(body)}"`, editor, note.body);
+  return { data, error: null };
+}
+
+/**
+ * Pin a top-level note to its case (unpinning the case's other one),
+ * or unpin it
+ * @param user - the acting user, for the history
+ */
+export async function pinNote(
+  { id, pinned }: PinNoteInput,
+  user?: string
+): Promise<{ data: DbCaseNote | null; error: Error | null }> {
+  const { data: note, error: findError } = await findNote(id);
+  if (!note) return { data: null, error: findError };
+  if (note.parent_id) {
+    return { data: null, error: new Error('Only top-level notes can be pinned') };
+  }
+  if (note.pinned === pinned) return { data: note, error: null };
+
+  if (pinned) {
+    const { data: caseNotes, error } = await fetchNotes([note.case_id]);
+    if (error) return { data: null, error };
+    for (const other of caseNotes.filter((n) => n.pinned && n.id !== id)) {
+      const { error: unpinError } = await getRepository().updateNote(other.id, { pinned: false });
+      if (unpinError) return { data: null, error: unpinError };
+    }
+  }
+
+  const { data, error } = await getRepository().updateNote(id, { pinned });
+  if (error || !data) return { data: null, error: error ?? new Error('Note not found') };
+
+  await logNote(data, pinned ? 'pinned' : 'unpinned', `Note ${pinned ? 'pinned' : 'unpinned'}: "${noteExcerpt(data.body)}"`, user);
+  return { data, error: null };
+}
+
+/**
+ * Delete a note and its replies. Only the author may delete.
+ */
+export async function deleteNote(id: string, user: string): Promise<{ error: Error | null }> {
+  const { data: note, error: findError } = await findNote(id);
+  if (!note) return { error: findError };
+  if (note.author !== user) {
+    return { error: new Error('Only the author can delete a note') };
+  }
+
+  const { error } = await getRepository().deleteNote(id);
+  if (error) return { error };
+
+  await logNote(note!, 'deleted', `${note.parent_id ? 'Reply' : 'Note'} deleted: "${noteExcerpt(note.body)}"`, user, note.body);
+  return { error: null };
+}
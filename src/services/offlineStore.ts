@@ -0,0 +1,125 @@
+/**
+ * Offline Store
+ * IndexedDB persistence for queued case mutations, so actions taken
+ * while the lab Wi-Fi is down survive a reload, and for audit entries
+ * not yet written to the action log
+ */
+
+import { OFFLINE_DB_NAME } from '@/lib/constants';
+import type { QueuedAction } from '@/types/offline';
+import type { ActionLogInsert } from '@/types/repository';
+
+const STORE = 'queue';
+const AUDIT_STORE = 'audit';
+const VERSION = 2;
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+// ═══════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════
+
+function openDatabase(): Promise<IDBDatabase> {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  dbPromise ??= new Promise<IDBDatabase>((resolve, reject) => {
+    const request = indexedDB.open(OFFLINE_DB_NAME, VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      if (!database.objectStoreNames.contains(STORE)) database.createObjectStore(STORE, { keyPath: 'seq' });
+      if (!database.objectStoreNames.contains(AUDIT_STORE)) database.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('Could not open offline store'));
+  }).catch((err) => {
+    dbPromise = null; // Allow a later retry
+    throw err;
+  });
+
+  return dbPromise;
+}
+
+async function run<T>(
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest<T>,
+  storeName: string = STORE
+): Promise<{ data: T | null; error: Error | null }> {
+  try {
+    const database = await openDatabase();
+    const request = operation(database.transaction(storeName, mode).objectStore(storeName));
+    const data = await new Promise<T>((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return { data, error: null };
+  } catch (err) {
+    return { data: null, error: err instanceof Error ? err : new Error(String(err)) };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════
+// QUEUE OPERATIONS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Load every queued action in replay order
+ */
+export async function loadQueuedActions(): Promise<{ data: QueuedAction[]; error: Error | null }> {
+  const { data, error } = await run('readonly', (store) => store.getAll() as IDBRequest<QueuedAction[]>);
+  return { data: (data ?? []).sort((a, b) => a.seq - b.seq), error };
+}
+
+/**
+ * Persist a queued action
+ */
+export async function saveQueuedAction(entry: QueuedAction): Promise<{ error: Error | null }> {
+  const { error } = await run('readwrite', (store) => store.put(entry));
+  return { error };
+}
+
+/**
+ * Remove a queued action once it has been replayed or discarded
+ */
+export async function deleteQueuedAction(seq: number): Promise<{ error: Error | null }> {
+  const { error } = await run('readwrite', (store) => store.delete(seq));
+  return { error };
+}
+
+// ═══════════════════════════════════════════════════════════
+// PENDING AUDIT ENTRIES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Load the audit entries a client recorded but hasn't written yet,
+ * oldest first
+ */
+export async function loadPendingAuditEntries(client: string): Promise<{ data: ActionLogInsert[]; error: Error | null }> {
+  const { data, error } = await run(
+    'readonly',
+    (store) => store.getAll() as IDBRequest<ActionLogInsert[]>,
+    AUDIT_STORE
+  );
+  const own = (data ?? []).filter((entry) => entry.client === client);
+  return { data: own.sort((a, b) => a.created_at.localeCompare(b.created_at)), error };
+}
+
+/**
+ * Persist an audit entry until it has been written
+ */
+export async function savePendingAuditEntry(entry: ActionLogInsert): Promise<{ error: Error | null }> {
+  const { error } = await run('readwrite', (store) => store.put(entry), AUDIT_STORE);
+  return { error };
+}
+
+/**
+ * Remove audit entries once they are in the action log
+ */
+export async function deletePendingAuditEntries(ids: string[]): Promise<{ error: Error | null }> {
+  for (const id of ids) {
+    const { error } = await run('readwrite', (store) => store.delete(id), AUDIT_STORE);
+    if (error) return { error };
+  }
+  return { error: null };
+}
@@ -0,0 +1,55 @@
+/**
+ * Practice Service
+ * Reads and writes the client directory
+ */
+
+import { v4 as uuid } from 'uuid';
+import { getRepository } from '@/repositories';
+import { isSamePractice, practiceFields } from '@/lib/practices';
+import type { DbPractice } from '@/types/database';
+import type { SavePracticeInput } from '@/types/practice';
+
+/**
+ * Fetch the whole directory, by name
+ */
+export async function fetchPractices(): Promise<{ data: DbPractice[]; error: Error | null }> {
+  const { data, error } = await getRepository().listPractices();
+  return { data: data ?? [], error };
+}
+
+/**
+ * Add a practice, or update the one with `input.id`
+ */
+export async function savePractice(input: SavePracticeInput): Promise<{ data: DbPractice | null; error: Error | null }> {
+  const { data: practices, error: listError } = await fetchPractices();
+  if (listError) return { data: null, error: listError };
+
+  const existing = input.id ? practices.find((p) => p.id === input.id) : undefined;
+  if (input.id && !existing) {
+    return { data: null, error: new Error('Practice not found') };
+  }
+
+  const fields = practiceFields(input);
+  const taken = practices.find((p) => p.id !== existing?.id && isSamePractice(p.name, fields.name));
+  if (taken) {
+    return { data: null, error: new Error(`${taken.name} is already in the directory`) };
+  }
+
+  return getRepository().upsertPractice({
+    id: existing?.id ?? uuid(),
+    contact: existing?.contact ?? null,
+    doctors: existing?.doctors ?? [],
+    default_department: existing?.default_department ?? null,
+    turnaround_days: existing?.turnaround_days ?? {},
+    rush_surcharge: existing?.rush_surcharge ?? false,
+    notes: existing?.notes ?? null,
+    ...fields,
+  });
+}
+
+/**
+ * Remove a practice from the directory (cases keep its name)
+ */
+export async function deletePractice(id: string): Promise<{ error: Error | null }> {
+  return getRepository().deletePractice(id);
+}
@@ -3,8 +3,9 @@
  * Handles user identity and presence/heartbeat system
  */
 
-import { db } from '@/lib/supabase';
-import { APP_VERSION, HEARTBEAT_INTERVAL, ACTIVITY_DEBOUNCE, STORAGE_KEYS } from '@/lib/constants';
+import { getRepository } from '@/repositories';
+import { APP_VERSION, HEARTBEAT_INTERVAL, ACTIVITY_DEBOUNCE, STORAGE_KEYS, DEFAULT_ROLE } from '@/lib/constants';
+import type { Role } from '@/types/permissions';
 
 // ═══════════════════════════════════════════════════════════
 // USER IDENTITY
@@ -78,16 +79,11 @@ export async function reportActive(reason = 'unknown'): Promise<void> {
   log(`Reporting active - reason: ${reason}`);
 
   try {
-    const { error } = await db.from('active_devices').upsert(
-      {
-        user_name: userName,
-        app_version: APP_VERSION,
-        last_seen: new Date().toISOString(),
-      },
-      {
-        onConflict: 'user_name',
-      }
-    );
+    const { error } = await getRepository().upsertActiveDevice({
+      user_name: userName,
+      app_version: APP_VERSION,
+      last_seen: new Date().toISOString(),
+    });
 
     if (error) {
       console.error('Failed to report active:', error);
@@ -260,10 +256,7 @@ export function stopHeartbeat(): void {
  */
 export async function fetchActiveUsers(): Promise<{ user_name: string; last_seen: string }[]> {
   try {
-    const { data, error } = await db
-      .from('active_devices')
-      .select('user_name, last_seen')
-      .order('last_seen', { ascending: false });
+    const { data, error } = await getRepository().listActiveDevices();
 
     if (error) throw error;
     return data || [];
@@ -272,3 +265,23 @@ export async function fetchActiveUsers(): Promise<{ user_name: string; last_seen
     return [];
   }
 }
+
+// ═══════════════════════════════════════════════════════════
+// ROLES
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Fetch a user's role (users without a row are technicians). Keyed on
+ * the self-declared display name, so it is not proof of who is asking.
+ */
+export async function fetchUserRole(userName: string): Promise<{ data: Role; error: Error | null }> {
+  const { data, error } = await getRepository().getUserRole(userName);
+  return { data: data ?? DEFAULT_ROLE, error };
+}
+
+/**
+ * Assign a user's role
+ */
+export async function setUserRole(userName: string, role: Role): Promise<{ error: Error | null }> {
+  return getRepository().setUserRole(userName.trim(), role);
+}
@@ -0,0 +1,52 @@
+/**
+ * Browser Files
+ * Keeps the local storage adapter's files in IndexedDB, so attachments
+ * on a board running without Supabase survive reloads
+ */
+
+import { LOCAL_FILES_DB_NAME } from '@/lib/constants';
+import type { LocalFileStore } from '@/types/storage';
+
+const STORE = 'files';
+
+function openDatabase(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(LOCAL_FILES_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error('Could not open local file store'));
+  });
+}
+
+function complete<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Keep files in IndexedDB, by path
+ */
+export function indexedDbFiles(): LocalFileStore {
+  let opened: Promise<IDBDatabase> | null = null;
+  const store = async (mode: IDBTransactionMode) => {
+    opened ??= openDatabase();
+    return (await opened).transaction(STORE, mode).objectStore(STORE);
+  };
+
+  return {
+    async read(path) {
+      const data = await complete((await store('readonly')).get(path) as IDBRequest<Uint8Array | undefined>);
+      return data ?? null;
+    },
+    async write(path, data) {
+      await complete((await store('readwrite')).put(data, path));
+    },
+    async remove(path) {
+      await complete((await store('readwrite')).delete(path));
+    },
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Storage
+ * Where attachment files live. Follows the data backend
+ * (NEXT_PUBLIC_DATA_BACKEND): Supabase Storage by default, local files
+ * with the local backend. Services call getStorage() on every
+ * operation, so setStorage() takes effect immediately.
+ */
+
+import type { AttachmentStorage, StorageBackend } from '@/types/storage';
+import { configuredBackend } from '@/repositories';
+import { createSupabaseStorage } from './supabaseStorage';
+import { createLocalFileStorage } from './localFileStorage';
+import { indexedDbFiles } from './browserFiles';
+
+let active: AttachmentStorage | null = null;
+
+/**
+ * The storage backend for the configured data backend
+ */
+export function configuredStorageBackend(): StorageBackend {
+  return configuredBackend();
+}
+
+/**
+ * The storage attachment services read and write through
+ */
+export function getStorage(): AttachmentStorage {
+  active ??= configuredStorageBackend() === 'local'
+    ? createLocalFileStorage({
+        files: typeof indexedDB === 'undefined' ? undefined : indexedDbFiles(),
+      })
+    : createSupabaseStorage();
+  return active;
+}
+
+/**
+ * Replace the storage (server directory, tests)
+ */
+export function setStorage(storage: AttachmentStorage): void {
+  active = storage;
+}
+
+export { createSupabaseStorage } from './supabaseStorage';
+export { createLocalFileStorage, memoryFiles } from './localFileStorage';
+export type { LocalFileStorageOptions } from './localFileStorage';
@@ -0,0 +1,78 @@
+/**
+ * Local File Storage
+ * AttachmentStorage on a LocalFileStore, for machines without Supabase
+ * and for automated tests. The browser keeps files in IndexedDB, the
+ * server in the LOCAL_ATTACHMENTS_DIR directory; without a store they
+ * live in memory.
+ */
+
+import { bytesToBase64 } from '@/utils/fileUtils';
+import type { AttachmentStorage, LocalFileStore } from '@/types/storage';
+
+export interface LocalFileStorageOptions {
+  /** Omit for throwaway in-memory files */
+  files?: LocalFileStore;
+}
+
+/**
+ * Files in a Map, gone when the process ends
+ */
+export function memoryFiles(): LocalFileStore {
+  const files = new Map<string, Uint8Array>();
+  return {
+    async read(path) {
+      return files.get(path) ?? null;
+    },
+    async write(path, data) {
+      files.set(path, data);
+    },
+    async remove(path) {
+      files.delete(path);
+    },
+  };
+}
+
+/** Object URL in the browser (revoke it when done), data URL elsewhere */
+function toUrl(data: Uint8Array, contentType: string): string {
+  if (typeof window !== 'undefined' && typeof URL.createObjectURL === 'function') {
+    return URL.createObjectURL(new Blob([data as BlobPart], { type: contentType }));
+  }
+  return `data:${contentType};base64,${bytesToBase64(data)}`;
+}
+
+/**
+ * Create storage on local files
+ */
+export function createLocalFileStorage({ files = memoryFiles() }: LocalFileStorageOptions = {}): AttachmentStorage {
+  return {
+    backend: 'local',
+
+    async upload(path, data) {
+      try {
+        await files.write(path, data);
+        return { error: null };
+      } catch (err) {
+        return { error: err instanceof Error ? err : new Error(String(err)) };
+      }
+    },
+
+    async getUrl(path, contentType) {
+      try {
+        const data = await files.read(path);
+        if (!data) return { data: null, error: new Error('File not found') };
+        return { data: toUrl(data, contentType), error: null };
+      } catch (err) {
+        return { data: null, error: err instanceof Error ? err : new Error(String(err)) };
+      }
+    },
+
+    async remove(paths) {
+      try {
+        for (const path of paths) await files.remove(path);
+        return { error: null };
+      } catch (err) {
+        return { error: err instanceof Error ? err : new Error(String(err)) };
+      }
+    },
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * Server Storage Setup
+ * Server-only: gives the local storage adapter a directory on disk.
+ * Not re-exported from the storage barrel, since node:fs does not
+ * belong in the browser bundle.
+ */
+
+import { mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve, sep } from 'node:path';
+import { createLocalFileStorage } from './localFileStorage';
+import { configuredStorageBackend, setStorage } from './index';
+import type { LocalFileStore } from '@/types/storage';
+
+/**
+ * Keep files under a directory, by path (paths can't climb out of it)
+ */
+export function directoryFiles(root: string): LocalFileStore {
+  const base = resolve(root);
+  const fullPath = (path: string) => {
+    const full = resolve(join(base, path));
+    if (!full.startsWith(base + sep)) throw new Error(`Invalid file path: ${path}`);
+    return full;
+  };
+
+  return {
+    async read(path) {
+      try {
+        return new Uint8Array(await readFile(fullPath(path)));
+      } catch (err) {
+        if ((err as NodeJS.ErrnoException).code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+    async write(path, data) {
+      const full = fullPath(path);
+      await mkdir(dirname(full), { recursive: true });
+      await writeFile(full, data);
+    },
+    async remove(path) {
+      await rm(fullPath(path), { force: true });
+    },
+  };
+}
+
+let configured = false;
+
+/**
+ * Point the server at LOCAL_ATTACHMENTS_DIR when local storage is in
+ * use (otherwise the server's files live only in memory)
+ */
+export function configureServerStorage(): void {
+  if (configured) return;
+  configured = true;
+
+  const dir = process.env.LOCAL_ATTACHMENTS_DIR;
+  if (configuredStorageBackend() === 'local' && dir) {
+    setStorage(createLocalFileStorage({ files: directoryFiles(dir) }));
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Supabase Storage
+ * AttachmentStorage on a private Supabase Storage bucket. Files are
+ * read through signed URLs that expire after ATTACHMENT_URL_TTL.
+ */
+
+import type { SupabaseClient } from '@supabase/supabase-js';
+import { db } from '@/lib/supabase';
+import { ATTACHMENT_BUCKET, ATTACHMENT_URL_TTL } from '@/lib/constants';
+import type { AttachmentStorage } from '@/types/storage';
+
+function toError(error: { message: string } | null): Error | null {
+  return error ? new Error(error.message) : null;
+}
+
+/**
+ * Create storage on a Supabase bucket
+ * @param client - defaults to the app-wide client from lib/supabase
+ */
+export function createSupabaseStorage(client: SupabaseClient = db, bucket = ATTACHMENT_BUCKET): AttachmentStorage {
+  const files = () => client.storage.from(bucket);
+
+  return {
+    backend: 'supabase',
+
+    async upload(path, data, contentType) {
+      const { error } = await files().upload(path, data, { contentType, upsert: false });
+      return { error: toError(error) };
+    },
+
+    async getUrl(path) {
+      const { data, error } = await files().createSignedUrl(path, ATTACHMENT_URL_TTL);
+      return { data: data?.signedUrl ?? null, error: toError(error) };
+    },
+
+    async remove(paths) {
+      if (paths.length === 0) return { error: null };
+      const { error } = await files().remove(paths);
+      return { error: toError(error) };
+    },
+  };
+}
@@ -4,7 +4,27 @@
  */
 
 import type { Case, CreateCaseInput, UpdateCaseInput, CaseFilters, CaseStage, Department } from './case';
-import type { DbCaseHistoryWithCase } from './database';
+import type { DbCase, DbCaseHistory, DbCaseHistoryWithCase, DbActionLog, DbCaseNote, DbPractice, DbAttachment, DbCaseLink } from './database';
+import type { Role } from './permissions';
+import type { ImportReport, ImportRowInput } from './import';
+import type { ExportFile, ExportOptions } from './export';
+import type { SavePracticeInput } from './practice';
+import type { LabCalendar, SaveCalendarInput } from './calendar';
+import type { AddNoteInput, EditNoteInput, PinNoteInput } from './note';
+import type { AddAttachmentInput } from './attachment';
+import type { CreateRemakeInput, LinkCasesInput, RemakeRate, RemakeRateFilters } from './link';
+import type {
+  DepartmentEfficiency,
+  EfficiencyQuery,
+  EfficiencyScore,
+  EfficiencyScoresQuery,
+  CaseRiskQuery,
+  CaseForecast,
+  CaseRiskReport,
+  EfficiencyView,
+  ScoredStage,
+  StageStatistics,
+} from './efficiency';
 
 // ═══════════════════════════════════════════════════════════
 // ACTION TYPES (all possible actions)
@@ -25,11 +45,36 @@ export type ActionType =
   | 'case.restore'
   | 'case.toggle_stats_exclusion'
   | 'case.batch_toggle_exclusions'
+  | 'case.recreate'
+  | 'case.import'
+  | 'case.export'
+  // Linked cases
+  | 'case.link'
+  | 'case.unlink'
+  | 'case.create_remake'
+  // Client directory
+  | 'practice.save'
+  | 'practice.delete'
+  // Lab calendar
+  | 'calendar.save'
+  // Case notes
+  | 'note.add'
+  | 'note.edit'
+  | 'note.pin'
+  | 'note.delete'
+  // Case attachments
+  | 'attachment.add'
+  | 'attachment.remove'
+  // History actions (undo/redo)
+  | 'history.undo'
+  | 'history.redo'
   // User actions
   | 'user.set_name'
   | 'user.switch'
+  | 'user.set_role'
   // UI actions
   | 'ui.set_department'
+  | 'ui.set_practice'
   | 'ui.set_theme'
   | 'ui.open_editor'
   | 'ui.close_editor'
@@ -44,6 +89,19 @@ export type ActionType =
   | 'query.check_duplicates'
   | 'query.get_history'
   | 'query.get_active_users'
+  | 'query.get_action_log'
+  | 'query.list_practices'
+  | 'query.get_calendar'
+  | 'query.list_notes'
+  | 'query.list_attachments'
+  | 'query.get_attachment_url'
+  | 'query.list_links'
+  | 'query.remake_rates'
+  | 'query.stage_statistics'
+  | 'query.department_efficiency'
+  | 'query.efficiency_scores'
+  | 'query.case_risk'
+  | 'query.forecast_case'
   // Data actions
   | 'data.refresh';
 
@@ -66,18 +124,49 @@ export interface ActionPayloads {
   'case.restore': { id: string };
   'case.toggle_stats_exclusion': { id: string; stage?: string; reason?: string };
   'case.batch_toggle_exclusions': { ids: string[]; exclude: boolean; stage?: string; reason?: string };
+  'case.recreate': { snapshot: DbCase; history?: DbCaseHistory[] };
+  'case.import': { rows: ImportRowInput[]; dryRun?: boolean };
+  'case.export': ExportOptions;
+
+  // Linked cases
+  'case.link': LinkCasesInput;
+  'case.unlink': { id: string };
+  'case.create_remake': CreateRemakeInput;
+
+  // Client directory
+  'practice.save': SavePracticeInput;
+  'practice.delete': { id: string };
+
+  // Lab calendar
+  'calendar.save': SaveCalendarInput;
+
+  // Case notes
+  'note.add': AddNoteInput;
+  'note.edit': EditNoteInput;
+  'note.pin': PinNoteInput;
+  'note.delete': { id: string };
+
+  // Case attachments
+  'attachment.add': AddAttachmentInput;
+  'attachment.remove': { id: string };
+  
+  // History actions
+  'history.undo': Record<string, never>;
+  'history.redo': Record<string, never>;
   
   // User actions
   'user.set_name': { name: string };
   'user.switch': Record<string, never>;
+  'user.set_role': { userName: string; role: Role };
   
   // UI actions
   'ui.set_department': { department: Department | null };
+  'ui.set_practice': { practice?: string | null };
   'ui.set_theme': { theme: 'light' | 'dark' | 'system' };
   'ui.open_editor': { id?: string };
   'ui.close_editor': Record<string, never>;
   'ui.open_settings': { tab?: 'user' | 'display' | 'system' };
-  'ui.navigate': { view: 'board' | 'manage' | 'history' | 'archive' };
+  'ui.navigate': { view: 'board' | 'manage' | 'history' | 'archive' | 'audit' };
   
   // Query actions
   'query.get_case': { id: string };
@@ -88,6 +177,19 @@ export interface ActionPayloads {
   'query.check_duplicates': { caseNumber: string; excludeId?: string };
   'query.get_history': { caseId?: string; limit?: number };
   'query.get_active_users': Record<string, never>;
+  'query.get_action_log': ActionLogFilters;
+  'query.list_practices': Record<string, never>;
+  'query.get_calendar': Record<string, never>;
+  'query.list_notes': { caseId: string };
+  'query.list_attachments': { caseId: string };
+  'query.get_attachment_url': { id: string };
+  'query.list_links': { caseId?: string };
+  'query.remake_rates': RemakeRateFilters;
+  'query.stage_statistics': { stage: ScoredStage };
+  'query.department_efficiency': EfficiencyQuery;
+  'query.efficiency_scores': EfficiencyScoresQuery;
+  'query.case_risk': CaseRiskQuery;
+  'query.forecast_case': { id: string };
   
   // Data actions
   'data.refresh': Record<string, never>;
@@ -111,9 +213,28 @@ export interface ActionResults {
   'case.restore': void;
   'case.toggle_stats_exclusion': { isExcluded: boolean };
   'case.batch_toggle_exclusions': { caseId: string; success: boolean }[];
+  'case.recreate': Case;
+  'case.import': ImportReport;
+  'case.export': ExportFile;
+  'case.link': DbCaseLink;
+  'case.unlink': void;
+  'case.create_remake': Case;
+  'practice.save': DbPractice;
+  'practice.delete': void;
+  'calendar.save': LabCalendar;
+  'note.add': DbCaseNote;
+  'note.edit': DbCaseNote;
+  'note.pin': DbCaseNote;
+  'note.delete': void;
+  'attachment.add': DbAttachment;
+  'attachment.remove': void;
+  'history.undo': { label: string };
+  'history.redo': { label: string };
   'user.set_name': void;
   'user.switch': void;
+  'user.set_role': void;
   'ui.set_department': void;
+  'ui.set_practice': void;
   'ui.set_theme': void;
   'ui.open_editor': void;
   'ui.close_editor': void;
@@ -127,6 +248,19 @@ export interface ActionResults {
   'query.check_duplicates': Case[];
   'query.get_history': DbCaseHistoryWithCase[];
   'query.get_active_users': { user_name: string; last_seen: string }[];
+  'query.get_action_log': DbActionLog[];
+  'query.list_practices': DbPractice[];
+  'query.get_calendar': LabCalendar;
+  'query.list_notes': DbCaseNote[];
+  'query.list_attachments': DbAttachment[];
+  'query.get_attachment_url': { url: string };
+  'query.list_links': DbCaseLink[];
+  'query.remake_rates': RemakeRate[];
+  'query.stage_statistics': StageStatistics;
+  'query.department_efficiency': DepartmentEfficiency;
+  'query.efficiency_scores': Partial<Record<EfficiencyView, EfficiencyScore>>;
+  'query.case_risk': CaseRiskReport;
+  'query.forecast_case': CaseForecast;
   'data.refresh': void;
 }
 
@@ -157,23 +291,128 @@ export type ActionHandler<T extends ActionType> = (
 // Context passed to handlers
 export interface ActionContext {
   getRowById: (id: string) => Case | undefined;
+  /** All loaded (non-archived) cases, for query handlers */
+  getAllRows: () => Case[];
   getCurrentUser: () => string;
+  /** Rejects when the history can't be read (never resolves to a partial list) */
+  getCaseHistory: (caseId: string) => Promise<DbCaseHistory[]>;
   // Add more context as needed
 }
 
+// ═══════════════════════════════════════════════════════════
+// AUDIT LOG
+// ═══════════════════════════════════════════════════════════
+
+export interface ActionLogFilters {
+  userName?: string;
+  /** Exact action type, or a prefix such as "case.*" */
+  actionType?: string;
+  /** Inclusive start day, "YYYY-MM-DD" */
+  from?: string;
+  /** Inclusive end day, "YYYY-MM-DD" */
+  to?: string;
+  limit?: number;
+}
+
+// ═══════════════════════════════════════════════════════════
+// BATCH DISPATCH
+// ═══════════════════════════════════════════════════════════
+
+export interface BatchOptions {
+  /**
+   * All-or-nothing: payloads are validated up front, and if any action
+   * fails every already-applied case mutation is compensated
+   */
+  atomic?: boolean;
+  /**
+   * Keep executing after a failure. In atomic mode this collects every
+   * error before rolling back; otherwise successful actions stay applied.
+   */
+  continueOnError?: boolean;
+}
+
+export type BatchActionStatus = 'applied' | 'failed' | 'skipped' | 'rolled_back';
+
+/** Outcome of one action within a batch */
+export interface BatchActionReport {
+  index: number;
+  type: ActionType;
+  status: BatchActionStatus;
+  data?: unknown;
+  error?: string;
+  fieldErrors?: FieldError[];
+}
+
+export interface BatchResult {
+  /** True only if every action was applied */
+  success: boolean;
+  /** True if an atomic batch failed and all compensations succeeded */
+  rolledBack: boolean;
+  results: BatchActionReport[];
+  /** Compensations that failed (data may be partially applied) */
+  rollbackErrors: string[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// UNDO / REDO
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * A compensating action the dispatcher built itself. It runs with the
+ * permission of the action it reverses (or redoes), so undoing a create
+ * doesn't need case.delete's role.
+ */
+export interface InverseAction {
+  action: Action;
+  authorizedBy: ActionType;
+}
+
+/** A reversible step on the undo or redo stack */
+export interface UndoEntry {
+  /** Human-readable summary, e.g. "Rush toggled · 1234" */
+  label: string;
+  /** Actions that reverse the step, executed in order */
+  actions: InverseAction[];
+  timestamp: number;
+}
+
+/** Snapshot of the undo/redo stacks for UI consumption */
+export interface UndoState {
+  canUndo: boolean;
+  canRedo: boolean;
+  undoLabel: string | null;
+  redoLabel: string | null;
+  /** Most recent stack change (drives the undo toast) */
+  lastChange: { kind: 'do' | 'undo' | 'redo'; label: string; timestamp: number } | null;
+}
+
 // ═══════════════════════════════════════════════════════════
 // ACTION SCHEMA (for documentation/LLM)
 // ═══════════════════════════════════════════════════════════
 
+export type ActionFieldType =
+  | 'string'
+  | 'number'
+  | 'boolean'
+  | 'date' // "YYYY-MM-DD"
+  | 'uuid'
+  | 'enum'
+  | 'array'
+  | 'object';
+
+export interface ActionFieldSchema {
+  type: ActionFieldType;
+  required?: boolean;
+  default?: unknown;
+  description?: string;
+  values?: readonly string[];
+  /** Element type for arrays */
+  items?: Exclude<ActionFieldType, 'array' | 'enum'>;
+}
+
 export interface ActionSchemaEntry {
   description: string;
-  payload: Record<string, {
-    type: string;
-    required?: boolean;
-    default?: unknown;
-    description?: string;
-    values?: readonly string[];
-  }>;
+  payload: Record<string, ActionFieldSchema>;
   examples?: unknown[];
   returns?: string;
 }
@@ -185,5 +424,25 @@ export type ActionSchema = Record<ActionType, ActionSchemaEntry>;
 // ═══════════════════════════════════════════════════════════
 
 export type DispatchResult<T extends ActionType> = 
-  | { success: true; data: ActionResults[T] }
-  | { success: false; error: string };
+  | { success: true; data: ActionResults[T]; queued?: boolean }
+  | { success: false; error: string; fieldErrors?: FieldError[]; conflict?: CaseConflict };
+
+/** Set when a write lost a compare-and-swap (see ConflictError) */
+export interface CaseConflict {
+  /** The case as stored now - "theirs" (null if it was deleted) */
+  current: Case | null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// VALIDATION ERRORS
+// ═══════════════════════════════════════════════════════════
+
+export type FieldErrorCode = 'required' | 'type' | 'enum' | 'format' | 'unknown';
+
+/** A payload problem tied to one field (e.g. for display next to a form input) */
+export interface FieldError {
+  /** Payload field name; array elements use "ids[2]" */
+  field: string;
+  code: FieldErrorCode;
+  message: string;
+}
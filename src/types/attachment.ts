@@ -0,0 +1,14 @@
+/**
+ * Attachment Types
+ * Input for case attachments (see DbAttachment for the stored row)
+ */
+
+/** A file to attach; the bytes travel base64-encoded in the action payload */
+export interface AddAttachmentInput {
+  caseId: string;
+  fileName: string;
+  /** As the browser reports it; scans are stored as octet-stream */
+  contentType: string;
+  /** Base64 file contents */
+  data: string;
+}
@@ -0,0 +1,66 @@
+/**
+ * Calendar Types
+ * The lab's working calendar: when each department works, in the lab's
+ * timezone. Stage-time statistics, the board's day columns and
+ * business-day due dates all read it.
+ */
+
+import type { DbCase } from './database';
+
+/** "HH:MM", 24-hour lab time ("24:00" ends a shift at midnight) */
+export type ClockTime = string;
+
+export interface TimeRange {
+  start: ClockTime;
+  end: ClockTime;
+}
+
+/** One weekday's hours; no shifts means the lab is closed that day */
+export interface DaySchedule {
+  shifts: TimeRange[];
+  /** Unpaid time inside the shifts (lunch) */
+  breaks: TimeRange[];
+}
+
+/** Seven days, Sunday first (as Date.getDay()) */
+export type WeekSchedule = DaySchedule[];
+
+/**
+ * Holiday or closure over a range of days ("YYYY-MM-DD", inclusive).
+ * With `shifts` the lab works those hours instead (a short day).
+ */
+export interface CalendarClosure {
+  from: string;
+  to: string;
+  label: string;
+  kind: 'holiday' | 'closure';
+  shifts?: TimeRange[];
+}
+
+/** A department's own week and closures (on top of the lab's) */
+export interface DepartmentCalendar {
+  week?: WeekSchedule;
+  closures?: CalendarClosure[];
+}
+
+export type CalendarDepartment = DbCase['department'];
+
+export interface LabCalendar {
+  /** IANA zone the hours are in, e.g. "America/Boise" */
+  timezone: string;
+  week: WeekSchedule;
+  closures: CalendarClosure[];
+  /** "Digital" is stored as "General", as for cases */
+  departments: Partial<Record<CalendarDepartment, DepartmentCalendar>>;
+  /** Digital cases created from this instant start in Design */
+  stageSystemStart: string;
+}
+
+/** A working period within one day, in minutes after lab midnight */
+export interface WorkingPeriod {
+  start: number;
+  end: number;
+}
+
+/** calendar.save: the parts to replace (the rest is kept) */
+export type SaveCalendarInput = Partial<LabCalendar>;
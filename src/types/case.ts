@@ -3,7 +3,7 @@
  * These types represent how cases are used in the application
  */
 
-import type { DbCase } from './database';
+import type { DbCase, CaseEventType, ToothNotation } from './database';
 
 // ═══════════════════════════════════════════════════════════
 // CASE TYPE (UI representation)
@@ -15,6 +15,8 @@ export type CaseStage = 'design' | 'production' | 'finishing' | 'qc';
 
 export type Department = 'Digital' | 'Metal' | 'C&B' | 'General';
 
+export type { ToothNotation };
+
 /**
  * Case as used in the UI - derived from DbCase
  * Includes computed/derived fields for easy access
@@ -37,7 +39,8 @@ export interface Case extends DbCase {
 // CASE INPUT TYPES (for creating/updating)
 // ═══════════════════════════════════════════════════════════
 
-export interface CreateCaseInput {
+export interface CreateCaseInput extends CaseDetailsInput {
+  id?: string; // Client-generated id (offline creates); assigned by the service otherwise
   caseNumber: string;
   department: Department;
   due: string; // "YYYY-MM-DD"
@@ -48,7 +51,24 @@ export interface CreateCaseInput {
   needsRepair?: boolean; // Digital cases - start in finishing if true
 }
 
-export interface UpdateCaseInput {
+/**
+ * Case details as entered. Empty strings (and null units) clear a
+ * field; on update, fields left out are kept.
+ */
+export interface CaseDetailsInput {
+  practice?: string;
+  doctor?: string;
+  patientRef?: string;
+  restorationType?: string;
+  units?: number | null;
+  /** Tooth numbers or ranges ("8-10", "14 15") in `toothNotation` */
+  teeth?: string[];
+  toothNotation?: ToothNotation;
+  shade?: string;
+  material?: string;
+}
+
+export interface UpdateCaseInput extends CaseDetailsInput {
   id: string;
   caseNumber?: string;
   department?: Department;
@@ -58,6 +78,34 @@ export interface UpdateCaseInput {
   hold?: boolean;
   caseType?: CaseType;
   modifiers?: string[]; // Direct modifier override
+  /** Version the edit started from; a newer stored version fails with a conflict */
+  expectedVersion?: number;
+}
+
+/** Flags to add to / remove from a case's modifiers in one atomic step */
+export interface ModifierOps {
+  add?: string[];
+  remove?: string[];
+  /** Remove every modifier starting with one of these (e.g. 'stage-') */
+  removePrefixes?: string[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE HISTORY EVENTS
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Structured history event written alongside the display text.
+ * Values are stored as text; stages use CaseStage keys.
+ */
+export interface CaseEvent {
+  type: CaseEventType;
+  field?: string;
+  oldValue?: string | boolean | null;
+  newValue?: string | boolean | null;
+  stageFrom?: CaseStage | null;
+  stageTo?: CaseStage | null;
+  metadata?: Record<string, unknown>;
 }
 
 // ═══════════════════════════════════════════════════════════
@@ -70,6 +118,10 @@ export interface CaseFilters {
   department?: Department;
   status?: CaseStatus;
   caseNumber?: string;
+  /** Case number, practice, doctor, patient, restoration, shade or material */
+  text?: string;
+  /** Practice name (exact, ignoring case) */
+  practice?: string;
   dueDate?: string;
   stage?: CaseStage;
 }
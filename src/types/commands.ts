@@ -0,0 +1,38 @@
+/**
+ * Command Types
+ * Natural-language command bar: text in, dispatcher actions out
+ */
+
+import type { Action } from './actions';
+import type { Case } from './case';
+
+// ═══════════════════════════════════════════════════════════
+// PARSER CONTRACT
+// ═══════════════════════════════════════════════════════════
+
+/** What a parser may look at while resolving a command */
+export interface CommandContext {
+  /** All loaded cases, used to resolve case numbers to ids */
+  rows: Case[];
+  /** Reference date for "today", "tomorrow", "friday" */
+  today: Date;
+}
+
+/** Result of parsing one command - shown as a preview before dispatch */
+export interface ParsedCommand {
+  /** Actions to dispatch, in order */
+  actions: Action[];
+  /** Problems that prevent (part of) the command from running */
+  errors: string[];
+  /** Informational messages (e.g. "1234 is already on rush") */
+  notes: string[];
+}
+
+/**
+ * Pluggable command parser
+ * The grammar parser runs offline; model adapters may call out
+ */
+export interface CommandParser {
+  readonly name: string;
+  parse(input: string, context: CommandContext): Promise<ParsedCommand>;
+}
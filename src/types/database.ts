@@ -3,6 +3,10 @@
  * These types represent the raw data as stored in the database
  */
 
+import type { Role } from './permissions';
+import type { CaseType } from './case';
+import type { LabCalendar } from './calendar';
+
 // ═══════════════════════════════════════════════════════════
 // CASE TABLE
 // ═══════════════════════════════════════════════════════════
@@ -18,8 +22,25 @@ export interface DbCase {
   archived: boolean;
   archived_at: string | null;
   created_at: string;
+  /** Bumped by a trigger on every update; writes compare-and-swap on it */
+  version: number;
+  updated_at: string;
+  // Case details (null/empty when not recorded)
+  practice: string | null;
+  doctor: string | null;
+  /** Patient identifier as the practice gives it (chart number, initials) */
+  patient_ref: string | null;
+  restoration_type: string | null;
+  units: number | null;
+  /** Tooth numbers in `tooth_notation`, e.g. ["8", "9"] or ["11", "21"] */
+  teeth: string[];
+  tooth_notation: ToothNotation | null;
+  shade: string | null;
+  material: string | null;
 }
 
+export type ToothNotation = 'fdi' | 'universal';
+
 // Known modifier values
 export type CaseModifier =
   | 'rush'
@@ -34,16 +55,58 @@ export type CaseModifier =
   | `stats-exclude:${string}`
   | `stats-exclude-reason:${string}`;
 
+/** Detail columns; optional on insert (they default to null/empty) */
+export type CaseDetailColumn =
+  | 'practice'
+  | 'doctor'
+  | 'patient_ref'
+  | 'restoration_type'
+  | 'units'
+  | 'teeth'
+  | 'tooth_notation'
+  | 'shade'
+  | 'material';
+
 // ═══════════════════════════════════════════════════════════
 // CASE HISTORY TABLE
 // ═══════════════════════════════════════════════════════════
 
+// Structured history event kinds (see CaseEvent in ./case)
+export type CaseEventType =
+  | 'created'
+  | 'field_changed'
+  | 'modifier_added'
+  | 'modifier_removed'
+  | 'stage_changed'
+  | 'completed'
+  | 'reopened'
+  | 'archived'
+  | 'restored'
+  | 'recreated'
+  | 'stats_excluded'
+  | 'stats_included'
+  | 'note'
+  | 'attachment_added'
+  | 'attachment_removed'
+  | 'linked'
+  | 'unlinked';
+
 export interface DbCaseHistory {
   id: string;
   case_id: string;
+  /** Human-readable description, shown in history lists */
   action: string;
   user_name: string;
   created_at: string;
+  // Structured event (null only on rows the migration could not parse)
+  event_type: CaseEventType | null;
+  /** Changed field or modifier: "due", "priority", "rush", "stats-exclude:design", ... */
+  field: string | null;
+  old_value: string | null;
+  new_value: string | null;
+  stage_from: string | null;
+  stage_to: string | null;
+  metadata: Record<string, unknown> | null;
 }
 
 // With joined case data
@@ -53,6 +116,81 @@ export interface DbCaseHistoryWithCase extends DbCaseHistory {
   } | null;
 }
 
+// ═══════════════════════════════════════════════════════════
+// CASE NOTES TABLE
+// ═══════════════════════════════════════════════════════════
+
+/** A note's text before an edit */
+export interface NoteEdit {
+  body: string;
+  /** When this text was replaced */
+  edited_at: string;
+}
+
+/**
+ * Note or comment on a case. Top-level notes start a thread; replies
+ * point at their thread's note (threads are one level deep).
+ */
+export interface DbCaseNote {
+  id: string;
+  case_id: string;
+  /** Top-level note this replies to (null for a top-level note) */
+  parent_id: string | null;
+  author: string;
+  body: string;
+  /** User names @mentioned in the body */
+  mentions: string[];
+  /** Shown on the case row; at most one per case, top-level only */
+  pinned: boolean;
+  /** Earlier texts, oldest first */
+  edits: NoteEdit[];
+  created_at: string;
+  updated_at: string;
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE ATTACHMENTS TABLE
+// ═══════════════════════════════════════════════════════════
+
+/** How an attachment is previewed (see attachmentKind in lib/attachments) */
+export type AttachmentKind = 'image' | 'pdf' | 'scan';
+
+/** A file on a case; the bytes live in attachment storage at `storage_path` */
+export interface DbAttachment {
+  id: string;
+  case_id: string;
+  file_name: string;
+  content_type: string;
+  kind: AttachmentKind;
+  /** Bytes */
+  size: number;
+  storage_path: string;
+  uploaded_by: string;
+  created_at: string;
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE LINKS TABLE
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * How `case_id` relates to `linked_case_id`: it is a remake of it, was
+ * split from it (units sent separately), or can't start until it's done
+ * (e.g. a C&B case waiting on its Metal framework)
+ */
+export type CaseLinkKind = 'remake_of' | 'split_from' | 'depends_on';
+
+export interface DbCaseLink {
+  id: string;
+  case_id: string;
+  linked_case_id: string;
+  kind: CaseLinkKind;
+  /** Why the remake was needed, or any note on the link */
+  reason: string | null;
+  created_by: string;
+  created_at: string;
+}
+
 // ═══════════════════════════════════════════════════════════
 // ACTIVE DEVICES TABLE
 // ═══════════════════════════════════════════════════════════
@@ -63,6 +201,68 @@ export interface DbActiveDevice {
   last_seen: string;
 }
 
+// ═══════════════════════════════════════════════════════════
+// USER ROLES TABLE
+// ═══════════════════════════════════════════════════════════
+
+export interface DbUserRole {
+  user_name: string;
+  role: Role;
+  updated_at: string;
+}
+
+// ═══════════════════════════════════════════════════════════
+// PRACTICES TABLE (client directory)
+// ═══════════════════════════════════════════════════════════
+
+/** Cases refer to a practice by name (cases.practice), not by id */
+export interface DbPractice {
+  id: string;
+  name: string;
+  contact: string | null;
+  /** Doctors at the practice, without the "Dr." title */
+  doctors: string[];
+  /** Department new cases from this client usually go to */
+  default_department: DbCase['department'] | null;
+  /** Standard turnaround in business days per case type (missing: no rule) */
+  turnaround_days: Partial<Record<CaseType, number>>;
+  /** Rush cases from this client are billed extra */
+  rush_surcharge: boolean;
+  notes: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+// ═══════════════════════════════════════════════════════════
+// LAB CALENDAR TABLE (one row)
+// ═══════════════════════════════════════════════════════════
+
+export interface DbLabCalendar {
+  /** Always "lab" */
+  id: string;
+  settings: LabCalendar;
+  updated_by: string | null;
+  updated_at: string;
+}
+
+// ═══════════════════════════════════════════════════════════
+// ACTION LOG TABLE (audit trail)
+// ═══════════════════════════════════════════════════════════
+
+export interface DbActionLog {
+  id: string;
+  action_type: string;
+  payload: unknown;
+  result_summary: string;
+  success: boolean;
+  error: string | null;
+  user_name: string;
+  /** Where the action came from: "web" or "api" */
+  client: string;
+  app_version: string;
+  created_at: string;
+}
+
 // ═══════════════════════════════════════════════════════════
 // DATABASE TYPES (for Supabase client)
 // ═══════════════════════════════════════════════════════════
@@ -72,19 +272,60 @@ export interface Database {
     Tables: {
       cases: {
         Row: DbCase;
-        Insert: Omit<DbCase, 'created_at'>;
-        Update: Partial<Omit<DbCase, 'id' | 'created_at'>>;
+        Insert: Omit<DbCase, 'created_at' | 'version' | 'updated_at' | CaseDetailColumn> & Partial<Pick<DbCase, CaseDetailColumn>>;
+        Update: Partial<Omit<DbCase, 'id' | 'created_at' | 'version' | 'updated_at'>>; // Trigger-owned
       };
       case_history: {
         Row: DbCaseHistory;
         Insert: Omit<DbCaseHistory, 'created_at'>;
         Update: never; // History is append-only
       };
+      case_notes: {
+        Row: DbCaseNote;
+        Insert: Omit<DbCaseNote, 'created_at' | 'updated_at'>;
+        Update: Partial<Pick<DbCaseNote, 'body' | 'mentions' | 'pinned' | 'edits'>>;
+      };
+      case_attachments: {
+        Row: DbAttachment;
+        Insert: Omit<DbAttachment, 'created_at'>;
+        Update: never; // Files are added and removed, not changed
+      };
+      case_links: {
+        Row: DbCaseLink;
+        Insert: Omit<DbCaseLink, 'created_at'>;
+        Update: never; // Links are added and removed, not changed
+      };
       active_devices: {
         Row: DbActiveDevice;
         Insert: DbActiveDevice;
         Update: Partial<DbActiveDevice>;
       };
+      action_log: {
+        Row: DbActionLog;
+        Insert: DbActionLog; // id set by the client, so a retried batch can't insert twice
+        Update: never; // Audit trail is append-only
+      };
+      user_roles: {
+        Row: DbUserRole;
+        Insert: Omit<DbUserRole, 'updated_at'>;
+        Update: Partial<Omit<DbUserRole, 'user_name'>>;
+      };
+      practices: {
+        Row: DbPractice;
+        Insert: Omit<DbPractice, 'created_at' | 'updated_at'>;
+        Update: Partial<Omit<DbPractice, 'id' | 'created_at'>>;
+      };
+      lab_calendar: {
+        Row: DbLabCalendar;
+        Insert: Omit<DbLabCalendar, 'updated_at'>;
+        Update: Partial<Omit<DbLabCalendar, 'id'>>;
+      };
+    };
+    Functions: {
+      update_case_modifiers: {
+        Args: { p_case_id: string; p_add: string[]; p_remove: string[]; p_remove_prefixes: string[] };
+        Returns: { modifiers_before: string[]; modifiers_after: string[] }[];
+      };
     };
   };
 }
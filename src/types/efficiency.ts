@@ -0,0 +1,447 @@
+/**
+ * Efficiency Types
+ * Configuration, inputs and results of the velocity engine and the
+ * department efficiency score (see src/analytics), and the queries
+ * that return them
+ */
+
+import type { CaseStage, CaseType } from './case';
+import type { LabCalendar } from './calendar';
+
+/** Stages with their own score (QC is a check, not a work stage) */
+export type ScoredStage = Exclude<CaseStage, 'qc'>;
+
+/** A header dropdown view: the whole department or one stage */
+export type EfficiencyView = 'overview' | ScoredStage;
+
+export type StatsDepartment = 'Digital' | 'Metal' | 'C&B';
+
+// ═══════════════════════════════════════════════════════════
+// CONFIG
+// ═══════════════════════════════════════════════════════════
+
+/** Target multiplier for a number of active cases; a null max is open-ended */
+export interface LoadFactorRow {
+  minActive: number;
+  maxActive: number | null;
+  factor: number;
+}
+
+export interface EfficiencyConfig {
+  /** Most recent completions the target is taken from */
+  windowSize: number;
+  /** Percentile of recent stage times used as the target */
+  targetPercentile: number;
+  /** EWMA weight of the newest target (0-1) */
+  smoothingAlpha: number;
+  /** Share of the velocity score that comes from the current load */
+  activeWeight: number;
+  /** Score changes smaller than this keep the previous score */
+  hysteresisThreshold: number;
+  loadFactorTable: LoadFactorRow[];
+  /** Active-case count assumed for completions that don't record one */
+  defaultActiveCount: number;
+  /** Days before the end of the due day a stage must be done by */
+  bufferRequirements: Record<ScoredStage, number>;
+  /** How much a stage's missed buffers cut its score */
+  bufferPenaltyWeights: Partial<Record<ScoredStage, number>>;
+  /** Working time below which a stage sample is discarded (ms) */
+  minStageTime: Record<ScoredStage, number>;
+  /** Working time above which a stage sample is discarded (ms) */
+  maxStageTime: number;
+  /** Cases that went through a stage more often are discarded */
+  maxVisits: number;
+  /** Case types with fewer completions don't count towards throughput */
+  minTypeCompletions: number;
+  /** Throughput weight per case type */
+  typeWeights: Record<CaseType, number>;
+  /** Share of the combined score from on-time delivery (the rest is throughput) */
+  onTimeWeight: number;
+  /** Simulated runs per due-date forecast */
+  forecastIterations: number;
+  /** Most recent completions per stage the forecast draws from */
+  forecastWindow: number;
+  /** Fewer same-type (or same type and rush) completions than this widen the draw */
+  minForecastSamples: number;
+  /** Working hours, due-day ends and the stage-system start */
+  calendar: LabCalendar;
+}
+
+// ═══════════════════════════════════════════════════════════
+// VELOCITY ENGINE
+// ═══════════════════════════════════════════════════════════
+
+/** A case that finished the stage */
+export interface StageCompletion {
+  caseId: string;
+  caseNumber: string;
+  /** Working time spent in the stage, holds excluded (ms) */
+  timeInStage: number;
+  /** Cases in the stage when this one entered it, if known */
+  activeAtStart?: number;
+}
+
+/** A case still in the stage */
+export interface ActiveStageCase {
+  caseId: string;
+  /** When it entered the stage */
+  enteredAt: string;
+}
+
+export interface VelocityInput {
+  completions: StageCompletion[];
+  active: ActiveStageCase[];
+  /** Smoothed target from the previous run (EWMA); null starts afresh */
+  previousTarget?: number | null;
+  /** Score from the previous run (hysteresis); null shows the raw score */
+  previousScore?: number | null;
+  now?: Date;
+}
+
+export type BenchmarkStatus = 'exceeded' | 'met' | 'missed';
+
+/** How one completion compares with the load-adjusted target */
+export interface CaseBenchmark {
+  caseId: string;
+  caseNumber: string;
+  benchmark: number;
+  actual: number;
+  /** Percent slower (positive) or faster (negative) than the benchmark */
+  percentDiff: number;
+  status: BenchmarkStatus;
+}
+
+export interface VelocityMetrics {
+  rawTarget: number;
+  smoothedTarget: number;
+  concurrencyScale: number;
+  correlationFactor: number;
+  avgHistoricalActive: number;
+  currentActive: number;
+  timeWeightedLoad: number;
+  loadAdjustment: number;
+  completedVelocity: number;
+  activeImpact: number;
+  rawScore: number;
+  appliedHysteresis: boolean;
+  sampleSize: number;
+}
+
+export interface VelocityResult {
+  /** 0-100; 0 when there are no completions */
+  score: number;
+  noData: boolean;
+  /** Pass back as `previousTarget` on the next run */
+  smoothedTarget: number | null;
+  /** Target after the load adjustments, what each case is measured against */
+  adjustedTarget: number | null;
+  cases: CaseBenchmark[];
+  metrics: VelocityMetrics | null;
+}
+
+// ═══════════════════════════════════════════════════════════
+// STAGE STATISTICS
+// ═══════════════════════════════════════════════════════════
+
+/** One case's time in a stage (or, for department figures, in the lab) */
+export interface StageSample {
+  caseId: string;
+  caseNumber: string;
+  caseType: CaseType;
+  /** Working time, holds excluded (ms) */
+  timeInStage: number;
+  visitCount: number;
+  /** Still in the stage */
+  isActive: boolean;
+  /** Start of the latest visit */
+  enteredAt: string;
+}
+
+export interface ExcludedSample {
+  caseId: string;
+  caseNumber: string;
+  reason: string;
+}
+
+export interface TypeStageStats {
+  count: number;
+  mean: number;
+  median: number;
+  p75: number;
+}
+
+export interface StageStatistics {
+  /** null for department-wide (created to completed) figures */
+  stage: ScoredStage | null;
+  noData: boolean;
+  /** Usable samples, outliers removed */
+  samples: StageSample[];
+  excluded: ExcludedSample[];
+  outlierCount: number;
+  averageTime: number;
+  medianTime: number;
+  /** Completed samples per case type */
+  byType: Partial<Record<CaseType, TypeStageStats>>;
+}
+
+// ═══════════════════════════════════════════════════════════
+// ON-TIME DELIVERY
+// ═══════════════════════════════════════════════════════════
+
+export interface BufferCheck {
+  met: boolean;
+  /** Hours between leaving the stage and the end of the due day */
+  hoursBeforeDue: number;
+  /** Days required (less for rush/priority cases) */
+  requiredDays: number;
+}
+
+export interface CaseDelivery {
+  caseId: string;
+  caseNumber: string;
+  caseType: CaseType;
+  priority: boolean;
+  rush: boolean;
+  isCompleted: boolean;
+  completedAt: string | null;
+  /** Counted as on time (in a stage view: not late because of this stage) */
+  onTime: boolean;
+  /** Hours past the end of the due day (0 when on time) */
+  hoursLate: number;
+  /** Stage the case was in when it fell due */
+  stageAtDue: CaseStage | null;
+  /** Buffer checks for the stages the case has left */
+  buffers: Partial<Record<'design' | 'production', BufferCheck>>;
+  /** 0-100 after lateness, buffer and velocity penalties */
+  score: number;
+  penaltyUnits: number;
+  velocity: CaseBenchmark | null;
+}
+
+export interface DeliverySummary {
+  count: number;
+  onTime: number;
+  /** Percent */
+  onTimeRate: number;
+  /** Percent of completed cases scoring 70 or more */
+  effectiveRate: number;
+  avgScore: number;
+  /** Percent of cases meeting each buffer; `current` is the viewed stage's */
+  bufferCompliance: Record<ScoredStage | 'current', number>;
+  avgHoursLate: number;
+  /** Completed late after missing the production buffer */
+  criticalViolations: number;
+  rushPriorityCount: number;
+  /** Share of the standard buffer rush/priority cases get */
+  rushReductionFactor: number;
+  /** Percent of completed rush/priority cases on time; null without any */
+  priorityOnTimeRate: number | null;
+}
+
+export interface DeliveryAnalysis {
+  summary: DeliverySummary;
+  cases: CaseDelivery[];
+}
+
+// ═══════════════════════════════════════════════════════════
+// DEPARTMENT EFFICIENCY
+// ═══════════════════════════════════════════════════════════
+
+export type Confidence = 'Low' | 'Medium' | 'High' | 'Very High';
+
+/** What the next run smooths against: the last score and targets */
+export interface EfficiencyCarryOver {
+  score: number;
+  targets: Partial<Record<CaseType, number>>;
+}
+
+export interface TypeThroughput {
+  completions: number;
+  velocity: VelocityResult;
+  /** Enough completions to count towards the throughput score */
+  counted: boolean;
+}
+
+export interface DepartmentEfficiency {
+  department: StatsDepartment;
+  stage: ScoredStage | null;
+  noData: boolean;
+  message?: string;
+  /** 0-100, one decimal */
+  score: number;
+  throughput: {
+    score: number;
+    byType: Partial<Record<CaseType, TypeThroughput>>;
+  };
+  delivery: DeliveryAnalysis;
+  sampleSize: number;
+  confidence: Confidence;
+  activeCases: number;
+  completedCases: number;
+  /** Send back as `previous` on the next query */
+  carryOver: EfficiencyCarryOver;
+  calculatedAt: string;
+}
+
+export interface EfficiencyQuery {
+  department: StatsDepartment;
+  /** Omit for the whole department */
+  stage?: ScoredStage;
+  previous?: EfficiencyCarryOver;
+}
+
+/** One dropdown view's score (null when it has no data) */
+export interface EfficiencyScore {
+  score: number | null;
+  sampleSize: number;
+  carryOver: EfficiencyCarryOver | null;
+}
+
+export interface EfficiencyScoresQuery {
+  department: StatsDepartment;
+  previous?: Partial<Record<EfficiencyView, EfficiencyCarryOver>>;
+}
+
+// ═══════════════════════════════════════════════════════════
+// CASE RISK
+// ═══════════════════════════════════════════════════════════
+
+export type RiskLevel = 'low' | 'medium' | 'high' | 'critical';
+
+export type RiskConfidence = 'low' | 'medium' | 'high';
+
+/** What a case type's cases take in a view, from the velocity engine */
+export interface RiskBenchmark {
+  /** Load-adjusted target working time (ms) */
+  target: number;
+  velocityScore: number;
+  /** Cases usually in the view at once; null when unknown */
+  avgHistoricalActive: number | null;
+}
+
+export interface RiskViewBenchmarks {
+  byType: Partial<Record<CaseType, RiskBenchmark>>;
+  /** Median working time of all usable samples, for types without a benchmark (ms) */
+  medianTime: number;
+}
+
+/** An active case's working time in its current stage (or the lab) when the basis was built */
+export interface RiskProgress {
+  /** null when measured from creation */
+  stage: CaseStage | null;
+  /** Holds excluded (ms) */
+  worked: number;
+  at: string;
+}
+
+/**
+ * What predictions are made from: benchmarks per department and view,
+ * and where each active case stood. Built from the full history; the
+ * board tops the progress up with the time since `calculatedAt`.
+ */
+export interface RiskBasis {
+  benchmarks: Partial<Record<StatsDepartment, Partial<Record<EfficiencyView, RiskViewBenchmarks>>>>;
+  progress: Record<string, RiskProgress>;
+  calculatedAt: string;
+}
+
+export interface CaseRiskPrediction {
+  caseId: string;
+  caseNumber: string;
+  caseType: CaseType;
+  stage: CaseStage | null;
+  /** Working time spent so far in the stage, or the lab for whole-case figures (ms) */
+  timeInStage: number;
+  /** Working time the current stage takes (ms) */
+  benchmark: number;
+  /** Working time still expected, the stages after this one included (ms) */
+  expectedRemaining: number;
+  /** Share of the current stage's benchmark used, 0-100 */
+  progressPercent: number;
+  predictedFinish: string;
+  /** End of the due day in lab time */
+  dueAt: string;
+  willBeLate: boolean;
+  /** Calendar days from now to `dueAt` (negative once past) */
+  daysUntilDue: number;
+  /** Calendar days from now to `predictedFinish` */
+  expectedDaysToComplete: number;
+  daysLate: number;
+  riskLevel: RiskLevel;
+  confidence: RiskConfidence;
+  confidenceScore: number;
+  /** Rush or priority */
+  isRush: boolean;
+  /** Active cases in the same stage (or department) */
+  currentLoad: number;
+  recommendation: string;
+}
+
+export interface RiskSummary {
+  onTrack: number;
+  atRisk: number;
+  high: number;
+  critical: number;
+  /** Predicted to finish after the end of their due day */
+  willBeLate: number;
+  averageConfidence: number;
+}
+
+export interface CaseRiskReport {
+  /** Riskiest first, then soonest due */
+  predictions: CaseRiskPrediction[];
+  summary: RiskSummary;
+  calculatedAt: string;
+}
+
+export interface CaseRiskQuery {
+  /** Omit for every department */
+  department?: StatsDepartment;
+}
+
+// ═══════════════════════════════════════════════════════════
+// DUE-DATE FORECAST
+// ═══════════════════════════════════════════════════════════
+
+/** One completed case's working time in a view, for the forecast to draw from */
+export interface ForecastSample {
+  /** Holds excluded (ms) */
+  duration: number;
+  /** Cases in the view (this one included) when it entered */
+  depth: number;
+  caseType: CaseType;
+  /** Rush or priority */
+  rush: boolean;
+}
+
+/** The risk basis plus recent completions per department and view */
+export interface ForecastBasis extends RiskBasis {
+  durations: Partial<Record<StatsDepartment, Partial<Record<EfficiencyView, ForecastSample[]>>>>;
+}
+
+export interface CaseForecast {
+  caseId: string;
+  caseNumber: string;
+  caseType: CaseType;
+  stage: CaseStage | null;
+  rush: boolean;
+  /** Chance of finishing by the end of the due day, 0-1 */
+  onTimeProbability: number;
+  /** Half the runs finish by then */
+  p50Finish: string;
+  /** 85% of the runs finish by then */
+  p85Finish: string;
+  /** Working time still needed at P50 / P85 (ms) */
+  p50Remaining: number;
+  p85Remaining: number;
+  /** End of the due day in lab time */
+  dueAt: string;
+  /** Working time spent so far in the current stage (ms) */
+  timeInStage: number;
+  /** Active cases in the current stage (or department), this one included */
+  queueDepth: number;
+  /** Completions drawn from per view still ahead (0: fixed one-day estimate) */
+  samples: Partial<Record<EfficiencyView, number>>;
+  iterations: number;
+  calculatedAt: string;
+}
@@ -0,0 +1,97 @@
+/**
+ * Export Types
+ * Options and output of case.export
+ */
+
+import type { CaseStage, ToothNotation } from './case';
+
+// ═══════════════════════════════════════════════════════════
+// OPTIONS
+// ═══════════════════════════════════════════════════════════
+
+export type ExportFormat = 'csv' | 'json' | 'xlsx';
+
+/**
+ * - active: the cases on the board (not archived)
+ * - completed: completed cases, archived or not, optionally by completion day
+ * - archived: archived cases, optionally matching a case number search
+ */
+export type ExportScope = 'active' | 'completed' | 'archived';
+
+export interface ExportOptions {
+  format: ExportFormat;
+  scope: ExportScope;
+  /** Completed scope: first completion day, "YYYY-MM-DD" */
+  from?: string;
+  /** Completed scope: last completion day, "YYYY-MM-DD" */
+  to?: string;
+  /** Archived scope: case number search, as in the archive view */
+  search?: string;
+  /** Add each case's case_history timeline */
+  includeHistory?: boolean;
+  /** Add working hours spent in each stage (Digital cases) */
+  includeStageDurations?: boolean;
+}
+
+// ═══════════════════════════════════════════════════════════
+// OUTPUT
+// ═══════════════════════════════════════════════════════════
+
+export interface StageDuration {
+  /** Working hours in the stage, time on hold excluded */
+  workingHours: number;
+  /** Wall-clock hours in the stage */
+  totalHours: number;
+  visits: number;
+}
+
+export interface ExportedHistoryEvent {
+  at: string;
+  user: string;
+  action: string;
+  event: string | null;
+  field: string | null;
+  from: string | null;
+  to: string | null;
+}
+
+/** One case as it appears in an export (JSON shape; CSV/XLSX flatten it) */
+export interface ExportedCase {
+  id: string;
+  caseNumber: string;
+  department: string;
+  due: string;
+  stage: CaseStage | null;
+  priority: boolean;
+  rush: boolean;
+  hold: boolean;
+  stage2: boolean;
+  caseType: string;
+  doctor: string | null;
+  practice: string | null;
+  patientRef: string | null;
+  restorationType: string | null;
+  units: number | null;
+  /** Tooth numbers in `toothNotation` */
+  teeth: string[];
+  toothNotation: ToothNotation | null;
+  shade: string | null;
+  material: string | null;
+  completed: boolean;
+  completedAt: string | null;
+  archived: boolean;
+  archivedAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+  history?: ExportedHistoryEvent[];
+  stageDurations?: Partial<Record<CaseStage, StageDuration>>;
+}
+
+/** A ready-to-save file; binary formats are base64 so the result stays JSON */
+export interface ExportFile {
+  filename: string;
+  mimeType: string;
+  encoding: 'utf8' | 'base64';
+  content: string;
+  caseCount: number;
+}
@@ -0,0 +1,60 @@
+/**
+ * Import Types
+ * Spreadsheet rows on their way to becoming cases (case.import)
+ */
+
+import type { CreateCaseInput } from './case';
+
+// ═══════════════════════════════════════════════════════════
+// INPUT
+// ═══════════════════════════════════════════════════════════
+
+/** CreateCaseInput fields a spreadsheet column can be mapped to */
+export type ImportField = 'caseNumber' | 'department' | 'due' | 'rush' | 'hold' | 'caseType' | 'needsRepair';
+
+/** Column index for each field (null when the sheet has no such column) */
+export type ColumnMapping = Record<ImportField, number | null>;
+
+/** One spreadsheet row after column mapping; values are the raw cell text */
+export interface ImportRowInput {
+  /** Line in the source file (1-based, header included), for the report */
+  line: number;
+  fields: Partial<Record<ImportField, string>>;
+  /** Create the case even though the case number already exists */
+  allowDuplicate?: boolean;
+}
+
+// ═══════════════════════════════════════════════════════════
+// REPORT
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * - ready: valid, would be created (dry run)
+ * - duplicate: valid, but the case number is already on the board or earlier in the file
+ * - invalid: failed validation
+ * - created / failed: outcome of a real import
+ */
+export type ImportRowStatus = 'ready' | 'duplicate' | 'invalid' | 'created' | 'failed';
+
+export interface ImportRowReport {
+  line: number;
+  status: ImportRowStatus;
+  /** The parsed case (null when the row is invalid) */
+  input: CreateCaseInput | null;
+  /** Validation errors, or the create error for failed rows */
+  errors: string[];
+  /** Existing cases with the same case number */
+  duplicates: { id: string; caseNumber: string }[];
+  /** Earlier lines in the file with the same case number */
+  duplicateLines: number[];
+  /** Id of the created case */
+  caseId?: string;
+}
+
+export interface ImportReport {
+  dryRun: boolean;
+  rows: ImportRowReport[];
+  counts: Record<ImportRowStatus, number>;
+  /** One-line summary, e.g. "12 created, 2 duplicates skipped" */
+  summary: string;
+}
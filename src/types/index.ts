@@ -9,8 +9,21 @@ export type {
   DbCaseHistory,
   DbCaseHistoryWithCase,
   DbActiveDevice,
+  DbUserRole,
+  DbPractice,
+  DbLabCalendar,
+  DbCaseNote,
+  NoteEdit,
+  DbAttachment,
+  AttachmentKind,
+  DbCaseLink,
+  CaseLinkKind,
+  CaseEventType,
+  DbActionLog,
   Database,
   CaseModifier,
+  CaseDetailColumn,
+  ToothNotation,
 } from './database';
 
 // Application types
@@ -21,12 +34,88 @@ export type {
   Department,
   CreateCaseInput,
   UpdateCaseInput,
+  CaseDetailsInput,
   CaseStatus,
   CaseFilters,
+  CaseEvent,
+  ModifierOps,
 } from './case';
 
 export { STAGE_NAMES, DEPARTMENT_DISPLAY } from './case';
 
+// Practice types
+export type { SavePracticeInput, TurnaroundDays } from './practice';
+
+// Calendar types
+export type {
+  ClockTime,
+  TimeRange,
+  DaySchedule,
+  WeekSchedule,
+  CalendarClosure,
+  DepartmentCalendar,
+  CalendarDepartment,
+  LabCalendar,
+  WorkingPeriod,
+  SaveCalendarInput,
+} from './calendar';
+
+// Note types
+export type { AddNoteInput, EditNoteInput, PinNoteInput } from './note';
+
+// Attachment types
+export type { AddAttachmentInput } from './attachment';
+
+// Link types
+export type { LinkCasesInput, CreateRemakeInput, RemakeRateFilters, RemakeRate } from './link';
+
+// Efficiency types
+export type {
+  ScoredStage,
+  EfficiencyView,
+  StatsDepartment,
+  LoadFactorRow,
+  EfficiencyConfig,
+  StageCompletion,
+  ActiveStageCase,
+  VelocityInput,
+  BenchmarkStatus,
+  CaseBenchmark,
+  VelocityMetrics,
+  VelocityResult,
+  StageSample,
+  ExcludedSample,
+  TypeStageStats,
+  StageStatistics,
+  BufferCheck,
+  CaseDelivery,
+  DeliverySummary,
+  DeliveryAnalysis,
+  Confidence,
+  EfficiencyCarryOver,
+  TypeThroughput,
+  DepartmentEfficiency,
+  EfficiencyQuery,
+  EfficiencyScore,
+  EfficiencyScoresQuery,
+  RiskLevel,
+  RiskConfidence,
+  RiskBenchmark,
+  RiskViewBenchmarks,
+  RiskProgress,
+  RiskBasis,
+  CaseRiskPrediction,
+  RiskSummary,
+  CaseRiskReport,
+  CaseRiskQuery,
+  ForecastSample,
+  ForecastBasis,
+  CaseForecast,
+} from './efficiency';
+
+// Storage types
+export type { AttachmentStorage, LocalFileStore, StorageBackend } from './storage';
+
 // Action types
 export type {
   Action,
@@ -36,4 +125,77 @@ export type {
   ActionHandler,
   ActionSchema,
   ActionSchemaEntry,
+  ActionFieldType,
+  ActionFieldSchema,
+  FieldError,
+  FieldErrorCode,
+  InverseAction,
+  UndoEntry,
+  UndoState,
+  BatchOptions,
+  BatchActionStatus,
+  BatchActionReport,
+  BatchResult,
+  ActionLogFilters,
 } from './actions';
+
+// Command types
+export type {
+  CommandContext,
+  ParsedCommand,
+  CommandParser,
+} from './commands';
+
+// Permission types
+export type { Role, PermissionMatrix } from './permissions';
+
+// Import types
+export type {
+  ImportField,
+  ColumnMapping,
+  ImportRowInput,
+  ImportRowStatus,
+  ImportRowReport,
+  ImportReport,
+} from './import';
+
+// Export types
+export type {
+  ExportFormat,
+  ExportScope,
+  ExportOptions,
+  StageDuration,
+  ExportedHistoryEvent,
+  ExportedCase,
+  ExportFile,
+} from './export';
+
+// Offline types
+export type {
+  QueuedAction,
+  SyncStatus,
+  SyncBlock,
+  SyncState,
+} from './offline';
+
+// Repository types
+export type {
+  RepositoryBackend,
+  RepositoryResult,
+  CaseRepository,
+  CaseInsert,
+  CaseChanges,
+  CaseHistoryInsert,
+  ActionLogInsert,
+  CaseListFilter,
+  PracticeInsert,
+  CalendarInsert,
+  NoteInsert,
+  NoteChanges,
+  AttachmentInsert,
+  CaseLinkInsert,
+  CaseChange,
+  CaseChangeListener,
+  NoteChange,
+  NoteChangeListener,
+} from './repository';
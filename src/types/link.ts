@@ -0,0 +1,43 @@
+/**
+ * Link Types
+ * Input for case relationships and remakes, and the remake-rate report
+ * (see DbCaseLink for the stored row)
+ */
+
+import type { CaseLinkKind } from './database';
+import type { Department } from './case';
+
+/** `caseId` is a remake of / split from / depends on `linkedCaseId` */
+export interface LinkCasesInput {
+  caseId: string;
+  linkedCaseId: string;
+  kind: CaseLinkKind;
+  reason?: string;
+}
+
+/** A new case copied from `id`, linked to it as a remake */
+export interface CreateRemakeInput {
+  id: string;
+  /** Why the original has to be redone */
+  reason: string;
+  /** Defaults to the original's number with " remake" after it */
+  caseNumber?: string;
+  /** "YYYY-MM-DD"; defaults to the practice's turnaround from today */
+  due?: string;
+}
+
+/** Cases created between `from` and `to` (inclusive, "YYYY-MM-DD"); open-ended when left out */
+export interface RemakeRateFilters {
+  from?: string;
+  to?: string;
+}
+
+export interface RemakeRate {
+  department: Department;
+  /** Cases created in the period, remakes included */
+  cases: number;
+  /** Of those, cases that are a remake of another */
+  remakes: number;
+  /** remakes / cases, 0 when there were no cases */
+  rate: number;
+}
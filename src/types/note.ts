@@ -0,0 +1,24 @@
+/**
+ * Note Types
+ * Input for case notes and comments (see DbCaseNote for the stored row)
+ */
+
+/** A new note, or a reply when `parentId` is set */
+export interface AddNoteInput {
+  caseId: string;
+  body: string;
+  /** Note to reply to; replies to a reply join the same thread */
+  parentId?: string;
+}
+
+/** New text for a note (the old text goes to its edit history) */
+export interface EditNoteInput {
+  id: string;
+  body: string;
+}
+
+export interface PinNoteInput {
+  id: string;
+  /** Pinning unpins the case's other pinned note */
+  pinned: boolean;
+}
@@ -0,0 +1,47 @@
+/**
+ * Offline Types
+ * Queued case mutations and the sync state shown in the header
+ */
+
+import type { Action } from './actions';
+
+// ═══════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════
+
+/** A case mutation waiting to be replayed against the server */
+export interface QueuedAction {
+  /** Replay order (also the IndexedDB key) */
+  seq: number;
+  action: Action;
+  /**
+   * Fingerprint of each target row as it looked when the action was
+   * queued; null means the row must not exist yet. Replay stops when
+   * the server row no longer matches.
+   */
+  baselines: Record<string, string | null>;
+  user: string;
+  queuedAt: number;
+}
+
+// ═══════════════════════════════════════════════════════════
+// SYNC STATE
+// ═══════════════════════════════════════════════════════════
+
+export type SyncStatus = 'idle' | 'pending' | 'syncing' | 'blocked';
+
+/** Why replay stopped at the head of the queue */
+export interface SyncBlock {
+  entry: QueuedAction;
+  reason: string;
+  /** True when the server row changed; false when the server rejected the action */
+  conflict: boolean;
+}
+
+export interface SyncState {
+  status: SyncStatus;
+  /** Actions not yet on the server */
+  pending: number;
+  offline: boolean;
+  blocked: SyncBlock | null;
+}
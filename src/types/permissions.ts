@@ -0,0 +1,16 @@
+/**
+ * Permission Types
+ * Roles and the per-action permission matrix
+ */
+
+import type { ActionType } from './actions';
+
+// ═══════════════════════════════════════════════════════════
+// ROLES
+// ═══════════════════════════════════════════════════════════
+
+/** Lab roles, lowest to highest privilege */
+export type Role = 'technician' | 'lead' | 'manager' | 'admin';
+
+/** Lowest role allowed to dispatch each action (higher roles inherit) */
+export type PermissionMatrix = Record<ActionType, Role>;
@@ -0,0 +1,25 @@
+/**
+ * Practice Types
+ * Input for the client directory (see DbPractice for the stored row)
+ */
+
+import type { CaseType, Department } from './case';
+
+/** Business days from intake to due, per case type */
+export type TurnaroundDays = Partial<Record<CaseType, number>>;
+
+/**
+ * A practice as entered in the directory. Without `id` a new practice
+ * is added; with it, fields left out are kept. Empty strings clear.
+ */
+export interface SavePracticeInput {
+  id?: string;
+  name: string;
+  contact?: string;
+  doctors?: string[];
+  /** "Digital" is stored as "General", as for cases */
+  defaultDepartment?: Department | null;
+  turnaroundDays?: TurnaroundDays;
+  rushSurcharge?: boolean;
+  notes?: string;
+}
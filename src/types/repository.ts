@@ -0,0 +1,183 @@
+/**
+ * Repository Types
+ * The storage contract services are written against. Implementations
+ * live in src/repositories: Supabase (default) and a local SQLite one
+ * for air-gapped machines and automated tests.
+ */
+
+import type {
+  Database,
+  DbActionLog,
+  DbActiveDevice,
+  DbCase,
+  DbCaseHistory,
+  DbCaseHistoryWithCase,
+  DbAttachment,
+  DbCaseLink,
+  DbCaseNote,
+  DbLabCalendar,
+  DbPractice,
+} from './database';
+import type { ModifierOps } from './case';
+import type { ActionLogFilters } from './actions';
+import type { Role } from './permissions';
+
+// ═══════════════════════════════════════════════════════════
+// ROWS
+// ═══════════════════════════════════════════════════════════
+
+export type RepositoryBackend = 'supabase' | 'local';
+
+type Tables = Database['public']['Tables'];
+
+export type CaseInsert = Tables['cases']['Insert'];
+export type CaseChanges = Tables['cases']['Update'];
+export type CaseHistoryInsert = Omit<DbCaseHistory, 'created_at'>;
+export type ActionLogInsert = Tables['action_log']['Insert'];
+export type PracticeInsert = Tables['practices']['Insert'];
+export type CalendarInsert = Tables['lab_calendar']['Insert'];
+export type NoteInsert = Tables['case_notes']['Insert'];
+export type NoteChanges = Tables['case_notes']['Update'];
+export type AttachmentInsert = Tables['case_attachments']['Insert'];
+export type CaseLinkInsert = Tables['case_links']['Insert'];
+
+/** Same shape as the services' `{ data, error }` results */
+export interface RepositoryResult<T> {
+  data: T | null;
+  error: Error | null;
+}
+
+export interface CaseListFilter {
+  archived: boolean;
+  /** Case-insensitive substring of the case number or a text detail (practice, doctor, shade, ...) */
+  search?: string;
+  /** Only this department's cases */
+  department?: DbCase['department'];
+}
+
+// ═══════════════════════════════════════════════════════════
+// CHANGE FEED
+// ═══════════════════════════════════════════════════════════
+
+/** One row change on the cases table */
+export interface CaseChange {
+  event: 'INSERT' | 'UPDATE' | 'DELETE';
+  /** The row after the change (null for deletes) */
+  row: DbCase | null;
+  /** The row before the change, at least its id (null for inserts) */
+  previous: Partial<DbCase> | null;
+}
+
+export type CaseChangeListener = (change: CaseChange) => void;
+
+/** One row change on the case_notes table */
+export interface NoteChange {
+  event: 'INSERT' | 'UPDATE' | 'DELETE';
+  /** The row after the change (null for deletes) */
+  row: DbCaseNote | null;
+  /** The row before the change, at least its id (null for inserts) */
+  previous: Partial<DbCaseNote> | null;
+}
+
+export type NoteChangeListener = (change: NoteChange) => void;
+
+// ═══════════════════════════════════════════════════════════
+// REPOSITORY
+// ═══════════════════════════════════════════════════════════
+
+export interface CaseRepository {
+  readonly backend: RepositoryBackend;
+
+  // ─── Cases ───────────────────────────────────────────────
+  /** Active cases by due date, archived ones newest-archived first */
+  listCases(filter: CaseListFilter): Promise<RepositoryResult<DbCase[]>>;
+  /** data is null when the case doesn't exist */
+  getCase(id: string): Promise<RepositoryResult<DbCase>>;
+  insertCase(row: CaseInsert | DbCase): Promise<RepositoryResult<DbCase>>;
+  /**
+   * Write fields to a case. With `expectedVersion` the write only
+   * happens if the row is still at that version; data is null when
+   * it wasn't (or the row doesn't exist).
+   */
+  updateCase(id: string, changes: CaseChanges, expectedVersion?: number): Promise<RepositoryResult<DbCase>>;
+  /** Add/remove modifiers atomically; returns the array before and after */
+  updateModifiers(id: string, ops: ModifierOps): Promise<RepositoryResult<{ before: string[]; after: string[] }>>;
+  /** Set the archived flag on the rows that don't have it yet; returns their ids */
+  setArchived(ids: string[], archived: boolean): Promise<RepositoryResult<string[]>>;
+  deleteCase(id: string): Promise<{ error: Error | null }>;
+  /** Delete every case whose number matches (case-insensitively) */
+  deleteCasesByNumber(caseNumber: string): Promise<{ error: Error | null }>;
+
+  // ─── History ─────────────────────────────────────────────
+  insertHistory(entry: CaseHistoryInsert): Promise<{ error: Error | null }>;
+  /** Re-insert history rows, skipping ids that still exist */
+  restoreHistory(rows: DbCaseHistory[]): Promise<{ error: Error | null }>;
+  /** One case's history, oldest first */
+  listHistory(caseId: string): Promise<RepositoryResult<DbCaseHistory[]>>;
+  /** Every case's history with its case number, newest first */
+  listAllHistory(): Promise<RepositoryResult<DbCaseHistoryWithCase[]>>;
+  /** History of one department's cases, archived ones included, oldest first */
+  listDepartmentHistory(department: DbCase['department']): Promise<RepositoryResult<DbCaseHistory[]>>;
+
+  // ─── Active devices ──────────────────────────────────────
+  upsertActiveDevice(device: DbActiveDevice): Promise<{ error: Error | null }>;
+  /** Most recently seen first */
+  listActiveDevices(): Promise<RepositoryResult<Pick<DbActiveDevice, 'user_name' | 'last_seen'>[]>>;
+
+  // ─── Roles ───────────────────────────────────────────────
+  /** null when the user has no role row */
+  getUserRole(userName: string): Promise<RepositoryResult<Role>>;
+  setUserRole(userName: string, role: Role): Promise<{ error: Error | null }>;
+
+  // ─── Practices ───────────────────────────────────────────
+  /** The whole client directory, by name */
+  listPractices(): Promise<RepositoryResult<DbPractice[]>>;
+  /** Insert a practice, or replace the one with the same id */
+  upsertPractice(row: PracticeInsert): Promise<RepositoryResult<DbPractice>>;
+  deletePractice(id: string): Promise<{ error: Error | null }>;
+
+  // ─── Lab calendar ────────────────────────────────────────
+  /** data is null until a calendar has been saved */
+  getCalendar(): Promise<RepositoryResult<DbLabCalendar>>;
+  /** Insert the calendar row, or replace it */
+  saveCalendar(row: CalendarInsert): Promise<RepositoryResult<DbLabCalendar>>;
+
+  // ─── Notes ───────────────────────────────────────────────
+  /** Notes on these cases, oldest first */
+  listNotes(caseIds: string[]): Promise<RepositoryResult<DbCaseNote[]>>;
+  /** data is null when the note doesn't exist */
+  getNote(id: string): Promise<RepositoryResult<DbCaseNote>>;
+  insertNote(row: NoteInsert): Promise<RepositoryResult<DbCaseNote>>;
+  /** data is null when the note doesn't exist */
+  updateNote(id: string, changes: NoteChanges): Promise<RepositoryResult<DbCaseNote>>;
+  /** Delete a note and its replies */
+  deleteNote(id: string): Promise<{ error: Error | null }>;
+
+  // ─── Attachments ─────────────────────────────────────────
+  // Metadata only; the bytes are in AttachmentStorage
+  /** One case's attachments, oldest first */
+  listAttachments(caseId: string): Promise<RepositoryResult<DbAttachment[]>>;
+  /** data is null when the attachment doesn't exist */
+  getAttachment(id: string): Promise<RepositoryResult<DbAttachment>>;
+  insertAttachment(row: AttachmentInsert): Promise<RepositoryResult<DbAttachment>>;
+  deleteAttachment(id: string): Promise<{ error: Error | null }>;
+
+  // ─── Case links ──────────────────────────────────────────
+  /** Every link, oldest first (small: a few per linked job) */
+  listLinks(): Promise<RepositoryResult<DbCaseLink[]>>;
+  /** data is null when the link doesn't exist */
+  getLink(id: string): Promise<RepositoryResult<DbCaseLink>>;
+  insertLink(row: CaseLinkInsert): Promise<RepositoryResult<DbCaseLink>>;
+  deleteLink(id: string): Promise<{ error: Error | null }>;
+
+  // ─── Audit log ───────────────────────────────────────────
+  insertActionLogs(entries: ActionLogInsert[]): Promise<{ error: Error | null }>;
+  /** Newest first, `limit` is required here (the service applies the default) */
+  listActionLogs(filters: ActionLogFilters & { limit: number }): Promise<RepositoryResult<DbActionLog[]>>;
+
+  // ─── Change feed ─────────────────────────────────────────
+  /** Listen for case inserts/updates/deletes; returns the unsubscribe function */
+  subscribeToCases(listener: CaseChangeListener): () => void;
+  /** Listen for note inserts/updates/deletes; returns the unsubscribe function */
+  subscribeToNotes(listener: NoteChangeListener): () => void;
+}
@@ -0,0 +1,10 @@
+/**
+ * sql.js asm.js build
+ * Same API as the default wasm build, but with no .wasm file to serve,
+ * so it loads the same way in the browser, Node and tests.
+ */
+
+declare module 'sql.js/dist/sql-asm.js' {
+  import initSqlJs from 'sql.js';
+  export default initSqlJs;
+}
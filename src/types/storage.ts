@@ -0,0 +1,31 @@
+/**
+ * Storage Types
+ * Where attachment bytes live (their metadata is in the repository).
+ * Implementations are in src/storage: Supabase Storage (default) and
+ * local files for offline/dev machines.
+ */
+
+import type { RepositoryBackend, RepositoryResult } from './repository';
+
+export type StorageBackend = RepositoryBackend;
+
+export interface AttachmentStorage {
+  readonly backend: StorageBackend;
+  /** Store a file; attachment paths are unique, so nothing is overwritten */
+  upload(path: string, data: Uint8Array, contentType: string): Promise<{ error: Error | null }>;
+  /**
+   * URL the browser can show the file from: a short-lived signed URL
+   * on Supabase, an object URL (data URL outside the browser) locally
+   */
+  getUrl(path: string, contentType: string): Promise<RepositoryResult<string>>;
+  /** Paths that don't exist are skipped */
+  remove(paths: string[]): Promise<{ error: Error | null }>;
+}
+
+/** Bytes by path; the local adapter keeps files in memory, IndexedDB or a directory */
+export interface LocalFileStore {
+  /** null when there's no such file */
+  read(path: string): Promise<Uint8Array | null>;
+  write(path: string, data: Uint8Array): Promise<void>;
+  remove(path: string): Promise<void>;
+}
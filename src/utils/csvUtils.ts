@@ -0,0 +1,102 @@
+/**
+ * CSV Utilities
+ * Building, parsing and downloading CSV files
+ */
+
+// ═══════════════════════════════════════════════════════════
+// CSV FORMATTING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Quote a single CSV field (RFC 4180). Values that spreadsheets would
+ * evaluate as formulas are prefixed with an apostrophe.
+ */
+export function escapeCsvField(value: unknown): string {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from a header row and data rows
+ */
+export function toCsv(headers: string[], rows: unknown[][]): string {
+  return [headers, ...rows]
+    .map((row) => row.map(escapeCsvField).join(','))
+    .join('\r\n');
+}
+
+// ═══════════════════════════════════════════════════════════
+// CSV PARSING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Parse a CSV document (RFC 4180: quoted fields may contain commas,
+ * quotes and line breaks) into rows of cell text. Semicolon-separated
+ * files, as some spreadsheet locales save them, are detected from the
+ * header line.
+ */
+export function parseCsv(text: string): string[][] {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = headerLine.split(';').length > headerLine.split(',').length ? ';' : ',';
+
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ═══════════════════════════════════════════════════════════
+// DOWNLOAD
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Save text (or bytes) as a file in the browser
+ */
+export function downloadFile(filename: string, content: BlobPart, mimeType = 'text/csv;charset=utf-8'): void {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
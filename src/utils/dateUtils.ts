@@ -1,8 +1,15 @@
 /**
  * Date Utilities
- * Date formatting and manipulation for the board view
+ * Date formatting and manipulation for the board view. Working days
+ * come from the lab calendar (Monday-Friday unless one is passed).
  */
 
+import type { CalendarDepartment, LabCalendar } from '@/types/calendar';
+import { DEFAULT_LAB_CALENDAR, isOpenDay } from '@/lib/calendar';
+
+/** Stop looking for an open day after this many closed ones in a row */
+const MAX_CLOSED_DAYS = 366;
+
 // ═══════════════════════════════════════════════════════════
 // DATE FORMATTING
 // ═══════════════════════════════════════════════════════════
@@ -75,6 +82,23 @@ export function getDateFromToday(daysOffset: number): Date {
   return today;
 }
 
+/**
+ * The next `days` working days, starting today (the board's columns)
+ */
+export function getWorkingDayHorizon(
+  days = 7,
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR,
+  department?: CalendarDepartment | null
+): Date[] {
+  const dates: Date[] = [];
+  let date = getToday();
+  for (let checked = 0; dates.length < days && checked < days + MAX_CLOSED_DAYS; checked++) {
+    if (isWorkingDay(date, calendar, department)) dates.push(date);
+    date = addDays(date, 1);
+  }
+  return dates;
+}
+
 /**
  * Generate array of dates for the board horizon (7 days by default)
  */
@@ -152,6 +176,43 @@ export function isWeekday(date: Date): boolean {
   return day !== 0 && day !== 6; // Not Sunday (0) or Saturday (6)
 }
 
+/**
+ * Check if the lab (or a department) works on a date
+ */
+export function isWorkingDay(
+  date: Date,
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR,
+  department?: CalendarDepartment | null
+): boolean {
+  return isOpenDay(calendar, toISODate(date), department);
+}
+
+/**
+ * Add business days (days the lab works) to a date. The result is
+ * always a working day, so 0 days from a Saturday is the next Monday.
+ */
+export function addBusinessDays(
+  date: Date,
+  days: number,
+  calendar: LabCalendar = DEFAULT_LAB_CALENDAR,
+  department?: CalendarDepartment | null
+): Date {
+  let result = new Date(date);
+  let remaining = days;
+  let closedRun = 0;
+  while (remaining > 0 && closedRun < MAX_CLOSED_DAYS) {
+    result = addDays(result, 1);
+    if (isWorkingDay(result, calendar, department)) {
+      remaining--;
+      closedRun = 0;
+    } else {
+      closedRun++;
+    }
+  }
+  while (!isWorkingDay(result, calendar, department) && closedRun++ < MAX_CLOSED_DAYS) result = addDays(result, 1);
+  return result;
+}
+
 // ═══════════════════════════════════════════════════════════
 // COLUMN HEADER HELPERS
 // ═══════════════════════════════════════════════════════════
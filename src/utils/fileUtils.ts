@@ -0,0 +1,47 @@
+/**
+ * File Utilities
+ * Base64 conversion (without Buffer, so it runs in the browser too),
+ * reading picked files, and file sizes for display
+ */
+
+/**
+ * Encode bytes as base64
+ */
+export function bytesToBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes; null when it isn't valid base64
+ */
+export function base64ToBytes(base64: string): Uint8Array | null {
+  let binary: string;
+  try {
+    binary = atob(base64.replace(/\s+/g, ''));
+  } catch {
+    return null;
+  }
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * A picked or dropped file's contents as base64
+ */
+export async function readFileAsBase64(file: Blob): Promise<string> {
+  return bytesToBase64(new Uint8Array(await file.arrayBuffer()));
+}
+
+/**
+ * "512 B", "48 KB", "3.2 MB"
+ */
+export function formatFileSize(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,87 @@
+/**
+ * XLSX Utilities
+ * Reading and writing Excel workbooks. ExcelJS is loaded on demand so
+ * it only ships to the browser when someone actually uses a workbook.
+ */
+
+import type { CellValue } from 'exceljs';
+
+// ═══════════════════════════════════════════════════════════
+// CELL TEXT
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Render a cell the way it would be typed: dates as "YYYY-MM-DD",
+ * formulas as their cached result, rich text and links as plain text
+ */
+function cellText(value: CellValue): string {
+  if (value === null || value === undefined) return '';
+  // Excel dates carry no zone; ExcelJS hands them over as UTC midnight
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value);
+
+  if ('richText' in value) return value.richText.map((part) => part.text).join('');
+  if ('hyperlink' in value) return value.text;
+  if ('result' in value) return cellText(value.result ?? null);
+  return ''; // #N/A, #REF! and friends
+}
+
+// ═══════════════════════════════════════════════════════════
+// READING
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Read the first worksheet of an .xlsx file into rows of cell text
+ */
+export async function readXlsx(data: ArrayBuffer): Promise<string[][]> {
+  const { Workbook } = await import('exceljs');
+  const workbook = new Workbook();
+  // The browser build takes an ArrayBuffer; the typings only know Node's Buffer
+  await workbook.xlsx.load(data as unknown as Parameters<typeof workbook.xlsx.load>[0]);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows: string[][] = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells: string[] = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = cellText(cell.value);
+    });
+    rows[rowNumber - 1] = Array.from(cells, (cell) => cell ?? '');
+  });
+
+  return Array.from(rows, (row) => row ?? []);
+}
+
+// ═══════════════════════════════════════════════════════════
+// WRITING
+// ═══════════════════════════════════════════════════════════
+
+export interface XlsxSheet {
+  name: string;
+  headers: string[];
+  rows: unknown[][];
+}
+
+/**
+ * Build an .xlsx file with one worksheet per sheet (bold, frozen header row)
+ */
+export async function writeXlsx(sheets: XlsxSheet[]): Promise<Uint8Array> {
+  const { Workbook } = await import('exceljs');
+  const workbook = new Workbook();
+
+  for (const { name, headers, rows } of sheets) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.addRow(headers).font = { bold: true };
+    for (const row of rows) {
+      sheet.addRow(row.map((value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value)));
+    }
+    sheet.columns.forEach((column, i) => {
+      const longest = rows.reduce((max, row) => Math.max(max, String(row[i] ?? '').length), headers[i]?.length ?? 0);
+      column.width = Math.min(Math.max(longest + 2, 8), 60);
+    });
+  }
+
+  return new Uint8Array(await workbook.xlsx.writeBuffer());
+}
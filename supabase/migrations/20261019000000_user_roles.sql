@@ -0,0 +1,22 @@
+-- Per-user roles for action permissions (see src/actions/permissions.ts).
+-- Users without a row are treated as technicians.
+
+create table if not exists public.user_roles (
+  user_name  text primary key,
+  role       text not null default 'technician'
+             check (role in ('technician', 'lead', 'manager', 'admin')),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.user_roles enable row level security;
+
+create policy "user_roles readable by everyone"
+  on public.user_roles for select
+  using (true);
+
+-- No insert, update or delete policy: clients can't change roles (or
+-- promote themselves). Writes come from the service role, which
+-- bypasses RLS: user.set_role over the HTTP API (SUPABASE_SERVICE_ROLE_KEY
+-- set on the server, with an API key allowed to dispatch it), or SQL.
+-- Seed the first admin manually:
+--   insert into public.user_roles (user_name, role) values ('<name>', 'admin');
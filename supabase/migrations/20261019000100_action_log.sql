@@ -0,0 +1,29 @@
+-- Audit trail of every dispatched action (see src/actions/audit.ts).
+-- Append-only: clients may insert and read, never update or delete.
+
+create table if not exists public.action_log (
+  id             uuid primary key default gen_random_uuid(),
+  action_type    text not null,
+  payload        jsonb not null default '{}'::jsonb,
+  result_summary text not null default '',
+  success        boolean not null,
+  error          text,
+  user_name      text not null,
+  client         text not null,
+  app_version    text not null,
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists action_log_created_at_idx on public.action_log (created_at desc);
+create index if not exists action_log_user_idx on public.action_log (user_name, created_at desc);
+create index if not exists action_log_type_idx on public.action_log (action_type, created_at desc);
+
+alter table public.action_log enable row level security;
+
+create policy "action_log readable by everyone"
+  on public.action_log for select
+  using (true);
+
+create policy "action_log insertable by clients"
+  on public.action_log for insert
+  with check (true);
@@ -0,0 +1,147 @@
+-- Structured case history events (see logCase in src/services/caseService.ts).
+-- `action` stays as the display text; the new columns carry the same change
+-- as data so analytics no longer parse strings. Existing rows are parsed
+-- from their text below; anything unrecognised becomes a 'note'.
+
+alter table public.case_history
+  add column if not exists event_type text
+    check (event_type in (
+      'created', 'field_changed', 'modifier_added', 'modifier_removed',
+      'stage_changed', 'completed', 'reopened', 'archived', 'restored',
+      'recreated', 'stats_excluded', 'stats_included', 'note'
+    )),
+  add column if not exists field      text,
+  add column if not exists old_value  text,
+  add column if not exists new_value  text,
+  add column if not exists stage_from text
+    check (stage_from in ('design', 'production', 'finishing', 'qc')),
+  add column if not exists stage_to   text
+    check (stage_to in ('design', 'production', 'finishing', 'qc')),
+  add column if not exists metadata   jsonb;
+
+create index if not exists case_history_case_event_idx
+  on public.case_history (case_id, event_type, created_at);
+
+-- ─── Backfill ──────────────────────────────────────────────
+
+-- Display name ("Quality Control") → stage key ("qc"); null for "Unknown"
+create or replace function pg_temp.stage_key(name text) returns text
+language sql immutable as $$
+  select case lower(trim(name))
+    when 'design' then 'design'
+    when 'production' then 'production'
+    when 'finishing' then 'finishing'
+    when 'quality control' then 'qc'
+    when 'qc' then 'qc'
+  end
+$$;
+
+-- Creation. Digital cases created after the stage system went live
+-- (2025-07-14) started in Design.
+update public.case_history h
+set event_type = 'created',
+    stage_to = case when c.department = 'General' and c.created_at >= '2025-07-14' then 'design' end
+from public.cases c
+where h.event_type is null
+  and c.id = h.case_id
+  and h.action = 'Case created';
+
+-- History whose case no longer exists
+update public.case_history set event_type = 'created'
+where event_type is null and action = 'Case created';
+
+update public.case_history
+set event_type = 'created', stage_to = 'finishing', metadata = '{"repair": true}'
+where event_type is null
+  and action = 'Case created and sent directly to Finishing for repair';
+
+-- Stage moves: "Moved from Design to Production stage",
+-- "Moved from Finishing to Quality Control",
+-- "Moved from Quality Control back to Finishing stage"
+update public.case_history
+set event_type = 'stage_changed',
+    stage_from = pg_temp.stage_key((regexp_match(action, '^moved from (.+?) (?:back )?to (.+?)(?: stage)?$', 'i'))[1]),
+    stage_to   = pg_temp.stage_key((regexp_match(action, '^moved from (.+?) (?:back )?to (.+?)(?: stage)?$', 'i'))[2])
+where event_type is null
+  and action ~* '^moved from (.+?) (back )?to (.+?)( stage)?$';
+
+update public.case_history
+set event_type = 'stage_changed',
+    stage_to = pg_temp.stage_key((regexp_match(action, '^moved to (.+) stage$', 'i'))[1])
+where event_type is null
+  and action ~* '^moved to (design|production|finishing|quality control) stage$';
+
+update public.case_history
+set event_type = 'stage_changed',
+    stage_to = pg_temp.stage_key((regexp_match(action, 'assigned to (design|production|finishing)', 'i'))[1])
+where event_type is null
+  and action ~* 'assigned to (design|production|finishing).*stage';
+
+update public.case_history
+set event_type = 'stage_changed', stage_to = 'finishing', metadata = '{"repair": true}'
+where event_type is null
+  and action = 'Sent for repair - moved directly to Finishing stage';
+
+-- Stage 2 and modifier flags
+update public.case_history
+set event_type = case when action = 'Moved to Stage 2' then 'modifier_added' else 'modifier_removed' end,
+    field = 'stage2'
+where event_type is null
+  and action in ('Moved to Stage 2', 'Moved back to Stage 1');
+
+update public.case_history
+set event_type = case when action ~* ' added$' then 'modifier_added' else 'modifier_removed' end,
+    field = lower(split_part(action, ' ', 1))
+where event_type is null
+  and action ~* '^(rush|hold|bbs|flex) (added|removed)$';
+
+-- Field changes
+update public.case_history
+set event_type = 'field_changed',
+    field = 'priority',
+    old_value = (action = 'Priority removed')::text,
+    new_value = (action = 'Priority added')::text
+where event_type is null
+  and action in ('Priority added', 'Priority removed');
+
+update public.case_history
+set event_type = 'field_changed',
+    field = case
+      when action like 'Case #%' then 'casenumber'
+      when action like 'Department%' then 'department'
+      else 'due'
+    end,
+    old_value = (regexp_match(action, 'changed from (.*) to (.*)$'))[1],
+    new_value = (regexp_match(action, 'changed from (.*) to (.*)$'))[2]
+where event_type is null
+  and action ~ '^(Case #|Department |Due )changed from .* to .*$';
+
+-- Completion, archive, restore
+update public.case_history
+set event_type = case when action = 'Marked done' then 'completed' else 'reopened' end,
+    field = 'completed',
+    old_value = (action = 'Undo done')::text,
+    new_value = (action = 'Marked done')::text
+where event_type is null
+  and action in ('Marked done', 'Undo done');
+
+update public.case_history set event_type = 'archived'
+where event_type is null and action = 'Case archived';
+
+update public.case_history set event_type = 'restored'
+where event_type is null and action = 'Case restored from archive';
+
+update public.case_history set event_type = 'recreated'
+where event_type is null and action = 'Case restored after deletion';
+
+-- Statistics exclusions: "Excluded from design stage statistics", "Included in all statistics"
+update public.case_history
+set event_type = case when action like 'Excluded%' then 'stats_excluded' else 'stats_included' end,
+    field = coalesce((regexp_match(action, '^(?:Excluded from|Included in) (\w+) stage statistics$'))[1], 'all')
+where event_type is null
+  and action ~ '^(Excluded from|Included in) (\w+ stage|all) statistics$';
+
+-- Anything else is kept as free text
+update public.case_history
+set event_type = 'note', metadata = '{"legacy": true}'
+where event_type is null;
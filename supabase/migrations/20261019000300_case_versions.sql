@@ -0,0 +1,24 @@
+-- Optimistic concurrency for cases (see compareAndSwap in src/services/caseService.ts).
+-- Every write bumps `version` and stamps `updated_at`; clients update with
+-- `where version = <the version they read>` and treat zero matched rows as
+-- a conflict instead of silently overwriting someone else's change.
+
+alter table public.cases
+  add column if not exists version    integer     not null default 1,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- The trigger owns both columns, so writers that don't know about
+-- versions (older clients, SQL consoles) still invalidate stale copies
+create or replace function public.bump_case_version() returns trigger
+language plpgsql as $$
+begin
+  new.version := old.version + 1;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists cases_bump_version on public.cases;
+create trigger cases_bump_version
+  before update on public.cases
+  for each row execute function public.bump_case_version();
@@ -0,0 +1,50 @@
+-- Atomic modifier edits (see updateModifiers in src/services/caseService.ts).
+-- Toggles and stage moves send the flags to add and remove instead of a
+-- rewritten array, so flags added concurrently from another station
+-- (rush, hold, stats-exclude:*) survive. The row is locked while the new
+-- array is computed; nothing is written when it wouldn't change.
+
+create or replace function public.update_case_modifiers(
+  p_case_id         uuid,
+  p_add             text[] default '{}',
+  p_remove          text[] default '{}',
+  p_remove_prefixes text[] default '{}'
+) returns table (modifiers_before text[], modifiers_after text[])
+language plpgsql as $$
+declare
+  v_before text[];
+  v_after  text[];
+begin
+  select coalesce(c.modifiers, '{}') into v_before
+    from public.cases c
+   where c.id = p_case_id
+     for update;
+
+  if not found then
+    raise exception 'Case not found' using errcode = 'P0002';
+  end if;
+
+  -- Keep existing order, drop removed flags and prefixes (unless re-added),
+  -- then append new flags
+  v_after := array(
+    select m
+      from unnest(v_before) with ordinality as t(m, i)
+     where m = any(p_add)
+        or (m <> all(p_remove)
+            and not exists (select 1 from unnest(p_remove_prefixes) as p(prefix) where starts_with(m, prefix)))
+     order by i
+  );
+  v_after := v_after || array(
+    select a
+      from unnest(p_add) with ordinality as t(a, i)
+     where a <> all(v_after)
+     order by i
+  );
+
+  if v_after is distinct from v_before then
+    update public.cases set modifiers = v_after where id = p_case_id;
+  end if;
+
+  return query select v_before, v_after;
+end;
+$$;
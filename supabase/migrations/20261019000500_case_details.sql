@@ -0,0 +1,166 @@
+-- First-class case details (see caseDetailFields in src/lib/caseDetails.ts).
+-- Until now people typed them into the case number ("5678 Crown #8 A2");
+-- the backfill below reads what it can out of that description part.
+-- Case numbers are left as they are.
+
+alter table public.cases
+  add column if not exists practice         text,
+  add column if not exists doctor           text,
+  add column if not exists patient_ref      text,
+  add column if not exists restoration_type text,
+  add column if not exists units            integer check (units > 0),
+  add column if not exists teeth            text[] not null default '{}',
+  add column if not exists tooth_notation   text check (tooth_notation in ('fdi', 'universal')),
+  add column if not exists shade            text,
+  add column if not exists material         text;
+
+-- ─── Backfill ──────────────────────────────────────────────
+-- Same patterns as extractCaseDetails; keep the two in step.
+
+-- Everything after the leading case id ("5678 Crown", "5678 - Crown", "(5678 Crown)")
+create or replace function pg_temp.case_description(casenumber text) returns text
+language sql immutable as $$
+  select substring(trim(regexp_replace(casenumber, '[()]', '', 'g')) from '^[^\s-]+(?:\s*-\s*|\s+)(.+)$')
+$$;
+
+create or replace function pg_temp.valid_tooth(tooth text, notation text) returns boolean
+language sql immutable as $$
+  select case notation
+    when 'universal' then tooth ~ '^([1-9]|[12][0-9]|3[0-2]|[A-T])$'
+    else tooth ~ '^([1-4][1-8]|[5-8][1-5])$'
+  end
+$$;
+
+-- "8, 9" / "3-5" → {8,9} / {3,4,5}; null unless every part is valid.
+-- Ranges only within one quadrant (FDI) or one arch (Universal).
+create or replace function pg_temp.expand_teeth(list text, notation text) returns text[]
+language plpgsql immutable as $$
+declare
+  part text;
+  a integer;
+  b integer;
+  result text[] := '{}';
+begin
+  list := regexp_replace(replace(list, '#', ''), '\s*[-–]\s*', '-', 'g');
+  foreach part in array regexp_split_to_array(trim(list), '[\s,;]+') loop
+    if part ~ '^\d+-\d+$' then
+      a := split_part(part, '-', 1)::integer;
+      b := split_part(part, '-', 2)::integer;
+      if notation = 'fdi' and a / 10 <> b / 10 then return null; end if;
+      if notation = 'universal' and (a <= 16) <> (b <= 16) then return null; end if;
+      result := result || array(
+        select g::text from generate_series(least(a, b), greatest(a, b)) g
+      );
+    else
+      result := result || case when notation = 'universal' then ltrim(upper(part), '0') else part end;
+    end if;
+  end loop;
+
+  if exists (select 1 from unnest(result) t where not pg_temp.valid_tooth(t, notation)) then
+    return null;
+  end if;
+  return result;
+end;
+$$;
+
+create temporary table case_descriptions as
+select id, pg_temp.case_description(casenumber) as description
+from public.cases
+where restoration_type is null and material is null and shade is null
+  and units is null and doctor is null and patient_ref is null
+  and cardinality(teeth) = 0
+  and pg_temp.case_description(casenumber) is not null;
+
+-- Restoration type (first match wins, most specific first)
+update public.cases c
+set restoration_type = case
+    when d.description ~* '\mimplant\M' then 'Implant crown'
+    when d.description ~* '\mabutments?\M' then 'Abutment'
+    when d.description ~* '\m(partials?|rpd)\M' then 'Partial denture'
+    when d.description ~* '\mdentures?\M' then 'Denture'
+    when d.description ~* '\m(bridge|fpd)\M' then 'Bridge'
+    when d.description ~* '\mcrowns?\M' then 'Crown'
+    when d.description ~* '\mveneers?\M' then 'Veneer'
+    when d.description ~* '\minlays?\M' then 'Inlay'
+    when d.description ~* '\monlays?\M' then 'Onlay'
+    when d.description ~* '\mnight\s*guard\M' then 'Night guard'
+    when d.description ~* '\msplints?\M' then 'Splint'
+    when d.description ~* '\mmodels?\M' then 'Model'
+  end
+from case_descriptions d
+where c.id = d.id
+  and d.description ~* '\m(implant|abutments?|partials?|rpd|dentures?|bridge|fpd|crowns?|veneers?|inlays?|onlays?|night\s*guard|splints?|models?)\M';
+
+-- Material
+update public.cases c
+set material = case
+    when d.description ~* '\m(zirconia|zirc|zr|bruxzir)\M' then 'Zirconia'
+    when d.description ~* '\me\.?max\M' then 'e.max'
+    when d.description ~* '\mpfm\M' then 'PFM'
+    when d.description ~* '\m(full\s*cast|fcc)\M' then 'Full cast'
+    when d.description ~* '\mgold\M' then 'Gold'
+    when d.description ~* '\mtitanium\M' then 'Titanium'
+    when d.description ~* '\mpmma\M' then 'PMMA'
+    when d.description ~* '\mcomposite\M' then 'Composite'
+  end
+from case_descriptions d
+where c.id = d.id
+  and d.description ~* '\m(zirconia|zirc|zr|bruxzir|e\.?max|pfm|full\s*cast|fcc|gold|titanium|pmma|composite)\M';
+
+-- Shade: VITA classic (A1-D4), bleach (BL1-BL4), 3D-Master (2M2, 1M1.5)
+update public.cases c
+set shade = upper((regexp_match(d.description, '\y(BL[1-4]|[A-D][1-4]|[0-5][LMR][1-3](?:\.5)?)\y', 'i'))[1])
+from case_descriptions d
+where c.id = d.id
+  and d.description ~* '\y(BL[1-4]|[A-D][1-4]|[0-5][LMR][1-3](\.5)?)\y';
+
+-- Units: "3 units", "3-unit", "3u"
+update public.cases c
+set units = nullif((regexp_match(d.description, '\y(\d{1,2})\s*-?\s*(?:units?|u)\y', 'i'))[1]::integer, 0)
+from case_descriptions d
+where c.id = d.id
+  and d.description ~* '\y\d{1,2}\s*-?\s*(units?|u)\y';
+
+-- Doctor: "Dr. Smith", "dr smith"
+update public.cases c
+set doctor = initcap((regexp_match(d.description, '\ydr(?:\.\s*|\s+)([a-z][\w''-]*)', 'i'))[1])
+from case_descriptions d
+where c.id = d.id
+  and d.description ~* '\ydr(\.\s*|\s+)[a-z]';
+
+-- Patient: "pt 4411", "patient: JD"
+update public.cases c
+set patient_ref = (regexp_match(d.description, '\y(?:pt|patient)\y\s*[:#.]?\s*([\w-]+)', 'i'))[1]
+from case_descriptions d
+where c.id = d.id
+  and d.description ~* '\y(pt|patient)\y\s*[:#.]?\s*[\w-]';
+
+-- Teeth: "#8", "#3-5", "#8, 9" are Universal; "tooth 36", "teeth 14-16" are FDI
+update public.cases c
+set teeth = t.teeth, tooth_notation = 'universal'
+from case_descriptions d,
+  lateral (
+    select pg_temp.expand_teeth(
+      (regexp_match(d.description, '#\s*([0-9a-t]{1,2}(?:\s*[-–,]\s*#?\s*[0-9a-t]{1,2}\y)*)', 'i'))[1],
+      'universal'
+    ) as teeth
+  ) t
+where c.id = d.id
+  and d.description ~ '#'
+  and cardinality(t.teeth) > 0;
+
+update public.cases c
+set teeth = t.teeth, tooth_notation = 'fdi'
+from case_descriptions d,
+  lateral (
+    select pg_temp.expand_teeth(
+      (regexp_match(d.description, '\y(?:tooth|teeth)\s*(\d{2}(?:\s*[-–,]\s*\d{2}\y)*)', 'i'))[1],
+      'fdi'
+    ) as teeth
+  ) t
+where c.id = d.id
+  and c.tooth_notation is null
+  and d.description ~* '\y(tooth|teeth)\s*\d{2}'
+  and cardinality(t.teeth) > 0;
+
+drop table case_descriptions;
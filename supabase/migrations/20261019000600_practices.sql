@@ -0,0 +1,30 @@
+-- Client directory (see src/lib/practices.ts). Cases refer to a practice
+-- by name, so renaming or removing one here leaves its cases untouched.
+-- turnaround_days maps case type to business days: {"general": 5, "flex": 8}.
+
+create table if not exists public.practices (
+  id                 uuid primary key default gen_random_uuid(),
+  name               text not null check (length(trim(name)) > 0),
+  contact            text,
+  doctors            text[] not null default '{}',
+  default_department text check (default_department in ('General', 'Metal', 'C&B')),
+  turnaround_days    jsonb not null default '{}',
+  rush_surcharge     boolean not null default false,
+  notes              text,
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now()
+);
+
+create unique index if not exists practices_name_key on public.practices (lower(name));
+
+alter table public.practices enable row level security;
+
+create policy "practices readable by everyone"
+  on public.practices for select
+  using (true);
+
+-- Writes go through practice.save (leads) and practice.delete (managers).
+create policy "practices writable by clients"
+  on public.practices for all
+  using (true)
+  with check (true);
@@ -0,0 +1,40 @@
+-- Case notes and threaded comments (see src/services/noteService.ts).
+-- Replies point at their thread's top-level note. Like case_history there
+-- is no foreign key to cases, so notes survive a delete and come back
+-- when the delete is undone. Changes are also logged to case_history as
+-- 'note' events.
+
+create table if not exists public.case_notes (
+  id         uuid primary key default gen_random_uuid(),
+  case_id    uuid not null,
+  parent_id  uuid references public.case_notes (id) on delete cascade,
+  author     text not null,
+  body       text not null check (length(trim(body)) between 1 and 2000),
+  mentions   text[] not null default '{}',
+  pinned     boolean not null default false,
+  -- Earlier texts, oldest first: [{"body": "...", "edited_at": "..."}]
+  edits      jsonb not null default '[]',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists case_notes_case_idx on public.case_notes (case_id, created_at);
+
+-- At most one pinned note per case
+create unique index if not exists case_notes_pinned_key
+  on public.case_notes (case_id) where pinned;
+
+alter table public.case_notes enable row level security;
+
+create policy "case_notes readable by everyone"
+  on public.case_notes for select
+  using (true);
+
+-- Writes go through note.* actions; only authors edit or delete (noteService).
+create policy "case_notes writable by clients"
+  on public.case_notes for all
+  using (true)
+  with check (true);
+
+-- Realtime note feed (subscribeToNotes)
+alter publication supabase_realtime add table public.case_notes;
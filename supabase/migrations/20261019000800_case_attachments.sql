@@ -0,0 +1,62 @@
+-- Case attachments: photos, Rx PDFs and scans (see src/services/attachmentService.ts).
+-- Rows hold the metadata; the bytes are in the private "case-attachments"
+-- Storage bucket at <case_id>/<attachment_id>/<file name>. Like case_notes
+-- there is no foreign key to cases. Adding and removing one is logged to
+-- case_history as 'attachment_added' / 'attachment_removed' events.
+
+create table if not exists public.case_attachments (
+  id           uuid primary key default gen_random_uuid(),
+  case_id      uuid not null,
+  file_name    text not null,
+  content_type text not null,
+  kind         text not null check (kind in ('image', 'pdf', 'scan')),
+  size         bigint not null check (size between 1 and 26214400),
+  storage_path text not null unique,
+  uploaded_by  text not null,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists case_attachments_case_idx on public.case_attachments (case_id, created_at);
+
+alter table public.case_attachments enable row level security;
+
+create policy "case_attachments readable by everyone"
+  on public.case_attachments for select
+  using (true);
+
+-- Writes go through attachment.* actions (removal needs a lead, see permissions.ts).
+create policy "case_attachments writable by clients"
+  on public.case_attachments for all
+  using (true)
+  with check (true);
+
+-- ─── Storage ───────────────────────────────────────────────
+
+-- Private: files are read through signed URLs (ATTACHMENT_URL_TTL)
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('case-attachments', 'case-attachments', false, 26214400)
+on conflict (id) do nothing;
+
+create policy "case attachment files readable by everyone"
+  on storage.objects for select
+  using (bucket_id = 'case-attachments');
+
+create policy "case attachment files writable by clients"
+  on storage.objects for insert
+  with check (bucket_id = 'case-attachments');
+
+create policy "case attachment files removable by clients"
+  on storage.objects for delete
+  using (bucket_id = 'case-attachments');
+
+-- ─── History events ────────────────────────────────────────
+
+alter table public.case_history
+  drop constraint if exists case_history_event_type_check,
+  add constraint case_history_event_type_check
+    check (event_type in (
+      'created', 'field_changed', 'modifier_added', 'modifier_removed',
+      'stage_changed', 'completed', 'reopened', 'archived', 'restored',
+      'recreated', 'stats_excluded', 'stats_included', 'note',
+      'attachment_added', 'attachment_removed'
+    ));
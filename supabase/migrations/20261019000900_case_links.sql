@@ -0,0 +1,48 @@
+-- Case links: remakes, split units and cross-department dependencies
+-- (see src/services/linkService.ts). Each row reads "case_id is a
+-- remake of / was split from / waits on linked_case_id". Like case_notes
+-- there are no foreign keys to cases, so links survive a delete and come
+-- back when the delete is undone. Changes are logged to case_history as
+-- 'linked' / 'unlinked' events on both cases.
+
+create table if not exists public.case_links (
+  id             uuid primary key default gen_random_uuid(),
+  case_id        uuid not null,
+  linked_case_id uuid not null,
+  kind           text not null check (kind in ('remake_of', 'split_from', 'depends_on')),
+  reason         text check (length(reason) <= 500),
+  created_by     text not null,
+  created_at     timestamptz not null default now(),
+  check (case_id <> linked_case_id),
+  unique (case_id, linked_case_id, kind)
+);
+
+create index if not exists case_links_linked_idx on public.case_links (linked_case_id);
+
+-- A case is a remake of, or split from, one case at most
+create unique index if not exists case_links_single_parent_key
+  on public.case_links (case_id, kind) where kind in ('remake_of', 'split_from');
+
+alter table public.case_links enable row level security;
+
+create policy "case_links readable by everyone"
+  on public.case_links for select
+  using (true);
+
+-- Writes go through case.link / case.unlink / case.create_remake (cycle checks in linkService).
+create policy "case_links writable by clients"
+  on public.case_links for all
+  using (true)
+  with check (true);
+
+-- ─── History events ────────────────────────────────────────
+
+alter table public.case_history
+  drop constraint if exists case_history_event_type_check,
+  add constraint case_history_event_type_check
+    check (event_type in (
+      'created', 'field_changed', 'modifier_added', 'modifier_removed',
+      'stage_changed', 'completed', 'reopened', 'archived', 'restored',
+      'recreated', 'stats_excluded', 'stats_included', 'note',
+      'attachment_added', 'attachment_removed', 'linked', 'unlinked'
+    ));
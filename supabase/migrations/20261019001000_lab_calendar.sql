@@ -0,0 +1,23 @@
+-- Lab calendar (see src/lib/calendar.ts): timezone, weekly shifts and
+-- breaks, holidays/closures and per-department overrides, as one jsonb
+-- document in a single row. Until a manager saves one the app uses
+-- Monday-Friday 8:00-17:00 America/Boise, the hours it always assumed.
+
+create table if not exists public.lab_calendar (
+  id         text primary key default 'lab' check (id = 'lab'),
+  settings   jsonb not null,
+  updated_by text,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.lab_calendar enable row level security;
+
+create policy "lab calendar readable by everyone"
+  on public.lab_calendar for select
+  using (true);
+
+-- Writes go through calendar.save (managers).
+create policy "lab calendar writable by clients"
+  on public.lab_calendar for all
+  using (true)
+  with check (true);